@@ -30,6 +30,9 @@ class NeuralAnalytics {
         // Chart configuration
         this.charts = {};
         
+        // Interactions kept in the activity log
+        this.maxActivityLogEntries = 100;
+        
         // Initialize components
         this.init();
     }
@@ -68,6 +71,11 @@ class NeuralAnalytics {
             this.updateAnalytics(data);
         });
         
+        // Record user interactions with scene objects
+        this.eventBus.subscribe('scene:objectInteraction', (data) => {
+            this.logInteraction(data);
+        });
+        
         // Listen for UI events
         this.eventBus.subscribe('ui:toggleAnalytics', (visible) => {
             this.dashboardElement.style.display = visible ? 'grid' : 'none';
@@ -77,6 +85,28 @@ class NeuralAnalytics {
         window.addEventListener('resize', this.resizeCharts.bind(this));
     }
     
+    /**
+     * Add an object interaction to the activity log
+     * @param {Object} data - Interaction published by the neural scene
+     */
+    logInteraction(data) {
+        // Hover changes are too frequent to be useful in the log
+        if (data.interaction === 'hover' || data.interaction === 'unhover') {
+            return;
+        }
+        
+        this.state.activityLog.push({
+            timestamp: data.timestamp,
+            interaction: data.interaction,
+            objectId: data.id,
+            objectType: data.type
+        });
+        
+        if (this.state.activityLog.length > this.maxActivityLogEntries) {
+            this.state.activityLog.shift();
+        }
+    }
+    
     /**
      * Create overview section
      */
@@ -677,6 +707,29 @@ class NeuralAnalytics {
         
         // Update charts
         this.updateCharts();
+        
+        this.eventBus.publish('analytics:updated', { timestamp: Date.now() });
+    }
+    
+    /**
+     * Get the collected time series and the latest metrics
+     * @returns {object} { points, maxPoints, metrics, performance }
+     */
+    getTimeseries() {
+        return {
+            points: [...this.state.timeseriesData],
+            maxPoints: this.maxTimeseriesPoints,
+            metrics: {
+                activeNeurons: this.state.activeNeurons,
+                connectionStrength: this.state.connectionStrength,
+                processingCycles: this.state.processingCycles
+            },
+            performance: {
+                responseTime: [...this.state.performanceMetrics.responseTime],
+                accuracy: [...this.state.performanceMetrics.accuracyScores],
+                memoryUsage: [...this.state.performanceMetrics.memoryUsage]
+            }
+        };
     }
     
     /**
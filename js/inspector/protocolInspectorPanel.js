@@ -0,0 +1,476 @@
+/**
+ * ORGANIX Neural Interface - Protocol Inspector Panel
+ * 
+ * Developer panel for the frames captured by ProtocolInspector: a filterable
+ * timeline with request/response pairs and their latency, a detail view of
+ * the selected frame, replay or edit-and-resend of outbound frames, and
+ * export of the capture as a JSON file. Toggled with ui:toggleInspector.
+ */
+
+import { redact } from '../utils/redaction.js';
+
+export class ProtocolInspectorPanel {
+    /**
+     * @param {HTMLElement} container - Element the panel is built in
+     * @param {EventBus} eventBus - Application event bus
+     * @param {ProtocolInspector} inspector - Capture to show
+     */
+    constructor(container, eventBus, inspector) {
+        this.container = container;
+        this.eventBus = eventBus;
+        this.inspector = inspector;
+        
+        this.filter = { direction: '', kind: '', errorsOnly: false, text: '' };
+        this.selectedSeq = null;
+        this.editing = false;
+        
+        // Timeline rows by entry sequence number
+        this.rows = new Map();
+        
+        // Entries arriving while the panel is hidden are drawn when it opens
+        this.stale = false;
+        
+        // Frames the client rejected since the page loaded (from mcp:frameRejected)
+        this.rejectedFrames = 0;
+        
+        this.createPanel();
+        this.setupEventListeners();
+    }
+    
+    /**
+     * Whether the panel is showing
+     */
+    get visible() {
+        return !this.container.classList.contains('hidden');
+    }
+    
+    /**
+     * Build the panel's elements
+     */
+    createPanel() {
+        this.container.innerHTML = `
+            <div class="inspector-panel">
+                <div class="inspector-header">
+                    <h2>MCP Protocol Inspector</h2>
+                    <span class="inspector-summary"></span>
+                    <button class="inspector-close" title="Close (Shift+I)">&times;</button>
+                </div>
+                <div class="inspector-toolbar">
+                    <input type="search" class="inspector-filter-text" placeholder="Filter by method, id or content">
+                    <select class="inspector-filter-direction">
+                        <option value="">Both directions</option>
+                        <option value="outbound">Outbound</option>
+                        <option value="inbound">Inbound</option>
+                    </select>
+                    <select class="inspector-filter-kind">
+                        <option value="">All kinds</option>
+                        <option value="request">Requests</option>
+                        <option value="response">Responses</option>
+                        <option value="notification">Notifications</option>
+                        <option value="error">Errors</option>
+                        <option value="invalid">Invalid</option>
+                    </select>
+                    <label class="inspector-filter-problems"><input type="checkbox"> Problems only</label>
+                    <button class="secondary-button inspector-pause">Pause</button>
+                    <button class="secondary-button inspector-clear">Clear</button>
+                    <button class="secondary-button inspector-export">Export</button>
+                </div>
+                <div class="inspector-body">
+                    <ol class="inspector-timeline"></ol>
+                    <div class="inspector-detail">
+                        <p class="inspector-placeholder">Select a frame to see it in full.</p>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        const find = (selector) => this.container.querySelector(selector);
+        this.elements = {
+            summary: find('.inspector-summary'),
+            close: find('.inspector-close'),
+            text: find('.inspector-filter-text'),
+            direction: find('.inspector-filter-direction'),
+            kind: find('.inspector-filter-kind'),
+            problems: find('.inspector-filter-problems input'),
+            pause: find('.inspector-pause'),
+            clear: find('.inspector-clear'),
+            export: find('.inspector-export'),
+            timeline: find('.inspector-timeline'),
+            detail: find('.inspector-detail')
+        };
+    }
+    
+    /**
+     * Wire up the toolbar and the inspector's events
+     */
+    setupEventListeners() {
+        this.elements.close.addEventListener('click', () => this.toggle(false));
+        this.elements.text.addEventListener('input', () => this.setFilter({ text: this.elements.text.value.trim() }));
+        this.elements.direction.addEventListener('change', () => this.setFilter({ direction: this.elements.direction.value }));
+        this.elements.kind.addEventListener('change', () => this.setFilter({ kind: this.elements.kind.value }));
+        this.elements.problems.addEventListener('change', () => this.setFilter({ errorsOnly: this.elements.problems.checked }));
+        this.elements.pause.addEventListener('click', this.togglePause.bind(this));
+        this.elements.clear.addEventListener('click', () => this.inspector.clear());
+        this.elements.export.addEventListener('click', this.exportCapture.bind(this));
+        
+        this.elements.timeline.addEventListener('click', (event) => {
+            const row = event.target.closest('.inspector-row');
+            if (row) {
+                this.select(Number(row.dataset.seq));
+            }
+        });
+        
+        this.eventBus.subscribe('inspector:entry', this.handleEntry.bind(this));
+        this.eventBus.subscribe('inspector:entryUpdated', this.handleEntryUpdated.bind(this));
+        this.eventBus.subscribe('inspector:cleared', () => {
+            this.selectedSeq = null;
+            this.renderTimeline();
+            this.renderDetail();
+        });
+        this.eventBus.subscribe('settings:mcpLogLevel', () => this.updateSummary());
+        this.eventBus.subscribe('mcp:frameRejected', ({ metrics }) => {
+            this.rejectedFrames = metrics.rejected;
+            this.updateSummary();
+        });
+        this.eventBus.subscribe('ui:toggleInspector', (visible) => this.toggle(visible));
+    }
+    
+    /**
+     * Show or hide the panel
+     * @param {boolean} [visible] - Show it (flips the current state if omitted)
+     */
+    toggle(visible = !this.visible) {
+        this.container.classList.toggle('hidden', !visible);
+        
+        if (visible && this.stale) {
+            this.renderTimeline();
+        }
+    }
+    
+    /**
+     * Change the timeline filter
+     * @param {object} changes - Filter fields to change
+     */
+    setFilter(changes) {
+        this.filter = { ...this.filter, ...changes };
+        this.renderTimeline();
+    }
+    
+    /**
+     * Stop or resume capturing
+     */
+    togglePause() {
+        const paused = !this.inspector.paused;
+        
+        this.inspector.setPaused(paused);
+        this.elements.pause.textContent = paused ? 'Resume' : 'Pause';
+        this.updateSummary();
+    }
+    
+    /**
+     * Add a newly captured frame to the timeline
+     * @param {object} entry - Inspector entry
+     */
+    handleEntry(entry) {
+        if (!this.visible) {
+            this.stale = true;
+            return;
+        }
+        
+        if (this.inspector.matches(entry, this.filter)) {
+            this.appendRow(entry);
+            
+            // Keep the timeline no longer than the capture
+            while (this.rows.size > this.inspector.maxEntries) {
+                const [seq, row] = this.rows.entries().next().value;
+                row.remove();
+                this.rows.delete(seq);
+            }
+        }
+        
+        this.updateSummary();
+    }
+    
+    /**
+     * Refresh a request whose response arrived (or never will)
+     * @param {object} entry - Inspector entry
+     */
+    handleEntryUpdated(entry) {
+        const row = this.rows.get(entry.seq);
+        if (row) {
+            const replacement = this.createRow(entry);
+            row.replaceWith(replacement);
+            this.rows.set(entry.seq, replacement);
+        }
+        
+        if (entry.seq === this.selectedSeq && !this.editing) {
+            this.renderDetail();
+        }
+    }
+    
+    /**
+     * Redraw the whole timeline from the capture
+     */
+    renderTimeline() {
+        this.stale = false;
+        this.rows.clear();
+        this.elements.timeline.innerHTML = '';
+        
+        this.inspector.getEntries(this.filter).forEach(entry => this.appendRow(entry));
+        this.updateSummary();
+    }
+    
+    /**
+     * @param {object} entry - Inspector entry
+     */
+    appendRow(entry) {
+        const timeline = this.elements.timeline;
+        const atBottom = timeline.scrollHeight - timeline.scrollTop - timeline.clientHeight < 20;
+        
+        const row = this.createRow(entry);
+        timeline.appendChild(row);
+        this.rows.set(entry.seq, row);
+        
+        // Follow new frames unless the user scrolled back
+        if (atBottom) {
+            timeline.scrollTop = timeline.scrollHeight;
+        }
+    }
+    
+    /**
+     * Build a timeline row
+     * @param {object} entry - Inspector entry
+     * @returns {HTMLElement} Row
+     */
+    createRow(entry) {
+        const row = document.createElement('li');
+        row.className = `inspector-row level-${entry.level} kind-${entry.kind}`;
+        row.classList.toggle('selected', entry.seq === this.selectedSeq);
+        if (entry.status) {
+            row.classList.add(`status-${entry.status}`);
+        }
+        row.dataset.seq = entry.seq;
+        
+        const cells = [
+            ['time', this.formatTime(entry.timestamp)],
+            ['direction', entry.direction === 'outbound' ? '→' : '←'],
+            ['kind', entry.kind],
+            ['method', this.inspector.describe(entry)],
+            ['latency', this.formatLatency(entry)],
+            ['size', `${entry.raw.length} B`]
+        ];
+        
+        for (const [name, text] of cells) {
+            const cell = document.createElement('span');
+            cell.className = `inspector-cell-${name}`;
+            cell.textContent = text;
+            row.appendChild(cell);
+        }
+        
+        row.title = entry.direction === 'outbound' ? 'Sent by the client' : 'Received from the server';
+        return row;
+    }
+    
+    /**
+     * Show a frame in the detail view
+     * @param {number} seq - Entry sequence number
+     */
+    select(seq) {
+        this.rows.get(this.selectedSeq)?.classList.remove('selected');
+        this.selectedSeq = seq;
+        this.rows.get(seq)?.classList.add('selected');
+        
+        this.editing = false;
+        this.renderDetail();
+    }
+    
+    /**
+     * Draw the detail view for the selected frame
+     */
+    renderDetail() {
+        const detail = this.elements.detail;
+        const entry = this.selectedSeq !== null ? this.inspector.getEntry(this.selectedSeq) : null;
+        
+        detail.innerHTML = '';
+        
+        if (!entry) {
+            detail.innerHTML = '<p class="inspector-placeholder">Select a frame to see it in full.</p>';
+            return;
+        }
+        
+        const title = document.createElement('h3');
+        title.textContent = `#${entry.seq} ${this.inspector.describe(entry)}`;
+        detail.appendChild(title);
+        
+        const meta = document.createElement('p');
+        meta.className = 'inspector-meta';
+        meta.textContent = [
+            entry.direction === 'outbound' ? 'Outbound' : 'Inbound',
+            new Date(entry.timestamp).toISOString(),
+            entry.status ? `status: ${entry.status}` : null,
+            entry.latency !== null ? `latency: ${entry.latency} ms` : null
+        ].filter(Boolean).join(' · ');
+        detail.appendChild(meta);
+        
+        if (entry.rejection) {
+            const reasons = document.createElement('ul');
+            reasons.className = 'inspector-rejection';
+            for (const text of [`Rejected: ${entry.rejection.message} (${entry.rejection.code})`, ...entry.rejection.errors]) {
+                const item = document.createElement('li');
+                item.textContent = text;
+                reasons.appendChild(item);
+            }
+            detail.appendChild(reasons);
+        }
+        
+        const actions = document.createElement('div');
+        actions.className = 'inspector-actions';
+        detail.appendChild(actions);
+        
+        if (entry.pairSeq !== null) {
+            const pair = this.inspector.getEntry(entry.pairSeq);
+            const pairButton = this.createButton(
+                `Go to ${entry.kind === 'request' ? 'response' : 'request'} #${entry.pairSeq}`,
+                () => this.select(entry.pairSeq)
+            );
+            pairButton.disabled = !pair;
+            actions.appendChild(pairButton);
+        }
+        
+        // Credentials in the frame are masked; resending the original uses the real frame
+        const shown = entry.frame ? JSON.stringify(redact(entry.frame), null, 2) : redact(entry.raw);
+        
+        if (this.editing) {
+            const editor = document.createElement('textarea');
+            editor.className = 'inspector-editor';
+            editor.value = shown;
+            editor.spellcheck = false;
+            detail.appendChild(editor);
+            
+            actions.appendChild(this.createButton('Send', () => this.resend(entry.seq, editor.value)));
+            actions.appendChild(this.createButton('Cancel', () => {
+                this.editing = false;
+                this.renderDetail();
+            }));
+            editor.focus();
+            return;
+        }
+        
+        if (entry.direction === 'outbound') {
+            actions.appendChild(this.createButton('Replay', () => this.resend(entry.seq)));
+        }
+        if (entry.frame) {
+            actions.appendChild(this.createButton(entry.direction === 'outbound' ? 'Edit & Resend' : 'Send Edited Copy', () => {
+                this.editing = true;
+                this.renderDetail();
+            }));
+        }
+        
+        const body = document.createElement('pre');
+        body.className = 'inspector-frame';
+        body.textContent = shown;
+        detail.appendChild(body);
+    }
+    
+    /**
+     * Send a frame again
+     * @param {number} seq - Entry sequence number
+     * @param {string} [text] - Edited frame JSON
+     */
+    resend(seq, text) {
+        try {
+            this.inspector.resend(seq, text);
+            this.editing = false;
+            this.renderDetail();
+        } catch (error) {
+            this.eventBus.publish('mcp:error', { type: 'inspector', message: error.message });
+        }
+    }
+    
+    /**
+     * Download the capture as a JSON file
+     */
+    exportCapture() {
+        const capture = this.inspector.export();
+        const blob = new Blob([JSON.stringify(capture, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `organix-mcp-capture-${capture.exportedAt.replace(/[:.]/g, '-')}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+    
+    /**
+     * Show the frame counts, rejections, log level and capture state in the header
+     */
+    updateSummary() {
+        const total = this.inspector.entries.length;
+        const shown = this.rows.size;
+        const parts = [
+            shown === total ? `${total} frames` : `${shown} of ${total} frames`,
+            `log level: ${this.inspector.logLevel}`
+        ];
+        
+        if (this.rejectedFrames > 0) {
+            parts.splice(1, 0, `${this.rejectedFrames} rejected`);
+        }
+        
+        if (this.inspector.paused) {
+            parts.push('paused');
+        }
+        
+        this.elements.summary.textContent = parts.join(' · ');
+    }
+    
+    /**
+     * @param {string} label - Button text
+     * @param {Function} onClick - Click handler
+     * @returns {HTMLButtonElement}
+     */
+    createButton(label, onClick) {
+        const button = document.createElement('button');
+        button.className = 'secondary-button';
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+    
+    /**
+     * @param {number} timestamp - Epoch milliseconds
+     * @returns {string} HH:MM:SS.mmm
+     */
+    formatTime(timestamp) {
+        const date = new Date(timestamp);
+        const pad = (value, length = 2) => String(value).padStart(length, '0');
+        
+        return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+    }
+    
+    /**
+     * @param {object} entry - Inspector entry
+     * @returns {string} Latency column text
+     */
+    formatLatency(entry) {
+        if (entry.latency !== null) {
+            return `${entry.latency} ms`;
+        }
+        
+        switch (entry.status) {
+            case 'pending':
+                return 'pending';
+            case 'unanswered':
+                return 'no response';
+            case 'unmatched':
+                return 'unmatched';
+            case 'rejected':
+                return 'rejected';
+            default:
+                return '';
+        }
+    }
+}
@@ -6,16 +6,29 @@
  */
 
 import { NeuralScene } from './neuralScene.js';
-import { MCPConnector } from './mcpConnector.js';
 import { UIController } from './uiController.js';
 import { EventBus } from './utils/eventBus.js';
 import { LoadingManager } from './utils/loadingManager.js';
+import { ChatHistory } from './utils/chatHistory.js';
 import OrganixMcpClient from './organixMcpClient.js';
 import { NeuralEffects } from './effects/neuralEffects.js';
 import { NeuralAnalytics } from './analytics/neuralAnalytics.js';
+import { CommandDispatcher } from './mcp/commandDispatcher.js';
+import { CommandPolicy } from './mcp/commandPolicy.js';
+import { SceneTools } from './mcp/sceneTools.js';
+import { SceneResources } from './mcp/sceneResources.js';
+import { InterfaceRequests } from './mcp/interfaceRequests.js';
+import { SimulatedAgent } from './mcp/simulatedAgent.js';
+import { ConnectionProfiles } from './mcp/connectionProfiles.js';
+import { ProtocolInspector } from './mcp/protocolInspector.js';
+import { ProtocolInspectorPanel } from './inspector/protocolInspectorPanel.js';
+import { installConsoleRedaction } from './utils/redaction.js';
 
 class OrganixApp {
     constructor() {
+        // Keep API keys and tokens out of everything logged from here on
+        installConsoleRedaction();
+        
         console.log('Initializing ORGANIX Neural Interface...');
         
         // Create global event bus
@@ -50,16 +63,43 @@ class OrganixApp {
             // Initialize MCP components
             this.loadingManager.updateProgress(30, 'Initializing MCP components...');
             
+            // Shared command pipeline used by both MCP modes, with the user's
+            // allow / ask / deny rules in front of it
+            this.commandPolicy = new CommandPolicy(this.eventBus);
+            this.commandDispatcher = new CommandDispatcher(this.eventBus, { policy: this.commandPolicy });
+            
+            // Conversation record shared with MCP resources
+            this.chatHistory = new ChatHistory(this.eventBus);
+            
+            // Record MCP frames for the protocol inspector from the first connection on
+            this.protocolInspector = new ProtocolInspector(this.eventBus);
+            
             // Initialize real MCP client for direct Claude integration
             this.mcpClient = new OrganixMcpClient(this.eventBus);
             await this.mcpClient.initialize();
             
-            // Initialize the simulation MCP connector (fallback for demo purposes)
-            this.mcpConnector = new MCPConnector(this.eventBus);
+            // Named MCP connection settings, migrated from the old single-endpoint keys
+            this.connectionProfiles = new ConnectionProfiles(this.eventBus);
+            
+            // Let MCP-aware agents drive the scene through typed tools
+            this.sceneTools = new SceneTools(this.eventBus, this.neuralScene);
+            this.mcpClient.setSceneTools(this.sceneTools);
+            
+            // Let the server query the scene, take screenshots and ask the user to confirm things mid-turn
+            this.interfaceRequests = new InterfaceRequests(this.eventBus, this.neuralScene);
+            this.interfaceRequests.register(this.mcpClient);
+            
+            // Initialize the scripted stand-in for Claude used in simulation mode
+            this.simulatedAgent = new SimulatedAgent(this.eventBus);
             
             // Initialize UI controller
             this.loadingManager.updateProgress(60, 'Initializing user interface...');
-            this.uiController = new UIController(this.eventBus, this.neuralScene, this.mcpConnector);
+            this.uiController = new UIController(this.eventBus, this.neuralScene);
+            
+            // Show the connection profiles, command rules and messages a previous page load couldn't deliver
+            this.connectionProfiles.announce();
+            this.commandPolicy.announce();
+            this.mcpClient.messageQueue.announce();
             
             // Initialize neural analytics
             this.loadingManager.updateProgress(80, 'Initializing analytics dashboard...');
@@ -68,6 +108,21 @@ class OrganixApp {
                 this.eventBus
             );
             
+            // Developer panel showing the captured MCP frames
+            this.protocolInspectorPanel = new ProtocolInspectorPanel(
+                document.getElementById('inspector-container'),
+                this.eventBus,
+                this.protocolInspector
+            );
+            
+            // Let the MCP server read and subscribe to the scene, analytics and chat
+            this.sceneResources = new SceneResources(this.eventBus, {
+                neuralScene: this.neuralScene,
+                neuralAnalytics: this.neuralAnalytics,
+                chatHistory: this.chatHistory
+            });
+            this.mcpClient.setSceneResources(this.sceneResources);
+            
             // Register global event handlers
             this.setupEventHandlers();
             
@@ -109,11 +164,35 @@ class OrganixApp {
         // Handle MCP communication mode changes
         this.eventBus.subscribe('settings:mcpMode', this.handleMcpModeChange.bind(this));
         
+        // Route chat messages to whichever MCP handler is active
+        this.eventBus.subscribe('ui:sendMessage', this.handleUserMessage.bind(this));
+        
         // Handle scene state updates to sync with Claude
         this.eventBus.subscribe('scene:stateUpdate', this.handleSceneStateUpdate.bind(this));
         
         // Handle object interactions to notify Claude
         this.eventBus.subscribe('scene:objectInteraction', this.handleObjectInteraction.bind(this));
+        
+        // Move an open connection over when another profile is picked
+        this.eventBus.subscribe('mcp:profileSelected', this.handleProfileSelected.bind(this));
+    }
+    
+    /**
+     * Reconnect with a newly selected profile if the old one was connected
+     * (or trying to be). Profiles selected because they were just created or
+     * duplicated leave the connection alone.
+     * @param {object} data - { profile, previousId, reconnect }
+     */
+    handleProfileSelected({ profile, previousId, reconnect }) {
+        if (!reconnect || !previousId || previousId === profile.id) return;
+        
+        const state = this.mcpClient.connection.state;
+        const active = this.mcpClient.isConnected || state === 'reconnecting' || state === 'offline' || state === 'failed';
+        if (!active) return;
+        
+        console.log(`Switching MCP connection to profile "${profile.name}"`);
+        this.eventBus.publish('mcp:disconnect');
+        this.connectionProfiles.connect(profile.id);
     }
     
     setupEffectsEventHandlers() {
@@ -207,7 +286,7 @@ class OrganixApp {
             neuronActivity: this.neuralScene.getNeuralActivityData(),
             connections: this.neuralScene.getConnectionData(),
             processingCycles: this.neuralScene.getProcessingCycles(),
-            globalActivity: Math.random() * 100, // Example random value
+            globalActivity: this.neuralScene.getGlobalActivity(),
             performance: {
                 responseTime: 50 + Math.random() * 50,
                 accuracy: 70 + Math.random() * 30,
@@ -225,10 +304,8 @@ class OrganixApp {
         // Valid modes are 'real' (actual Claude connection) or 'simulation' (demo mode)
         switch (mode) {
             case 'real':
-                // Disconnect simulated MCP if connected
-                if (this.mcpConnector.connected) {
-                    this.mcpConnector.disconnect();
-                }
+                // Stop the simulated agent
+                this.simulatedAgent.stop();
                 
                 // Use the real MCP client for messaging
                 this.activeMcpHandler = this.mcpClient;
@@ -248,8 +325,9 @@ class OrganixApp {
                     this.mcpClient.disconnect();
                 }
                 
-                // Use the simulation MCP connector for messaging
-                this.activeMcpHandler = this.mcpConnector;
+                // Let the simulated agent answer
+                this.activeMcpHandler = this.simulatedAgent;
+                this.simulatedAgent.start();
                 
                 // Show notification about simulation mode
                 this.eventBus.publish('ui:notification', {
@@ -261,6 +339,14 @@ class OrganixApp {
         }
     }
     
+    handleUserMessage({ id, content }) {
+        if (this.activeMcpHandler === this.mcpClient) {
+            this.mcpClient.sendMessage({ id, content });
+        } else {
+            this.simulatedAgent.sendMessage(content);
+        }
+    }
+    
     handleSceneStateUpdate(state) {
         // Only forward to real MCP client when in real mode
         if (this.activeMcpHandler === this.mcpClient && this.mcpClient.isConnected) {
@@ -269,9 +355,16 @@ class OrganixApp {
     }
     
     handleObjectInteraction(interactionData) {
+        // Hovering is too noisy to report to Claude
+        if (interactionData.interaction === 'hover' || interactionData.interaction === 'unhover') {
+            return;
+        }
+        
         // Only forward to real MCP client when in real mode
         if (this.activeMcpHandler === this.mcpClient && this.mcpClient.isConnected) {
             this.mcpClient.notifyObjectInteraction(interactionData);
+        } else if (this.activeMcpHandler === this.simulatedAgent) {
+            this.simulatedAgent.handleObjectInteraction(interactionData);
         }
     }
     
@@ -305,9 +398,11 @@ class OrganixApp {
     }
     
     handleKeyDown(event) {
-        // ESC key to close any open panels
+        // ESC key to close any open panels and leave focus mode
         if (event.key === 'Escape') {
             this.uiController.closeAllPanels();
+            this.eventBus.publish('ui:toggleInspector', false);
+            this.neuralScene.exitFocus(event);
         }
         
         // Ctrl+/ to toggle help panel
@@ -316,14 +411,23 @@ class OrganixApp {
             this.uiController.toggleHelpPanel();
         }
         
+        // The Shift+letter shortcuts below are ordinary capitals while typing
+        const typing = event.target instanceof Element && event.target.closest('input, textarea, select, [contenteditable]');
+        
         // Shift+C to toggle MCP connection panel
-        if (event.key === 'C' && event.shiftKey) {
+        if (event.key === 'C' && event.shiftKey && !typing) {
             event.preventDefault();
             this.eventBus.publish('ui:toggleConnectionPanel');
         }
         
+        // Shift+I to toggle the MCP protocol inspector
+        if (event.key === 'I' && event.shiftKey && !typing) {
+            event.preventDefault();
+            this.eventBus.publish('ui:toggleInspector');
+        }
+        
         // Shift+A to toggle analytics dashboard
-        if (event.key === 'A' && event.shiftKey) {
+        if (event.key === 'A' && event.shiftKey && !typing) {
             event.preventDefault();
             this.eventBus.publish('ui:toggleAnalytics', !document.getElementById('analytics-container').classList.contains('hidden'));
         }
@@ -341,6 +445,19 @@ class OrganixApp {
             duration: 5000
         });
         
+        // Load a topology given in the page URL (?topology=<url>)
+        const params = new URLSearchParams(window.location.search);
+        const topologyUrl = params.get('topology');
+        if (topologyUrl) {
+            this.eventBus.publish('scene:loadTopology', { url: topologyUrl, source: 'url' });
+        }
+        
+        // Load a simulation script given in the page URL (?simulationScript=<url>)
+        const simulationScriptUrl = params.get('simulationScript');
+        if (simulationScriptUrl) {
+            this.eventBus.publish('simulation:loadScript', { url: simulationScriptUrl });
+        }
+        
         // Try to automatically connect to MCP if previously connected
         if (savedMcpMode === 'real') {
             this.tryAutoConnectToMcp();
@@ -383,24 +500,18 @@ class OrganixApp {
     }
     
     async tryAutoConnectToMcp() {
-        // Check for stored MCP connection settings
-        const mcpConfig = localStorage.getItem('organix-mcp-config');
+        // Only profiles marked for auto-connect connect on load
+        const profile = this.connectionProfiles.getActive();
         
-        if (mcpConfig) {
+        if (profile.autoConnect) {
             try {
-                const config = JSON.parse(mcpConfig);
+                this.uiController.showNotification({
+                    type: 'info',
+                    message: `Attempting to connect to Claude via MCP (${profile.name})...`,
+                    duration: 3000
+                });
                 
-                if (config.endpoint) {
-                    this.uiController.showNotification({
-                        type: 'info',
-                        message: 'Attempting to connect to Claude via MCP...',
-                        duration: 3000
-                    });
-                    
-                    this.eventBus.publish('mcp:connect', {
-                        endpoint: config.endpoint
-                    });
-                }
+                this.connectionProfiles.connect(profile.id);
             } catch (error) {
                 console.error('Failed to auto-connect to MCP:', error);
                 
@@ -0,0 +1,578 @@
+/**
+ * ORGANIX Neural Interface - Command Dispatcher
+ * 
+ * Mode-independent pipeline for scene commands sent by Claude. Both the
+ * simulation connector and the real MCP client feed commands in through
+ * the mcp:command event; the dispatcher runs them one at a time against
+ * the neural scene and reports each outcome on mcp:commandResult.
+ * 
+ * With a CommandPolicy, every batch of commands is reviewed before it is
+ * queued. Batches are reviewed in the order they arrive, so commands waiting
+ * for the user's approval hold back the ones sent after them; refused
+ * commands fail with the error code 'denied'.
+ * 
+ * Approved commands wait in a CommandQueue (priority lanes, rate limits and
+ * a maximum length) and are announced on mcp:commandQueued { commandId } as
+ * they go in. The user can pause and flush it; its state is published on
+ * mcp:commandQueue for the queue indicator in the Claude panel:
+ *   mcp:pauseCommands / mcp:resumeCommands  stop and restart taking commands
+ *   mcp:flushCommands                       fail every waiting command ('flushed')
+ *   mcp:cancelCommand                       { commandId, reason }  fail one waiting command ('cancelled')
+ *   settings:commandQueue                   { maxLength, overflow, lanes, rateLimits, commandDelay }
+ * Commands that don't fit fail with 'queue_full' or, when dropped to make
+ * room, 'dropped'; commands merged into a waiting one share its outcome.
+ * A command can be cancelled while it waits for approval or in the queue,
+ * but not once it has started.
+ */
+
+import { CommandQueue } from './commandQueue.js';
+import { describeCommand } from './commandPolicy.js';
+
+export class CommandDispatcher {
+    /**
+     * @param {EventBus} eventBus - Application event bus
+     * @param {object} [options]
+     * @param {CommandPolicy} [options.policy] - Decides which commands may run
+     * @param {object} [options.queue] - CommandQueue options
+     */
+    constructor(eventBus, { policy = null, queue = {} } = {}) {
+        this.eventBus = eventBus;
+        this.policy = policy;
+        
+        // Batches of commands waiting for the policy, one after the other, and
+        // the ones not yet decided ({ entries, cancelled, controller })
+        this.reviewChain = Promise.resolve();
+        this.reviews = new Set();
+        
+        // Command queue for processing sequential actions
+        this.commandQueue = new CommandQueue(queue);
+        this.processingCommands = false;
+        this.commandDelay = 300; // Gap between commands in milliseconds
+        this.commandCompletionGrace = 5000; // Extra wait beyond a command's own duration
+        
+        // The command running now, the timer waiting out a rate limit, and
+        // whether the user paused the queue
+        this.currentEntry = null;
+        this.rateLimitTimer = null;
+        this.paused = false;
+        
+        // Commands turned away by the queue since the page loaded
+        this.overflowCounts = { dropped: 0, rejected: 0, coalesced: 0 };
+        
+        // Register for events
+        this.eventBus.subscribe('mcp:command', this.handleCommandEvent.bind(this));
+        this.eventBus.subscribe('mcp:pauseCommands', () => this.pause());
+        this.eventBus.subscribe('mcp:resumeCommands', () => this.resume());
+        this.eventBus.subscribe('mcp:flushCommands', () => this.flush());
+        this.eventBus.subscribe('mcp:cancelCommand', ({ commandId, reason } = {}) => this.cancel(commandId, reason));
+        this.eventBus.subscribe('settings:commandQueue', this.configureQueue.bind(this));
+        
+        console.log('Command Dispatcher initialized');
+    }
+    
+    /**
+     * Handle commands published on mcp:command
+     * @param {object} data - Either { commands: [...], source } or a single command object
+     */
+    handleCommandEvent(data) {
+        if (!data) return;
+        
+        const commands = Array.isArray(data.commands) ? data.commands : [data];
+        this.enqueue(commands, data.source || 'simulation');
+    }
+    
+    /**
+     * Add commands to the queue
+     * @param {Array} commands - Commands to process
+     * @param {string} source - Where the commands came from ('simulation' or 'real')
+     */
+    enqueue(commands, source) {
+        const entries = [];
+        
+        for (const command of commands) {
+            if (!command || typeof command !== 'object') {
+                console.warn('Ignoring malformed command:', command);
+                continue;
+            }
+            
+            entries.push({
+                id: command.id || this.generateCommandId(),
+                command,
+                source
+            });
+        }
+        
+        if (entries.length === 0) return;
+        
+        if (!this.policy) {
+            this.admit(entries);
+            return;
+        }
+        
+        // Cancelled commands are reported when they are cancelled; aborting the
+        // controller withdraws the approval prompt once none are left to ask about
+        const review = { entries, cancelled: new Set(), controller: new AbortController() };
+        const isLive = entry => !review.cancelled.has(entry.id);
+        this.reviews.add(review);
+        
+        this.reviewChain = this.reviewChain
+            .then(() => {
+                const live = entries.filter(isLive);
+                return live.length > 0
+                    ? this.policy.review(live, { signal: review.controller.signal })
+                    : { approved: [], denied: [] };
+            })
+            .then(({ approved, denied }) => {
+                this.reviews.delete(review);
+                denied.filter(({ entry }) => isLive(entry)).forEach(({ entry, message }) => {
+                    console.log(`Command ${entry.id} (${entry.command.type}) denied: ${message}`);
+                    this.reportResult(entry, false, this.createError('denied', message), null);
+                });
+                this.admit(approved.filter(isLive));
+            })
+            .catch(error => {
+                this.reviews.delete(review);
+                console.error('Error reviewing commands:', error);
+                entries.filter(isLive).forEach(entry => this.reportResult(entry, false, this.createError('denied', 'The command could not be reviewed'), null));
+            });
+    }
+    
+    /**
+     * Queue commands that may run
+     * @param {Array<object>} entries - Queue entries
+     */
+    admit(entries) {
+        for (const entry of entries) {
+            const { added, dropped, mergedInto } = this.commandQueue.add(entry);
+            
+            if (dropped) {
+                this.overflowCounts.dropped++;
+                this.reportResult(dropped, false, this.createError('dropped', 'Dropped from the full command queue to make room'), null);
+            }
+            if (added || mergedInto) {
+                this.eventBus.publish('mcp:commandQueued', { commandId: entry.id });
+            }
+            if (mergedInto) {
+                this.overflowCounts.coalesced++;
+            } else if (!added) {
+                this.overflowCounts.rejected++;
+                this.reportResult(entry, false, this.createError('queue_full', `The command queue is full (${this.commandQueue.options.maxLength} commands)`), null);
+            }
+        }
+        
+        this.publishQueueState();
+        
+        // A command waiting out a rate limit shouldn't hold back one that may run now
+        if (this.rateLimitTimer) {
+            clearTimeout(this.rateLimitTimer);
+            this.rateLimitTimer = null;
+            this.processingCommands = false;
+        }
+        
+        // Start processing if not already in progress
+        if (!this.processingCommands) {
+            this.processNextCommand();
+        }
+    }
+    
+    /**
+     * Process the next command in the queue
+     */
+    async processNextCommand() {
+        this.rateLimitTimer = null;
+        
+        if (this.paused) {
+            this.processingCommands = false;
+            this.publishQueueState();
+            return;
+        }
+        
+        const { entry, wait } = this.commandQueue.take(Date.now());
+        
+        if (!entry) {
+            // Everything waiting is over its rate limit: try again once the first one isn't
+            if (wait !== null) {
+                this.rateLimitTimer = setTimeout(() => this.processNextCommand(), wait);
+            }
+            this.processingCommands = wait !== null;
+            this.publishQueueState();
+            return;
+        }
+        
+        this.processingCommands = true;
+        this.currentEntry = entry;
+        this.publishQueueState();
+        
+        try {
+            console.log('Processing command:', entry.command);
+            
+            const delta = await this.executeCommand(entry.command);
+            this.reportResult(entry, true, null, delta);
+        } catch (error) {
+            console.error(`Error processing command (${error.code || 'error'}):`, error.message);
+            this.reportResult(entry, false, error, null);
+        }
+        
+        this.currentEntry = null;
+        this.publishQueueState();
+        
+        // Process next command with a small delay
+        setTimeout(() => this.processNextCommand(), this.commandDelay);
+    }
+    
+    /**
+     * Execute a single command
+     * @param {object} command - Command to execute
+     * @returns {Promise<object|null>} Scene delta reported for the command
+     */
+    async executeCommand(command) {
+        switch (command.type) {
+            case 'highlight':
+                return this.executeHighlightCommand(command);
+                
+            case 'pulse':
+                return this.executePulseCommand(command);
+                
+            case 'camera':
+                return this.executeCameraCommand(command);
+                
+            case 'create':
+                return this.executeCreateCommand(command);
+                
+            case 'update':
+                return this.executeUpdateCommand(command);
+                
+            case 'remove':
+                return this.executeRemoveCommand(command);
+                
+            case 'loadTopology':
+                return this.executeLoadTopologyCommand(command);
+                
+            case 'preset':
+                return this.executePresetCommand(command);
+                
+            default:
+                throw this.createError('unknown_command', `Unknown command type: ${command.type}`);
+        }
+    }
+    
+    /**
+     * Publish the outcome of a command
+     * @param {object} entry - Queue entry
+     * @param {boolean} success - Whether the command succeeded
+     * @param {Error|null} error - Failure reason
+     * @param {object|null} delta - Scene changes made by the command
+     */
+    reportResult(entry, success, error, delta) {
+        // Commands merged into this one share its outcome
+        for (const reported of [entry, ...(entry.coalesced || [])]) {
+            this.eventBus.publish('mcp:commandResult', {
+                commandId: reported.id,
+                command: reported.command,
+                source: reported.source,
+                success,
+                error: error ? { code: error.code || 'execution_failed', message: error.message } : null,
+                delta: delta || null
+            });
+        }
+    }
+    
+    /**
+     * Stop starting queued commands; the one running finishes
+     */
+    pause() {
+        if (this.paused) return;
+        
+        this.paused = true;
+        if (this.rateLimitTimer) {
+            clearTimeout(this.rateLimitTimer);
+            this.rateLimitTimer = null;
+            this.processingCommands = false;
+        }
+        
+        console.log('Command queue paused');
+        this.publishQueueState();
+    }
+    
+    /**
+     * Start taking queued commands again
+     */
+    resume() {
+        if (!this.paused) return;
+        
+        this.paused = false;
+        console.log('Command queue resumed');
+        
+        if (!this.processingCommands) {
+            this.processNextCommand();
+        } else {
+            this.publishQueueState();
+        }
+    }
+    
+    /**
+     * Fail every waiting command; the one running finishes
+     */
+    flush() {
+        const entries = this.commandQueue.flush();
+        
+        entries.forEach(entry => {
+            this.reportResult(entry, false, this.createError('flushed', 'Removed from the command queue by the user'), null);
+        });
+        
+        if (entries.length > 0) {
+            console.log(`Flushed ${entries.length} queued commands`);
+        }
+        this.publishQueueState();
+    }
+    
+    /**
+     * Fail a command that hasn't started yet, e.g. because whoever sent it
+     * stopped waiting for it
+     * @param {string} commandId - Command ID
+     * @param {string} [reason] - Why, reported as the error message
+     * @returns {boolean} Whether a waiting command was cancelled
+     */
+    cancel(commandId, reason = 'Cancelled before it ran') {
+        const error = this.createError('cancelled', reason);
+        
+        const queued = this.commandQueue.remove(commandId);
+        if (queued) {
+            console.log(`Cancelled queued command ${commandId}: ${reason}`);
+            this.reportResult(queued, false, error, null);
+            this.publishQueueState();
+            return true;
+        }
+        
+        for (const review of this.reviews) {
+            const entry = review.entries.find(candidate => candidate.id === commandId);
+            if (!entry || review.cancelled.has(commandId)) continue;
+            
+            console.log(`Cancelled command ${commandId} awaiting approval: ${reason}`);
+            review.cancelled.add(commandId);
+            this.reportResult(entry, false, error, null);
+            
+            if (review.cancelled.size === review.entries.length) {
+                review.controller.abort();
+            }
+            return true;
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Change the queue options and the gap between commands
+     * @param {object} options - CommandQueue options, plus commandDelay
+     */
+    configureQueue({ commandDelay, ...options } = {}) {
+        if (commandDelay !== undefined) {
+            if (Number.isFinite(commandDelay) && commandDelay >= 0) {
+                this.commandDelay = commandDelay;
+            } else {
+                console.warn('Ignoring invalid commandDelay:', commandDelay);
+            }
+        }
+        
+        this.commandQueue.configure(options);
+        this.publishQueueState();
+    }
+    
+    /**
+     * Publish the queue's state for the queue indicator
+     */
+    publishQueueState() {
+        const { maxLength, overflow } = this.commandQueue.options;
+        
+        this.eventBus.publish('mcp:commandQueue', {
+            length: this.commandQueue.length,
+            lanes: this.commandQueue.countByLane(),
+            maxLength,
+            overflow,
+            paused: this.paused,
+            running: this.currentEntry ? {
+                commandId: this.currentEntry.id,
+                type: this.currentEntry.command.type,
+                summary: describeCommand(this.currentEntry.command)
+            } : null,
+            rateLimited: !!this.rateLimitTimer,
+            ...this.overflowCounts
+        });
+    }
+    
+    /**
+     * Execute a highlight command
+     * @param {object} command - Highlight command
+     */
+    async executeHighlightCommand(command) {
+        const duration = command.params?.duration || 2000;
+        
+        return this.dispatchSceneCommand('scene:highlightObject', {
+            objectId: command.target,
+            duration,
+            color: command.params?.color
+        }, duration);
+    }
+    
+    /**
+     * Execute a pulse command
+     * @param {object} command - Pulse command
+     */
+    async executePulseCommand(command) {
+        return this.dispatchSceneCommand('scene:pulseObject', {
+            objectId: command.target,
+            color: command.params?.color,
+            intensity: command.params?.intensity || 1.0
+        }, 1500);
+    }
+    
+    /**
+     * Execute a camera command
+     * @param {object} command - Camera command
+     */
+    async executeCameraCommand(command) {
+        switch (command.action) {
+            case 'moveTo':
+                return this.dispatchSceneCommand('scene:moveCameraTo', {
+                    target: command.params?.target,
+                    position: command.params?.position,
+                    duration: command.params?.duration || 2000
+                }, command.params?.duration || 2000);
+                
+            case 'lookAt':
+                return this.dispatchSceneCommand('scene:lookAt', {
+                    target: command.params?.target,
+                    duration: command.params?.duration || 1000
+                }, command.params?.duration || 1000);
+                
+            case 'orbit':
+                return this.dispatchSceneCommand('scene:orbitAround', {
+                    target: command.params?.target,
+                    duration: command.params?.duration || 5000
+                }, command.params?.duration || 5000);
+                
+            case 'reset':
+                return this.dispatchSceneCommand('scene:resetCamera', {}, 1500);
+                
+            default:
+                throw this.createError('unknown_command', `Unknown camera action: ${command.action}`);
+        }
+    }
+    
+    /**
+     * Execute a create command
+     * @param {object} command - Create command ({ objectType, params })
+     * @returns {Promise<object>} ID and type of the created object
+     */
+    async executeCreateCommand(command) {
+        return this.dispatchSceneCommand('scene:createObject', {
+            type: command.objectType,
+            params: command.params || {}
+        }, 0);
+    }
+    
+    /**
+     * Execute an update command
+     * @param {object} command - Update command ({ target, params })
+     */
+    async executeUpdateCommand(command) {
+        return this.dispatchSceneCommand('scene:updateObject', {
+            objectId: command.target,
+            params: command.params || {}
+        }, 0);
+    }
+    
+    /**
+     * Execute a remove command
+     * @param {object} command - Remove command ({ target })
+     */
+    async executeRemoveCommand(command) {
+        return this.dispatchSceneCommand('scene:removeObject', {
+            objectId: command.target
+        }, 0);
+    }
+    
+    /**
+     * Execute a load topology command
+     * @param {object} command - Load topology command ({ topology } or { url })
+     * @returns {Promise<object>} Summary of the loaded topology
+     */
+    async executeLoadTopologyCommand(command) {
+        return this.dispatchSceneCommand('scene:loadTopology', {
+            topology: command.topology,
+            url: command.url,
+            source: 'mcp'
+        }, 0);
+    }
+    
+    /**
+     * Execute a visual preset command
+     * @param {object} command - Preset command ({ preset })
+     */
+    async executePresetCommand(command) {
+        return this.dispatchSceneCommand('scene:setPreset', {
+            preset: command.preset
+        }, 0);
+    }
+    
+    /**
+     * Publish a scene command and wait for the scene to report its outcome
+     * @param {string} eventName - Scene command event to publish
+     * @param {object} payload - Command payload
+     * @param {number} expectedDuration - Expected animation time in milliseconds
+     * @returns {Promise<object>} Result reported on scene:commandComplete
+     */
+    dispatchSceneCommand(eventName, payload, expectedDuration) {
+        const commandId = this.generateCommandId();
+        
+        return new Promise((resolve, reject) => {
+            let timeoutId = null;
+            
+            const cleanup = () => {
+                unsubscribeComplete();
+                unsubscribeFailed();
+                clearTimeout(timeoutId);
+            };
+            
+            const unsubscribeComplete = this.eventBus.subscribe('scene:commandComplete', (data) => {
+                if (data.commandId !== commandId) return;
+                cleanup();
+                resolve(data.result);
+            });
+            
+            const unsubscribeFailed = this.eventBus.subscribe('scene:commandFailed', (data) => {
+                if (data.commandId !== commandId) return;
+                cleanup();
+                reject(this.createError(data.error.code, data.error.message));
+            });
+            
+            // Give up if the scene never reports back (e.g. no scene listening, or paused)
+            timeoutId = setTimeout(() => {
+                cleanup();
+                reject(this.createError('timeout', `No completion reported for ${eventName}`));
+            }, expectedDuration + this.commandCompletionGrace);
+            
+            this.eventBus.publish(eventName, { ...payload, commandId });
+        });
+    }
+    
+    /**
+     * Create an error for a failed command
+     * @param {string} code - Machine readable error code
+     * @param {string} message - Human readable message
+     * @returns {Error} Error with a code property
+     */
+    createError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+    
+    /**
+     * Generate a unique command ID
+     * @returns {string} Command ID
+     */
+    generateCommandId() {
+        return `cmd-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    }
+}
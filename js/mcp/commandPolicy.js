@@ -0,0 +1,340 @@
+/**
+ * ORGANIX Neural Interface - Command Policy
+ * 
+ * Decides which scene commands from Claude (or the simulated agent) the
+ * command dispatcher may run. Every command type has a rule:
+ *   allow  run it straight away
+ *   ask    show an approval prompt in the Claude panel first; commands that
+ *          arrive together are summarised in one prompt
+ *   deny   never run it
+ * Refused commands fail with the error code 'denied'. Every decision goes
+ * into an audit log together with who made it ('policy', 'user' or
+ * 'timeout') and, once the dispatcher reports back, how the command went.
+ * Commands cancelled while the user is being asked are left undecided.
+ * Rules are stored in localStorage under organix-command-policy, the audit
+ * log under organix-command-audit.
+ * 
+ * Events:
+ *   settings:commandPolicy  { rules }  change some of the rules
+ *   mcp:clearCommandAudit   empty the audit log
+ *   mcp:commandPolicy       { rules, defaults }  the rules in force
+ *   mcp:commandAudit        { entry, log }  an audit entry was added or updated
+ */
+
+import { askUser } from '../utils/confirmPrompt.js';
+
+const RULES_KEY = 'organix-command-policy';
+const AUDIT_KEY = 'organix-command-audit';
+
+export const POLICY_DECISIONS = ['allow', 'ask', 'deny'];
+
+// Rules for the command types the dispatcher knows. Looking around and
+// cosmetic effects are harmless; anything that moves the user's view or
+// changes the network needs their approval.
+export const DEFAULT_RULES = {
+    highlight: 'allow',
+    pulse: 'allow',
+    preset: 'allow',
+    camera: 'ask',
+    create: 'ask',
+    update: 'ask',
+    remove: 'ask',
+    loadTopology: 'ask'
+};
+
+// Commands that can't be undone from the interface get a red approve button
+const DESTRUCTIVE_TYPES = ['remove', 'loadTopology'];
+
+// Commands listed one by one in an approval prompt before the rest are counted
+const PROMPT_LINES = 6;
+
+export class CommandPolicy {
+    /**
+     * @param {EventBus} eventBus - Application event bus
+     */
+    constructor(eventBus) {
+        this.eventBus = eventBus;
+        this.rules = { ...DEFAULT_RULES };
+        this.auditLog = [];
+        
+        // Audit entries kept, oldest dropped first
+        this.auditLimit = 200;
+        
+        // How long an approval prompt waits before its commands are refused
+        this.approvalTimeout = 60000;
+        
+        this.load();
+        
+        this.eventBus.subscribe('settings:commandPolicy', ({ rules } = {}) => this.updateRules(rules));
+        this.eventBus.subscribe('mcp:clearCommandAudit', () => this.clearAudit());
+        this.eventBus.subscribe('mcp:commandResult', this.recordResult.bind(this));
+    }
+    
+    /**
+     * Read the saved rules and audit log
+     */
+    load() {
+        try {
+            const rules = JSON.parse(localStorage.getItem(RULES_KEY) || '{}');
+            for (const [type, decision] of Object.entries(rules)) {
+                if (type in DEFAULT_RULES && POLICY_DECISIONS.includes(decision)) {
+                    this.rules[type] = decision;
+                }
+            }
+            
+            const log = JSON.parse(localStorage.getItem(AUDIT_KEY) || '[]');
+            if (Array.isArray(log)) {
+                this.auditLog = log.slice(-this.auditLimit);
+            }
+        } catch (error) {
+            console.error('Error loading command policy:', error);
+        }
+    }
+    
+    /**
+     * Publish the rules and audit log for the settings panel
+     */
+    announce() {
+        this.eventBus.publish('mcp:commandPolicy', { rules: { ...this.rules }, defaults: { ...DEFAULT_RULES } });
+        this.eventBus.publish('mcp:commandAudit', { entry: null, log: this.getAuditLog() });
+    }
+    
+    /**
+     * Change some of the rules
+     * @param {object} rules - Decision by command type, e.g. { camera: 'allow' }
+     */
+    updateRules(rules = {}) {
+        for (const [type, decision] of Object.entries(rules)) {
+            if (!(type in DEFAULT_RULES) || !POLICY_DECISIONS.includes(decision)) {
+                console.warn(`Ignoring command policy rule ${type}: ${decision}`);
+                continue;
+            }
+            this.rules[type] = decision;
+        }
+        
+        try {
+            localStorage.setItem(RULES_KEY, JSON.stringify(this.rules));
+        } catch (error) {
+            console.error('Error saving command policy:', error);
+        }
+        
+        this.eventBus.publish('mcp:commandPolicy', { rules: { ...this.rules }, defaults: { ...DEFAULT_RULES } });
+    }
+    
+    /**
+     * Get the rule for a command
+     * @param {object} command - Scene command
+     * @returns {string} 'allow', 'ask' or 'deny'
+     */
+    ruleFor(command) {
+        // Unknown types are let through for the dispatcher to reject as unknown_command
+        return this.rules[command.type] ?? 'allow';
+    }
+    
+    /**
+     * Decide which of a batch of queue entries may run, asking the user
+     * about the ones whose rule says so
+     * @param {Array<object>} entries - Queue entries ({ id, command, source })
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal] - Withdraws the approval prompt when aborted
+     * @returns {Promise<object>} { approved: [entry], denied: [{ entry, message }] },
+     * leaving out commands cancelled in the meantime
+     */
+    async review(entries, { signal } = {}) {
+        const decisions = entries.map(entry => ({
+            entry,
+            rule: this.ruleFor(entry.command),
+            audit: this.audit(entry)
+        }));
+        
+        const asked = decisions.filter(decision => decision.rule === 'ask');
+        let answer = null;
+        if (asked.length > 0) {
+            answer = await askUser(this.eventBus, this.describePrompt(asked.map(decision => decision.entry)), {
+                timeout: this.approvalTimeout,
+                signal
+            });
+        }
+        
+        const approved = [];
+        const denied = [];
+        
+        for (const { entry, rule, audit } of decisions) {
+            // The dispatcher reported the outcome of commands cancelled meanwhile
+            if (audit.status !== 'pending') continue;
+            
+            if (rule === 'ask') {
+                audit.approvedBy = answer.reason === 'timeout' ? 'timeout' : 'user';
+                audit.decision = answer.confirmed ? 'allow' : 'deny';
+            } else {
+                audit.approvedBy = 'policy';
+                audit.decision = rule;
+            }
+            audit.rule = rule;
+            audit.decidedAt = Date.now();
+            
+            if (audit.decision === 'allow') {
+                approved.push(entry);
+            } else {
+                audit.status = 'denied';
+                denied.push({
+                    entry,
+                    message: {
+                        policy: `${entry.command.type} commands are not allowed`,
+                        user: 'The user declined the command',
+                        timeout: 'The user did not approve the command in time'
+                    }[audit.approvedBy]
+                });
+            }
+            
+            this.publishAudit(audit);
+        }
+        
+        this.saveAudit();
+        return { approved, denied };
+    }
+    
+    /**
+     * Start an audit entry for a command
+     * @param {object} entry - Queue entry
+     * @returns {object} Audit entry
+     */
+    audit(entry) {
+        const audit = {
+            commandId: entry.id,
+            type: entry.command.type,
+            summary: describeCommand(entry.command),
+            source: entry.source,
+            rule: null,
+            decision: null,
+            approvedBy: null,
+            status: 'pending',
+            error: null,
+            requestedAt: Date.now(),
+            decidedAt: null,
+            completedAt: null
+        };
+        
+        this.auditLog.push(audit);
+        if (this.auditLog.length > this.auditLimit) {
+            this.auditLog.splice(0, this.auditLog.length - this.auditLimit);
+        }
+        
+        return audit;
+    }
+    
+    /**
+     * Record how an approved command went
+     * @param {object} result - Result published by the command dispatcher
+     */
+    recordResult(result) {
+        const audit = this.auditLog.findLast(candidate => candidate.commandId === result.commandId);
+        if (!audit || audit.status !== 'pending') return;
+        
+        audit.status = result.success ? 'executed' : (result.error?.code === 'cancelled' ? 'cancelled' : 'failed');
+        audit.error = result.error;
+        audit.completedAt = Date.now();
+        
+        this.publishAudit(audit);
+        this.saveAudit();
+    }
+    
+    /**
+     * Empty the audit log
+     */
+    clearAudit() {
+        this.auditLog = [];
+        this.saveAudit();
+        this.eventBus.publish('mcp:commandAudit', { entry: null, log: [] });
+    }
+    
+    /**
+     * Get the audit log, oldest first
+     * @returns {Array<object>} Copies of the audit entries
+     */
+    getAuditLog() {
+        return this.auditLog.map(audit => ({ ...audit }));
+    }
+    
+    publishAudit(audit) {
+        this.eventBus.publish('mcp:commandAudit', { entry: { ...audit }, log: this.getAuditLog() });
+    }
+    
+    saveAudit() {
+        try {
+            localStorage.setItem(AUDIT_KEY, JSON.stringify(this.auditLog));
+        } catch (error) {
+            console.error('Error saving command audit log:', error);
+        }
+    }
+    
+    /**
+     * Build the approval prompt for commands waiting on the user
+     * @param {Array<object>} entries - Queue entries
+     * @returns {object} Prompt for askUser
+     */
+    describePrompt(entries) {
+        const who = entries[0].source === 'simulation' ? 'The simulated agent' : 'Claude';
+        const lines = entries.slice(0, PROMPT_LINES).map(entry => `• ${describeCommand(entry.command)}`);
+        if (entries.length > PROMPT_LINES) {
+            lines.push(`…and ${entries.length - PROMPT_LINES} more`);
+        }
+        
+        return {
+            title: entries.length === 1 ? 'Allow this scene change?' : `Allow ${entries.length} scene changes?`,
+            message: `${who} wants to:\n${lines.join('\n')}`,
+            confirmLabel: 'Allow',
+            cancelLabel: 'Deny',
+            destructive: entries.some(entry => DESTRUCTIVE_TYPES.includes(entry.command.type))
+        };
+    }
+}
+
+/**
+ * Describe a scene command in a few words
+ * @param {object} command - Scene command
+ * @returns {string} E.g. 'Move the camera to memory'
+ */
+export function describeCommand(command) {
+    const target = command.target ?? command.params?.target;
+    const targetName = Array.isArray(target) ? `[${target.join(', ')}]` : target;
+    
+    switch (command.type) {
+        case 'highlight':
+            return `Highlight ${targetName}`;
+        case 'pulse':
+            return `Pulse ${targetName}`;
+        case 'camera':
+            return {
+                moveTo: `Move the camera to ${targetName ?? 'a new position'}`,
+                lookAt: `Point the camera at ${targetName}`,
+                orbit: `Orbit the camera around ${targetName}`,
+                reset: 'Reset the camera'
+            }[command.action] ?? `Camera action ${command.action}`;
+        case 'create': {
+            const params = command.params || {};
+            switch (command.objectType) {
+                case 'primaryNode':
+                    return `Create the node "${params.name}"`;
+                case 'secondaryNode':
+                    return params.name ? `Create the secondary node "${params.name}"` : 'Create a secondary node';
+                case 'connection':
+                    return `Connect ${params.source} to ${params.target}`;
+                case 'label':
+                    return `Add the label "${params.text}"`;
+                default:
+                    return `Create a ${command.objectType}`;
+            }
+        }
+        case 'update':
+            return `Change ${targetName}`;
+        case 'remove':
+            return `Remove ${targetName}`;
+        case 'loadTopology':
+            return command.url ? `Replace the network with ${command.url}` : 'Replace the network';
+        case 'preset':
+            return `Switch to the ${command.preset} preset`;
+        default:
+            return `Run a ${command.type} command`;
+    }
+}
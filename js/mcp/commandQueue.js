@@ -0,0 +1,315 @@
+/**
+ * ORGANIX Neural Interface - Command Queue
+ * 
+ * Scene commands waiting for the command dispatcher. Commands wait in one of
+ * three priority lanes and are taken from the highest lane that has one:
+ *   high    camera resets, which preempt everything still waiting
+ *   normal  camera moves, scene changes, topologies and presets
+ *   low     cosmetic highlights and pulses
+ * Within a lane commands keep their order, except that a command whose type
+ * is over its rate limit lets the ones behind it go first.
+ * 
+ * The queue holds at most maxLength commands. When it is full, the overflow
+ * strategy decides what happens to the next one:
+ *   dropOldest  the oldest command in the lowest lane goes to make room, as
+ *               long as that lane isn't above the new command's
+ *   coalesce    a highlight or pulse on a target that already has one waiting
+ *               is merged into it (the newer params win)
+ *   reject      the new command is turned away
+ * and a command that can't be placed is rejected.
+ */
+
+export const QUEUE_LANES = ['high', 'normal', 'low'];
+export const OVERFLOW_STRATEGIES = ['dropOldest', 'coalesce', 'reject'];
+
+export const DEFAULT_QUEUE_OPTIONS = {
+    maxLength: 50,
+    overflow: 'dropOldest',
+    
+    // Lane by command type, or by type.action for camera commands; anything
+    // not listed goes in the normal lane
+    lanes: {
+        'camera.reset': 'high',
+        highlight: 'low',
+        pulse: 'low'
+    },
+    
+    // At most `limit` commands of a type start within `interval` milliseconds
+    rateLimits: {
+        create: { limit: 10, interval: 1000 },
+        update: { limit: 10, interval: 1000 },
+        remove: { limit: 10, interval: 1000 },
+        loadTopology: { limit: 1, interval: 5000 }
+    }
+};
+
+// Commands that can be merged into a waiting one on the same target
+const COALESCABLE_TYPES = ['highlight', 'pulse'];
+
+export class CommandQueue {
+    /**
+     * @param {object} [options] - Overrides for DEFAULT_QUEUE_OPTIONS
+     */
+    constructor(options = {}) {
+        this.options = {
+            ...DEFAULT_QUEUE_OPTIONS,
+            lanes: { ...DEFAULT_QUEUE_OPTIONS.lanes },
+            rateLimits: { ...DEFAULT_QUEUE_OPTIONS.rateLimits }
+        };
+        
+        // Waiting entries by lane, oldest first
+        this.lanes = Object.fromEntries(QUEUE_LANES.map(lane => [lane, []]));
+        
+        // When recent commands of each type started, for the rate limits
+        this.starts = new Map();
+        
+        this.configure(options);
+    }
+    
+    /**
+     * Number of waiting commands
+     */
+    get length() {
+        return QUEUE_LANES.reduce((total, lane) => total + this.lanes[lane].length, 0);
+    }
+    
+    /**
+     * Change some of the options. Lanes and rate limits are merged by
+     * command type; a rate limit of null removes it.
+     * @param {object} options - { maxLength, overflow, lanes, rateLimits }
+     */
+    configure(options = {}) {
+        for (const [key, value] of Object.entries(options)) {
+            switch (key) {
+                case 'maxLength':
+                    if (Number.isInteger(value) && value > 0) {
+                        this.options.maxLength = value;
+                    } else {
+                        console.warn('Ignoring invalid command queue maxLength:', value);
+                    }
+                    break;
+                    
+                case 'overflow':
+                    if (OVERFLOW_STRATEGIES.includes(value)) {
+                        this.options.overflow = value;
+                    } else {
+                        console.warn('Ignoring unknown command queue overflow strategy:', value);
+                    }
+                    break;
+                    
+                case 'lanes':
+                    for (const [type, lane] of Object.entries(value || {})) {
+                        if (QUEUE_LANES.includes(lane)) {
+                            this.options.lanes[type] = lane;
+                        } else {
+                            console.warn(`Ignoring unknown command queue lane for ${type}:`, lane);
+                        }
+                    }
+                    break;
+                    
+                case 'rateLimits':
+                    for (const [type, rateLimit] of Object.entries(value || {})) {
+                        if (rateLimit === null) {
+                            delete this.options.rateLimits[type];
+                        } else if (Number.isInteger(rateLimit?.limit) && rateLimit.limit > 0 &&
+                            Number.isFinite(rateLimit.interval) && rateLimit.interval > 0) {
+                            this.options.rateLimits[type] = { limit: rateLimit.limit, interval: rateLimit.interval };
+                        } else {
+                            console.warn(`Ignoring invalid rate limit for ${type} commands:`, rateLimit);
+                        }
+                    }
+                    break;
+                    
+                default:
+                    console.warn(`Ignoring unknown command queue option: ${key}`);
+            }
+        }
+    }
+    
+    /**
+     * Get the lane a command waits in
+     * @param {object} command - Scene command
+     * @returns {string} 'high', 'normal' or 'low'
+     */
+    laneFor(command) {
+        const { lanes } = this.options;
+        return lanes[`${command.type}.${command.action}`] || lanes[command.type] || 'normal';
+    }
+    
+    /**
+     * Add a queue entry, applying the overflow strategy if the queue is full
+     * @param {object} entry - Queue entry ({ id, command, source })
+     * @returns {object} { added, dropped, mergedInto } where dropped is the
+     * entry removed to make room and mergedInto the entry this one was merged
+     * into; a command that is neither added nor merged was rejected
+     */
+    add(entry) {
+        entry.lane = this.laneFor(entry.command);
+        entry.coalesced = [];
+        
+        const outcome = { added: false, dropped: null, mergedInto: null };
+        
+        if (this.length >= this.options.maxLength) {
+            switch (this.options.overflow) {
+                case 'dropOldest':
+                    outcome.dropped = this.dropOldest(entry.lane);
+                    if (!outcome.dropped) return outcome;
+                    break;
+                    
+                case 'coalesce':
+                    outcome.mergedInto = this.coalesce(entry);
+                    return outcome;
+                    
+                default:
+                    return outcome;
+            }
+        }
+        
+        this.lanes[entry.lane].push(entry);
+        outcome.added = true;
+        return outcome;
+    }
+    
+    /**
+     * Remove the oldest entry of the lowest lane that isn't above a lane
+     * @param {string} lane - Lane of the command that needs room
+     * @returns {object|null} Removed entry
+     */
+    dropOldest(lane) {
+        const eligible = QUEUE_LANES.slice(QUEUE_LANES.indexOf(lane)).reverse();
+        const victimLane = eligible.find(candidate => this.lanes[candidate].length > 0);
+        
+        return victimLane ? this.lanes[victimLane].shift() : null;
+    }
+    
+    /**
+     * Merge an entry into a waiting command of the same type on the same target
+     * @param {object} entry - Queue entry
+     * @returns {object|null} Entry it was merged into
+     */
+    coalesce(entry) {
+        const { command } = entry;
+        if (!COALESCABLE_TYPES.includes(command.type) || command.target === undefined) {
+            return null;
+        }
+        
+        const match = this.lanes[entry.lane].findLast(waiting =>
+            waiting.command.type === command.type && waiting.command.target === command.target
+        );
+        if (!match) return null;
+        
+        match.coalesced.push({ id: entry.id, command: entry.command, source: entry.source });
+        match.command = command;
+        return match;
+    }
+    
+    /**
+     * Take the next command that may start now
+     * @param {number} now - Current time in milliseconds
+     * @returns {object} { entry } or, if every waiting command is over its
+     * rate limit, { entry: null, wait } with the milliseconds until one isn't;
+     * { entry: null, wait: null } when the queue is empty
+     */
+    take(now) {
+        let wait = null;
+        
+        for (const lane of QUEUE_LANES) {
+            const entries = this.lanes[lane];
+            
+            for (let index = 0; index < entries.length; index++) {
+                const delay = this.rateLimitDelay(entries[index].command.type, now);
+                
+                if (delay === 0) {
+                    const [entry] = entries.splice(index, 1);
+                    this.recordStart(entry.command.type, now);
+                    return { entry };
+                }
+                
+                wait = wait === null ? delay : Math.min(wait, delay);
+            }
+        }
+        
+        return { entry: null, wait };
+    }
+    
+    /**
+     * How long until another command of a type may start
+     * @param {string} type - Command type
+     * @param {number} now - Current time in milliseconds
+     * @returns {number} Milliseconds, 0 if it may start now
+     */
+    rateLimitDelay(type, now) {
+        const rateLimit = this.options.rateLimits[type];
+        if (!rateLimit) return 0;
+        
+        const recent = (this.starts.get(type) || []).filter(time => time > now - rateLimit.interval);
+        this.starts.set(type, recent);
+        
+        if (recent.length < rateLimit.limit) return 0;
+        
+        return recent[recent.length - rateLimit.limit] + rateLimit.interval - now;
+    }
+    
+    recordStart(type, now) {
+        if (this.options.rateLimits[type]) {
+            this.starts.set(type, [...(this.starts.get(type) || []), now]);
+        }
+    }
+    
+    /**
+     * Remove a waiting command. A command that others were merged into stays
+     * queued for their sake.
+     * @param {string} id - Command ID
+     * @returns {object|null} Removed entry, or null if no command with this ID is waiting
+     */
+    remove(id) {
+        for (const lane of QUEUE_LANES) {
+            const entries = this.lanes[lane];
+            
+            for (let index = 0; index < entries.length; index++) {
+                const entry = entries[index];
+                
+                const mergedIndex = entry.coalesced.findIndex(merged => merged.id === id);
+                if (mergedIndex !== -1) {
+                    const [merged] = entry.coalesced.splice(mergedIndex, 1);
+                    return { ...merged, lane, coalesced: [] };
+                }
+                
+                if (entry.id !== id) continue;
+                
+                if (entry.coalesced.length === 0) {
+                    entries.splice(index, 1);
+                    return entry;
+                }
+                
+                // The first command merged into it takes its place
+                const removed = { id: entry.id, command: entry.command, source: entry.source, lane, coalesced: [] };
+                const [next, ...rest] = entry.coalesced;
+                entry.id = next.id;
+                entry.source = next.source;
+                entry.coalesced = rest;
+                return removed;
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Remove every waiting command
+     * @returns {Array<object>} Removed entries, highest lane first
+     */
+    flush() {
+        const entries = QUEUE_LANES.flatMap(lane => this.lanes[lane]);
+        QUEUE_LANES.forEach(lane => { this.lanes[lane] = []; });
+        return entries;
+    }
+    
+    /**
+     * Count the waiting commands by lane
+     * @returns {object} { high, normal, low }
+     */
+    countByLane() {
+        return Object.fromEntries(QUEUE_LANES.map(lane => [lane, this.lanes[lane].length]));
+    }
+}
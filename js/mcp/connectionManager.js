@@ -0,0 +1,305 @@
+/**
+ * ORGANIX Neural Interface - Connection Manager
+ * 
+ * Keeps an MCP connection alive: reconnects after unexpected drops with
+ * jittered exponential backoff, waits for the browser to come back online
+ * instead of burning attempts while offline, and sends heartbeat pings to
+ * catch connections that died without a close event. The client supplies
+ * the actual connect, ping and drop operations.
+ * 
+ * Progress is published on mcp:connectionState:
+ *   { state: 'idle' | 'connected' | 'reconnecting' | 'offline' | 'failed',
+ *     attempt, maxAttempts, delay, nextAttemptAt }
+ */
+
+export class ConnectionManager {
+    /**
+     * @param {EventBus} eventBus - Application event bus
+     * @param {object} handlers - Operations on the underlying connection
+     * @param {Function} handlers.connect - Open a new connection; may return (a promise of)
+     * false when the attempt failed before a connection was even started
+     * @param {Function} handlers.ping - Resolve when the server answers a ping
+     * @param {Function} handlers.drop - Close a connection that stopped answering
+     * @param {object} [options] - Backoff and heartbeat settings (see configure)
+     */
+    constructor(eventBus, { connect, ping, drop }, options = {}) {
+        this.eventBus = eventBus;
+        this.handlers = { connect, ping, drop };
+        
+        this.options = {
+            baseDelay: 1000,
+            maxDelay: 30000,
+            multiplier: 2,
+            jitter: 0.5,            // Fraction of each delay that is randomized
+            maxAttempts: 20,        // Attempts before giving up (0 retries forever)
+            heartbeatInterval: 25000,
+            heartbeatTimeout: 10000,
+            maxMissedHeartbeats: 2
+        };
+        this.configure(options);
+        
+        this.state = 'idle';
+        this.attempt = 0;
+        this.retryTimer = null;
+        this.nextAttemptAt = null;
+        this.heartbeatTimer = null;
+        this.missedHeartbeats = 0;
+        this.heartbeatInFlight = false;
+        
+        // Follow the browser's network status where there is one
+        this.online = typeof navigator === 'undefined' || navigator.onLine !== false;
+        if (typeof window !== 'undefined' && window.addEventListener) {
+            window.addEventListener('online', () => this.handleNetworkChange(true));
+            window.addEventListener('offline', () => this.handleNetworkChange(false));
+        }
+    }
+    
+    /**
+     * Change backoff or heartbeat settings
+     * @param {object} options - Any of baseDelay, maxDelay, multiplier, jitter,
+     * maxAttempts, heartbeatInterval (0 disables), heartbeatTimeout, maxMissedHeartbeats
+     */
+    configure(options = {}) {
+        for (const [key, value] of Object.entries(options)) {
+            if (!(key in this.options)) {
+                console.warn(`Ignoring unknown connection option: ${key}`);
+            } else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+                console.warn(`Ignoring invalid connection option ${key}:`, value);
+            } else {
+                this.options[key] = value;
+            }
+        }
+    }
+    
+    /**
+     * The connection is up: reset the backoff and start the heartbeat
+     */
+    handleConnected() {
+        this.clearRetry();
+        this.attempt = 0;
+        this.startHeartbeat();
+        this.setState('connected');
+    }
+    
+    /**
+     * The connection went away
+     * @param {object} [options]
+     * @param {boolean} [options.reconnect=true] - Try to get it back (false after a deliberate close)
+     */
+    handleDisconnected({ reconnect = true } = {}) {
+        this.stopHeartbeat();
+        
+        if (!reconnect) {
+            this.stop();
+            return;
+        }
+        
+        this.scheduleReconnect();
+    }
+    
+    /**
+     * Stop reconnecting, e.g. because the user disconnected
+     */
+    stop() {
+        this.clearRetry();
+        this.stopHeartbeat();
+        this.attempt = 0;
+        this.setState('idle');
+    }
+    
+    /**
+     * Skip the remaining wait and reconnect immediately
+     * 
+     * Also works after the manager gave up, starting a fresh series of attempts.
+     */
+    retryNow() {
+        if (this.state === 'connected' || this.state === 'idle') {
+            return;
+        }
+        
+        if (this.state === 'failed') {
+            this.attempt = 0;
+        }
+        
+        this.clearRetry();
+        this.reconnect();
+    }
+    
+    /**
+     * Wait for the next attempt, or for the network if the browser is offline
+     */
+    scheduleReconnect() {
+        this.clearRetry();
+        
+        if (!this.online) {
+            this.setState('offline');
+            return;
+        }
+        
+        const { maxAttempts } = this.options;
+        if (maxAttempts > 0 && this.attempt >= maxAttempts) {
+            console.error(`Giving up on MCP after ${this.attempt} reconnection attempts`);
+            this.setState('failed');
+            this.eventBus.publish('mcp:error', {
+                type: 'reconnect_failed',
+                message: `Could not reconnect to MCP after ${this.attempt} attempts`
+            });
+            return;
+        }
+        
+        const delay = this.getDelay(this.attempt);
+        this.nextAttemptAt = Date.now() + delay;
+        this.retryTimer = setTimeout(() => this.reconnect(), delay);
+        
+        console.log(`Reconnecting to MCP in ${delay}ms (attempt ${this.attempt + 1}${maxAttempts > 0 ? ` of ${maxAttempts}` : ''})`);
+        this.setState('reconnecting', { delay });
+    }
+    
+    /**
+     * Make a reconnection attempt
+     * 
+     * Attempts that get as far as opening a connection report back through
+     * handleConnected or handleDisconnected; ones that fail outright are
+     * retried here.
+     */
+    async reconnect() {
+        this.retryTimer = null;
+        this.nextAttemptAt = null;
+        this.attempt++;
+        this.setState('reconnecting');
+        
+        let started;
+        try {
+            started = await this.handlers.connect();
+        } catch (error) {
+            console.error('Reconnection attempt failed:', error);
+            started = false;
+        }
+        
+        if (started === false && this.state === 'reconnecting' && !this.retryTimer) {
+            this.scheduleReconnect();
+        }
+    }
+    
+    /**
+     * Backoff delay before an attempt: exponential growth up to maxDelay, with
+     * part of it randomized so many clients don't reconnect in lockstep
+     * @param {number} attempt - Attempts made so far
+     * @returns {number} Delay in milliseconds
+     */
+    getDelay(attempt) {
+        const { baseDelay, maxDelay, multiplier, jitter } = this.options;
+        const delay = Math.min(maxDelay, baseDelay * Math.pow(multiplier, attempt));
+        
+        return Math.round(delay * (1 - jitter) + Math.random() * delay * jitter);
+    }
+    
+    /**
+     * React to the browser going online or offline
+     * @param {boolean} online - New network status
+     */
+    handleNetworkChange(online) {
+        this.online = online;
+        
+        if (!online) {
+            console.log('Network offline');
+            
+            if (this.state === 'reconnecting') {
+                this.clearRetry();
+                this.setState('offline');
+            } else if (this.state === 'connected') {
+                // The socket may not notice for a while; check it now
+                this.sendHeartbeat();
+            }
+            return;
+        }
+        
+        console.log('Network online');
+        
+        if (this.state === 'offline' || this.state === 'reconnecting') {
+            this.clearRetry();
+            this.reconnect();
+        }
+    }
+    
+    /**
+     * Start pinging the server
+     */
+    startHeartbeat() {
+        this.stopHeartbeat();
+        this.missedHeartbeats = 0;
+        
+        if (this.options.heartbeatInterval > 0) {
+            this.heartbeatTimer = setInterval(() => this.sendHeartbeat(), this.options.heartbeatInterval);
+        }
+    }
+    
+    /**
+     * Stop pinging the server
+     */
+    stopHeartbeat() {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+        this.missedHeartbeats = 0;
+        this.heartbeatInFlight = false;
+    }
+    
+    /**
+     * Ping the server, dropping the connection after too many unanswered pings
+     * 
+     * Any answer counts, including an error from a server that doesn't know
+     * ping: only silence means the connection is dead.
+     */
+    async sendHeartbeat() {
+        if (this.heartbeatInFlight || this.state !== 'connected') return;
+        
+        this.heartbeatInFlight = true;
+        
+        try {
+            await this.handlers.ping(this.options.heartbeatTimeout);
+            this.missedHeartbeats = 0;
+        } catch (error) {
+            if (error.code === 'remote_error') {
+                this.missedHeartbeats = 0;
+            } else if (error.code === 'timeout') {
+                this.missedHeartbeats++;
+                console.warn(`MCP heartbeat missed (${this.missedHeartbeats} of ${this.options.maxMissedHeartbeats})`);
+            }
+        } finally {
+            this.heartbeatInFlight = false;
+        }
+        
+        if (this.missedHeartbeats >= this.options.maxMissedHeartbeats && this.state === 'connected') {
+            console.warn('MCP connection stopped answering; reconnecting');
+            this.stopHeartbeat();
+            this.handlers.drop();
+        }
+    }
+    
+    /**
+     * Cancel a scheduled attempt
+     */
+    clearRetry() {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        this.nextAttemptAt = null;
+    }
+    
+    /**
+     * Record and publish the connection state
+     * @param {string} state - New state
+     * @param {object} [details] - Extra fields for the event
+     */
+    setState(state, details = {}) {
+        this.state = state;
+        
+        this.eventBus.publish('mcp:connectionState', {
+            state,
+            attempt: this.attempt,
+            maxAttempts: this.options.maxAttempts,
+            nextAttemptAt: this.nextAttemptAt,
+            online: this.online,
+            ...details
+        });
+    }
+}
@@ -0,0 +1,597 @@
+/**
+ * ORGANIX Neural Interface - Connection Profiles
+ * 
+ * Named MCP connection settings: endpoint, transport, authentication method,
+ * log level and whether to connect on startup. One profile is active at a time; the
+ * settings panel edits it and the status indicator switches between them.
+ * Profiles are stored in localStorage under organix-mcp-profiles.
+ * 
+ * Credentials never go into the profile itself. Depending on the profile:
+ *   apiKey + session  the key is kept in memory for the rest of the page session
+ *   apiKey + vault    the key is also saved in the encrypted CredentialVault
+ *   token             a short-lived token is fetched from tokenEndpoint
+ *                     (TokenProvider) for every connection attempt
+ *   none              nothing is sent
+ * The client asks for the credential when it authenticates, so reconnects
+ * pick up a fresh token, and keys never travel in event payloads.
+ * 
+ * The UI talks to the profiles through events:
+ *   mcp:createProfile    { name?, endpoint?, transport?, authMethod?, logLevel?, autoConnect? }
+ *   mcp:updateProfile    { id, changes }
+ *   mcp:duplicateProfile { id }
+ *   mcp:deleteProfile    { id }
+ *   mcp:selectProfile    { id }
+ *   mcp:connectProfile   { id, apiKey? }  connect with a profile (publishes mcp:connect)
+ *   mcp:forgetCredential { id }  forget the profile's key and cached token
+ * and is told about changes with mcp:profilesChanged { profiles, activeId }
+ * and mcp:profileSelected { profile, previousId, reconnect }, where reconnect
+ * says whether a live connection should move to the selected profile (not
+ * when the selection comes from creating or duplicating one). Invalid
+ * changes are reported on mcp:error with type 'profile'.
+ */
+
+import { CredentialVault } from './credentialVault.js';
+import { TokenProvider } from './tokenProvider.js';
+import { getTransportTypes, resolveTransportType } from './transports/transportFactory.js';
+import { registerSecret, forgetSecret } from '../utils/redaction.js';
+
+const STORAGE_KEY = 'organix-mcp-profiles';
+
+// Where the endpoint used to live: the client's config, the settings panel
+// and the old MCPConnector
+const LEGACY_KEYS = {
+    config: 'organix-mcp-config',
+    endpoint: 'organix-mcp-endpoint',
+    connectorSettings: 'organix-mcp-settings',
+    logLevel: 'organix-mcp-log-level'
+};
+
+export const DEFAULT_ENDPOINT = 'wss://organix-mcp.dystolabs.dev/v1';
+export const AUTH_METHODS = ['apiKey', 'token', 'none'];
+export const CREDENTIAL_STORAGE = ['session', 'vault'];
+export const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+export class ConnectionProfiles {
+    /**
+     * @param {EventBus} eventBus - Application event bus
+     */
+    constructor(eventBus) {
+        this.eventBus = eventBus;
+        this.profiles = [];
+        this.activeId = null;
+        
+        // API keys entered (or read from the vault) this page session, by profile ID
+        this.apiKeys = new Map();
+        
+        // Where keys and tokens come from beyond the page session
+        this.vault = new CredentialVault(eventBus);
+        this.tokens = new TokenProvider();
+        
+        // Profile the client was last asked to connect with
+        this.connectedId = null;
+        
+        this.load();
+        
+        const handle = (operation) => (data = {}) => {
+            try {
+                operation(data);
+            } catch (error) {
+                console.warn('Connection profile change rejected:', error.message);
+                this.eventBus.publish('mcp:error', { type: 'profile', message: error.message });
+            }
+        };
+        
+        this.eventBus.subscribe('mcp:createProfile', handle(data => this.create(data)));
+        this.eventBus.subscribe('mcp:updateProfile', handle(({ id, changes }) => this.update(id, changes)));
+        this.eventBus.subscribe('mcp:duplicateProfile', handle(({ id }) => this.duplicate(id)));
+        this.eventBus.subscribe('mcp:deleteProfile', handle(({ id }) => this.remove(id)));
+        this.eventBus.subscribe('mcp:selectProfile', handle(({ id }) => this.select(id)));
+        this.eventBus.subscribe('mcp:connectProfile', handle(({ id, apiKey }) => this.connect(id, apiKey)));
+        this.eventBus.subscribe('mcp:forgetCredential', handle(({ id }) => this.forgetCredential(id)));
+        
+        // Locking or unlocking the vault changes which keys are usable
+        this.eventBus.subscribe('mcp:vaultState', () => this.publishChange());
+        
+        // A rejected token may have been revoked early; fetch a new one next time
+        this.eventBus.subscribe('mcp:error', (error) => {
+            if (error?.type === 'authentication' && this.connectedId) {
+                this.tokens.invalidate(this.connectedId);
+            }
+        });
+    }
+    
+    /**
+     * Load the profiles, migrating the old single-endpoint settings the
+     * first time
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+            
+            if (saved && Array.isArray(saved.profiles) && saved.profiles.length > 0) {
+                this.profiles = saved.profiles.map(profile => this.normalize(profile));
+                this.activeId = this.get(saved.activeId) ? saved.activeId : this.profiles[0].id;
+                return;
+            }
+        } catch (error) {
+            console.error('Error loading connection profiles:', error);
+        }
+        
+        this.migrate();
+    }
+    
+    /**
+     * Build profiles from the keys used before profiles existed, then
+     * remove those keys. Every distinct endpoint becomes a profile.
+     */
+    migrate() {
+        const readJson = (key) => {
+            try {
+                return JSON.parse(localStorage.getItem(key) || 'null');
+            } catch (error) {
+                return null;
+            }
+        };
+        
+        const config = readJson(LEGACY_KEYS.config);
+        const connectorSettings = readJson(LEGACY_KEYS.connectorSettings);
+        const endpoint = localStorage.getItem(LEGACY_KEYS.endpoint);
+        const logLevel = localStorage.getItem(LEGACY_KEYS.logLevel);
+        
+        // The client's config was what auto-connect used, so it comes first
+        const sources = [
+            { endpoint: config?.endpoint, apiKeyWasSet: !!config?.apiKeyWasSet, autoConnect: true },
+            { endpoint, apiKeyWasSet: false, autoConnect: false },
+            { endpoint: connectorSettings?.endpoint, apiKeyWasSet: !!connectorSettings?.apiKeySet, autoConnect: false }
+        ].filter(source => typeof source.endpoint === 'string' && source.endpoint.trim() !== '');
+        
+        const endpoints = [...new Set(sources.map(source => source.endpoint.trim()))];
+        
+        this.profiles = endpoints.map((url, index) => {
+            const source = sources.find(candidate => candidate.endpoint.trim() === url);
+            return this.normalize({
+                name: index === 0 ? 'Default' : `Imported ${index + 1}`,
+                endpoint: url,
+                logLevel,
+                autoConnect: source.autoConnect,
+                apiKeyWasSet: source.apiKeyWasSet
+            });
+        });
+        
+        if (this.profiles.length > 0) {
+            console.log(`Migrated ${this.profiles.length} MCP connection profile(s) from earlier settings`);
+        } else {
+            this.profiles = [this.normalize({ name: 'Default', logLevel })];
+        }
+        
+        this.activeId = this.profiles[0].id;
+        this.save();
+        
+        Object.values(LEGACY_KEYS).forEach(key => localStorage.removeItem(key));
+    }
+    
+    /**
+     * Publish the current profiles, e.g. once the UI is ready for them
+     */
+    announce() {
+        this.publishChange();
+        this.eventBus.publish('mcp:profileSelected', { profile: this.getActive(), previousId: null, reconnect: false });
+        this.eventBus.publish('settings:mcpLogLevel', this.getActive().logLevel);
+        this.vault.announce();
+    }
+    
+    /**
+     * Get every profile
+     * @returns {Array<object>} Profiles
+     */
+    list() {
+        return this.profiles.map(profile => ({ ...profile }));
+    }
+    
+    /**
+     * Get a profile
+     * @param {string} id - Profile ID
+     * @returns {object|null} Profile
+     */
+    get(id) {
+        return this.profiles.find(profile => profile.id === id) || null;
+    }
+    
+    /**
+     * Get the active profile
+     * @returns {object} Profile
+     */
+    getActive() {
+        return { ...this.get(this.activeId) };
+    }
+    
+    /**
+     * Get the API key entered for a profile during this page session
+     * @param {string} id - Profile ID
+     * @returns {string} API key ('' if none)
+     */
+    getApiKey(id) {
+        return this.apiKeys.get(id) || '';
+    }
+    
+    /**
+     * Connect the MCP client with a profile's settings
+     * @param {string} [id] - Profile ID (the active profile if omitted)
+     * @param {string} [apiKey] - New API key; the stored one is used if omitted
+     */
+    connect(id = this.activeId, apiKey = '') {
+        const profile = this.require(id);
+        
+        if (profile.authMethod === 'apiKey' && apiKey) {
+            this.rememberApiKey(profile, apiKey);
+        }
+        
+        this.connectedId = profile.id;
+        this.patch(profile, { lastUsed: new Date().toISOString() });
+        
+        this.eventBus.publish('mcp:connect', {
+            endpoint: profile.endpoint,
+            transport: profile.transport,
+            profileId: profile.id,
+            getCredential: () => this.resolveCredential(profile.id)
+        });
+    }
+    
+    /**
+     * Get the credential to authenticate a profile's connection with
+     * @param {string} id - Profile ID
+     * @returns {Promise<string>} API key or token ('' if the profile has none)
+     */
+    async resolveCredential(id) {
+        const profile = this.require(id);
+        
+        if (profile.authMethod === 'none') {
+            return '';
+        }
+        
+        if (profile.authMethod === 'token') {
+            return this.tokens.getToken(profile);
+        }
+        
+        let key = this.getApiKey(id);
+        
+        if (!key && profile.credentialStorage === 'vault' && this.vault.has(id)) {
+            if (!this.vault.unlocked) {
+                throw new Error('Unlock the credential vault to use the saved API key');
+            }
+            
+            key = await this.vault.retrieve(id);
+            if (key) {
+                this.apiKeys.set(id, key);
+                registerSecret(key);
+            }
+        }
+        
+        return key;
+    }
+    
+    /**
+     * Keep a newly entered API key for the session, and in the vault if the
+     * profile stores its key there
+     * @param {object} profile - Stored profile
+     * @param {string} apiKey - API key
+     */
+    rememberApiKey(profile, apiKey) {
+        registerSecret(apiKey);
+        this.apiKeys.set(profile.id, apiKey);
+        this.patch(profile, { apiKeyWasSet: true });
+        
+        if (profile.credentialStorage !== 'vault') return;
+        
+        if (!this.vault.unlocked) {
+            this.eventBus.publish('mcp:error', {
+                type: 'vault',
+                message: 'The credential vault is locked; the API key is only kept for this session'
+            });
+            return;
+        }
+        
+        this.vault.store(profile.id, apiKey).catch(error => {
+            this.eventBus.publish('mcp:error', { type: 'vault', message: `Could not save the API key: ${error.message}` });
+        });
+    }
+    
+    /**
+     * Forget a profile's key (in memory and in the vault) and cached token
+     * @param {string} id - Profile ID
+     */
+    forgetCredential(id) {
+        const profile = this.require(id);
+        
+        forgetSecret(this.apiKeys.get(id));
+        this.apiKeys.delete(id);
+        this.vault.remove(id);
+        this.tokens.invalidate(id);
+        
+        this.patch(profile, { apiKeyWasSet: false });
+    }
+    
+    /**
+     * Describe where a profile's credential would come from right now
+     * @param {object} profile - Profile
+     * @returns {string} 'none', 'token', 'session' (key entered this session),
+     * 'vault', 'vault-locked' or 'missing'
+     */
+    describeCredential(profile) {
+        if (profile.authMethod !== 'apiKey') {
+            return profile.authMethod;
+        }
+        if (this.apiKeys.has(profile.id)) {
+            return 'session';
+        }
+        if (profile.credentialStorage === 'vault' && this.vault.has(profile.id)) {
+            return this.vault.unlocked ? 'vault' : 'vault-locked';
+        }
+        return 'missing';
+    }
+    
+    /**
+     * Create a profile and make it active. A live connection stays with the
+     * profile it was made with.
+     * @param {object} [data] - Profile fields; anything omitted gets a default
+     * @returns {object} The new profile
+     */
+    create(data = {}) {
+        const profile = this.normalize({
+            ...data,
+            name: data.name || this.uniqueName('New profile'),
+            id: undefined
+        });
+        this.validate(profile);
+        
+        this.profiles.push(profile);
+        this.select(profile.id, { reconnect: false });
+        
+        return { ...profile };
+    }
+    
+    /**
+     * Change a profile
+     * @param {string} id - Profile ID
+     * @param {object} changes - Fields to change (name, endpoint, transport, authMethod,
+     * tokenEndpoint, credentialStorage, logLevel, autoConnect)
+     * @returns {object} The updated profile
+     */
+    update(id, changes = {}) {
+        const profile = this.require(id);
+        const allowed = ['name', 'endpoint', 'transport', 'authMethod', 'tokenEndpoint', 'credentialStorage', 'logLevel', 'autoConnect'];
+        
+        const updated = { ...profile };
+        for (const key of allowed) {
+            if (changes[key] !== undefined) {
+                updated[key] = typeof changes[key] === 'string' ? changes[key].trim() : changes[key];
+            }
+        }
+        this.validate(updated);
+        
+        if (updated.authMethod !== profile.authMethod || updated.tokenEndpoint !== profile.tokenEndpoint) {
+            this.tokens.invalidate(id);
+        }
+        
+        // Moving the key out of the vault deletes the saved copy; moving it in
+        // saves the key entered this session
+        if (updated.credentialStorage !== profile.credentialStorage) {
+            if (updated.credentialStorage === 'session') {
+                this.vault.remove(id);
+            } else if (this.apiKeys.has(id) && this.vault.unlocked) {
+                this.vault.store(id, this.apiKeys.get(id)).catch(error => {
+                    this.eventBus.publish('mcp:error', { type: 'vault', message: `Could not save the API key: ${error.message}` });
+                });
+            }
+        }
+        
+        this.patch(profile, updated);
+        
+        if (id === this.activeId && changes.logLevel !== undefined) {
+            this.eventBus.publish('settings:mcpLogLevel', profile.logLevel);
+        }
+        
+        return { ...profile };
+    }
+    
+    /**
+     * Copy a profile and make the copy active
+     * @param {string} id - Profile ID
+     * @returns {object} The copy
+     */
+    duplicate(id) {
+        const { name, endpoint, transport, authMethod, tokenEndpoint, credentialStorage, logLevel } = this.require(id);
+        
+        // Credentials stay with the original
+        return this.create({
+            name: this.uniqueName(`${name} (copy)`),
+            endpoint,
+            transport,
+            authMethod,
+            tokenEndpoint,
+            credentialStorage,
+            logLevel,
+            autoConnect: false
+        });
+    }
+    
+    /**
+     * Delete a profile. The last profile can't be deleted; deleting the
+     * active one activates the first remaining profile.
+     * @param {string} id - Profile ID
+     */
+    remove(id) {
+        this.require(id);
+        
+        if (this.profiles.length === 1) {
+            throw new Error('The last connection profile cannot be deleted');
+        }
+        
+        this.profiles = this.profiles.filter(profile => profile.id !== id);
+        forgetSecret(this.apiKeys.get(id));
+        this.apiKeys.delete(id);
+        this.vault.remove(id);
+        this.tokens.invalidate(id);
+        
+        if (id === this.activeId) {
+            this.select(this.profiles[0].id);
+        } else {
+            this.save();
+            this.publishChange();
+        }
+    }
+    
+    /**
+     * Make a profile the active one
+     * @param {string} id - Profile ID
+     * @param {object} [options]
+     * @param {boolean} [options.reconnect=true] - Whether a live connection should switch to it
+     */
+    select(id, { reconnect = true } = {}) {
+        const profile = this.require(id);
+        const previousId = this.activeId;
+        
+        this.activeId = profile.id;
+        this.save();
+        this.publishChange();
+        
+        this.eventBus.publish('mcp:profileSelected', { profile: { ...profile }, previousId, reconnect });
+        this.eventBus.publish('settings:mcpLogLevel', profile.logLevel);
+    }
+    
+    /**
+     * Apply changes to a stored profile, save and announce them
+     * @param {object} profile - Stored profile
+     * @param {object} changes - Fields to change
+     */
+    patch(profile, changes) {
+        Object.assign(profile, changes);
+        this.save();
+        this.publishChange();
+    }
+    
+    /**
+     * Get a profile or fail
+     * @param {string} id - Profile ID
+     * @returns {object} Stored profile
+     */
+    require(id) {
+        const profile = this.get(id);
+        if (!profile) {
+            throw new Error(`Unknown connection profile: ${id}`);
+        }
+        return profile;
+    }
+    
+    /**
+     * Fill in defaults and drop unknown fields
+     * @param {object} data - Profile fields
+     * @returns {object} Profile
+     */
+    normalize(data) {
+        return {
+            id: data.id || this.generateId(),
+            name: typeof data.name === 'string' && data.name.trim() ? data.name.trim() : 'Default',
+            endpoint: typeof data.endpoint === 'string' && data.endpoint.trim() ? data.endpoint.trim() : DEFAULT_ENDPOINT,
+            transport: getTransportTypes().includes(data.transport) ? data.transport : 'auto',
+            authMethod: AUTH_METHODS.includes(data.authMethod) ? data.authMethod : 'apiKey',
+            tokenEndpoint: typeof data.tokenEndpoint === 'string' ? data.tokenEndpoint.trim() : '',
+            credentialStorage: CREDENTIAL_STORAGE.includes(data.credentialStorage) ? data.credentialStorage : 'session',
+            logLevel: LOG_LEVELS.includes(data.logLevel) ? data.logLevel : 'info',
+            autoConnect: !!data.autoConnect,
+            apiKeyWasSet: !!data.apiKeyWasSet,
+            lastUsed: data.lastUsed || null
+        };
+    }
+    
+    /**
+     * Check a profile's fields
+     * @param {object} profile - Profile
+     */
+    validate(profile) {
+        if (typeof profile.name !== 'string' || profile.name === '') {
+            throw new Error('Profile name cannot be empty');
+        }
+        
+        if (this.profiles.some(other => other.id !== profile.id && other.name === profile.name)) {
+            throw new Error(`A connection profile named "${profile.name}" already exists`);
+        }
+        
+        if (!getTransportTypes().includes(profile.transport)) {
+            throw new Error(`Transport must be one of ${getTransportTypes().join(', ')}`);
+        }
+        
+        // Throws if the URL is invalid or the transport can't reach it
+        resolveTransportType(profile.endpoint, profile.transport);
+        
+        if (!AUTH_METHODS.includes(profile.authMethod)) {
+            throw new Error(`Authentication method must be one of ${AUTH_METHODS.join(', ')}`);
+        }
+        
+        if (profile.authMethod === 'token') {
+            let tokenUrl;
+            try {
+                tokenUrl = new URL(profile.tokenEndpoint);
+            } catch (error) {
+                throw new Error('Token authentication needs a token endpoint URL');
+            }
+            if (tokenUrl.protocol !== 'http:' && tokenUrl.protocol !== 'https:') {
+                throw new Error('Token endpoint URL must start with http:// or https://');
+            }
+        }
+        
+        if (!CREDENTIAL_STORAGE.includes(profile.credentialStorage)) {
+            throw new Error(`Credential storage must be one of ${CREDENTIAL_STORAGE.join(', ')}`);
+        }
+        
+        if (!LOG_LEVELS.includes(profile.logLevel)) {
+            throw new Error(`Log level must be one of ${LOG_LEVELS.join(', ')}`);
+        }
+        
+        if (typeof profile.autoConnect !== 'boolean') {
+            throw new Error('autoConnect must be true or false');
+        }
+    }
+    
+    /**
+     * Make a profile name unique by numbering it
+     * @param {string} name - Preferred name
+     * @returns {string} Name no other profile uses
+     */
+    uniqueName(name) {
+        let candidate = name;
+        for (let index = 2; this.profiles.some(profile => profile.name === candidate); index++) {
+            candidate = `${name} ${index}`;
+        }
+        return candidate;
+    }
+    
+    /**
+     * Publish mcp:profilesChanged
+     */
+    publishChange() {
+        this.eventBus.publish('mcp:profilesChanged', {
+            profiles: this.list().map(profile => ({ ...profile, credential: this.describeCredential(profile) })),
+            activeId: this.activeId
+        });
+    }
+    
+    /**
+     * Write the profiles to localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({ activeId: this.activeId, profiles: this.profiles }));
+        } catch (error) {
+            console.error('Error saving connection profiles:', error);
+        }
+    }
+    
+    /**
+     * Generate a profile ID
+     * @returns {string} Profile ID
+     */
+    generateId() {
+        return `profile-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    }
+}
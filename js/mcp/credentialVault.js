@@ -0,0 +1,308 @@
+/**
+ * ORGANIX Neural Interface - Credential Vault
+ * 
+ * Optional encrypted storage for MCP API keys. Keys are encrypted with
+ * AES-GCM under a key derived from the user's passphrase (PBKDF2, SHA-256)
+ * and kept in localStorage under organix-mcp-vault; the passphrase and the
+ * derived key only ever live in memory. The vault is created the first time
+ * it is unlocked, and has to be unlocked again after every page load.
+ * 
+ * The UI talks to the vault through events:
+ *   mcp:unlockVault { passphrase }
+ *   mcp:lockVault
+ *   mcp:resetVault  delete the vault and every key in it
+ * and is told about changes with mcp:vaultState { exists, unlocked, entries }.
+ * Failures are reported on mcp:error with type 'vault'.
+ */
+
+const STORAGE_KEY = 'organix-mcp-vault';
+const VERSION = 1;
+
+// Encrypted with the vault key so a wrong passphrase can be told apart
+const CHECK_VALUE = 'organix-credential-vault';
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+export class CredentialVault {
+    /**
+     * @param {EventBus} eventBus - Application event bus
+     * @param {object} [options]
+     * @param {number} [options.iterations=250000] - PBKDF2 iterations for new vaults
+     */
+    constructor(eventBus, { iterations = 250000 } = {}) {
+        this.eventBus = eventBus;
+        this.iterations = iterations;
+        
+        // Stored vault ({ version, salt, iterations, check, entries }) and the
+        // key that decrypts it while unlocked
+        this.record = this.load();
+        this.key = null;
+        
+        const handle = (operation) => async (data = {}) => {
+            try {
+                await operation(data);
+            } catch (error) {
+                console.warn('Credential vault operation failed:', error.message);
+                this.eventBus.publish('mcp:error', { type: 'vault', message: error.message });
+            }
+        };
+        
+        this.eventBus.subscribe('mcp:unlockVault', handle(({ passphrase }) => this.unlock(passphrase)));
+        this.eventBus.subscribe('mcp:lockVault', handle(() => this.lock()));
+        this.eventBus.subscribe('mcp:resetVault', handle(() => this.reset()));
+    }
+    
+    /**
+     * Whether Web Crypto is available (it needs a secure context in browsers)
+     */
+    get supported() {
+        return typeof crypto !== 'undefined' && !!crypto.subtle;
+    }
+    
+    /**
+     * Whether a vault has been created
+     */
+    get exists() {
+        return this.record !== null;
+    }
+    
+    /**
+     * Whether keys can be read and written
+     */
+    get unlocked() {
+        return this.key !== null;
+    }
+    
+    /**
+     * Publish the vault's state, e.g. once the UI is ready for it
+     */
+    announce() {
+        this.publishState();
+    }
+    
+    /**
+     * Unlock the vault, creating it if there is none yet
+     * @param {string} passphrase - Vault passphrase
+     * @returns {Promise<void>} Rejects if the passphrase is wrong
+     */
+    async unlock(passphrase) {
+        if (!this.supported) {
+            throw new Error('The credential vault needs Web Crypto, which is only available over HTTPS or on localhost');
+        }
+        if (typeof passphrase !== 'string' || passphrase === '') {
+            throw new Error('Enter the vault passphrase');
+        }
+        
+        if (!this.record) {
+            await this.create(passphrase);
+            return;
+        }
+        
+        const key = await this.deriveKey(passphrase, fromBase64(this.record.salt), this.record.iterations);
+        
+        try {
+            const check = await this.decrypt(key, this.record.check);
+            if (check !== CHECK_VALUE) throw new Error('Vault check failed');
+        } catch (error) {
+            throw new Error('Wrong vault passphrase');
+        }
+        
+        this.key = key;
+        console.log('Credential vault unlocked');
+        this.publishState();
+    }
+    
+    /**
+     * Forget the vault key; stored keys stay encrypted
+     */
+    lock() {
+        if (!this.key) return;
+        
+        this.key = null;
+        console.log('Credential vault locked');
+        this.publishState();
+    }
+    
+    /**
+     * Delete the vault and every key in it, e.g. after a forgotten passphrase
+     */
+    reset() {
+        this.record = null;
+        this.key = null;
+        localStorage.removeItem(STORAGE_KEY);
+        
+        console.log('Credential vault deleted');
+        this.publishState();
+    }
+    
+    /**
+     * Whether a key is stored for a profile (readable or not)
+     * @param {string} id - Profile ID
+     * @returns {boolean}
+     */
+    has(id) {
+        return !!this.record?.entries[id];
+    }
+    
+    /**
+     * Encrypt and store a profile's key
+     * @param {string} id - Profile ID
+     * @param {string} secret - API key
+     */
+    async store(id, secret) {
+        this.requireUnlocked();
+        
+        this.record.entries[id] = await this.encrypt(this.key, secret);
+        this.save();
+        this.publishState();
+    }
+    
+    /**
+     * Decrypt a profile's key
+     * @param {string} id - Profile ID
+     * @returns {Promise<string>} API key ('' if none is stored)
+     */
+    async retrieve(id) {
+        this.requireUnlocked();
+        
+        const entry = this.record.entries[id];
+        return entry ? this.decrypt(this.key, entry) : '';
+    }
+    
+    /**
+     * Delete a profile's key
+     * @param {string} id - Profile ID
+     */
+    remove(id) {
+        if (!this.has(id)) return;
+        
+        delete this.record.entries[id];
+        this.save();
+        this.publishState();
+    }
+    
+    /**
+     * Create an empty vault protected by a passphrase
+     * @param {string} passphrase - New passphrase
+     */
+    async create(passphrase) {
+        if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            throw new Error(`The vault passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+        }
+        
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const key = await this.deriveKey(passphrase, salt, this.iterations);
+        
+        this.record = {
+            version: VERSION,
+            salt: toBase64(salt),
+            iterations: this.iterations,
+            check: await this.encrypt(key, CHECK_VALUE),
+            entries: {}
+        };
+        this.key = key;
+        this.save();
+        
+        console.log('Credential vault created');
+        this.publishState();
+    }
+    
+    /**
+     * Derive the AES-GCM vault key from a passphrase
+     * @param {string} passphrase - Passphrase
+     * @param {Uint8Array} salt - Vault salt
+     * @param {number} iterations - PBKDF2 iterations
+     * @returns {Promise<CryptoKey>}
+     */
+    async deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+    
+    /**
+     * @param {CryptoKey} key - Vault key
+     * @param {string} text - Plaintext
+     * @returns {Promise<object>} { iv, data }, both base64
+     */
+    async encrypt(key, text) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+        
+        return { iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+    }
+    
+    /**
+     * @param {CryptoKey} key - Vault key
+     * @param {object} entry - { iv, data } from encrypt
+     * @returns {Promise<string>} Plaintext
+     */
+    async decrypt(key, entry) {
+        const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(entry.iv) }, key, fromBase64(entry.data));
+        
+        return new TextDecoder().decode(data);
+    }
+    
+    /**
+     * Throw unless the vault is unlocked
+     */
+    requireUnlocked() {
+        if (!this.key) {
+            throw new Error(this.record ? 'The credential vault is locked' : 'No credential vault has been created');
+        }
+    }
+    
+    /**
+     * Read the stored vault
+     * @returns {object|null} Vault record
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+            
+            if (saved && saved.version === VERSION && saved.check && saved.entries) {
+                return saved;
+            }
+        } catch (error) {
+            console.error('Error loading credential vault:', error);
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Write the vault to localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(this.record));
+        } catch (error) {
+            console.error('Error saving credential vault:', error);
+        }
+    }
+    
+    /**
+     * Publish mcp:vaultState
+     */
+    publishState() {
+        this.eventBus.publish('mcp:vaultState', {
+            exists: this.exists,
+            unlocked: this.unlocked,
+            entries: this.record ? Object.keys(this.record.entries).length : 0
+        });
+    }
+}
+
+function toBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+}
+
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), character => character.charCodeAt(0));
+}
@@ -0,0 +1,226 @@
+/**
+ * ORGANIX Neural Interface - Frame Validator
+ * 
+ * Checks JSON-RPC 2.0 messages from the MCP server before the client acts on
+ * them: the envelope first (jsonrpc, id, method, params, result or error),
+ * then the params of the methods in PARAM_SCHEMAS, which registerParamSchema
+ * extends for further methods. A problem is reported with the JSON-RPC error
+ * code the client answers it with:
+ *   -32600  invalid request   not a JSON-RPC 2.0 message
+ *   -32602  invalid params    params don't match the method's schema
+ * Parse errors (-32700) and unknown methods (-32601) are the client's to find.
+ */
+
+import { validateSchema } from '../utils/schemaValidator.js';
+
+// JSON-RPC error codes
+export const RPC_ERROR_CODES = {
+    parseError: -32700,
+    invalidRequest: -32600,
+    methodNotFound: -32601,
+    invalidParams: -32602,
+    internalError: -32603
+};
+
+const MESSAGE_ID = { type: 'string', minLength: 1 };
+
+const COMMAND = {
+    type: 'object',
+    required: ['type'],
+    properties: {
+        id: { type: ['string', 'number'] },
+        type: { type: 'string', minLength: 1 }
+    }
+};
+
+const COMMAND_LIST = {
+    type: 'object',
+    required: ['commands'],
+    properties: {
+        commands: { type: 'array', minItems: 1, items: COMMAND },
+        messageId: MESSAGE_ID
+    }
+};
+
+const CURSOR = {
+    type: 'object',
+    properties: { cursor: { type: 'string' } }
+};
+
+const RESOURCE_URI = {
+    type: 'object',
+    required: ['uri'],
+    properties: { uri: { type: 'string', minLength: 1 } }
+};
+
+// Params schemas for the notifications and requests the server sends, by
+// method. A function picks the schema for params that come in more than one
+// shape; methods missing here take any params.
+export const PARAM_SCHEMAS = {
+    'agent/message': {
+        type: 'object',
+        required: ['content'],
+        properties: { content: { type: 'string' } }
+    },
+    'agent/messageStart': {
+        type: 'object',
+        required: ['messageId'],
+        properties: { messageId: MESSAGE_ID, role: { type: 'string' } }
+    },
+    'agent/messageDelta': {
+        type: 'object',
+        required: ['messageId', 'delta'],
+        properties: { messageId: MESSAGE_ID, delta: { type: 'string' } }
+    },
+    'agent/messageStop': {
+        type: 'object',
+        required: ['messageId'],
+        properties: { messageId: MESSAGE_ID, stopReason: { type: 'string' } }
+    },
+    'agent/typing': {
+        type: 'object',
+        required: ['typing'],
+        properties: { typing: { type: 'boolean' } }
+    },
+    
+    // Either { commands: [...], messageId } or a single command
+    'scene/command': (params) => params?.commands !== undefined ? COMMAND_LIST : COMMAND,
+    'scene/loadTopology': {
+        type: 'object',
+        properties: { id: { type: ['string', 'number'] }, topology: { type: 'object' }, url: { type: 'string', minLength: 1 } }
+    },
+    
+    'status/update': {
+        type: 'object',
+        required: ['state'],
+        properties: { state: { type: 'string', minLength: 1 }, message: { type: 'string' } }
+    },
+    
+    'tools/list': CURSOR,
+    'tools/call': {
+        type: 'object',
+        required: ['name'],
+        properties: { name: { type: 'string', minLength: 1 }, arguments: { type: 'object' } }
+    },
+    'resources/list': CURSOR,
+    'resources/templates/list': CURSOR,
+    'resources/read': RESOURCE_URI,
+    'resources/subscribe': RESOURCE_URI,
+    'resources/unsubscribe': RESOURCE_URI,
+    
+    'notifications/cancelled': {
+        type: 'object',
+        required: ['requestId'],
+        properties: { requestId: { type: ['string', 'number'] }, reason: { type: 'string' } }
+    }
+};
+
+/**
+ * Check a method's params against a schema from now on
+ * @param {string} method - Method name
+ * @param {object|Function} schema - JSON schema (subset), or a function of the params returning one
+ */
+export function registerParamSchema(method, schema) {
+    PARAM_SCHEMAS[method] = schema;
+}
+
+/**
+ * Tell what kind of JSON-RPC message a valid frame is
+ * @param {object} frame - Frame that passed validateFrame
+ * @returns {string} 'request', 'notification' or 'response'
+ */
+export function frameKind(frame) {
+    if (typeof frame.method !== 'string') {
+        return 'response';
+    }
+    
+    return frame.id === undefined || frame.id === null ? 'notification' : 'request';
+}
+
+/**
+ * Check a message from the server
+ * @param {*} frame - Parsed message (one member of a batch)
+ * @returns {object|null} null if valid, otherwise { reason, code, message, errors }
+ * where reason is 'invalid_request', 'invalid_response' or 'invalid_params'
+ */
+export function validateFrame(frame) {
+    const envelopeErrors = checkEnvelope(frame);
+    if (envelopeErrors.length > 0) {
+        const response = frame?.method === undefined && frame?.id !== undefined;
+        
+        return {
+            reason: response ? 'invalid_response' : 'invalid_request',
+            code: RPC_ERROR_CODES.invalidRequest,
+            message: response ? 'Invalid response' : 'Invalid Request',
+            errors: envelopeErrors
+        };
+    }
+    
+    if (frameKind(frame) === 'response') {
+        return null;
+    }
+    
+    let schema = PARAM_SCHEMAS[frame.method];
+    if (typeof schema === 'function') {
+        schema = schema(frame.params);
+    }
+    if (!schema) {
+        return null;
+    }
+    
+    const errors = validateSchema(frame.params ?? {}, schema, 'params');
+    if (errors.length === 0) {
+        return null;
+    }
+    
+    return {
+        reason: 'invalid_params',
+        code: RPC_ERROR_CODES.invalidParams,
+        message: `Invalid params for ${frame.method}`,
+        errors
+    };
+}
+
+/**
+ * Check the JSON-RPC 2.0 envelope of a message
+ * @param {*} frame - Parsed message
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+function checkEnvelope(frame) {
+    if (!frame || typeof frame !== 'object' || Array.isArray(frame)) {
+        return ['message must be an object'];
+    }
+    
+    const errors = [];
+    
+    if (frame.jsonrpc !== '2.0') {
+        errors.push('jsonrpc must be "2.0"');
+    }
+    if (frame.id !== undefined && frame.id !== null && typeof frame.id !== 'string' && !Number.isFinite(frame.id)) {
+        errors.push('id must be a string, a number or null');
+    }
+    
+    if (frame.method !== undefined) {
+        if (typeof frame.method !== 'string' || frame.method === '') {
+            errors.push('method must be a non-empty string');
+        }
+        if (frame.params !== undefined && (frame.params === null || typeof frame.params !== 'object')) {
+            errors.push('params must be an object or an array');
+        }
+        return errors;
+    }
+    
+    // A response carries the ID of the request it answers and a result or an error
+    if (frame.id === undefined) {
+        errors.push('message must have a method or an id');
+    } else if (('result' in frame) === ('error' in frame)) {
+        errors.push('a response must have either result or error');
+    } else if ('error' in frame) {
+        const { error } = frame;
+        if (!error || typeof error !== 'object' || !Number.isInteger(error.code) || typeof error.message !== 'string') {
+            errors.push('error must be an object with an integer code and a string message');
+        }
+    }
+    
+    return errors;
+}
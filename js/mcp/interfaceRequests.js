@@ -0,0 +1,148 @@
+/**
+ * ORGANIX Neural Interface - Interface Requests
+ * 
+ * Requests the MCP server can send mid-turn to pull what it needs from the
+ * interface, registered on the MCP client's request handler registry:
+ *   scene/query       nodes matching a filter with their details, plus other
+ *                     parts of the scene snapshot on request
+ *   scene/screenshot  the current 3D view as a PNG or JPEG image
+ *   ui/confirm        a yes/no question for the user in the Claude panel
+ * ui/confirm goes through askUser, so its prompt is withdrawn when it times
+ * out or the server cancels the request.
+ */
+
+import { askUser } from '../utils/confirmPrompt.js';
+
+const NODE_TYPES = {
+    core: 'neuralCore',
+    primary: 'neuralNode',
+    secondary: 'secondaryNode'
+};
+
+// Parts of the scene snapshot scene/query can add to its result
+const QUERY_SECTIONS = ['connections', 'labels', 'selection', 'focus', 'camera', 'preset', 'activity', 'topology'];
+
+export const REQUEST_SCHEMAS = {
+    'scene/query': {
+        type: 'object',
+        properties: {
+            ids: { type: 'array', items: { type: 'string', minLength: 1 }, maxItems: 500 },
+            type: { type: 'string', enum: Object.keys(NODE_TYPES) },
+            group: { type: 'string' },
+            minActivity: { type: 'number', minimum: 0, maximum: 1 },
+            include: { type: 'array', items: { type: 'string', enum: QUERY_SECTIONS } },
+            limit: { type: 'integer', minimum: 1, maximum: 500 }
+        },
+        additionalProperties: false
+    },
+    'scene/screenshot': {
+        type: 'object',
+        properties: {
+            format: { type: 'string', enum: ['png', 'jpeg'] },
+            quality: { type: 'number', minimum: 0, maximum: 1 },
+            maxWidth: { type: 'integer', minimum: 64, maximum: 2048 }
+        },
+        additionalProperties: false
+    },
+    'ui/confirm': {
+        type: 'object',
+        required: ['message'],
+        properties: {
+            message: { type: 'string', minLength: 1, maxLength: 2000 },
+            title: { type: 'string', maxLength: 120 },
+            confirmLabel: { type: 'string', minLength: 1, maxLength: 40 },
+            cancelLabel: { type: 'string', minLength: 1, maxLength: 40 },
+            destructive: { type: 'boolean' },
+            timeout: { type: 'integer', minimum: 1000, maximum: 600000 }
+        },
+        additionalProperties: false
+    }
+};
+
+export class InterfaceRequests {
+    /**
+     * @param {EventBus} eventBus - Application event bus
+     * @param {NeuralScene} neuralScene - Scene the scene/* requests read
+     */
+    constructor(eventBus, neuralScene) {
+        this.eventBus = eventBus;
+        this.neuralScene = neuralScene;
+        
+        // Nodes returned by scene/query unless it asks for a limit
+        this.defaultQueryLimit = 100;
+        
+        // How long ui/confirm waits for the user unless the server says otherwise
+        this.confirmTimeout = 60000;
+        
+        this.handlers = {
+            'scene/query': this.query,
+            'scene/screenshot': this.screenshot,
+            'ui/confirm': this.confirm
+        };
+    }
+    
+    /**
+     * Register the handlers with the MCP client
+     * @param {OrganixMcpClient} mcpClient - Client answering the server's requests
+     */
+    register(mcpClient) {
+        for (const [method, handler] of Object.entries(this.handlers)) {
+            mcpClient.registerRequestHandler(method, handler.bind(this), { paramsSchema: REQUEST_SCHEMAS[method] });
+        }
+    }
+    
+    /**
+     * scene/query
+     * @param {object} params - { ids, type, group, minActivity, include, limit }
+     * @returns {object} { nodes, count, truncated, missing, ...included sections }
+     */
+    query({ ids, type, group, minActivity, include = [], limit = this.defaultQueryLimit }) {
+        const snapshot = this.neuralScene.getSceneSnapshot();
+        const candidates = ids || Object.keys(snapshot.nodes);
+        
+        const matches = candidates.filter(id => {
+            const node = snapshot.nodes[id];
+            return node &&
+                (!type || node.type === NODE_TYPES[type]) &&
+                (group === undefined || node.group === group) &&
+                (minActivity === undefined || node.activity >= minActivity);
+        });
+        
+        const result = {
+            nodes: matches.slice(0, limit).map(id => this.neuralScene.getNodeDetails(id, snapshot)),
+            count: matches.length,
+            truncated: matches.length > limit
+        };
+        
+        if (ids) {
+            result.missing = ids.filter(id => !snapshot.nodes[id]);
+        }
+        
+        for (const section of include) {
+            result[section] = snapshot[section];
+        }
+        
+        return result;
+    }
+    
+    /**
+     * scene/screenshot
+     * @param {object} params - { format, quality, maxWidth }
+     * @returns {object} { mimeType, data (base64), width, height, camera }
+     */
+    screenshot({ format = 'png', quality, maxWidth = 800 }) {
+        const image = this.neuralScene.captureImage({ maxWidth, mimeType: `image/${format}`, quality });
+        
+        return { ...image, camera: this.neuralScene.getCameraPose() };
+    }
+    
+    /**
+     * ui/confirm: ask the user and wait for the answer
+     * @param {object} params - { message, title, confirmLabel, cancelLabel, destructive, timeout }
+     * @param {object} context - { signal } aborted when the server cancels the request
+     * @returns {Promise<object>} { confirmed, reason } where reason is 'confirmed', 'declined' or 'timeout'
+     */
+    confirm(params, { signal }) {
+        return askUser(this.eventBus, params, { timeout: params.timeout ?? this.confirmTimeout, signal });
+    }
+}
@@ -0,0 +1,88 @@
+/**
+ * ORGANIX Neural Interface - MCP Errors
+ * 
+ * Error types for failed MCP requests. Every error carries a machine
+ * readable code (like the errors of the command pipeline) plus the method
+ * and ID of the request it belongs to, so callers can tell a timeout from
+ * a dropped connection or a cancelled request. McpRequestError goes the
+ * other way: handlers throw it to fail a request from the server.
+ */
+
+export class McpError extends Error {
+    /**
+     * @param {string} code - Machine readable error code
+     * @param {string} message - Human readable message
+     * @param {object} [details] - { method, requestId, data }
+     */
+    constructor(code, message, { method = null, requestId = null, data = null } = {}) {
+        super(message);
+        this.name = 'McpError';
+        this.code = code;
+        this.method = method;
+        this.requestId = requestId;
+        this.data = data;
+    }
+}
+
+/**
+ * No response arrived within the request's timeout
+ */
+export class McpTimeoutError extends McpError {
+    constructor(method, requestId, timeout) {
+        super('timeout', `${method} request timed out after ${timeout}ms`, { method, requestId, data: { timeout } });
+        this.name = 'McpTimeoutError';
+    }
+}
+
+/**
+ * The connection closed before a response arrived
+ */
+export class McpConnectionClosedError extends McpError {
+    constructor(method, requestId, reason = 'Connection closed') {
+        super('connection_closed', `${method} request failed: ${reason}`, { method, requestId });
+        this.name = 'McpConnectionClosedError';
+    }
+}
+
+/**
+ * The request was cancelled before a response arrived
+ */
+export class McpCancelledError extends McpError {
+    constructor(method, requestId, reason = 'Cancelled') {
+        super('cancelled', `${method} request cancelled: ${reason}`, { method, requestId });
+        this.name = 'McpCancelledError';
+    }
+}
+
+/**
+ * The server answered with a JSON-RPC error
+ */
+export class McpRemoteError extends McpError {
+    /**
+     * @param {string} method - Request method
+     * @param {string} requestId - Request ID
+     * @param {object} error - JSON-RPC error object ({ code, message, data })
+     */
+    constructor(method, requestId, error = {}) {
+        super('remote_error', error.message || 'Request failed', { method, requestId, data: error.data ?? null });
+        this.name = 'McpRemoteError';
+        this.rpcCode = error.code ?? null;
+    }
+}
+
+/**
+ * Thrown by a server request handler to answer with a particular JSON-RPC
+ * error instead of an internal error (-32603)
+ */
+export class McpRequestError extends McpError {
+    /**
+     * @param {number} rpcCode - JSON-RPC error code, e.g. -32602 for invalid params
+     * @param {string} message - Human readable message
+     * @param {*} [data] - Details for the server
+     */
+    constructor(rpcCode, message, data = null) {
+        super('request_failed', message, { data });
+        this.name = 'McpRequestError';
+        this.rpcCode = rpcCode;
+    }
+}
@@ -0,0 +1,263 @@
+/**
+ * ORGANIX Neural Interface - Message Queue
+ * 
+ * Outbound chat messages waiting to reach the MCP server. Messages are kept
+ * in localStorage until delivered, so they survive a reload, and are sent
+ * one at a time in the order they were written. A message that fails is
+ * retried with backoff (the messages behind it wait), and after maxAttempts
+ * it is set aside as failed until the user retries it. Dropped connections
+ * don't count as attempts: the message waits for the next session.
+ * 
+ * Every change is published on mcp:messageStatus:
+ *   { id, content, state: 'queued' | 'sending' | 'delivered' | 'failed',
+ *     attempts, error, timestamp }
+ */
+
+const STORAGE_KEY = 'organix-mcp-outbox';
+
+export class MessageQueue {
+    /**
+     * @param {EventBus} eventBus - Application event bus
+     * @param {object} handlers - Delivery operations supplied by the client
+     * @param {Function} handlers.send - (message) => Promise resolving once the server accepted it
+     * @param {Function} handlers.canSend - Whether a session is ready to take messages
+     * @param {object} [options]
+     * @param {number} [options.maxAttempts=3] - Attempts before a message is marked failed
+     * @param {number} [options.retryDelay=1000] - Delay before the first retry, doubled each time
+     */
+    constructor(eventBus, { send, canSend }, { maxAttempts = 3, retryDelay = 1000 } = {}) {
+        this.eventBus = eventBus;
+        this.handlers = { send, canSend };
+        this.maxAttempts = maxAttempts;
+        this.retryDelay = retryDelay;
+        
+        // Undelivered messages, oldest first
+        this.messages = [];
+        this.processing = false;
+        this.retryTimer = null;
+    }
+    
+    /**
+     * Number of undelivered messages
+     */
+    get length() {
+        return this.messages.length;
+    }
+    
+    /**
+     * Load messages left over from a previous page load. Anything that was
+     * being sent when the page closed is queued again.
+     */
+    restore() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+            
+            this.messages = (Array.isArray(saved) ? saved : [])
+                .filter(message => message && typeof message.id === 'string' && typeof message.content === 'string')
+                .map(message => ({
+                    ...message,
+                    state: message.state === 'failed' ? 'failed' : 'queued'
+                }));
+                
+            if (this.messages.length > 0) {
+                console.log(`Restored ${this.messages.length} undelivered messages`);
+            }
+        } catch (error) {
+            console.error('Error restoring queued messages:', error);
+            this.messages = [];
+        }
+    }
+    
+    /**
+     * Publish the status of every undelivered message, e.g. so the chat
+     * panel can show messages restored from a previous page load
+     */
+    announce() {
+        this.messages.forEach(message => this.publishStatus(message));
+    }
+    
+    /**
+     * Add a message and try to deliver it
+     * @param {object} message - Message to send
+     * @param {string} message.content - Message content
+     * @param {string} [message.id] - Client message ID (generated if omitted)
+     * @param {object} [message.visualizationState] - Scene context sent with the message
+     * @returns {object} The queued message
+     */
+    enqueue({ content, id, visualizationState }) {
+        const message = {
+            id: id || this.generateId(),
+            content,
+            visualizationState,
+            state: 'queued',
+            attempts: 0,
+            error: null,
+            timestamp: new Date().toISOString()
+        };
+        
+        this.messages.push(message);
+        this.save();
+        this.publishStatus(message);
+        
+        this.flush();
+        
+        return message;
+    }
+    
+    /**
+     * Deliver queued messages in order while the session can take them
+     */
+    async flush() {
+        if (this.processing || this.retryTimer) return;
+        
+        this.processing = true;
+        
+        try {
+            let message;
+            while (this.handlers.canSend() && (message = this.messages.find(candidate => candidate.state === 'queued'))) {
+                if (!await this.deliver(message)) break;
+            }
+        } finally {
+            this.processing = false;
+        }
+    }
+    
+    /**
+     * Send one message
+     * @param {object} message - Queued message
+     * @returns {Promise<boolean>} Whether the queue can move on to the next message
+     */
+    async deliver(message) {
+        message.attempts++;
+        this.setState(message, 'sending');
+        
+        try {
+            await this.handlers.send(message);
+        } catch (error) {
+            return this.handleFailure(message, error);
+        }
+        
+        this.messages = this.messages.filter(candidate => candidate !== message);
+        this.save();
+        this.setState(message, 'delivered');
+        
+        return true;
+    }
+    
+    /**
+     * Decide what happens to a message the server didn't accept
+     * @param {object} message - Message that failed
+     * @param {Error} error - Why it failed (an McpError from the client)
+     * @returns {boolean} Whether the queue can move on to the next message
+     */
+    handleFailure(message, error) {
+        // Not the message's fault: wait for the next session
+        if (error.code === 'connection_closed') {
+            message.attempts--;
+            this.setState(message, 'queued');
+            return false;
+        }
+        
+        // Cancelled by the user, or out of attempts: set it aside
+        if (error.code === 'cancelled' || message.attempts >= this.maxAttempts) {
+            console.error(`Message ${message.id} failed after ${message.attempts} attempts:`, error.message);
+            this.setState(message, 'failed', error);
+            return true;
+        }
+        
+        const delay = this.retryDelay * Math.pow(2, message.attempts - 1);
+        console.warn(`Message ${message.id} failed (${error.message}); retrying in ${delay}ms`);
+        
+        this.setState(message, 'queued', error);
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.flush();
+        }, delay);
+        
+        return false;
+    }
+    
+    /**
+     * Try a failed message again
+     * @param {string} id - Message ID
+     */
+    retry(id) {
+        const message = this.messages.find(candidate => candidate.id === id);
+        if (!message || message.state !== 'failed') return;
+        
+        message.attempts = 0;
+        this.setState(message, 'queued');
+        this.flush();
+    }
+    
+    /**
+     * Forget every failed message
+     */
+    removeFailed() {
+        this.messages = this.messages.filter(message => message.state !== 'failed');
+        this.save();
+    }
+    
+    /**
+     * Get the undelivered messages, oldest first
+     * @returns {Array<object>} Messages
+     */
+    getMessages() {
+        return this.messages.map(message => ({ ...message }));
+    }
+    
+    /**
+     * Change a message's state, save and publish it
+     * @param {object} message - Message
+     * @param {string} state - New state
+     * @param {Error} [error] - Error behind the change
+     */
+    setState(message, state, error = null) {
+        message.state = state;
+        message.error = error ? { code: error.code || null, message: error.message } : null;
+        
+        if (state !== 'delivered') {
+            this.save();
+        }
+        
+        this.publishStatus(message);
+    }
+    
+    /**
+     * Publish mcp:messageStatus for a message
+     * @param {object} message - Message
+     */
+    publishStatus(message) {
+        this.eventBus.publish('mcp:messageStatus', {
+            id: message.id,
+            content: message.content,
+            state: message.state,
+            attempts: message.attempts,
+            error: message.error,
+            timestamp: message.timestamp
+        });
+    }
+    
+    /**
+     * Write the undelivered messages to localStorage
+     */
+    save() {
+        try {
+            const saved = this.messages.map(({ id, content, visualizationState, state, attempts, error, timestamp }) => ({
+                id, content, visualizationState, state, attempts, error, timestamp
+            }));
+            
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+        } catch (error) {
+            console.error('Error saving queued messages:', error);
+        }
+    }
+    
+    /**
+     * Generate a client message ID
+     * @returns {string} Message ID
+     */
+    generateId() {
+        return `organix-msg-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    }
+}
@@ -0,0 +1,339 @@
+/**
+ * ORGANIX Neural Interface - Protocol Inspector
+ * 
+ * Records the JSON-RPC frames the MCP client sends and receives (published
+ * by the client on mcp:frame) for the inspector panel: requests are paired
+ * with their responses by direction and id, with the latency between them,
+ * and every frame gets a level so settings:mcpLogLevel decides what is kept:
+ *   error  error responses, frames that aren't valid JSON-RPC and frames
+ *          the client rejected
+ *   warn   cancellations and responses nobody asked for
+ *   info   every other request, response and notification
+ *   debug  heartbeat pings and their answers
+ * Batches are recorded one member at a time, each entry noting its batch.
+ * At the debug level each frame is also written to the console.
+ * 
+ * Changes are published on inspector:entry (a new frame), inspector:entryUpdated
+ * (a request got its response) and inspector:cleared.
+ */
+
+import { redact } from '../utils/redaction.js';
+
+const LEVELS = ['error', 'warn', 'info', 'debug'];
+
+export class ProtocolInspector {
+    /**
+     * @param {EventBus} eventBus - Application event bus
+     * @param {object} [options]
+     * @param {number} [options.maxEntries=1000] - Frames kept before the oldest are dropped
+     */
+    constructor(eventBus, { maxEntries = 1000 } = {}) {
+        this.eventBus = eventBus;
+        this.maxEntries = maxEntries;
+        this.logLevel = 'info';
+        this.paused = false;
+        
+        // Captured frames, oldest first, and requests still waiting for a
+        // response keyed by `${direction}:${id}`
+        this.entries = [];
+        this.pending = new Map();
+        this.sequence = 0;
+        
+        this.eventBus.subscribe('mcp:frame', this.record.bind(this));
+        this.eventBus.subscribe('settings:mcpLogLevel', this.setLogLevel.bind(this));
+        this.eventBus.subscribe('mcp:statusChange', ({ status }) => {
+            if (status === 'disconnected') {
+                this.abandonPending();
+            }
+        });
+    }
+    
+    /**
+     * Change which frames are captured
+     * @param {string} level - 'error', 'warn', 'info' or 'debug'
+     */
+    setLogLevel(level) {
+        if (!LEVELS.includes(level)) {
+            console.warn(`Ignoring unknown MCP log level: ${level}`);
+            return;
+        }
+        
+        this.logLevel = level;
+    }
+    
+    /**
+     * Stop or resume capturing
+     * @param {boolean} paused - Whether to ignore new frames
+     */
+    setPaused(paused) {
+        this.paused = paused;
+    }
+    
+    /**
+     * Record a frame
+     * @param {object} data - { direction: 'inbound' | 'outbound', raw, frame, batch, rejection, timestamp }
+     * where frame is the parsed JSON (null if it didn't parse), batch is { id, index, size } for a
+     * member of a batch and rejection says why the client refused an inbound frame
+     */
+    record({ direction, raw, frame, batch = null, rejection = null, timestamp = Date.now() }) {
+        if (this.paused) return;
+        
+        const entry = {
+            seq: ++this.sequence,
+            timestamp,
+            direction,
+            kind: this.classify(frame),
+            method: frame?.method ?? null,
+            id: frame?.id ?? null,
+            raw: typeof raw === 'string' ? raw : JSON.stringify(raw),
+            frame: frame ?? null,
+            batch,
+            rejection,
+            level: 'info',
+            pairSeq: null,
+            latency: null,
+            status: null
+        };
+        
+        if (entry.kind === 'request') {
+            entry.status = 'pending';
+            this.pending.set(`${direction}:${entry.id}`, entry);
+        } else if ((entry.kind === 'response' || entry.kind === 'error') && entry.id !== null) {
+            this.pairResponse(entry);
+        }
+        
+        // A rejected request is paired with the error sent back for it
+        if (rejection && entry.kind !== 'request' && entry.status !== 'unmatched') {
+            entry.status = 'rejected';
+        }
+        
+        entry.level = this.levelOf(entry);
+        
+        if (LEVELS.indexOf(entry.level) > LEVELS.indexOf(this.logLevel)) {
+            return;
+        }
+        
+        this.entries.push(entry);
+        if (this.entries.length > this.maxEntries) {
+            this.entries.shift();
+        }
+        
+        if (this.logLevel === 'debug') {
+            console.debug(`[MCP ${direction === 'inbound' ? '<-' : '->'}] ${this.describe(entry)}`, redact(entry.frame ?? entry.raw));
+        }
+        
+        this.eventBus.publish('inspector:entry', entry);
+    }
+    
+    /**
+     * Match a response to the request it answers, which went the other way
+     * @param {object} entry - Response entry
+     */
+    pairResponse(entry) {
+        const requestDirection = entry.direction === 'inbound' ? 'outbound' : 'inbound';
+        const key = `${requestDirection}:${entry.id}`;
+        const request = this.pending.get(key);
+        
+        if (!request) {
+            entry.status = 'unmatched';
+            return;
+        }
+        
+        this.pending.delete(key);
+        
+        entry.pairSeq = request.seq;
+        entry.method = request.method;
+        entry.latency = entry.timestamp - request.timestamp;
+        entry.status = entry.kind === 'error' ? 'error' : 'ok';
+        
+        request.pairSeq = entry.seq;
+        request.latency = entry.latency;
+        request.status = entry.status;
+        
+        if (this.entries.includes(request)) {
+            this.eventBus.publish('inspector:entryUpdated', request);
+        }
+    }
+    
+    /**
+     * Requests still waiting when the connection closed will never be answered
+     */
+    abandonPending() {
+        for (const request of this.pending.values()) {
+            request.status = 'unanswered';
+            if (this.entries.includes(request)) {
+                this.eventBus.publish('inspector:entryUpdated', request);
+            }
+        }
+        
+        this.pending.clear();
+    }
+    
+    /**
+     * Tell what kind of JSON-RPC message a frame is
+     * @param {object|null} frame - Parsed frame
+     * @returns {string} 'request', 'notification', 'response', 'error' or 'invalid'
+     */
+    classify(frame) {
+        if (!frame || typeof frame !== 'object' || Array.isArray(frame)) {
+            return 'invalid';
+        }
+        
+        const hasId = frame.id !== undefined && frame.id !== null;
+        
+        if (typeof frame.method === 'string') {
+            return hasId ? 'request' : 'notification';
+        }
+        // Errors about a message the sender couldn't identify have a null ID
+        if (frame.id !== undefined && frame.error) {
+            return 'error';
+        }
+        if (hasId && 'result' in frame) {
+            return 'response';
+        }
+        
+        return 'invalid';
+    }
+    
+    /**
+     * Decide how important a frame is (see the module comment)
+     * @param {object} entry - Entry
+     * @returns {string} Level
+     */
+    levelOf(entry) {
+        if (entry.kind === 'invalid' || entry.kind === 'error') {
+            return 'error';
+        }
+        if (entry.rejection && entry.rejection.reason !== 'unmatched_response') {
+            return 'error';
+        }
+        if (entry.status === 'unmatched' || entry.method === 'notifications/cancelled') {
+            return 'warn';
+        }
+        if (entry.method === 'ping') {
+            return 'debug';
+        }
+        
+        return 'info';
+    }
+    
+    /**
+     * One-line summary of an entry
+     * @param {object} entry - Entry
+     * @returns {string} Summary
+     */
+    describe(entry) {
+        const batch = entry.batch ? ` [batch ${entry.batch.index + 1}/${entry.batch.size}]` : '';
+        return `${this.describeFrame(entry)}${batch}`;
+    }
+    
+    describeFrame(entry) {
+        const id = entry.id !== null ? ` #${entry.id}` : '';
+        
+        switch (entry.kind) {
+            case 'request':
+                return `${entry.method}${id}`;
+            case 'notification':
+                return entry.method;
+            case 'response':
+                return `${entry.method || 'response'}${id} result`;
+            case 'error':
+                return `${entry.method || 'response'}${id} error ${entry.frame.error.code ?? ''}: ${entry.frame.error.message ?? ''}`;
+            default:
+                return entry.rejection?.reason === 'parse_error' ? 'unparseable frame' : 'invalid frame';
+        }
+    }
+    
+    /**
+     * Get the captured entries that match a filter
+     * @param {object} [filter]
+     * @param {string} [filter.direction] - 'inbound' or 'outbound'
+     * @param {string} [filter.kind] - Entry kind
+     * @param {boolean} [filter.errorsOnly] - Only error and warn entries
+     * @param {string} [filter.text] - Substring of the method, id or raw frame
+     * @returns {Array<object>} Entries, oldest first
+     */
+    getEntries(filter = {}) {
+        return this.entries.filter(entry => this.matches(entry, filter));
+    }
+    
+    /**
+     * Check an entry against a filter (see getEntries)
+     * @param {object} entry - Entry
+     * @param {object} filter - Filter
+     * @returns {boolean} Whether the entry passes
+     */
+    matches(entry, { direction, kind, errorsOnly, text } = {}) {
+        const needle = text ? text.toLowerCase() : '';
+        
+        return (!direction || entry.direction === direction) &&
+            (!kind || entry.kind === kind) &&
+            (!errorsOnly || entry.level === 'error' || entry.level === 'warn' || entry.status === 'unanswered') &&
+            (!needle || entry.raw.toLowerCase().includes(needle) || String(entry.method ?? '').toLowerCase().includes(needle));
+    }
+    
+    /**
+     * Get an entry by sequence number
+     * @param {number} seq - Sequence number
+     * @returns {object|null} Entry
+     */
+    getEntry(seq) {
+        return this.entries.find(entry => entry.seq === seq) || null;
+    }
+    
+    /**
+     * Send a captured frame again, or an edited version of it
+     * @param {number} seq - Sequence number of an outbound frame
+     * @param {string} [text] - Edited frame JSON (the original frame if omitted)
+     */
+    resend(seq, text) {
+        const entry = this.getEntry(seq);
+        if (!entry) {
+            throw new Error(`No captured frame #${seq}`);
+        }
+        
+        let frame;
+        try {
+            frame = JSON.parse(text ?? entry.raw);
+        } catch (error) {
+            throw new Error(`Edited frame is not valid JSON: ${error.message}`);
+        }
+        
+        this.eventBus.publish('mcp:resendFrame', { frame });
+    }
+    
+    /**
+     * Forget every captured frame
+     */
+    clear() {
+        this.entries = [];
+        this.pending.clear();
+        this.eventBus.publish('inspector:cleared');
+    }
+    
+    /**
+     * Build a capture file with credentials masked
+     * @returns {object} { exportedAt, logLevel, entries }
+     */
+    export() {
+        return {
+            exportedAt: new Date().toISOString(),
+            logLevel: this.logLevel,
+            entries: this.entries.map(entry => redact({
+                seq: entry.seq,
+                timestamp: new Date(entry.timestamp).toISOString(),
+                direction: entry.direction,
+                kind: entry.kind,
+                level: entry.level,
+                method: entry.method,
+                id: entry.id,
+                pairSeq: entry.pairSeq,
+                latency: entry.latency,
+                status: entry.status,
+                batch: entry.batch,
+                rejection: entry.rejection,
+                frame: entry.frame ?? entry.raw
+            }))
+        };
+    }
+}
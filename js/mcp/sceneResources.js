@@ -0,0 +1,277 @@
+/**
+ * ORGANIX Neural Interface - Scene Resources
+ * 
+ * The visualization as MCP resources the server can list, read and
+ * subscribe to: the scene snapshot, each node, the analytics time series
+ * and the chat history. When the data behind a subscribed resource changes,
+ * mcp:resourceUpdated is published (at most once per updateInterval per
+ * resource) and the MCP client forwards it as notifications/resources/updated.
+ */
+
+const MIME_TYPE = 'application/json';
+const NODE_URI_PREFIX = 'organix://node/';
+const NODE_TYPES = ['neuralCore', 'neuralNode', 'secondaryNode'];
+
+export const RESOURCES = {
+    scene: {
+        uri: 'organix://scene',
+        name: 'Scene',
+        description: 'Current scene snapshot: nodes, connections, labels, selection, focus, camera, preset and activity',
+        mimeType: MIME_TYPE
+    },
+    timeseries: {
+        uri: 'organix://analytics/timeseries',
+        name: 'Analytics time series',
+        description: 'Global activity over time and the latest analytics metrics (collected while the analytics dashboard is open)',
+        mimeType: MIME_TYPE
+    },
+    chat: {
+        uri: 'organix://chat/history',
+        name: 'Chat history',
+        description: 'Messages in the chat panel, oldest first',
+        mimeType: MIME_TYPE
+    }
+};
+
+export const RESOURCE_TEMPLATES = [
+    {
+        uriTemplate: `${NODE_URI_PREFIX}{id}`,
+        name: 'Node',
+        description: 'One node with its description, position, activity, connections and labels',
+        mimeType: MIME_TYPE
+    }
+];
+
+export class SceneResources {
+    /**
+     * @param {EventBus} eventBus - Application event bus
+     * @param {object} sources - Where resource data comes from
+     * @param {NeuralScene} sources.neuralScene - Scene and node resources
+     * @param {NeuralAnalytics} sources.neuralAnalytics - Time series resource
+     * @param {ChatHistory} sources.chatHistory - Chat history resource
+     */
+    constructor(eventBus, { neuralScene, neuralAnalytics, chatHistory }) {
+        this.eventBus = eventBus;
+        this.neuralScene = neuralScene;
+        this.neuralAnalytics = neuralAnalytics;
+        this.chatHistory = chatHistory;
+        
+        // Subscribed URIs, and update notifications waiting out the interval
+        this.subscriptions = new Set();
+        this.updateInterval = 1000;
+        this.lastUpdates = new Map();
+        this.pendingUpdates = new Map();
+        
+        this.eventBus.subscribe('scene:stateUpdate', this.handleSceneUpdate.bind(this));
+        this.eventBus.subscribe('analytics:updated', () => this.markUpdated(RESOURCES.timeseries.uri));
+        this.eventBus.subscribe('chat:historyChanged', () => this.markUpdated(RESOURCES.chat.uri));
+        
+        // Node resources come and go with the nodes
+        const announceListChange = () => this.eventBus.publish('mcp:resourceListChanged');
+        for (const eventName of ['scene:objectCreated', 'scene:objectRemoved']) {
+            this.eventBus.subscribe(eventName, (data) => {
+                if (NODE_TYPES.includes(data.type)) {
+                    announceListChange();
+                }
+            });
+        }
+        this.eventBus.subscribe('scene:topologyLoaded', announceListChange);
+    }
+    
+    /**
+     * Resources for resources/list: the fixed resources plus one per node
+     * @returns {Array<object>} Resources with uri, name, description and mimeType
+     */
+    listResources() {
+        const nodes = Object.entries(this.neuralScene.getSceneSnapshot().nodes).map(([id, node]) => ({
+            uri: `${NODE_URI_PREFIX}${id}`,
+            name: node.name || id,
+            description: `Node ${id}`,
+            mimeType: MIME_TYPE
+        }));
+        
+        return [...Object.values(RESOURCES), ...nodes];
+    }
+    
+    /**
+     * Templates for resources/templates/list
+     * @returns {Array<object>} Resource templates
+     */
+    listTemplates() {
+        return RESOURCE_TEMPLATES;
+    }
+    
+    /**
+     * Read a resource for resources/read
+     * @param {string} uri - Resource URI
+     * @returns {object} { contents: [{ uri, mimeType, text }] }
+     */
+    readResource(uri) {
+        return {
+            contents: [{
+                uri,
+                mimeType: MIME_TYPE,
+                text: JSON.stringify(this.getResourceData(uri))
+            }]
+        };
+    }
+    
+    /**
+     * Get the data behind a resource
+     * @param {string} uri - Resource URI
+     * @returns {object} Resource data
+     */
+    getResourceData(uri) {
+        switch (uri) {
+            case RESOURCES.scene.uri:
+                return this.neuralScene.getSceneSnapshot();
+                
+            case RESOURCES.timeseries.uri:
+                return this.neuralAnalytics.getTimeseries();
+                
+            case RESOURCES.chat.uri: {
+                const messages = this.chatHistory.getMessages();
+                return { messages, count: messages.length };
+            }
+        }
+        
+        const nodeId = this.parseNodeUri(uri);
+        const node = nodeId && this.neuralScene.getNodeDetails(nodeId);
+        if (!node) {
+            throw this.createError('resource_not_found', `Resource not found: ${uri}`);
+        }
+        
+        return node;
+    }
+    
+    /**
+     * Start sending update notifications for a resource
+     * @param {string} uri - Resource URI
+     */
+    subscribe(uri) {
+        // Fails for URIs that don't exist
+        this.getResourceData(uri);
+        
+        this.subscriptions.add(uri);
+    }
+    
+    /**
+     * Stop sending update notifications for a resource
+     * @param {string} uri - Resource URI
+     */
+    unsubscribe(uri) {
+        this.subscriptions.delete(uri);
+        clearTimeout(this.pendingUpdates.get(uri));
+        this.pendingUpdates.delete(uri);
+    }
+    
+    /**
+     * Drop every subscription, e.g. when the session ends
+     */
+    clearSubscriptions() {
+        for (const uri of [...this.subscriptions]) {
+            this.unsubscribe(uri);
+        }
+    }
+    
+    /**
+     * Work out which resources a scene state update touched
+     * @param {object} update - Full or delta update from scene:stateUpdate
+     */
+    handleSceneUpdate(update) {
+        this.markUpdated(RESOURCES.scene.uri);
+        
+        const subscribedNodes = [...this.subscriptions]
+            .map(uri => this.parseNodeUri(uri))
+            .filter(Boolean);
+            
+        if (subscribedNodes.length === 0) return;
+        
+        // Removed connections and labels no longer say which nodes they belonged to
+        if (update.type === 'full' || update.changes.selection || update.changes.focus ||
+            update.removed.connections || update.removed.labels) {
+            subscribedNodes.forEach(id => this.markUpdated(`${NODE_URI_PREFIX}${id}`));
+            return;
+        }
+        
+        const snapshot = this.neuralScene.getSceneSnapshot();
+        const touched = new Set([
+            ...Object.keys(update.changes.nodes || {}),
+            ...(update.removed.nodes || [])
+        ]);
+        
+        for (const id of Object.keys(update.changes.connections || {})) {
+            const connection = snapshot.connections[id];
+            if (connection) {
+                touched.add(connection.source);
+                touched.add(connection.target);
+            }
+        }
+        
+        for (const id of Object.keys(update.changes.labels || {})) {
+            if (snapshot.labels[id]?.target) {
+                touched.add(snapshot.labels[id].target);
+            }
+        }
+        
+        subscribedNodes
+            .filter(id => touched.has(id))
+            .forEach(id => this.markUpdated(`${NODE_URI_PREFIX}${id}`));
+    }
+    
+    /**
+     * Announce that a resource changed, if it is subscribed
+     * @param {string} uri - Resource URI
+     */
+    markUpdated(uri) {
+        if (!this.subscriptions.has(uri) || this.pendingUpdates.has(uri)) {
+            return;
+        }
+        
+        const wait = (this.lastUpdates.get(uri) || 0) + this.updateInterval - Date.now();
+        
+        if (wait <= 0) {
+            this.publishUpdate(uri);
+            return;
+        }
+        
+        this.pendingUpdates.set(uri, setTimeout(() => {
+            this.pendingUpdates.delete(uri);
+            this.publishUpdate(uri);
+        }, wait));
+    }
+    
+    /**
+     * Publish mcp:resourceUpdated for a resource
+     * @param {string} uri - Resource URI
+     */
+    publishUpdate(uri) {
+        this.lastUpdates.set(uri, Date.now());
+        this.eventBus.publish('mcp:resourceUpdated', { uri });
+    }
+    
+    /**
+     * Extract the node ID from a node resource URI
+     * @param {string} uri - Resource URI
+     * @returns {string|null} Node ID
+     */
+    parseNodeUri(uri) {
+        if (typeof uri !== 'string' || !uri.startsWith(NODE_URI_PREFIX)) {
+            return null;
+        }
+        
+        return decodeURIComponent(uri.slice(NODE_URI_PREFIX.length)) || null;
+    }
+    
+    /**
+     * Create an error with a machine readable code
+     * @param {string} code - Error code
+     * @param {string} message - Human readable message
+     * @returns {Error} Error with a code property
+     */
+    createError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+}
@@ -0,0 +1,511 @@
+/**
+ * ORGANIX Neural Interface - Scene Tools
+ * 
+ * The neural scene as typed MCP tools an agent can discover with tools/list
+ * and invoke with tools/call. Arguments are validated against each tool's
+ * JSON schema; read-only tools answer from the scene directly, everything
+ * else runs as scene commands through the shared command dispatcher, so
+ * tool calls queue behind (and are reported like) any other command. A call
+ * that is cancelled takes its commands back out of the queue.
+ */
+
+import { validateSchema } from '../utils/schemaValidator.js';
+
+const NODE_ID = {
+    type: 'string',
+    pattern: '^[A-Za-z0-9_-]{1,64}$',
+    description: 'Node ID (the neural core is "core")'
+};
+
+const VECTOR = {
+    type: 'array',
+    items: { type: 'number' },
+    minItems: 3,
+    maxItems: 3,
+    description: 'Point as [x, y, z]'
+};
+
+const COLOR = {
+    type: 'string',
+    pattern: '^#[0-9a-fA-F]{6}$',
+    description: 'Color as "#rrggbb"'
+};
+
+const DURATION = {
+    type: 'integer',
+    minimum: 0,
+    maximum: 30000,
+    description: 'Duration in milliseconds'
+};
+
+export const VISUAL_PRESETS = ['default', 'neural', 'abstract', 'data'];
+
+const NODE_TYPES = {
+    core: 'neuralCore',
+    primary: 'neuralNode',
+    secondary: 'secondaryNode'
+};
+
+export const SCENE_TOOLS = [
+    {
+        name: 'list_nodes',
+        description: 'List the nodes in the neural network with their type, group and current activity.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                type: { type: 'string', enum: Object.keys(NODE_TYPES), description: 'Only list nodes of this type' },
+                group: { type: 'string', maxLength: 40, description: 'Only list nodes in this group' }
+            },
+            additionalProperties: false
+        },
+        annotations: { readOnlyHint: true }
+    },
+    {
+        name: 'get_node',
+        description: 'Get one node: description, position, activity, its connections and whether it is selected or focused.',
+        inputSchema: {
+            type: 'object',
+            properties: { id: NODE_ID },
+            required: ['id'],
+            additionalProperties: false
+        },
+        annotations: { readOnlyHint: true }
+    },
+    {
+        name: 'highlight_node',
+        description: 'Make a node glow for a while to draw the user\'s attention to it.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                id: NODE_ID,
+                duration: { ...DURATION, description: 'How long the highlight lasts in milliseconds (default 2000)' },
+                color: COLOR
+            },
+            required: ['id'],
+            additionalProperties: false
+        }
+    },
+    {
+        name: 'pulse_path',
+        description: 'Send a pulse through a sequence of nodes, one after another, e.g. to show how information flows.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                path: { type: 'array', items: NODE_ID, minItems: 1, maxItems: 20, description: 'Node IDs in order' },
+                color: COLOR,
+                intensity: { type: 'number', minimum: 0.1, maximum: 3, description: 'Pulse intensity (default 1)' }
+            },
+            required: ['path'],
+            additionalProperties: false
+        }
+    },
+    {
+        name: 'move_camera',
+        description: 'Move the camera: fly to a node or point, look at it, orbit around it, or reset the view.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                action: { type: 'string', enum: ['moveTo', 'lookAt', 'orbit', 'reset'], description: 'Camera move (default moveTo)' },
+                target: { anyOf: [NODE_ID, VECTOR], description: 'Node ID or [x, y, z] to frame, look at or orbit' },
+                position: { ...VECTOR, description: 'Camera position for moveTo' },
+                duration: DURATION
+            },
+            additionalProperties: false
+        }
+    },
+    {
+        name: 'create_node',
+        description: 'Add a node to the network. Primary nodes orbit the core; secondary nodes float near an existing node.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                name: { type: 'string', minLength: 1, maxLength: 40 },
+                kind: { type: 'string', enum: ['primary', 'secondary'], description: 'Node kind (default primary)' },
+                id: NODE_ID,
+                description: { type: 'string', maxLength: 500 },
+                color: COLOR,
+                position: VECTOR,
+                attachTo: { ...NODE_ID, description: 'Secondary nodes only: node to place and connect it next to' },
+                connectToCore: { type: 'boolean', description: 'Primary nodes only: connect to the core (default true)' }
+            },
+            required: ['name'],
+            additionalProperties: false
+        }
+    },
+    {
+        name: 'connect_nodes',
+        description: 'Connect two nodes.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                source: NODE_ID,
+                target: NODE_ID,
+                weight: { type: 'number', minimum: 0, maximum: 1, description: 'Connection weight (default 0.5)' },
+                directed: { type: 'boolean', description: 'Draw the connection as flowing from source to target' },
+                color: COLOR
+            },
+            required: ['source', 'target'],
+            additionalProperties: false
+        }
+    },
+    {
+        name: 'set_preset',
+        description: 'Switch the visual preset (colors, lighting and glow).',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                preset: { type: 'string', enum: VISUAL_PRESETS }
+            },
+            required: ['preset'],
+            additionalProperties: false
+        }
+    },
+    {
+        name: 'take_snapshot',
+        description: 'Capture the current scene state (nodes, connections, labels, selection, camera), optionally with a PNG image of the view.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                includeImage: { type: 'boolean', description: 'Also return a PNG of the 3D view (default false)' },
+                maxWidth: { type: 'integer', minimum: 64, maximum: 2048, description: 'Scale the image down to this width (default 800)' }
+            },
+            additionalProperties: false
+        },
+        annotations: { readOnlyHint: true }
+    }
+];
+
+export class SceneTools {
+    /**
+     * @param {EventBus} eventBus - Application event bus
+     * @param {NeuralScene} neuralScene - Scene the read-only tools inspect
+     */
+    constructor(eventBus, neuralScene) {
+        this.eventBus = eventBus;
+        this.neuralScene = neuralScene;
+        
+        // Longest a command may spend in the queue and running, counted from
+        // when the dispatcher queues it, so time spent waiting for the user's
+        // approval doesn't count (the command policy has its own timeout)
+        this.commandTimeout = 60000;
+        
+        this.handlers = {
+            list_nodes: this.listNodes,
+            get_node: this.getNode,
+            highlight_node: this.highlightNode,
+            pulse_path: this.pulsePath,
+            move_camera: this.moveCamera,
+            create_node: this.createNode,
+            connect_nodes: this.connectNodes,
+            set_preset: this.setPreset,
+            take_snapshot: this.takeSnapshot
+        };
+    }
+    
+    /**
+     * Tool definitions for tools/list
+     * @returns {Array<object>} Tools with name, description, inputSchema and annotations
+     */
+    listTools() {
+        return SCENE_TOOLS;
+    }
+    
+    /**
+     * Check whether a tool exists
+     * @param {string} name - Tool name
+     * @returns {boolean} True if the tool is defined
+     */
+    hasTool(name) {
+        return SCENE_TOOLS.some(tool => tool.name === name);
+    }
+    
+    /**
+     * Run a tool call
+     *
+     * Invalid arguments and failed scene operations are reported in the
+     * result with isError set, as MCP expects, so the agent can see and
+     * correct them; only an unknown tool name throws.
+     * @param {string} name - Tool name
+     * @param {object} [args] - Tool arguments
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the commands the call is still waiting on
+     * @returns {Promise<object>} MCP tool result ({ content, structuredContent, isError })
+     */
+    async callTool(name, args = {}, { signal } = {}) {
+        const tool = SCENE_TOOLS.find(candidate => candidate.name === name);
+        if (!tool) {
+            throw this.createError('unknown_tool', `Unknown tool: ${name}`);
+        }
+        
+        const errors = validateSchema(args ?? {}, tool.inputSchema, 'arguments');
+        if (errors.length > 0) {
+            return this.errorResult('invalid_params', `Invalid arguments for ${name}: ${errors.slice(0, 5).join('; ')}`);
+        }
+        
+        try {
+            const { result, content = [] } = await this.handlers[name].call(this, args ?? {}, { signal });
+            
+            this.eventBus.publish('mcp:toolCalled', { name, arguments: args, success: true });
+            
+            return {
+                content: [{ type: 'text', text: JSON.stringify(result) }, ...content],
+                structuredContent: result,
+                isError: false
+            };
+        } catch (error) {
+            this.eventBus.publish('mcp:toolCalled', { name, arguments: args, success: false, error: error.message });
+            return this.errorResult(error.code || 'execution_failed', error.message);
+        }
+    }
+    
+    /**
+     * list_nodes
+     */
+    listNodes({ type, group }) {
+        const nodes = Object.entries(this.neuralScene.getSceneSnapshot().nodes)
+            .filter(([, node]) => !type || node.type === NODE_TYPES[type])
+            .filter(([, node]) => !group || node.group === group)
+            .map(([id, node]) => ({
+                id,
+                name: node.name,
+                type: this.toKind(node.type),
+                group: node.group,
+                activity: node.activity
+            }));
+            
+        return { result: { nodes, count: nodes.length } };
+    }
+    
+    /**
+     * get_node
+     */
+    getNode({ id }) {
+        const node = this.neuralScene.getNodeDetails(id);
+        
+        if (!node) {
+            throw this.createError('unknown_target', `Unknown node: ${id}`);
+        }
+        
+        return { result: { ...node, type: this.toKind(node.type) } };
+    }
+    
+    /**
+     * highlight_node
+     */
+    async highlightNode({ id, duration = 2000, color }, { signal }) {
+        this.requireNode(id);
+        
+        await this.runCommand({ type: 'highlight', target: id, params: { duration, color } }, { signal });
+        
+        return { result: { highlighted: id, duration } };
+    }
+    
+    /**
+     * pulse_path
+     */
+    async pulsePath({ path, color, intensity }, { signal }) {
+        // Check the whole path first so a bad ID doesn't leave it half pulsed
+        path.forEach(id => this.requireNode(id));
+        
+        for (const id of path) {
+            await this.runCommand({ type: 'pulse', target: id, params: { color, intensity } }, { signal });
+        }
+        
+        return { result: { path, pulsed: path.length } };
+    }
+    
+    /**
+     * move_camera
+     */
+    async moveCamera({ action = 'moveTo', target, position, duration }, { signal }) {
+        if (action === 'moveTo' && target === undefined && position === undefined) {
+            throw this.createError('invalid_params', 'moveTo needs a target or a position');
+        }
+        if (action === 'lookAt' && target === undefined) {
+            throw this.createError('invalid_params', 'lookAt needs a target');
+        }
+        
+        const delta = await this.runCommand({ type: 'camera', action, params: { target, position, duration } }, { signal });
+        
+        return { result: { action, camera: delta.camera } };
+    }
+    
+    /**
+     * create_node
+     */
+    async createNode({ kind = 'primary', attachTo, connectToCore, ...params }, { signal }) {
+        if (kind === 'primary' && attachTo !== undefined) {
+            throw this.createError('invalid_params', 'attachTo only applies to secondary nodes');
+        }
+        if (kind === 'secondary' && connectToCore !== undefined) {
+            throw this.createError('invalid_params', 'connectToCore only applies to primary nodes');
+        }
+        if (attachTo !== undefined) {
+            this.requireNode(attachTo);
+        }
+        
+        const delta = await this.runCommand({
+            type: 'create',
+            objectType: kind === 'secondary' ? 'secondaryNode' : 'primaryNode',
+            params: { ...params, attachTo, connectToCore }
+        }, { signal });
+        
+        return { result: { id: delta.id, type: kind, connections: delta.connections || [] } };
+    }
+    
+    /**
+     * connect_nodes
+     */
+    async connectNodes({ source, target, weight, directed, color }, { signal }) {
+        const delta = await this.runCommand({
+            type: 'create',
+            objectType: 'connection',
+            params: { source, target, weight, directed, color }
+        }, { signal });
+        
+        return { result: { id: delta.id, source, target } };
+    }
+    
+    /**
+     * set_preset
+     */
+    async setPreset({ preset }, { signal }) {
+        await this.runCommand({ type: 'preset', preset }, { signal });
+        
+        return { result: { preset } };
+    }
+    
+    /**
+     * take_snapshot
+     */
+    takeSnapshot({ includeImage = false, maxWidth = 800 }) {
+        const result = { state: this.neuralScene.getSceneSnapshot() };
+        const content = [];
+        
+        if (includeImage) {
+            const image = this.neuralScene.captureImage({ maxWidth });
+            result.image = { mimeType: image.mimeType, width: image.width, height: image.height };
+            content.push({ type: 'image', data: image.data, mimeType: image.mimeType });
+        }
+        
+        return { result, content };
+    }
+    
+    /**
+     * Run a scene command through the command dispatcher and wait for its result
+     * @param {object} command - Scene command
+     * @param {object} [options]
+     * @param {AbortSignal} [options.signal] - Takes the command back out of the
+     * queue (a command that has started runs to the end)
+     * @returns {Promise<object>} Scene delta reported for the command; a command
+     * still waiting after commandTimeout is taken out of the queue and fails
+     * with 'timeout', while one that has started is waited for
+     */
+    runCommand(command, { signal } = {}) {
+        const commandId = `tool-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        
+        if (signal?.aborted) {
+            return Promise.reject(this.createError('cancelled', 'The tool call was cancelled'));
+        }
+        
+        return new Promise((resolve, reject) => {
+            let timeoutId = null;
+            let timedOut = false;
+            
+            const finish = () => {
+                clearTimeout(timeoutId);
+                unsubscribe();
+                unsubscribeQueued();
+                signal?.removeEventListener('abort', onAbort);
+            };
+            
+            // The dispatcher answers with a 'cancelled' result if the command
+            // hadn't started yet
+            const onTimeout = () => {
+                timedOut = true;
+                this.eventBus.publish('mcp:cancelCommand', {
+                    commandId,
+                    reason: `The ${command.type} command did not run within ${this.commandTimeout / 1000} s`
+                });
+            };
+            
+            const unsubscribeQueued = this.eventBus.subscribe('mcp:commandQueued', (queued) => {
+                if (queued.commandId !== commandId) return;
+                
+                unsubscribeQueued();
+                timeoutId = setTimeout(onTimeout, this.commandTimeout);
+            });
+            
+            const onAbort = () => {
+                finish();
+                this.eventBus.publish('mcp:cancelCommand', { commandId, reason: 'The tool call was cancelled' });
+                reject(this.createError('cancelled', 'The tool call was cancelled'));
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+            
+            const unsubscribe = this.eventBus.subscribe('mcp:commandResult', (result) => {
+                if (result.commandId !== commandId) return;
+                
+                finish();
+                
+                if (result.success) {
+                    resolve(result.delta || {});
+                } else if (timedOut && result.error.code === 'cancelled') {
+                    reject(this.createError('timeout', result.error.message));
+                } else {
+                    reject(this.createError(result.error.code, result.error.message));
+                }
+            });
+            
+            this.eventBus.publish('mcp:command', {
+                source: 'tool',
+                commands: [{ ...command, id: commandId }]
+            });
+        });
+    }
+    
+    /**
+     * Fail unless a node with this ID is in the scene
+     * @param {string} id - Node ID
+     */
+    requireNode(id) {
+        if (!this.neuralScene.getSceneSnapshot().nodes[id]) {
+            throw this.createError('unknown_target', `Unknown node: ${id}`);
+        }
+    }
+    
+    /**
+     * Map a scene node type to the kind used by the tools
+     * @param {string} type - userData.type
+     * @returns {string} 'core', 'primary' or 'secondary'
+     */
+    toKind(type) {
+        return Object.keys(NODE_TYPES).find(kind => NODE_TYPES[kind] === type) || type;
+    }
+    
+    /**
+     * Build a tool result for a failed call
+     * @param {string} code - Machine readable error code
+     * @param {string} message - Human readable message
+     * @returns {object} MCP tool result with isError set
+     */
+    errorResult(code, message) {
+        return {
+            content: [{ type: 'text', text: message }],
+            structuredContent: { error: { code, message } },
+            isError: true
+        };
+    }
+    
+    /**
+     * Create an error with a machine readable code
+     * @param {string} code - Error code
+     * @param {string} message - Human readable message
+     * @returns {Error} Error with a code property
+     */
+    createError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+}
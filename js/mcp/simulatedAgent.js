@@ -0,0 +1,485 @@
+/**
+ * ORGANIX Neural Interface - Simulated Agent
+ * 
+ * A scripted, in-browser stand-in for Claude used in simulation mode. It
+ * answers chat messages from a rule script, shows the typing indicator while
+ * "thinking", and drives the scene through the same mcp:* events the real
+ * MCP client publishes, so the whole interface works offline.
+ * 
+ * Script format:
+ *   {
+ *     greeting: string,                      // System message shown on start
+ *     typing: { baseDelay, perCharacter, maxDelay, wordDelay },
+ *     rules: [{
+ *       id: string,
+ *       on: 'message' | 'focus',             // Trigger (default 'message')
+ *       keywords: [string],                  // Whole-word phrases, any may match
+ *       requiresNode: boolean,               // Only match if a node is named
+ *       defaultNode: string,                 // Node ID used if none is named
+ *       reply: string | [string],            // One is picked at random
+ *       commands: [object]                   // Scene commands (mcp:command format)
+ *     }],
+ *     fallback: string | [string]
+ *   }
+ * 
+ * Replies and command strings may use {node}, {nodeId}, {description},
+ * {activity} and {nodeCount}.
+ */
+
+import { DEFAULT_SIMULATION_SCRIPT } from './simulationScript.js';
+
+export class SimulatedAgent {
+    constructor(eventBus, script = DEFAULT_SIMULATION_SCRIPT) {
+        this.eventBus = eventBus;
+        this.script = this.validateScript(script);
+        
+        // Active while simulation mode is selected
+        this.active = false;
+        
+        // Nodes known from scene state updates, keyed by ID
+        this.nodes = {};
+        
+        // Replies are sent one after another; stopping bumps the generation
+        // so that replies still waiting are dropped
+        this.replyChain = Promise.resolve();
+        this.generation = 0;
+        this.pendingTimers = new Set();
+        
+        // Reply currently streaming into the chat
+        this.streamingMessage = null;
+        this.messageCounter = 0;
+        
+        this.messageHistory = [];
+        
+        // Register for events
+        this.eventBus.subscribe('scene:stateUpdate', this.handleSceneStateUpdate.bind(this));
+        this.eventBus.subscribe('simulation:loadScript', this.handleLoadScript.bind(this));
+        this.eventBus.subscribe('mcp:cancelRequests', this.cancelReplies.bind(this));
+        this.eventBus.subscribe('mcp:stopGeneration', this.stopGeneration.bind(this));
+        
+        console.log('Simulated Agent initialized');
+    }
+    
+    /**
+     * Start answering as the simulated agent
+     */
+    start() {
+        if (this.active) {
+            return;
+        }
+        
+        this.active = true;
+        
+        // Learn the current network before the first message arrives
+        this.eventBus.publish('scene:requestFullState');
+        
+        this.eventBus.publish('mcp:statusChange', { status: 'connected', simulated: true });
+        
+        if (this.script.greeting) {
+            this.eventBus.publish('mcp:message', {
+                role: 'system',
+                content: this.script.greeting,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+    
+    /**
+     * Stop answering and drop any replies still in progress
+     */
+    stop() {
+        if (!this.active) {
+            return;
+        }
+        
+        this.active = false;
+        this.cancelReplies();
+        
+        this.eventBus.publish('mcp:statusChange', { status: 'disconnected' });
+    }
+    
+    /**
+     * Drop every reply that hasn't been sent yet
+     */
+    cancelReplies() {
+        this.generation++;
+        
+        for (const timer of this.pendingTimers) {
+            clearTimeout(timer);
+        }
+        this.pendingTimers.clear();
+        this.replyChain = Promise.resolve();
+        
+        this.eventBus.publish('mcp:typingEnd');
+        
+        if (this.streamingMessage) {
+            this.finishStream('cancelled');
+        }
+    }
+    
+    /**
+     * Stop the reply being streamed, and any replies queued behind it
+     * @param {object} [options] - { messageIds }
+     */
+    stopGeneration({ messageIds } = {}) {
+        if (!this.streamingMessage) return;
+        if (messageIds && !messageIds.includes(this.streamingMessage.messageId)) return;
+        
+        this.cancelReplies();
+    }
+    
+    /**
+     * Answer a chat message from the user
+     * @param {string} content - Message text
+     */
+    sendMessage(content) {
+        if (!this.active || typeof content !== 'string' || content.trim() === '') {
+            return false;
+        }
+        
+        this.messageHistory.push({
+            role: 'user',
+            content,
+            timestamp: new Date().toISOString()
+        });
+        
+        const response = this.matchRule('message', content, null);
+        this.queueReply(response);
+        
+        return true;
+    }
+    
+    /**
+     * React to an interaction with a scene object
+     * @param {object} data - scene:objectInteraction payload
+     */
+    handleObjectInteraction(data) {
+        // Only a double-click focus is treated as a question about the object
+        if (!this.active || data.interaction !== 'focus') {
+            return;
+        }
+        
+        const node = this.nodes[data.id] || { name: data.name };
+        const response = this.matchRule('focus', '', {
+            id: data.id,
+            ...node,
+            description: data.description
+        });
+        
+        if (response) {
+            this.queueReply(response);
+        }
+    }
+    
+    /**
+     * Find the first rule matching a trigger
+     * @param {string} trigger - 'message' or 'focus'
+     * @param {string} text - Message text
+     * @param {object|null} subject - Node the trigger is about, if already known
+     * @returns {object|null} { reply, commands } with placeholders filled in
+     */
+    matchRule(trigger, text, subject) {
+        const normalized = ` ${text.toLowerCase().replace(/[^\p{L}\p{N}'\s-]+/gu, ' ').replace(/\s+/g, ' ')} `;
+        const mentioned = subject || this.findMentionedNode(normalized);
+        
+        for (const rule of this.script.rules) {
+            if ((rule.on || 'message') !== trigger) continue;
+            
+            if (rule.keywords && !rule.keywords.some(keyword => normalized.includes(` ${keyword.toLowerCase()} `))) {
+                continue;
+            }
+            
+            let node = mentioned;
+            if (!node && rule.defaultNode) {
+                node = this.nodes[rule.defaultNode] ? { id: rule.defaultNode, ...this.nodes[rule.defaultNode] } : null;
+            }
+            if (rule.requiresNode && !node) continue;
+            
+            const values = this.templateValues(node);
+            
+            // Commands aimed at {nodeId} need a node to aim at
+            const commands = (rule.commands || []).filter(command =>
+                node || !JSON.stringify(command).includes('{nodeId}'));
+            
+            return {
+                reply: this.fillTemplate(this.pick(rule.reply), values),
+                commands: this.fillTemplate(commands, values)
+            };
+        }
+        
+        if (trigger !== 'message') {
+            return null;
+        }
+        
+        return {
+            reply: this.fillTemplate(this.pick(this.script.fallback), this.templateValues(null)),
+            commands: []
+        };
+    }
+    
+    /**
+     * Find the node named in a message, preferring the longest match
+     * @param {string} normalized - Lower-cased message padded with spaces
+     * @returns {object|null} Node entry with its ID
+     */
+    findMentionedNode(normalized) {
+        let best = null;
+        let bestLength = 0;
+        
+        for (const [id, node] of Object.entries(this.nodes)) {
+            for (const candidate of [node.name, id]) {
+                if (!candidate) continue;
+                
+                const phrase = candidate.toLowerCase();
+                if (phrase.length > bestLength && normalized.includes(` ${phrase} `)) {
+                    best = { id, ...node };
+                    bestLength = phrase.length;
+                }
+            }
+        }
+        
+        return best;
+    }
+    
+    /**
+     * Placeholder values for a reply about a node
+     * @param {object|null} node - Node entry
+     * @returns {object} Placeholder values
+     */
+    templateValues(node) {
+        return {
+            node: node ? node.name || node.id : 'the network',
+            nodeId: node ? node.id : '',
+            description: node?.description || 'No description available for this node.',
+            activity: node && typeof node.activity === 'number' ? Math.round(node.activity * 100) : 0,
+            nodeCount: Object.keys(this.nodes).length
+        };
+    }
+    
+    /**
+     * Replace {placeholders} in a string, or in every string of an object
+     * @param {*} template - String, array or object
+     * @param {object} values - Placeholder values
+     * @returns {*} Copy with placeholders filled in
+     */
+    fillTemplate(template, values) {
+        if (typeof template === 'string') {
+            return template.replace(/\{(\w+)\}/g, (match, key) => key in values ? String(values[key]) : match);
+        }
+        if (Array.isArray(template)) {
+            return template.map(item => this.fillTemplate(item, values));
+        }
+        if (template && typeof template === 'object') {
+            return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, this.fillTemplate(value, values)]));
+        }
+        return template;
+    }
+    
+    /**
+     * Pick a random entry from a reply list
+     * @param {string|Array<string>} replies - Reply or replies
+     * @returns {string} Reply
+     */
+    pick(replies) {
+        if (!Array.isArray(replies)) {
+            return replies || '';
+        }
+        return replies[Math.floor(Math.random() * replies.length)] || '';
+    }
+    
+    /**
+     * Queue a reply behind any reply still being "typed"
+     * @param {object} response - { reply, commands }
+     */
+    queueReply(response) {
+        const generation = this.generation;
+        
+        this.replyChain = this.replyChain
+            .then(() => this.deliverReply(response, generation))
+            .catch(error => console.error('Simulated agent failed to reply:', error));
+    }
+    
+    /**
+     * Show the typing indicator, then stream the reply word by word
+     * 
+     * Commands are sent halfway through the reply, the way a real agent
+     * acts while it is still explaining.
+     * @param {object} response - { reply, commands }
+     * @param {number} generation - Generation the reply was queued in
+     */
+    async deliverReply(response, generation) {
+        if (generation !== this.generation) return;
+        
+        this.eventBus.publish('mcp:typingStart');
+        await this.wait(this.typingDelay(response.reply));
+        if (generation !== this.generation) return;
+        
+        const messageId = `sim-msg-${++this.messageCounter}`;
+        this.streamingMessage = { messageId, content: '' };
+        this.eventBus.publish('mcp:messageStart', {
+            messageId,
+            role: 'assistant',
+            timestamp: new Date().toISOString()
+        });
+        
+        const words = response.reply.match(/\S+\s*/g) || [];
+        const commandsAt = Math.floor(words.length / 2);
+        const { wordDelay = 40 } = this.script.typing || {};
+        
+        for (let i = 0; i < words.length; i++) {
+            if (i === commandsAt) {
+                this.sendCommands(response.commands);
+            }
+            
+            this.streamingMessage.content += words[i];
+            this.eventBus.publish('mcp:messageDelta', { messageId, delta: words[i] });
+            
+            await this.wait(wordDelay);
+            if (generation !== this.generation) return;
+        }
+        
+        if (words.length === 0) {
+            this.sendCommands(response.commands);
+        }
+        
+        this.finishStream('end_turn');
+    }
+    
+    /**
+     * Publish scene commands through the shared pipeline
+     * @param {Array<object>} commands - Scene commands
+     */
+    sendCommands(commands) {
+        if (commands.length > 0) {
+            this.eventBus.publish('mcp:command', {
+                source: 'simulation',
+                commands
+            });
+        }
+    }
+    
+    /**
+     * Close the streaming reply and record it
+     * @param {string} stopReason - 'end_turn' or 'cancelled'
+     */
+    finishStream(stopReason) {
+        const { messageId, content } = this.streamingMessage;
+        this.streamingMessage = null;
+        
+        const message = {
+            role: 'assistant',
+            content,
+            timestamp: new Date().toISOString()
+        };
+        this.messageHistory.push(message);
+        
+        this.eventBus.publish('mcp:messageStop', {
+            messageId,
+            content,
+            stopReason,
+            timestamp: message.timestamp
+        });
+    }
+    
+    /**
+     * How long to show the typing indicator for a reply
+     * @param {string} reply - Reply text
+     * @returns {number} Delay in milliseconds
+     */
+    typingDelay(reply) {
+        const { baseDelay = 600, perCharacter = 12, maxDelay = 2500 } = this.script.typing || {};
+        return Math.min(maxDelay, baseDelay + reply.length * perCharacter);
+    }
+    
+    /**
+     * Wait without blocking, cancelled timers are cleared by stop()
+     * @param {number} ms - Milliseconds to wait
+     */
+    wait(ms) {
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                this.pendingTimers.delete(timer);
+                resolve();
+            }, ms);
+            this.pendingTimers.add(timer);
+        });
+    }
+    
+    /**
+     * Keep the known node list in step with scene state updates
+     * @param {object} update - scene:stateUpdate payload
+     */
+    handleSceneStateUpdate(update) {
+        if (update.type === 'full') {
+            this.nodes = { ...update.state.nodes };
+            return;
+        }
+        
+        for (const [id, fields] of Object.entries(update.changes.nodes || {})) {
+            this.nodes[id] = { ...this.nodes[id], ...fields };
+        }
+        for (const id of update.removed.nodes || []) {
+            delete this.nodes[id];
+        }
+    }
+    
+    /**
+     * Replace the script, either inline or fetched from a URL
+     * @param {object} data - { script } or { url }
+     */
+    async handleLoadScript(data = {}) {
+        try {
+            let script = data.script;
+            
+            if (!script && data.url) {
+                const response = await fetch(data.url, { headers: { Accept: 'application/json' } });
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                script = await response.json();
+            }
+            
+            this.script = this.validateScript(script);
+            console.log(`Loaded simulation script: ${this.script.name || 'unnamed'}`);
+            
+            this.eventBus.publish('ui:notification', {
+                type: 'success',
+                message: `Simulation script loaded (${this.script.rules.length} rules)`,
+                duration: 3000
+            });
+        } catch (error) {
+            console.error('Failed to load simulation script:', error);
+            
+            this.eventBus.publish('ui:notification', {
+                type: 'error',
+                message: `Could not load simulation script: ${error.message}`,
+                duration: 5000
+            });
+        }
+    }
+    
+    /**
+     * Check the overall shape of a script
+     * @param {object} script - Script to check
+     * @returns {object} The script
+     */
+    validateScript(script) {
+        if (!script || typeof script !== 'object' || !Array.isArray(script.rules)) {
+            throw new Error('A simulation script needs a rules array');
+        }
+        
+        script.rules.forEach((rule, index) => {
+            if (!rule || typeof rule !== 'object') {
+                throw new Error(`rules[${index}] must be an object`);
+            }
+            if (rule.keywords !== undefined && !Array.isArray(rule.keywords)) {
+                throw new Error(`rules[${index}].keywords must be an array`);
+            }
+            if (rule.commands !== undefined && !Array.isArray(rule.commands)) {
+                throw new Error(`rules[${index}].commands must be an array`);
+            }
+        });
+        
+        return script;
+    }
+}
@@ -0,0 +1,105 @@
+/**
+ * ORGANIX Neural Interface - Default Simulation Script
+ * 
+ * Rules the simulated agent answers with in simulation mode. Rules are
+ * tried in order and the first match wins; see SimulatedAgent for the
+ * rule format and the placeholders available in replies and commands.
+ */
+
+export const DEFAULT_SIMULATION_SCRIPT = {
+    name: 'ORGANIX Demo',
+    greeting: 'Simulation mode: replies come from a local script, no API key needed. Type "help" to see what I can do.',
+    typing: {
+        baseDelay: 600,
+        perCharacter: 12,
+        maxDelay: 2500,
+        wordDelay: 40
+    },
+    rules: [
+        {
+            id: 'greeting',
+            keywords: ['hello', 'hi', 'hey', 'good morning', 'good evening'],
+            reply: [
+                'Hello! I\'m the simulated ORGANIX agent. Ask me to highlight, pulse or fly to any node.',
+                'Hi there. The network is running with {nodeCount} nodes - name one and I\'ll show it to you.'
+            ],
+            commands: [
+                { type: 'pulse', target: 'core', params: { intensity: 0.8 } }
+            ]
+        },
+        {
+            id: 'help',
+            keywords: ['help', 'what can you do', 'commands'],
+            reply: 'Try "highlight memory", "pulse reasoning", "fly to perception", "add a node to knowledge" or "show me the whole network". Double-click a node and I\'ll tell you about it.'
+        },
+        {
+            id: 'overview',
+            keywords: ['overview', 'whole network', 'zoom out', 'reset view', 'reset the view'],
+            reply: 'Here\'s the whole network: {nodeCount} nodes around the neural core.',
+            commands: [
+                { type: 'camera', action: 'reset' }
+            ]
+        },
+        {
+            id: 'create',
+            keywords: ['add', 'create', 'grow', 'new node'],
+            defaultNode: 'core',
+            reply: 'I\'ve grown a new concept attached to {node}.',
+            commands: [
+                { type: 'create', objectType: 'secondaryNode', params: { attachTo: '{nodeId}', name: '{node} idea' } },
+                { type: 'pulse', target: '{nodeId}', params: { intensity: 0.6 } }
+            ]
+        },
+        {
+            id: 'camera',
+            keywords: ['fly to', 'go to', 'zoom', 'look at', 'take me to', 'move to'],
+            requiresNode: true,
+            reply: 'Flying over to {node}.',
+            commands: [
+                { type: 'camera', action: 'moveTo', params: { target: '{nodeId}', duration: 2000 } },
+                { type: 'highlight', target: '{nodeId}', params: { duration: 2500 } }
+            ]
+        },
+        {
+            id: 'pulse',
+            keywords: ['pulse', 'activate', 'stimulate', 'fire', 'trigger'],
+            defaultNode: 'core',
+            reply: 'Sending a pulse through {node}.',
+            commands: [
+                { type: 'pulse', target: '{nodeId}', params: { intensity: 1.0 } }
+            ]
+        },
+        {
+            id: 'highlight',
+            keywords: ['highlight', 'show', 'where', 'find', 'point'],
+            requiresNode: true,
+            reply: 'That\'s {node}, highlighted for you.',
+            commands: [
+                { type: 'highlight', target: '{nodeId}', params: { duration: 3000 } }
+            ]
+        },
+        {
+            id: 'mention',
+            requiresNode: true,
+            reply: [
+                '{node} is one of the {nodeCount} nodes in this network. Its activity is at {activity}%.',
+                'Let me light up {node} so you can see where it sits.'
+            ],
+            commands: [
+                { type: 'highlight', target: '{nodeId}', params: { duration: 2000 } }
+            ]
+        },
+        {
+            id: 'focus',
+            on: 'focus',
+            reply: '{node}: {description}',
+            commands: [
+                { type: 'pulse', target: '{nodeId}', params: { intensity: 0.7 } }
+            ]
+        }
+    ],
+    fallback: [
+        'I\'m only a scripted stand-in, so I didn\'t catch that. Try "help" for things I understand.',
+        'Interesting question! Connect to a real Claude MCP server for a proper answer - here I can only move things around the network.'
+    ]
+};
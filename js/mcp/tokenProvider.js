@@ -0,0 +1,112 @@
+/**
+ * ORGANIX Neural Interface - Token Provider
+ * 
+ * Fetches short-lived MCP access tokens from a local token endpoint (for
+ * example a small service that exchanges a long-lived credential the
+ * browser never sees). The endpoint is POSTed { profileId, endpoint } and
+ * answers { token, expiresIn } (seconds) or { token, expiresAt } (ISO date);
+ * the OAuth-style access_token / expires_in names work too. Tokens are
+ * cached per profile and fetched again shortly before they expire.
+ */
+
+import { registerSecret, forgetSecret } from '../utils/redaction.js';
+
+export class TokenProvider {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.timeout=10000] - Milliseconds to wait for the token endpoint
+     * @param {number} [options.refreshMargin=30000] - Fetch a new token this long before expiry
+     */
+    constructor({ timeout = 10000, refreshMargin = 30000 } = {}) {
+        this.timeout = timeout;
+        this.refreshMargin = refreshMargin;
+        
+        // Cached tokens by profile ID: { token, expiresAt, tokenEndpoint }
+        this.tokens = new Map();
+    }
+    
+    /**
+     * Get a valid token for a profile
+     * @param {object} profile - Connection profile with a tokenEndpoint
+     * @returns {Promise<string>} Access token
+     */
+    async getToken(profile) {
+        const cached = this.tokens.get(profile.id);
+        
+        if (cached && cached.tokenEndpoint === profile.tokenEndpoint && cached.expiresAt - this.refreshMargin > Date.now()) {
+            return cached.token;
+        }
+        
+        this.invalidate(profile.id);
+        
+        const { token, expiresAt } = await this.fetchToken(profile);
+        this.tokens.set(profile.id, { token, expiresAt, tokenEndpoint: profile.tokenEndpoint });
+        
+        console.log(`Fetched MCP access token for "${profile.name}" (expires ${new Date(expiresAt).toISOString()})`);
+        return token;
+    }
+    
+    /**
+     * Drop a profile's cached token, e.g. after the server rejected it
+     * @param {string} id - Profile ID
+     */
+    invalidate(id) {
+        const cached = this.tokens.get(id);
+        
+        if (cached) {
+            forgetSecret(cached.token);
+            this.tokens.delete(id);
+        }
+    }
+    
+    /**
+     * Ask the token endpoint for a new token
+     * @param {object} profile - Connection profile
+     * @returns {Promise<object>} { token, expiresAt } with expiresAt in epoch milliseconds
+     */
+    async fetchToken(profile) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+        
+        let response;
+        try {
+            response = await fetch(profile.tokenEndpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ profileId: profile.id, endpoint: profile.endpoint }),
+                signal: controller.signal
+            });
+        } catch (error) {
+            throw new Error(error.name === 'AbortError'
+                ? `Token endpoint did not answer within ${this.timeout}ms`
+                : `Could not reach token endpoint: ${error.message}`);
+        } finally {
+            clearTimeout(timer);
+        }
+        
+        if (!response.ok) {
+            throw new Error(`Token endpoint answered ${response.status}`);
+        }
+        
+        let body;
+        try {
+            body = await response.json();
+        } catch (error) {
+            throw new Error('Token endpoint returned invalid JSON');
+        }
+        
+        const token = body.token ?? body.access_token;
+        if (typeof token !== 'string' || token === '') {
+            throw new Error('Token endpoint response has no token');
+        }
+        registerSecret(token);
+        
+        const expiresIn = body.expiresIn ?? body.expires_in;
+        let expiresAt = body.expiresAt ? Date.parse(body.expiresAt) : NaN;
+        if (Number.isNaN(expiresAt)) {
+            expiresAt = Date.now() + (typeof expiresIn === 'number' ? expiresIn * 1000 : 5 * 60 * 1000);
+        }
+        
+        return { token, expiresAt };
+    }
+}
@@ -0,0 +1,67 @@
+/**
+ * ORGANIX Neural Interface - Event Stream Reader
+ * 
+ * Reads a text/event-stream (Server-Sent Events) response body. The HTTP
+ * transports read streams from fetch() rather than EventSource: EventSource
+ * can't send headers such as Mcp-Session-Id, and it reconnects on its own,
+ * which would fight the client's ConnectionManager.
+ */
+
+/**
+ * Read events from a response body until it ends
+ * @param {ReadableStream<Uint8Array>} body - Response body
+ * @param {Function} onEvent - Called with { event, data, id } for every event
+ * @returns {Promise<void>} Resolves when the stream ends, rejects if reading fails
+ */
+export async function readEventStream(body, onEvent) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let event = { event: 'message', data: [], id: null };
+    
+    const dispatch = () => {
+        if (event.data.length > 0) {
+            onEvent({ event: event.event, data: event.data.join('\n'), id: event.id });
+        }
+        event = { event: 'message', data: [], id: null };
+    };
+    
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        
+        buffer += decoder.decode(value, { stream: true });
+        
+        let newline;
+        while ((newline = buffer.search(/\r\n|\r|\n/)) !== -1) {
+            // A trailing \r may be the first half of \r\n
+            if (newline === buffer.length - 1 && buffer[newline] === '\r') break;
+            
+            const line = buffer.slice(0, newline);
+            buffer = buffer.slice(newline + (buffer.startsWith('\r\n', newline) ? 2 : 1));
+            
+            if (line === '') {
+                dispatch();
+                continue;
+            }
+            if (line.startsWith(':')) {
+                // Comment, e.g. a keep-alive
+                continue;
+            }
+            
+            const colon = line.indexOf(':');
+            const field = colon === -1 ? line : line.slice(0, colon);
+            const text = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+            
+            if (field === 'event') {
+                event.event = text;
+            } else if (field === 'data') {
+                event.data.push(text);
+            } else if (field === 'id') {
+                event.id = text;
+            }
+        }
+    }
+    
+    // An event without its closing blank line was cut off and is dropped
+}
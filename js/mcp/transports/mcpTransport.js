@@ -0,0 +1,92 @@
+/**
+ * ORGANIX Neural Interface - MCP Transport
+ * 
+ * Base class for the ways OrganixMcpClient can reach a server. A transport
+ * carries JSON-RPC text in both directions and reports its lifecycle through
+ * WebSocket-style callbacks, so the client handles every transport alike:
+ *   onopen()                 messages can be sent
+ *   onmessage(text)          a JSON-RPC message arrived
+ *   onerror(error)           something went wrong (a close usually follows)
+ *   onclose({ code, reason }) the connection is gone; 1000 and 1001 mean on purpose
+ * Callbacks can be set to null to stop listening, e.g. before dropping a
+ * connection that stopped responding.
+ */
+
+export class McpTransport {
+    /**
+     * @param {string} endpoint - Server URL
+     */
+    constructor(endpoint) {
+        this.endpoint = endpoint;
+        this.type = 'abstract';
+        
+        this.onopen = null;
+        this.onmessage = null;
+        this.onerror = null;
+        this.onclose = null;
+        
+        // closing is set as soon as close() is called, closed once onclose has run
+        this.closing = false;
+        this.closed = false;
+    }
+    
+    /**
+     * Start connecting; onopen or onclose follows
+     */
+    open() {
+        throw new Error(`${this.constructor.name} does not implement open()`);
+    }
+    
+    /**
+     * Send a JSON-RPC message
+     * @param {string} text - Message text
+     * @returns {Promise<void>} Rejects if the message could not be handed to the server
+     */
+    async send(text) {
+        throw new Error(`${this.constructor.name} does not implement send()`);
+    }
+    
+    /**
+     * Close the connection; onclose follows
+     * @param {number} [code=1000] - Close code
+     * @param {string} [reason] - Close reason
+     */
+    close(code = 1000, reason = '') {
+        throw new Error(`${this.constructor.name} does not implement close()`);
+    }
+    
+    /**
+     * Report an error, then close with code 1006 as a dropped WebSocket would
+     * @param {string} message - What went wrong
+     */
+    fail(message) {
+        if (this.closing) return;
+        
+        this.emitError(new Error(message));
+        this.close(1006, message);
+    }
+    
+    emitOpen() {
+        if (!this.closing) {
+            this.onopen?.();
+        }
+    }
+    
+    emitMessage(text) {
+        if (!this.closing) {
+            this.onmessage?.(text);
+        }
+    }
+    
+    emitError(error) {
+        this.onerror?.(error);
+    }
+    
+    emitClose(code, reason) {
+        if (this.closed) return;
+        
+        this.closing = true;
+        this.closed = true;
+        this.onclose?.({ code, reason });
+    }
+}
@@ -0,0 +1,117 @@
+/**
+ * ORGANIX Neural Interface - SSE Transport
+ * 
+ * The MCP "HTTP with SSE" transport: the client opens an event stream with
+ * a GET to the endpoint, the server's first event ("endpoint") names the
+ * URL to POST messages to, and every message from the server arrives on the
+ * stream as a "message" event. POSTs are only acknowledged (202); their
+ * answers come back on the stream too.
+ */
+
+import { McpTransport } from './mcpTransport.js';
+import { readEventStream } from './eventStream.js';
+
+export class SseTransport extends McpTransport {
+    /**
+     * @param {string} endpoint - http:// or https:// URL of the event stream
+     */
+    constructor(endpoint) {
+        super(endpoint);
+        this.type = 'sse';
+        
+        // Where to POST messages, from the server's endpoint event
+        this.postUrl = null;
+        
+        this.controller = new AbortController();
+        
+        // POSTs go out one at a time so the server sees messages in order
+        this.sending = Promise.resolve();
+    }
+    
+    open() {
+        this.readEvents().catch(error => this.fail(`MCP event stream failed: ${error.message}`));
+    }
+    
+    send(text) {
+        const sent = this.sending.then(() => this.post(text));
+        this.sending = sent.catch(() => {});
+        return sent;
+    }
+    
+    /**
+     * POST one message
+     * @param {string} text - Message text
+     */
+    async post(text) {
+        if (this.closing || !this.postUrl) {
+            throw new Error('Transport is not open');
+        }
+        
+        let response;
+        try {
+            response = await fetch(this.postUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: text,
+                signal: this.controller.signal
+            });
+        } catch (error) {
+            this.fail(`Could not reach MCP endpoint: ${error.message}`);
+            throw error;
+        }
+        
+        response.body?.cancel().catch(() => {});
+        
+        if (response.status === 404) {
+            this.fail('MCP server ended the session');
+            throw new Error('MCP server ended the session');
+        }
+        if (!response.ok) {
+            throw new Error(`MCP endpoint answered ${response.status}`);
+        }
+    }
+    
+    close(code = 1000, reason = '') {
+        if (this.closing) return;
+        this.closing = true;
+        
+        this.controller.abort();
+        setTimeout(() => this.emitClose(code, reason), 0);
+    }
+    
+    /**
+     * Open the event stream and pass on its events until it ends
+     */
+    async readEvents() {
+        const response = await fetch(this.endpoint, {
+            method: 'GET',
+            headers: { Accept: 'text/event-stream' },
+            signal: this.controller.signal
+        });
+        
+        if (!response.ok) {
+            throw new Error(`answered ${response.status}`);
+        }
+        
+        await readEventStream(response.body, ({ event, data }) => {
+            if (event === 'endpoint') {
+                // Relative to the stream's URL, and on the same origin
+                const postUrl = new URL(data, this.endpoint);
+                if (postUrl.origin !== new URL(this.endpoint).origin) {
+                    this.fail(`MCP server named a message endpoint on another origin: ${postUrl.origin}`);
+                    return;
+                }
+                
+                const first = !this.postUrl;
+                this.postUrl = postUrl.href;
+                if (first) {
+                    this.emitOpen();
+                }
+            } else if (event === 'message') {
+                this.emitMessage(data);
+            }
+        });
+        
+        this.fail('MCP event stream closed');
+    }
+}
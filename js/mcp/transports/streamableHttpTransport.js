@@ -0,0 +1,165 @@
+/**
+ * ORGANIX Neural Interface - Streamable HTTP Transport
+ * 
+ * The MCP "streamable HTTP" transport: every message the client sends is
+ * POSTed to the endpoint. The server answers a request with JSON or with an
+ * event stream carrying the response, and other messages with 202 Accepted.
+ * The Mcp-Session-Id the server hands out on the first response is sent with
+ * every later request, and a GET event stream opened with it carries the
+ * server's own requests and notifications. A server without that stream
+ * (405) can only answer; a 404 means it has forgotten the session, and a
+ * DELETE ends the session when the client closes.
+ */
+
+import { McpTransport } from './mcpTransport.js';
+import { readEventStream } from './eventStream.js';
+
+export class StreamableHttpTransport extends McpTransport {
+    /**
+     * @param {string} endpoint - http:// or https:// URL
+     */
+    constructor(endpoint) {
+        super(endpoint);
+        this.type = 'http';
+        this.sessionId = null;
+        
+        // Aborts every request and stream in flight when the transport closes
+        this.controller = new AbortController();
+        
+        // POSTs go out one at a time so the server sees messages in order
+        this.sending = Promise.resolve();
+    }
+    
+    open() {
+        // Nothing to connect to before the first POST
+        setTimeout(() => this.emitOpen(), 0);
+    }
+    
+    send(text) {
+        const sent = this.sending.then(() => this.post(text));
+        this.sending = sent.catch(() => {});
+        return sent;
+    }
+    
+    /**
+     * POST one message
+     * @param {string} text - Message text
+     */
+    async post(text) {
+        if (this.closing) {
+            throw new Error('Transport is closed');
+        }
+        
+        let response;
+        try {
+            response = await fetch(this.endpoint, {
+                method: 'POST',
+                headers: this.headers({
+                    'Content-Type': 'application/json',
+                    Accept: 'application/json, text/event-stream'
+                }),
+                body: text,
+                signal: this.controller.signal
+            });
+        } catch (error) {
+            this.fail(`Could not reach MCP endpoint: ${error.message}`);
+            throw error;
+        }
+        
+        if (response.status === 404 && this.sessionId) {
+            this.fail('MCP server ended the session');
+            throw new Error('MCP server ended the session');
+        }
+        if (!response.ok) {
+            response.body?.cancel().catch(() => {});
+            throw new Error(`MCP endpoint answered ${response.status}`);
+        }
+        
+        const sessionId = response.headers.get('Mcp-Session-Id');
+        if (sessionId && !this.sessionId) {
+            this.sessionId = sessionId;
+            this.openEventStream();
+        }
+        
+        const contentType = response.headers.get('Content-Type') || '';
+        
+        if (contentType.includes('text/event-stream')) {
+            // The response (and anything the server sends first) arrives on the
+            // stream; the message itself has been delivered
+            this.readStream(response.body).catch(() => {});
+        } else if (contentType.includes('application/json')) {
+            this.emitMessage(await response.text());
+        } else {
+            response.body?.cancel().catch(() => {});
+        }
+    }
+    
+    close(code = 1000, reason = '') {
+        if (this.closing) return;
+        this.closing = true;
+        
+        this.controller.abort();
+        
+        if (this.sessionId) {
+            fetch(this.endpoint, { method: 'DELETE', headers: this.headers() }).catch(() => {});
+        }
+        
+        setTimeout(() => this.emitClose(code, reason), 0);
+    }
+    
+    /**
+     * Open the GET stream for messages the server sends on its own
+     */
+    async openEventStream() {
+        let response;
+        try {
+            response = await fetch(this.endpoint, {
+                method: 'GET',
+                headers: this.headers({ Accept: 'text/event-stream' }),
+                signal: this.controller.signal
+            });
+        } catch (error) {
+            this.fail(`Could not open the MCP event stream: ${error.message}`);
+            return;
+        }
+        
+        if (response.status === 405) {
+            console.warn('MCP server has no event stream; only responses will be received');
+            return;
+        }
+        if (!response.ok) {
+            this.fail(`MCP event stream answered ${response.status}`);
+            return;
+        }
+        
+        try {
+            await this.readStream(response.body);
+        } catch (error) {
+            this.fail(`MCP event stream failed: ${error.message}`);
+            return;
+        }
+        
+        this.fail('MCP event stream closed');
+    }
+    
+    /**
+     * Pass on the messages in an event stream
+     * @param {ReadableStream} body - Response body
+     */
+    readStream(body) {
+        return readEventStream(body, ({ event, data }) => {
+            if (event === 'message') {
+                this.emitMessage(data);
+            }
+        });
+    }
+    
+    /**
+     * Request headers, with the session ID once there is one
+     * @param {object} [headers] - Other headers
+     * @returns {object} Headers
+     */
+    headers(headers = {}) {
+        return this.sessionId ? { ...headers, 'Mcp-Session-Id': this.sessionId } : headers;
+    }
+}
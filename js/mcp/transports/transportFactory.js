@@ -0,0 +1,90 @@
+/**
+ * ORGANIX Neural Interface - Transport Factory
+ * 
+ * Picks and creates the transport for an MCP endpoint. Profiles choose a
+ * transport type or leave it on 'auto', which goes by the URL:
+ *   ws://, wss://                    websocket
+ *   http(s):// with a path ending /sse  sse
+ *   any other http(s)://             http (streamable HTTP)
+ * Further transports can be added with registerTransport().
+ */
+
+import { WebSocketTransport } from './webSocketTransport.js';
+import { SseTransport } from './sseTransport.js';
+import { StreamableHttpTransport } from './streamableHttpTransport.js';
+
+// Transport classes by type, with the URL schemes each one can reach
+const transports = new Map([
+    ['websocket', { Transport: WebSocketTransport, protocols: ['ws:', 'wss:'], label: 'WebSocket' }],
+    ['sse', { Transport: SseTransport, protocols: ['http:', 'https:'], label: 'SSE + POST' }],
+    ['http', { Transport: StreamableHttpTransport, protocols: ['http:', 'https:'], label: 'Streamable HTTP' }]
+]);
+
+/**
+ * Transport types a profile can choose, 'auto' first
+ * @returns {Array<string>}
+ */
+export function getTransportTypes() {
+    return ['auto', ...transports.keys()];
+}
+
+/**
+ * Make another transport available
+ * @param {string} type - Transport type, e.g. 'webtransport'
+ * @param {Function} Transport - McpTransport subclass taking the endpoint URL
+ * @param {object} options
+ * @param {Array<string>} options.protocols - URL schemes it handles, e.g. ['https:']
+ * @param {string} [options.label] - Name shown to the user
+ */
+export function registerTransport(type, Transport, { protocols, label = type }) {
+    if (type === 'auto') {
+        throw new Error('"auto" cannot be used as a transport type');
+    }
+    
+    transports.set(type, { Transport, protocols, label });
+}
+
+/**
+ * Work out which transport to use for an endpoint
+ * @param {string} endpoint - Server URL
+ * @param {string} [type='auto'] - Requested transport type
+ * @returns {string} Transport type
+ * @throws {Error} If the URL is invalid or the transport can't reach it
+ */
+export function resolveTransportType(endpoint, type = 'auto') {
+    let url;
+    try {
+        url = new URL(endpoint);
+    } catch (error) {
+        throw new Error(`Invalid endpoint URL: ${endpoint}`);
+    }
+    
+    if (type === 'auto') {
+        if (url.protocol === 'ws:' || url.protocol === 'wss:') return 'websocket';
+        if (url.protocol === 'http:' || url.protocol === 'https:') {
+            return /\/sse\/?$/.test(url.pathname) ? 'sse' : 'http';
+        }
+        throw new Error('Endpoint URL must start with ws://, wss://, http:// or https://');
+    }
+    
+    const transport = transports.get(type);
+    if (!transport) {
+        throw new Error(`Unknown MCP transport: ${type}`);
+    }
+    if (!transport.protocols.includes(url.protocol)) {
+        throw new Error(`${transport.label} endpoints must start with ${transport.protocols.map(protocol => `${protocol}//`).join(' or ')}`);
+    }
+    
+    return type;
+}
+
+/**
+ * Create the transport for an endpoint
+ * @param {string} endpoint - Server URL
+ * @param {string} [type='auto'] - Requested transport type
+ * @returns {McpTransport} Transport, not yet opened
+ */
+export function createTransport(endpoint, type = 'auto') {
+    const { Transport } = transports.get(resolveTransportType(endpoint, type));
+    return new Transport(endpoint);
+}
@@ -0,0 +1,48 @@
+/**
+ * ORGANIX Neural Interface - WebSocket Transport
+ * 
+ * One JSON-RPC message per WebSocket text frame, for ws:// and wss://
+ * endpoints.
+ */
+
+import { McpTransport } from './mcpTransport.js';
+
+export class WebSocketTransport extends McpTransport {
+    /**
+     * @param {string} endpoint - ws:// or wss:// URL
+     */
+    constructor(endpoint) {
+        super(endpoint);
+        this.type = 'websocket';
+        this.socket = null;
+    }
+    
+    open() {
+        this.socket = new WebSocket(this.endpoint);
+        
+        this.socket.onopen = () => this.emitOpen();
+        this.socket.onmessage = (event) => this.emitMessage(event.data);
+        this.socket.onerror = (event) => this.emitError(event);
+        this.socket.onclose = (event) => this.emitClose(event.code, event.reason);
+    }
+    
+    async send(text) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
+            throw new Error('WebSocket is not open');
+        }
+        
+        this.socket.send(text);
+    }
+    
+    close(code = 1000, reason = '') {
+        if (this.closing) return;
+        this.closing = true;
+        
+        // The socket reports the close once the handshake is done
+        try {
+            this.socket.close(code === 1006 ? 4000 : code, reason);
+        } catch (error) {
+            this.emitClose(code, reason);
+        }
+    }
+}
@@ -13,6 +13,9 @@ import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js'
 import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
 import { FXAAShader } from 'three/addons/shaders/FXAAShader.js';
 import { CSS2DRenderer, CSS2DObject } from 'three/addons/renderers/CSS2DRenderer.js';
+import { TopologyLoader } from './topology/topologyLoader.js';
+import { DEFAULT_TOPOLOGY } from './topology/defaultTopology.js';
+import { SceneStateTracker } from './utils/sceneStateTracker.js';
 
 export class NeuralScene {
     constructor(containerSelector, eventBus) {
@@ -34,12 +37,18 @@ export class NeuralScene {
         // Interactive objects
         this.interactiveObjects = [];
         this.hoveredObject = null;
-        this.selectedObject = null;
+        this.selectedObject = null; // Most recently selected object
+        this.selectedObjects = new Set(); // All selected objects (multi-select)
+        this.pointerDownPosition = null;
+        this.activeFocus = null; // { object, tracker } while in focus mode
         
         // Neural network elements
         this.neuralNodes = [];
         this.connections = [];
         this.neuralCore = null;
+        this.objectRegistry = new Map(); // Object ID -> scene object
+        this.topologyLoader = new TopologyLoader();
+        this.topology = null; // Currently displayed topology (normalized)
         
         // Animation properties
         this.time = 0;
@@ -47,6 +56,23 @@ export class NeuralScene {
         this.clock = new THREE.Clock();
         this.animationObjects = [];
         
+        // Scene command execution
+        this.activeCameraAnimation = null;
+        this.activeHighlights = new Map();
+        
+        // Neural activity tracking (reported to analytics)
+        this.processingCycles = 0;
+        this.activityDecayRate = 0.4; // Fraction of excess activity lost per second
+        this.connectionDecayRate = 0.05; // Rate at which reinforced connections relax to their weight
+        
+        // Scene state updates (scene:stateUpdate)
+        this.stateTracker = new SceneStateTracker();
+        this.stateUpdateInterval = 1000; // Minimum time between updates in milliseconds
+        this.stateRefreshInterval = 5000; // Check for gradual changes (activity decay) this often
+        this.stateUpdateTimer = null;
+        this.stateRefreshTimer = null;
+        this.lastStatePublishTime = 0;
+        
         // Mouse interaction
         this.mouse = new THREE.Vector2();
         this.raycaster = new THREE.Raycaster();
@@ -82,6 +108,9 @@ export class NeuralScene {
         // Setup event listeners
         this.setupEventListeners();
         
+        // Pick up gradual changes that no event reports
+        this.stateRefreshTimer = setInterval(() => this.markStateDirty(), this.stateRefreshInterval);
+        
         // Mark as initialized
         this.initialized = true;
         
@@ -147,6 +176,10 @@ export class NeuralScene {
         this.controls.maxDistance = 30;
         this.controls.maxPolarAngle = Math.PI * 0.85;
         this.controls.target.set(0, 0, 0);
+        
+        // Manual camera input takes precedence over scripted camera moves
+        this.controls.addEventListener('start', () => this.interruptCameraAnimation());
+        this.controls.addEventListener('change', () => this.markStateDirty());
     }
     
     /**
@@ -217,14 +250,8 @@ export class NeuralScene {
         // Create the neural core
         await this.createNeuralCore();
         
-        // Create primary neural nodes
-        await this.createPrimaryNodes();
-        
-        // Create connections between nodes
-        this.createConnections();
-        
-        // Create secondary nodes
-        await this.createSecondaryNodes();
+        // Create nodes and connections from the default topology
+        await this.buildTopology(this.topologyLoader.normalize(DEFAULT_TOPOLOGY));
     }
     
     /**
@@ -297,7 +324,20 @@ export class NeuralScene {
         this.neuralCore = new THREE.Mesh(coreGeometry, coreMaterial);
         this.neuralCore.castShadow = true;
         this.neuralCore.position.set(0, 0, 0);
+        
+        // Give the core an id so commands can target it
+        this.neuralCore.userData = {
+            id: 'core',
+            name: 'Neural Core',
+            type: 'neuralCore',
+            description: 'Central hub that coordinates all neural activity',
+            color: 0x4a66ff,
+            isInteractive: false,
+            activity: 0.3,
+            restingActivity: 0.3
+        };
         this.scene.add(this.neuralCore);
+        this.registerObject(this.neuralCore);
         
         // Create rotating ring
         const ringGeometry = new THREE.TorusGeometry(2.2, 0.1, 16, 100);
@@ -348,51 +388,17 @@ export class NeuralScene {
         });
     }
     
-    /**
-     * Create primary neural nodes
-     */
-    async createPrimaryNodes() {
-        // Define node types and positions
-        const primaryNodes = [
-            { 
-                id: 'memory', 
-                name: 'Memory',
-                position: new THREE.Vector3(8, 0, 0),
-                color: 0x4a86e8,
-                description: 'Stores and retrieves past interactions and knowledge'
-            },
-            { 
-                id: 'perception', 
-                name: 'Perception',
-                position: new THREE.Vector3(-8, 0, 0),
-                color: 0xf06292,
-                description: 'Processes and interprets input information'
-            },
-            { 
-                id: 'reasoning', 
-                name: 'Reasoning',
-                position: new THREE.Vector3(0, 0, 8),
-                color: 0x26a69a,
-                description: 'Analyzes information and makes logical deductions'
-            },
-            { 
-                id: 'knowledge', 
-                name: 'Knowledge',
-                position: new THREE.Vector3(0, 0, -8),
-                color: 0xffb74d,
-                description: 'Represents factual information and concepts'
-            }
-        ];
-        
-        // Create each node
-        for (const nodeData of primaryNodes) {
-            const node = await this.createNeuralNode(nodeData);
-            this.neuralNodes.push(node);
-        }
-    }
-    
     /**
      * Create a neural node
+     * @param {object} nodeData - Node definition
+     * @param {string} nodeData.id - Unique node ID
+     * @param {string} nodeData.name - Display name
+     * @param {THREE.Vector3} nodeData.position - Starting position (the node orbits the core from here)
+     * @param {number|string} nodeData.color - Node color
+     * @param {string} [nodeData.description] - Description shown in the context panel
+     * @param {string} [nodeData.group] - Group the node belongs to
+     * @param {number} [nodeData.orbitSpeed] - Orbit speed in radians per second
+     * @returns {THREE.Mesh} Node mesh
      */
     async createNeuralNode(nodeData) {
         // Create node geometry and material
@@ -410,6 +416,13 @@ export class NeuralScene {
         nodeMesh.position.copy(nodeData.position);
         nodeMesh.castShadow = true;
         
+        // Orbit speed (the built-in nodes each orbit at a slightly different pace)
+        const orbitSpeed = nodeData.orbitSpeed !== undefined ? nodeData.orbitSpeed :
+            0.1 + (nodeData.id === 'memory' ? 0.02 : 0) +
+                  (nodeData.id === 'perception' ? 0.04 : 0) +
+                  (nodeData.id === 'reasoning' ? 0.01 : 0) +
+                  (nodeData.id === 'knowledge' ? 0.03 : 0);
+        
         // Set user data
         nodeMesh.userData = {
             id: nodeData.id,
@@ -417,54 +430,42 @@ export class NeuralScene {
             type: 'neuralNode',
             description: nodeData.description,
             color: nodeData.color,
-            isInteractive: true
+            group: nodeData.group || null,
+            isInteractive: true,
+            homePosition: nodeData.position.clone(),
+            orbitSpeed,
+            activity: 0.2,
+            restingActivity: 0.2
         };
         
         // Add to scene
         this.scene.add(nodeMesh);
         
         // Create label
-        const labelDiv = document.createElement('div');
-        labelDiv.className = 'interaction-label';
-        labelDiv.textContent = nodeData.name;
-        labelDiv.style.color = '#ffffff';
-        labelDiv.style.padding = '5px 12px';
-        labelDiv.style.background = 'rgba(0, 0, 0, 0.7)';
-        labelDiv.style.borderRadius = '4px';
-        labelDiv.style.fontSize = '14px';
-        labelDiv.style.opacity = '0';
-        labelDiv.style.transition = 'opacity 0.3s ease';
-        
-        const label = new CSS2DObject(labelDiv);
-        label.position.set(0, 1.5, 0);
-        nodeMesh.add(label);
+        nodeMesh.add(this.createNodeLabel(nodeData.name, 1.5));
         
         // Add to interactive objects
         this.interactiveObjects.push(nodeMesh);
+        this.registerObject(nodeMesh);
         
         // Add node animation
         this.animationObjects.push({
             object: nodeMesh,
             update: (time, deltaTime) => {
                 // Orbit around the core
-                const orbitSpeed = 0.1 + (nodeData.id === 'memory' ? 0.02 : 0) +
-                                         (nodeData.id === 'perception' ? 0.04 : 0) +
-                                         (nodeData.id === 'reasoning' ? 0.01 : 0) +
-                                         (nodeData.id === 'knowledge' ? 0.03 : 0);
-                
-                const orbitRadius = nodeMesh.position.length();
-                const angle = time * orbitSpeed;
+                const angle = time * nodeMesh.userData.orbitSpeed;
                 
                 // Get the original node position (start position)
-                const originalX = nodeData.position.x;
-                const originalZ = nodeData.position.z;
+                const originalX = nodeMesh.userData.homePosition.x;
+                const originalZ = nodeMesh.userData.homePosition.z;
                 
                 // Calculate orbit position
                 nodeMesh.position.x = Math.cos(angle) * originalX - Math.sin(angle) * originalZ;
                 nodeMesh.position.z = Math.sin(angle) * originalX + Math.cos(angle) * originalZ;
                 
                 // Small vertical bobbing
-                nodeMesh.position.y = Math.sin(time * 0.5 + (nodeData.id === 'memory' ? 0 : Math.PI/2)) * 0.5;
+                nodeMesh.position.y = nodeMesh.userData.homePosition.y +
+                    Math.sin(time * 0.5 + (nodeData.id === 'memory' ? 0 : Math.PI/2)) * 0.5;
                 
                 // Rotate the node
                 nodeMesh.rotation.y = time * 0.5;
@@ -475,84 +476,27 @@ export class NeuralScene {
     }
     
     /**
-     * Create connections between nodes
+     * Create the hover label shown above a node
+     * @param {string} text - Label text
+     * @param {number} offset - Height above the node's center
+     * @returns {CSS2DObject} Label object
      */
-    createConnections() {
-        // Connect neural core to all primary nodes
-        for (const node of this.neuralNodes) {
-            const connection = this.createConnection(
-                this.neuralCore.position,
-                node.position,
-                new THREE.Color(node.userData.color)
-            );
-            this.connections.push(connection);
-            
-            // Add connection to animation objects
-            this.animationObjects.push({
-                object: connection,
-                update: (time, deltaTime) => {
-                    // Update start position
-                    connection.geometry.attributes.position.array[0] = this.neuralCore.position.x;
-                    connection.geometry.attributes.position.array[1] = this.neuralCore.position.y;
-                    connection.geometry.attributes.position.array[2] = this.neuralCore.position.z;
-                    
-                    // Update end position
-                    connection.geometry.attributes.position.array[3] = node.position.x;
-                    connection.geometry.attributes.position.array[4] = node.position.y;
-                    connection.geometry.attributes.position.array[5] = node.position.z;
-                    
-                    // Mark attributes as needing update
-                    connection.geometry.attributes.position.needsUpdate = true;
-                    
-                    // Animate opacity
-                    connection.material.opacity = 0.3 + Math.sin(time * 3 + (node.userData.id === 'memory' ? 0 : Math.PI/4)) * 0.2;
-                }
-            });
-        }
+    createNodeLabel(text, offset) {
+        const labelDiv = document.createElement('div');
+        labelDiv.className = 'interaction-label';
+        labelDiv.textContent = text;
+        labelDiv.style.color = '#ffffff';
+        labelDiv.style.padding = '5px 12px';
+        labelDiv.style.background = 'rgba(0, 0, 0, 0.7)';
+        labelDiv.style.borderRadius = '4px';
+        labelDiv.style.fontSize = '14px';
+        labelDiv.style.opacity = '0';
+        labelDiv.style.transition = 'opacity 0.3s ease';
         
-        // Connect some primary nodes to each other
-        const nodePairs = [
-            ['memory', 'knowledge'],
-            ['memory', 'reasoning'],
-            ['perception', 'reasoning'],
-            ['perception', 'knowledge']
-        ];
+        const label = new CSS2DObject(labelDiv);
+        label.position.set(0, offset, 0);
         
-        for (const [nodeId1, nodeId2] of nodePairs) {
-            const node1 = this.neuralNodes.find(node => node.userData.id === nodeId1);
-            const node2 = this.neuralNodes.find(node => node.userData.id === nodeId2);
-            
-            if (node1 && node2) {
-                const connection = this.createConnection(
-                    node1.position,
-                    node2.position,
-                    new THREE.Color(0xaaaaff)
-                );
-                this.connections.push(connection);
-                
-                // Add connection to animation objects
-                this.animationObjects.push({
-                    object: connection,
-                    update: (time, deltaTime) => {
-                        // Update start position
-                        connection.geometry.attributes.position.array[0] = node1.position.x;
-                        connection.geometry.attributes.position.array[1] = node1.position.y;
-                        connection.geometry.attributes.position.array[2] = node1.position.z;
-                        
-                        // Update end position
-                        connection.geometry.attributes.position.array[3] = node2.position.x;
-                        connection.geometry.attributes.position.array[4] = node2.position.y;
-                        connection.geometry.attributes.position.array[5] = node2.position.z;
-                        
-                        // Mark attributes as needing update
-                        connection.geometry.attributes.position.needsUpdate = true;
-                        
-                        // Animate opacity
-                        connection.material.opacity = 0.15 + Math.sin(time * 2 + Math.PI/3) * 0.1;
-                    }
-                });
-            }
-        }
+        return label;
     }
     
     /**
@@ -585,14 +529,84 @@ export class NeuralScene {
     }
     
     /**
-     * Create secondary neural nodes (smaller nodes)
+     * Create a connection that follows two scene objects as they move
+     * @param {THREE.Object3D} source - Start object
+     * @param {THREE.Object3D} target - End object
+     * @param {object} [options] - Connection options
+     * @param {string} [options.id] - Connection ID (defaults to "<source>-<target>")
+     * @param {number|string} [options.color=0xaaaaff] - Line color
+     * @param {number} [options.weight=0.5] - Connection weight (0-1)
+     * @param {boolean} [options.directed=false] - Whether information flows one way only
+     * @param {number} [options.opacity] - Base opacity (defaults from weight)
+     * @param {number} [options.opacityVariation] - Opacity pulse amplitude
+     * @param {number} [options.pulseSpeed=2] - Opacity pulse speed
+     * @param {number} [options.pulsePhase=0] - Opacity pulse phase offset
+     * @returns {THREE.Line} Connection line
+     */
+    connectObjects(source, target, options = {}) {
+        const weight = options.weight !== undefined ? options.weight : 0.5;
+        const baseOpacity = options.opacity !== undefined ? options.opacity : 0.1 + weight * 0.3;
+        const opacityVariation = options.opacityVariation !== undefined ? options.opacityVariation : baseOpacity * 0.5;
+        const pulseSpeed = options.pulseSpeed !== undefined ? options.pulseSpeed : 2;
+        const pulsePhase = options.pulsePhase || 0;
+        const color = options.color !== undefined ? options.color : 0xaaaaff;
+        
+        const connection = this.createConnection(source.position, target.position, new THREE.Color(color));
+        connection.material.opacity = baseOpacity;
+        
+        connection.userData = {
+            id: options.id || this.generateObjectId(`${source.userData.id}-${target.userData.id}`),
+            type: 'connection',
+            sourceId: source.userData.id,
+            targetId: target.userData.id,
+            color,
+            weight,
+            directed: !!options.directed,
+            baseOpacity,
+            strength: weight,
+            isInteractive: false
+        };
+        
+        this.connections.push(connection);
+        this.registerObject(connection);
+        
+        // Add connection to animation objects
+        this.animationObjects.push({
+            object: connection,
+            update: (time, deltaTime) => {
+                const positionArray = connection.geometry.attributes.position.array;
+                
+                // Update start position
+                positionArray[0] = source.position.x;
+                positionArray[1] = source.position.y;
+                positionArray[2] = source.position.z;
+                
+                // Update end position
+                positionArray[3] = target.position.x;
+                positionArray[4] = target.position.y;
+                positionArray[5] = target.position.z;
+                
+                // Mark attributes as needing update
+                connection.geometry.attributes.position.needsUpdate = true;
+                
+                // Animate opacity
+                connection.material.opacity = connection.userData.baseOpacity +
+                    Math.sin(time * pulseSpeed + pulsePhase) * opacityVariation;
+            }
+        });
+        
+        return connection;
+    }
+    
+    /**
+     * Scatter small decorative nodes around the network
+     * @param {number} count - Number of nodes
      */
-    async createSecondaryNodes() {
-        const numSecondaryNodes = 30;
+    createAmbientNodes(count) {
         const maxDistance = 15;
         const minDistance = 5;
         
-        for (let i = 0; i < numSecondaryNodes; i++) {
+        for (let i = 0; i < count; i++) {
             // Generate random position
             const theta = Math.random() * Math.PI * 2;
             const phi = Math.random() * Math.PI * 2;
@@ -602,93 +616,163 @@ export class NeuralScene {
             const y = (Math.random() * 4) - 2; // Between -2 and 2
             const z = radius * Math.sin(phi) * Math.sin(theta);
             
-            // Create small node
-            const nodeGeometry = new THREE.SphereGeometry(0.2 + Math.random() * 0.2, 16, 16);
-            
             // Choose a color based on proximity to primary nodes
-            let closestDistance = Infinity;
-            let closestNode = null;
-            
-            for (const node of this.neuralNodes) {
-                const distance = Math.sqrt(
-                    Math.pow(x - node.position.x, 2) +
-                    Math.pow(y - node.position.y, 2) +
-                    Math.pow(z - node.position.z, 2)
-                );
-                
-                if (distance < closestDistance) {
-                    closestDistance = distance;
-                    closestNode = node;
-                }
-            }
-            
+            const closestNode = this.findClosestPrimaryNode(new THREE.Vector3(x, y, z));
             const color = closestNode ? closestNode.userData.color : 0xaaaaff;
             
-            const nodeMaterial = new THREE.MeshStandardMaterial({
-                color: color,
-                emissive: color,
-                emissiveIntensity: 0.2,
-                metalness: 0.6,
-                roughness: 0.4,
-                transparent: true,
-                opacity: 0.7 + Math.random() * 0.3
-            });
-            
-            const nodeMesh = new THREE.Mesh(nodeGeometry, nodeMaterial);
-            nodeMesh.position.set(x, y, z);
-            nodeMesh.castShadow = true;
-            this.scene.add(nodeMesh);
-            
-            // Add to animation objects
-            this.animationObjects.push({
-                object: nodeMesh,
-                update: (time, deltaTime) => {
-                    // Small movement
-                    nodeMesh.position.x += Math.sin(time * 0.5 + i) * 0.002;
-                    nodeMesh.position.y += Math.sin(time * 0.7 + i * 2) * 0.002;
-                    nodeMesh.position.z += Math.sin(time * 0.6 + i * 3) * 0.002;
-                    
-                    // Pulse size
-                    const size = 1 + Math.sin(time * 0.8 + i * 4) * 0.1;
-                    nodeMesh.scale.set(size, size, size);
-                }
+            const nodeMesh = this.createSecondaryNode({
+                id: `ambient-${i + 1}`,
+                position: new THREE.Vector3(x, y, z),
+                size: 0.2 + Math.random() * 0.2,
+                color,
+                opacity: 0.7 + Math.random() * 0.3,
+                phase: i,
+                isInteractive: false
             });
+            nodeMesh.userData.ambient = true;
             
             // Occasionally create connections to primary nodes
             if (Math.random() < 0.3 && closestNode) {
-                const connection = this.createConnection(
-                    nodeMesh.position,
-                    closestNode.position,
-                    new THREE.Color(color)
-                );
-                connection.material.opacity = 0.1 + Math.random() * 0.1;
-                this.connections.push(connection);
-                
-                // Add connection to animation objects
-                this.animationObjects.push({
-                    object: connection,
-                    update: (time, deltaTime) => {
-                        // Update start position
-                        connection.geometry.attributes.position.array[0] = nodeMesh.position.x;
-                        connection.geometry.attributes.position.array[1] = nodeMesh.position.y;
-                        connection.geometry.attributes.position.array[2] = nodeMesh.position.z;
-                        
-                        // Update end position
-                        connection.geometry.attributes.position.array[3] = closestNode.position.x;
-                        connection.geometry.attributes.position.array[4] = closestNode.position.y;
-                        connection.geometry.attributes.position.array[5] = closestNode.position.z;
-                        
-                        // Mark attributes as needing update
-                        connection.geometry.attributes.position.needsUpdate = true;
-                        
-                        // Pulse opacity
-                        connection.material.opacity = 0.05 + Math.sin(time + i) * 0.05;
-                    }
+                this.connectObjects(nodeMesh, closestNode, {
+                    color,
+                    weight: 0.2,
+                    opacity: 0.05,
+                    opacityVariation: 0.05,
+                    pulseSpeed: 1,
+                    pulsePhase: i
                 });
             }
         }
     }
     
+    /**
+     * Create a single secondary node
+     * @param {object} options - Node definition
+     * @param {string} options.id - Unique node ID
+     * @param {THREE.Vector3} options.position - Node position
+     * @param {number|string} options.color - Node color
+     * @param {number} [options.size=0.3] - Sphere radius
+     * @param {number} [options.opacity=0.85] - Material opacity
+     * @param {number} [options.phase=0] - Animation phase offset
+     * @param {string} [options.name] - Display name (shown as a hover label)
+     * @param {string} [options.description] - Description shown in the context panel
+     * @param {boolean} [options.isInteractive=true] - Whether the node can be hovered and selected
+     * @returns {THREE.Mesh} Node mesh
+     */
+    createSecondaryNode(options) {
+        const size = options.size !== undefined ? options.size : 0.3;
+        const phase = options.phase || 0;
+        const isInteractive = options.isInteractive !== false;
+        
+        // Create small node
+        const nodeGeometry = new THREE.SphereGeometry(size, 16, 16);
+        const nodeMaterial = new THREE.MeshStandardMaterial({
+            color: options.color,
+            emissive: options.color,
+            emissiveIntensity: 0.2,
+            metalness: 0.6,
+            roughness: 0.4,
+            transparent: true,
+            opacity: options.opacity !== undefined ? options.opacity : 0.85
+        });
+        
+        const nodeMesh = new THREE.Mesh(nodeGeometry, nodeMaterial);
+        nodeMesh.position.copy(options.position);
+        nodeMesh.castShadow = true;
+        
+        nodeMesh.userData = {
+            id: options.id,
+            name: options.name || options.id,
+            type: 'secondaryNode',
+            description: options.description,
+            color: options.color,
+            group: options.group || null,
+            size,
+            isInteractive,
+            activity: 0.1,
+            restingActivity: 0.1
+        };
+        
+        this.scene.add(nodeMesh);
+        
+        if (options.name) {
+            nodeMesh.add(this.createNodeLabel(options.name, size + 0.5));
+        }
+        
+        if (isInteractive) {
+            this.interactiveObjects.push(nodeMesh);
+        }
+        this.registerObject(nodeMesh);
+        
+        // Add to animation objects
+        this.animationObjects.push({
+            object: nodeMesh,
+            update: (time, deltaTime) => {
+                // Small movement
+                nodeMesh.position.x += Math.sin(time * 0.5 + phase) * 0.002;
+                nodeMesh.position.y += Math.sin(time * 0.7 + phase * 2) * 0.002;
+                nodeMesh.position.z += Math.sin(time * 0.6 + phase * 3) * 0.002;
+                
+                // Pulse size (hover and selection enlarge the node on top of the pulse)
+                const emphasis = this.selectedObjects.has(nodeMesh) ? 1.2 :
+                                 nodeMesh === this.hoveredObject ? 1.1 : 1;
+                const scale = emphasis * (1 + Math.sin(time * 0.8 + phase * 4) * 0.1);
+                nodeMesh.scale.set(scale, scale, scale);
+            }
+        });
+        
+        return nodeMesh;
+    }
+    
+    /**
+     * Find the primary node closest to a point
+     * @param {THREE.Vector3} point - Point in world space
+     * @returns {THREE.Mesh|null} Closest primary node
+     */
+    findClosestPrimaryNode(point) {
+        let closestDistance = Infinity;
+        let closestNode = null;
+        
+        for (const node of this.neuralNodes) {
+            const distance = point.distanceTo(node.position);
+            
+            if (distance < closestDistance) {
+                closestDistance = distance;
+                closestNode = node;
+            }
+        }
+        
+        return closestNode;
+    }
+    
+    /**
+     * Register an object so commands can find it by ID
+     * @param {THREE.Object3D} object - Object with a userData.id
+     */
+    registerObject(object) {
+        if (object.userData.id) {
+            this.objectRegistry.set(object.userData.id, object);
+        }
+    }
+    
+    /**
+     * Generate an object ID that is not in use yet
+     * @param {string} base - Preferred ID
+     * @returns {string} Unique ID (base, or base with a numeric suffix)
+     */
+    generateObjectId(base) {
+        if (!this.objectRegistry.has(base)) {
+            return base;
+        }
+        
+        let suffix = 2;
+        while (this.objectRegistry.has(`${base}-${suffix}`)) {
+            suffix++;
+        }
+        
+        return `${base}-${suffix}`;
+    }
+    
     /**
      * Setup event listeners for user interaction
      */
@@ -696,9 +780,23 @@ export class NeuralScene {
         // Mouse move for hover effects
         this.container.addEventListener('mousemove', this.onMouseMove.bind(this));
         
-        // Click for selection
+        // Click for selection (drags that rotate the camera don't count)
+        this.container.addEventListener('pointerdown', (event) => {
+            this.pointerDownPosition = { x: event.clientX, y: event.clientY };
+        });
         this.container.addEventListener('click', this.onClick.bind(this));
         
+        // Dragging the view ends focus mode (zooming doesn't)
+        this.container.addEventListener('pointermove', (event) => {
+            if (this.activeFocus && event.buttons && this.pointerDownPosition &&
+                Math.hypot(event.clientX - this.pointerDownPosition.x, event.clientY - this.pointerDownPosition.y) > 5) {
+                this.exitFocus(event);
+            }
+        });
+        
+        // Double click to focus an object
+        this.container.addEventListener('dblclick', this.onDoubleClick.bind(this));
+        
         // Subscribe to event bus events
         this.eventBus.subscribe('control:ambientIntensity', this.setAmbientIntensity.bind(this));
         this.eventBus.subscribe('control:activityLevel', this.setActivityLevel.bind(this));
@@ -707,6 +805,47 @@ export class NeuralScene {
         this.eventBus.subscribe('settings:postProcessing', this.setPostProcessing.bind(this));
         this.eventBus.subscribe('action:resetView', this.resetView.bind(this));
         this.eventBus.subscribe('action:overviewMode', this.overviewMode.bind(this));
+        
+        // Scene commands (published by the MCP command queue)
+        this.eventBus.subscribe('scene:highlightObject', (payload) => {
+            this.runSceneCommand('highlightObject', payload, () => this.commandHighlightObject(payload));
+        });
+        this.eventBus.subscribe('scene:pulseObject', (payload) => {
+            this.runSceneCommand('pulseObject', payload, () => this.commandPulseObject(payload));
+        });
+        this.eventBus.subscribe('scene:moveCameraTo', (payload) => {
+            this.runSceneCommand('moveCameraTo', payload, () => this.commandMoveCameraTo(payload));
+        });
+        this.eventBus.subscribe('scene:lookAt', (payload) => {
+            this.runSceneCommand('lookAt', payload, () => this.commandLookAt(payload));
+        });
+        this.eventBus.subscribe('scene:orbitAround', (payload) => {
+            this.runSceneCommand('orbitAround', payload, () => this.commandOrbitAround(payload));
+        });
+        this.eventBus.subscribe('scene:resetCamera', (payload) => {
+            this.runSceneCommand('resetCamera', payload, () => this.commandResetCamera(payload));
+        });
+        this.eventBus.subscribe('scene:setPreset', (payload) => {
+            this.runSceneCommand('setPreset', payload, () => this.commandSetPreset(payload));
+        });
+        this.eventBus.subscribe('scene:createObject', (payload) => {
+            this.runSceneCommand('createObject', payload, () => this.createObject(payload.type, payload.params));
+        });
+        this.eventBus.subscribe('scene:updateObject', (payload) => {
+            this.runSceneCommand('updateObject', payload, () => this.updateObject(payload.objectId, payload.params));
+        });
+        this.eventBus.subscribe('scene:removeObject', (payload) => {
+            this.runSceneCommand('removeObject', payload, () => this.removeObject(payload.objectId));
+        });
+        this.eventBus.subscribe('scene:loadTopology', (payload) => {
+            this.runSceneCommand('loadTopology', payload, () => this.loadTopology(payload));
+        });
+        
+        // Scene state updates
+        this.eventBus.subscribe('scene:requestFullState', () => this.publishStateUpdate(true));
+        for (const eventName of ['scene:objectCreated', 'scene:objectUpdated', 'scene:objectRemoved', 'scene:topologyLoaded']) {
+            this.eventBus.subscribe(eventName, () => this.markStateDirty());
+        }
     }
     
     /**
@@ -723,51 +862,211 @@ export class NeuralScene {
         
         // Find intersections with interactive objects
         const intersects = this.raycaster.intersectObjects(this.interactiveObjects);
+        const object = intersects.length > 0 ? intersects[0].object : null;
         
-        // Reset all previously hovered objects
-        if (this.hoveredObject && (!intersects.length || intersects[0].object !== this.hoveredObject)) {
-            if (this.hoveredObject !== this.selectedObject) {
-                this.resetObjectHighlight(this.hoveredObject);
+        if (object !== this.hoveredObject) {
+            // Leave the previously hovered object
+            if (this.hoveredObject) {
+                const previous = this.hoveredObject;
+                this.hoveredObject = null;
+                
+                if (!this.selectedObjects.has(previous)) {
+                    this.resetObjectHighlight(previous);
+                }
+                this.publishInteraction('unhover', previous, event);
             }
-            this.hoveredObject = null;
-        }
-        
-        // Set cursor and highlight intersected object
-        if (intersects.length > 0) {
-            const object = intersects[0].object;
             
-            if (object !== this.hoveredObject && object !== this.selectedObject) {
+            // Highlight the newly hovered object
+            if (object) {
                 this.hoveredObject = object;
-                this.highlightObject(object);
-                this.container.style.cursor = 'pointer';
+                
+                if (!this.selectedObjects.has(object)) {
+                    this.highlightObject(object);
+                }
+                this.publishInteraction('hover', object, event);
             }
-        } else {
-            this.container.style.cursor = 'default';
         }
+        
+        this.container.style.cursor = object ? 'pointer' : 'default';
     }
     
     /**
      * Handle mouse click
+     * 
+     * A plain click selects the clicked object and deselects everything else
+     * (or clears the selection when clicking empty space). Shift, Ctrl or Cmd
+     * click adds or removes an object from the selection.
      */
     onClick(event) {
-        // Update raycaster
+        // Ignore the click that ends a camera drag
+        if (this.pointerDownPosition &&
+            Math.hypot(event.clientX - this.pointerDownPosition.x, event.clientY - this.pointerDownPosition.y) > 5) {
+            return;
+        }
+        
+        const object = this.pickObject();
+        const additive = event.shiftKey || event.ctrlKey || event.metaKey;
+        
+        if (additive) {
+            if (!object) return;
+            
+            if (this.selectedObjects.has(object)) {
+                this.deselectObject(object, event);
+            } else {
+                this.selectObject(object, event);
+            }
+        } else {
+            for (const selected of [...this.selectedObjects]) {
+                if (selected !== object) {
+                    this.deselectObject(selected, event);
+                }
+            }
+            
+            if (object && !this.selectedObjects.has(object)) {
+                this.selectObject(object, event);
+            }
+        }
+        
+        this.markStateDirty();
+    }
+    
+    /**
+     * Handle double click: focus the object under the pointer
+     */
+    onDoubleClick(event) {
+        const object = this.pickObject();
+        if (!object) return;
+        
+        this.focusObject(object, event);
+    }
+    
+    /**
+     * Find the interactive object under the pointer
+     * @returns {THREE.Object3D|null} Object, or null if there is none
+     */
+    pickObject() {
         this.raycaster.setFromCamera(this.mouse, this.camera);
         
-        // Find intersections with interactive objects
         const intersects = this.raycaster.intersectObjects(this.interactiveObjects);
+        return intersects.length > 0 ? intersects[0].object : null;
+    }
+    
+    /**
+     * Enter focus mode: fly the camera to frame an object, then follow it
+     * 
+     * The flight aims at the object's live position so orbiting nodes are
+     * caught up with. Once there, the camera keeps the same offset from the
+     * object as it moves (zooming still works) until exitFocus() is called:
+     * on Escape, when the user drags the view, or when another camera move starts.
+     * @param {THREE.Object3D} object - Object to focus
+     * @param {MouseEvent} [event] - DOM event that caused the focus
+     * @returns {Promise<boolean>} True if the camera arrived, false if focus ended during the flight
+     */
+    async focusObject(object, event) {
+        const targetPosition = new THREE.Vector3();
+        const getTarget = () => object.getWorldPosition(targetPosition);
+        
+        // Keep the current viewing direction, at a distance that fits the object
+        if (!object.geometry.boundingSphere) {
+            object.geometry.computeBoundingSphere();
+        }
+        const radius = object.geometry.boundingSphere.radius * object.scale.x;
+        const offset = this.camera.position.clone().sub(this.controls.target);
+        if (offset.lengthSq() === 0) {
+            offset.set(0, 0.5, 1);
+        }
+        offset.setLength(Math.max(4, radius * 6));
+        
+        const cameraPosition = new THREE.Vector3();
+        const flight = this.animateCamera({
+            position: () => cameraPosition.copy(getTarget()).add(offset),
+            target: getTarget,
+            duration: 1.2
+        });
+        
+        // Starting the flight ended any previous focus, so take over only now
+        const focus = { object, tracker: null };
+        this.activeFocus = focus;
+        this.publishInteraction('focus', object, event);
+        this.markStateDirty();
         
-        // Deselect previously selected object
-        if (this.selectedObject) {
-            this.resetObjectHighlight(this.selectedObject);
-            this.selectedObject = null;
+        const arrived = await flight;
+        
+        if (this.activeFocus !== focus) {
+            return false;
+        }
+        if (!arrived) {
+            this.exitFocus();
+            return false;
         }
         
-        // Select clicked object
-        if (intersects.length > 0) {
-            const object = intersects[0].object;
-            this.selectedObject = object;
-            this.selectObject(object);
+        // Follow the object by moving the camera and orbit target along with it
+        const lastPosition = getTarget().clone();
+        focus.tracker = {
+            object: this.camera,
+            update: () => {
+                const movement = getTarget().clone().sub(lastPosition);
+                
+                this.camera.position.add(movement);
+                this.controls.target.add(movement);
+                lastPosition.add(movement);
+            }
+        };
+        this.animationObjects.push(focus.tracker);
+        
+        return true;
+    }
+    
+    /**
+     * Leave focus mode, leaving the camera where it is
+     * @param {Event} [event] - DOM event that ended focus mode
+     */
+    exitFocus(event) {
+        const focus = this.activeFocus;
+        if (!focus) return;
+        
+        this.activeFocus = null;
+        
+        if (focus.tracker) {
+            this.removeAnimation(focus.tracker);
+        } else {
+            // Still flying towards the object
+            this.interruptCameraAnimation();
         }
+        
+        this.publishInteraction('unfocus', focus.object, event);
+        this.markStateDirty();
+    }
+    
+    /**
+     * Publish a user interaction with an object on scene:objectInteraction
+     * 
+     * This is the single interaction event consumed by the context panel, both
+     * MCP clients and analytics.
+     * @param {string} interaction - 'hover', 'unhover', 'select', 'deselect', 'focus' or 'unfocus'
+     * @param {THREE.Object3D} object - Object interacted with
+     * @param {MouseEvent|KeyboardEvent} [event] - DOM event that caused the interaction
+     */
+    publishInteraction(interaction, object, event) {
+        const data = object.userData;
+        
+        this.eventBus.publish('scene:objectInteraction', {
+            interaction,
+            id: data.id,
+            type: data.type,
+            name: data.name,
+            description: data.description,
+            color: data.color,
+            position: object.getWorldPosition(new THREE.Vector3()).toArray(),
+            modifiers: {
+                shift: !!event?.shiftKey,
+                ctrl: !!event?.ctrlKey,
+                alt: !!event?.altKey,
+                meta: !!event?.metaKey
+            },
+            selection: [...this.selectedObjects].map(selected => selected.userData.id),
+            timestamp: new Date().toISOString()
+        });
     }
     
     /**
@@ -785,11 +1084,9 @@ export class NeuralScene {
         }
         
         // Show label if it exists
-        if (object.children.length > 0) {
-            const label = object.children[0];
-            if (label instanceof CSS2DObject) {
-                label.element.style.opacity = '1';
-            }
+        const label = this.getNodeLabel(object);
+        if (label) {
+            label.element.style.opacity = '1';
         }
     }
     
@@ -808,20 +1105,32 @@ export class NeuralScene {
         }
         
         // Hide label if it exists
-        if (object.children.length > 0) {
-            const label = object.children[0];
-            if (label instanceof CSS2DObject) {
-                label.element.style.opacity = '0';
-            }
+        const label = this.getNodeLabel(object);
+        if (label) {
+            label.element.style.opacity = '0';
         }
     }
     
     /**
-     * Select an object (on click)
+     * Get the hover label of a node (annotation labels are not included)
+     * @param {THREE.Object3D} object - Node
+     * @returns {CSS2DObject|null} Label, if the node has one
      */
-    selectObject(object) {
+    getNodeLabel(object) {
+        return object.children.find(child => child instanceof CSS2DObject && !child.userData.id) || null;
+    }
+    
+    /**
+     * Add an object to the selection
+     * @param {THREE.Object3D} object - Object to select
+     * @param {MouseEvent} [event] - DOM event that caused the selection
+     */
+    selectObject(object, event) {
         if (!object.userData.isInteractive) return;
         
+        this.selectedObjects.add(object);
+        this.selectedObject = object;
+        
         // Scale the object
         object.scale.set(1.2, 1.2, 1.2);
         
@@ -831,30 +1140,53 @@ export class NeuralScene {
         }
         
         // Show label if it exists
-        if (object.children.length > 0) {
-            const label = object.children[0];
-            if (label instanceof CSS2DObject) {
-                label.element.style.opacity = '1';
-            }
+        const label = this.getNodeLabel(object);
+        if (label) {
+            label.element.style.opacity = '1';
         }
         
         // Create a pulse effect
         this.createPulseEffect(object.position, object.userData.color);
+        this.stimulateObject(object, 0.5);
         
-        // Publish selection event
-        this.eventBus.publish('object:selected', {
-            id: object.userData.id,
-            name: object.userData.name,
-            type: object.userData.type,
-            description: object.userData.description,
-            color: object.userData.color
-        });
+        this.publishInteraction('select', object, event);
+    }
+    
+    /**
+     * Remove an object from the selection
+     * @param {THREE.Object3D} object - Object to deselect
+     * @param {MouseEvent} [event] - DOM event that caused the deselection
+     */
+    deselectObject(object, event) {
+        if (!this.selectedObjects.delete(object)) return;
+        
+        if (this.selectedObject === object) {
+            this.selectedObject = [...this.selectedObjects].pop() || null;
+        }
+        
+        // Fall back to the hover look if the pointer is still over it
+        if (object === this.hoveredObject) {
+            this.resetObjectHighlight(object);
+            this.highlightObject(object);
+        } else {
+            this.resetObjectHighlight(object);
+        }
+        
+        this.publishInteraction('deselect', object, event);
     }
     
     /**
      * Create a pulse effect at position
+     * @param {THREE.Vector3} position - Pulse origin
+     * @param {number|string} color - Pulse color
+     * @param {object} [options] - Pulse options
+     * @param {number} [options.intensity=1] - Scales the pulse size and opacity
+     * @param {Function} [options.onComplete] - Called once the pulse has faded out
      */
-    createPulseEffect(position, color) {
+    createPulseEffect(position, color, options = {}) {
+        const intensity = options.intensity !== undefined ? options.intensity : 1;
+        const peakOpacity = Math.min(0.7 * intensity, 1);
+        
         // Create a sphere geometry for the pulse
         const geometry = new THREE.SphereGeometry(0.5, 16, 16);
         
@@ -862,7 +1194,7 @@ export class NeuralScene {
         const material = new THREE.MeshBasicMaterial({
             color: color,
             transparent: true,
-            opacity: 0.7
+            opacity: peakOpacity
         });
         
         // Create the pulse mesh
@@ -882,11 +1214,11 @@ export class NeuralScene {
                 const progress = Math.min(elapsedTime / duration, 1);
                 
                 // Scale the pulse outward
-                const scale = 1 + progress * 4;
+                const scale = 1 + progress * 4 * intensity;
                 pulse.scale.set(scale, scale, scale);
                 
                 // Fade out the pulse
-                material.opacity = 0.7 * (1 - progress);
+                material.opacity = peakOpacity * (1 - progress);
                 
                 // Remove when animation is complete
                 if (progress >= 1) {
@@ -898,15 +1230,272 @@ export class NeuralScene {
                     // Dispose of geometry and material
                     geometry.dispose();
                     material.dispose();
+                    
+                    if (options.onComplete) {
+                        options.onComplete();
+                    }
                 }
             }
         });
     }
     
     /**
-     * Set the ambient light intensity
+     * Raise an object's activity and propagate part of it to its neighbours
+     * 
+     * Each stimulus counts as one processing cycle. Connections that carry
+     * the stimulus are reinforced, and relax back to their weight over time.
+     * @param {THREE.Object3D} object - Stimulated node or core
+     * @param {number} amount - Activity to add (0-1)
      */
-    setAmbientIntensity(value) {
+    stimulateObject(object, amount) {
+        if (object.userData.activity === undefined) return;
+        
+        object.userData.activity = Math.min(1, object.userData.activity + amount);
+        this.processingCycles++;
+        this.markStateDirty();
+        
+        const id = object.userData.id;
+        for (const connection of this.connections) {
+            const data = connection.userData;
+            if (data.sourceId !== id && data.targetId !== id) continue;
+            
+            // Directed connections only carry activity away from their source
+            if (data.directed && data.sourceId !== id) continue;
+            
+            const neighbour = this.findObjectById(data.sourceId === id ? data.targetId : data.sourceId);
+            if (neighbour && neighbour.userData.activity !== undefined) {
+                neighbour.userData.activity = Math.min(1, neighbour.userData.activity + amount * data.strength * 0.5);
+            }
+            
+            data.strength = Math.min(1, data.strength + amount * 0.1 * (1 - data.strength));
+        }
+    }
+    
+    /**
+     * Decay node activity and connection strength towards their resting values
+     * @param {number} deltaTime - Seconds since the last update
+     */
+    updateNeuralActivity(deltaTime) {
+        const activityFactor = Math.exp(-this.activityDecayRate * deltaTime);
+        const strengthFactor = Math.exp(-this.connectionDecayRate * deltaTime);
+        
+        for (const object of this.objectRegistry.values()) {
+            const data = object.userData;
+            
+            if (data.activity !== undefined) {
+                // A selected node stays engaged while the user looks at it
+                const rest = this.selectedObjects.has(object) ? Math.max(data.restingActivity, 0.6) : data.restingActivity;
+                data.activity = rest + (data.activity - rest) * activityFactor;
+            } else if (data.type === 'connection') {
+                data.strength = data.weight + (data.strength - data.weight) * strengthFactor;
+            }
+        }
+    }
+    
+    /**
+     * Get the current activity of every node for analytics
+     * @returns {Array<object>} { id, name, type, activity } per node, activity in 0-1
+     */
+    getNeuralActivityData() {
+        const nodes = [];
+        
+        for (const object of this.objectRegistry.values()) {
+            const data = object.userData;
+            if (data.activity === undefined) continue;
+            
+            nodes.push({
+                id: data.id,
+                name: data.name,
+                type: data.type,
+                activity: data.activity
+            });
+        }
+        
+        return nodes;
+    }
+    
+    /**
+     * Get the current strength of every connection for analytics
+     * @returns {Array<object>} { id, source, target, strength, weight } per connection, strength in 0-1
+     */
+    getConnectionData() {
+        return this.connections.map(connection => ({
+            id: connection.userData.id,
+            source: connection.userData.sourceId,
+            target: connection.userData.targetId,
+            strength: connection.userData.strength,
+            weight: connection.userData.weight
+        }));
+    }
+    
+    /**
+     * Get the number of stimuli processed since the scene was created
+     * @returns {number} Processing cycle count
+     */
+    getProcessingCycles() {
+        return this.processingCycles;
+    }
+    
+    /**
+     * Get the mean activity of the core and primary nodes
+     * @returns {number} Global activity in 0-100
+     */
+    getGlobalActivity() {
+        const nodes = [this.neuralCore, ...this.neuralNodes].filter(Boolean);
+        if (nodes.length === 0) return 0;
+        
+        const total = nodes.reduce((sum, node) => sum + node.userData.activity, 0);
+        return (total / nodes.length) * 100;
+    }
+    
+    /**
+     * Schedule a scene:stateUpdate, at most one per stateUpdateInterval
+     */
+    markStateDirty() {
+        if (this.stateUpdateTimer) return;
+        
+        const wait = Math.max(0, this.lastStatePublishTime + this.stateUpdateInterval - Date.now());
+        this.stateUpdateTimer = setTimeout(() => this.publishStateUpdate(), wait);
+    }
+    
+    /**
+     * Publish the scene state on scene:stateUpdate
+     * 
+     * Normally only the changes since the previous update are sent; nothing is
+     * published if the snapshot is unchanged.
+     * @param {boolean} [full=false] - Send the whole snapshot (resync)
+     */
+    publishStateUpdate(full = false) {
+        clearTimeout(this.stateUpdateTimer);
+        this.stateUpdateTimer = null;
+        this.lastStatePublishTime = Date.now();
+        
+        const snapshot = this.getSceneSnapshot();
+        const update = full ? this.stateTracker.full(snapshot) : this.stateTracker.delta(snapshot);
+        
+        if (update) {
+            this.eventBus.publish('scene:stateUpdate', update);
+        }
+    }
+    
+    /**
+     * Serialize the scene into a compact, JSON-friendly snapshot
+     * 
+     * Values are rounded so that tiny movements don't register as changes.
+     * Decorative ambient nodes are left out.
+     * @returns {object} Scene snapshot
+     */
+    getSceneSnapshot() {
+        const round = (value, step) => Math.round(value / step) * step;
+        const vector = (v) => [v.x, v.y, v.z].map(value => Number(value.toFixed(1)));
+        const hex = (color) => `#${new THREE.Color(color).getHexString()}`;
+        
+        const nodes = {};
+        const connections = {};
+        const labels = {};
+        
+        for (const object of this.objectRegistry.values()) {
+            const data = object.userData;
+            if (data.ambient) continue;
+            
+            switch (data.type) {
+                case 'neuralCore':
+                case 'neuralNode':
+                case 'secondaryNode':
+                    nodes[data.id] = {
+                        type: data.type,
+                        name: data.name,
+                        group: data.group || null,
+                        color: hex(data.color),
+                        // Primary nodes orbit the core, so report where they orbit from
+                        position: vector(data.homePosition || object.position),
+                        activity: Number(round(data.activity, 0.05).toFixed(2))
+                    };
+                    break;
+                    
+                case 'connection':
+                    if (this.findObjectById(data.sourceId)?.userData.ambient ||
+                        this.findObjectById(data.targetId)?.userData.ambient) {
+                        break;
+                    }
+                    connections[data.id] = {
+                        source: data.sourceId,
+                        target: data.targetId,
+                        weight: data.weight,
+                        strength: Number(round(data.strength, 0.05).toFixed(2)),
+                        directed: data.directed
+                    };
+                    break;
+                    
+                case 'annotation':
+                    labels[data.id] = {
+                        text: data.text,
+                        target: data.targetId
+                    };
+                    break;
+            }
+        }
+        
+        return {
+            topology: this.topology ? this.topology.name : null,
+            nodes,
+            connections,
+            labels,
+            selection: [...this.selectedObjects].map(object => object.userData.id),
+            focus: this.activeFocus ? this.activeFocus.object.userData.id : null,
+            camera: {
+                position: vector(this.camera.position),
+                target: vector(this.controls.target)
+            },
+            preset: this.activePreset,
+            quality: this.quality,
+            activity: {
+                global: Math.round(this.getGlobalActivity()),
+                processingCycles: this.processingCycles
+            }
+        };
+    }
+    
+    /**
+     * Describe one node: its snapshot entry plus description, connections,
+     * labels and whether it is selected or focused
+     * @param {string} id - Node ID
+     * @param {object} [snapshot] - Snapshot to read from (taken now if omitted)
+     * @returns {object|null} Node details, or null if there is no such node
+     */
+    getNodeDetails(id, snapshot = this.getSceneSnapshot()) {
+        const node = snapshot.nodes[id];
+        if (!node) return null;
+        
+        const connections = Object.entries(snapshot.connections)
+            .filter(([, connection]) => connection.source === id || connection.target === id)
+            .map(([connectionId, connection]) => ({
+                id: connectionId,
+                node: connection.source === id ? connection.target : connection.source,
+                direction: connection.directed ? (connection.source === id ? 'outgoing' : 'incoming') : 'undirected',
+                weight: connection.weight,
+                strength: connection.strength
+            }));
+            
+        const labels = Object.values(snapshot.labels)
+            .filter(label => label.target === id)
+            .map(label => label.text);
+            
+        return {
+            id,
+            ...node,
+            description: this.findObjectById(id)?.userData.description || null,
+            connections,
+            labels,
+            selected: snapshot.selection.includes(id),
+            focused: snapshot.focus === id
+        };
+    }
+    
+    /**
+     * Set the ambient light intensity
+     */
+    setAmbientIntensity(value) {
         // Value is in range 0-100
         const intensity = value / 100 * 1.5; // Scale to 0-1.5
         this.ambientLight.intensity = intensity;
@@ -939,6 +1528,7 @@ export class NeuralScene {
      */
     setVisualPreset(preset) {
         this.activePreset = preset;
+        this.markStateDirty();
         
         switch (preset) {
             case 'default':
@@ -980,6 +1570,7 @@ export class NeuralScene {
      */
     setQuality(quality) {
         this.quality = quality;
+        this.markStateDirty();
         
         switch (quality) {
             case 'performance':
@@ -1017,100 +1608,1105 @@ export class NeuralScene {
     
     /**
      * Reset camera view
+     * @returns {Promise<boolean>} Resolves true when the move completes, false if interrupted
      */
     resetView() {
-        // Animate camera position
+        return this.animateCamera({
+            position: new THREE.Vector3(0, 8, 12),
+            target: new THREE.Vector3(0, 0, 0),
+            duration: 1.5
+        });
+    }
+    
+    /**
+     * Set overview camera mode
+     * @returns {Promise<boolean>} Resolves true when the move completes, false if interrupted
+     */
+    overviewMode() {
+        return this.animateCamera({
+            position: new THREE.Vector3(15, 15, 15),
+            target: new THREE.Vector3(0, 0, 0),
+            duration: 2
+        });
+    }
+    
+    /**
+     * Animate the camera position and orbit target with easing
+     * @param {object} options - Animation options
+     * @param {THREE.Vector3|Function} options.position - End camera position, or a getter evaluated every frame
+     * @param {THREE.Vector3|Function} options.target - End orbit target, or a getter evaluated every frame
+     * @param {number} [options.duration=1.5] - Duration in seconds
+     * @returns {Promise<boolean>} Resolves true when the move completes, false if interrupted
+     */
+    animateCamera({ position, target, duration = 1.5 }) {
         const startPosition = this.camera.position.clone();
         const startTarget = this.controls.target.clone();
-        const endPosition = new THREE.Vector3(0, 8, 12);
-        const endTarget = new THREE.Vector3(0, 0, 0);
-        const duration = 1.5;
+        const resolveEnd = (value) => (typeof value === 'function' ? value() : value);
+        
+        return this.startCameraAnimation(duration, (progress) => {
+            const easedProgress = this.easeOutCubic(progress);
+            
+            // Update camera position
+            this.camera.position.lerpVectors(startPosition, resolveEnd(position), easedProgress);
+            
+            // Update target
+            this.controls.target.lerpVectors(startTarget, resolveEnd(target), easedProgress);
+        });
+    }
+    
+    /**
+     * Start a camera animation, interrupting any camera animation already running
+     * @param {number} duration - Duration in seconds
+     * @param {Function} step - Called every frame with linear progress (0-1)
+     * @returns {Promise<boolean>} Resolves true when the animation completes, false if interrupted
+     */
+    startCameraAnimation(duration, step) {
+        // Only one animation may drive the camera at a time
+        this.interruptCameraAnimation();
+        this.exitFocus();
+        
         const startTime = this.time;
         
-        // Create animation
-        const cameraAnimation = {
-            object: this.camera,
-            update: (currentTime, deltaTime) => {
-                const elapsedTime = currentTime - startTime;
-                const progress = Math.min(elapsedTime / duration, 1);
+        return new Promise(resolve => {
+            const cameraAnimation = {
+                object: this.camera,
+                update: (currentTime, deltaTime) => {
+                    const elapsedTime = currentTime - startTime;
+                    const progress = duration > 0 ? Math.min(elapsedTime / duration, 1) : 1;
+                    
+                    step(progress);
+                    
+                    // Remove animation when complete
+                    if (progress >= 1) {
+                        cameraAnimation.finish(true);
+                    }
+                },
+                finish: (completed) => {
+                    this.removeAnimation(cameraAnimation);
+                    if (this.activeCameraAnimation === cameraAnimation) {
+                        this.activeCameraAnimation = null;
+                    }
+                    resolve(completed);
+                }
+            };
+            
+            // Add animation
+            this.activeCameraAnimation = cameraAnimation;
+            this.animationObjects.push(cameraAnimation);
+        });
+    }
+    
+    /**
+     * Stop the running camera animation (if any), leaving the camera where it is
+     */
+    interruptCameraAnimation() {
+        if (this.activeCameraAnimation) {
+            this.activeCameraAnimation.finish(false);
+        }
+    }
+    
+    /**
+     * Remove an entry from the animation list
+     * @param {object} animation - Animation entry to remove
+     */
+    removeAnimation(animation) {
+        this.animationObjects = this.animationObjects.filter(item => item !== animation);
+    }
+    
+    /**
+     * Run a scene command and report its outcome over the event bus
+     * 
+     * Publishes scene:commandComplete with the executor's result, or
+     * scene:commandFailed with an error code ('unknown_target', 'invalid_params',
+     * 'interrupted' or 'execution_failed'), tagged with the caller's commandId.
+     * @param {string} command - Command name
+     * @param {object} [payload] - Command payload (may include a commandId)
+     * @param {Function} executor - Performs the command, may return a promise
+     */
+    async runSceneCommand(command, payload, executor) {
+        const commandId = payload?.commandId;
+        
+        try {
+            const result = await executor();
+            
+            this.eventBus.publish('scene:commandComplete', {
+                commandId,
+                command,
+                result: result || {}
+            });
+        } catch (error) {
+            console.warn(`Scene command ${command} failed:`, error.message);
+            
+            this.eventBus.publish('scene:commandFailed', {
+                commandId,
+                command,
+                error: {
+                    code: error.code || 'execution_failed',
+                    message: error.message
+                }
+            });
+        }
+    }
+    
+    /**
+     * Create an error for a failed scene command
+     * @param {string} code - Machine readable error code
+     * @param {string} message - Human readable message
+     * @returns {Error} Error with a code property
+     */
+    createCommandError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+    
+    /**
+     * Find a scene object by its userData.id
+     * @param {string} id - Object ID
+     * @returns {THREE.Object3D|null} Matching object
+     */
+    findObjectById(id) {
+        if (typeof id !== 'string') return null;
+        
+        return this.objectRegistry.get(id) || null;
+    }
+    
+    /**
+     * Find a scene object by ID, failing the command if it does not exist
+     * @param {string} id - Object ID
+     * @returns {THREE.Object3D} Matching object
+     */
+    requireObject(id) {
+        const object = this.findObjectById(id);
+        
+        if (!object) {
+            throw this.createCommandError('unknown_target', `Unknown target: ${id}`);
+        }
+        
+        return object;
+    }
+    
+    /**
+     * Resolve a command target into a getter for its current world position
+     * 
+     * Object targets are tracked live so camera moves follow orbiting nodes.
+     * @param {string|Array|object} target - Object ID, [x, y, z] or {x, y, z}
+     * @returns {Function} Getter returning a THREE.Vector3
+     */
+    resolveTargetPosition(target) {
+        const vector = this.parseVector(target);
+        if (vector) {
+            return () => vector;
+        }
+        
+        const object = this.requireObject(target);
+        const position = new THREE.Vector3();
+        return () => object.getWorldPosition(position);
+    }
+    
+    /**
+     * Parse a vector from [x, y, z] or {x, y, z}
+     * @param {*} value - Value to parse
+     * @returns {THREE.Vector3|null} Parsed vector, or null if value is not a vector
+     */
+    parseVector(value) {
+        if (Array.isArray(value) && value.length === 3 && value.every(Number.isFinite)) {
+            return new THREE.Vector3(value[0], value[1], value[2]);
+        }
+        
+        if (value && typeof value === 'object' &&
+            [value.x, value.y, value.z].every(Number.isFinite)) {
+            return new THREE.Vector3(value.x, value.y, value.z);
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Convert a command duration in milliseconds to seconds
+     * @param {number} duration - Duration in milliseconds
+     * @param {number} fallback - Default duration in milliseconds
+     * @returns {number} Duration in seconds
+     */
+    toSeconds(duration, fallback) {
+        const value = Number.isFinite(duration) && duration >= 0 ? duration : fallback;
+        return value / 1000;
+    }
+    
+    /**
+     * Temporarily highlight an object (scene:highlightObject)
+     * @param {object} payload - Command payload
+     * @param {string} payload.objectId - Target object ID
+     * @param {number} [payload.duration=2000] - Duration in milliseconds
+     * @param {number|string} [payload.color] - Highlight color
+     */
+    async commandHighlightObject({ objectId, duration, color }) {
+        const object = this.requireObject(objectId);
+        
+        // Connections and labels have no emissive material to light up
+        if (!this.isConnectable(object) || !object.material?.emissive) {
+            throw this.createCommandError('invalid_params', `Only nodes and the core can be highlighted, not ${objectId}`);
+        }
+        
+        const material = object.material;
+        
+        // A new highlight replaces one already running on the same object
+        const existing = this.activeHighlights.get(object);
+        if (existing) {
+            existing.finish(false);
+        }
+        
+        const originalEmissive = material.emissive.clone();
+        const originalIntensity = material.emissiveIntensity;
+        const durationSeconds = this.toSeconds(duration, 2000);
+        const startTime = this.time;
+        
+        if (color !== undefined && color !== null) {
+            material.emissive.set(color);
+        }
+        
+        this.stimulateObject(object, 0.4);
+        
+        const completed = await new Promise(resolve => {
+            const highlight = {
+                object,
+                update: (currentTime, deltaTime) => {
+                    const progress = durationSeconds > 0 ?
+                        Math.min((currentTime - startTime) / durationSeconds, 1) : 1;
+                    
+                    // Pulse the glow while highlighted
+                    material.emissiveIntensity = 1.1 + Math.sin(progress * Math.PI * 8) * 0.3;
+                    
+                    if (progress >= 1) {
+                        highlight.finish(true);
+                    }
+                },
+                finish: (highlightCompleted) => {
+                    this.removeAnimation(highlight);
+                    this.activeHighlights.delete(object);
+                    
+                    // Restore the object's look for its current interaction state
+                    material.emissive.copy(originalEmissive);
+                    if (this.selectedObjects.has(object)) {
+                        material.emissiveIntensity = 1.0;
+                    } else if (object === this.hoveredObject) {
+                        material.emissiveIntensity = 0.7;
+                    } else {
+                        material.emissiveIntensity = object.userData.isInteractive ? 0.3 : originalIntensity;
+                    }
+                    
+                    resolve(highlightCompleted);
+                }
+            };
+            
+            this.activeHighlights.set(object, highlight);
+            this.animationObjects.push(highlight);
+        });
+        
+        if (!completed) {
+            throw this.createCommandError('interrupted', `Highlight of ${objectId} was interrupted`);
+        }
+        
+        return { objectId };
+    }
+    
+    /**
+     * Emit a pulse from an object (scene:pulseObject)
+     * @param {object} payload - Command payload
+     * @param {string} payload.objectId - Target object ID
+     * @param {number|string} [payload.color] - Pulse color (defaults to the object's color)
+     * @param {number} [payload.intensity=1] - Pulse intensity
+     */
+    async commandPulseObject({ objectId, color, intensity = 1.0 }) {
+        const object = this.requireObject(objectId);
+        
+        if (!Number.isFinite(intensity) || intensity <= 0) {
+            throw this.createCommandError('invalid_params', `Invalid pulse intensity: ${intensity}`);
+        }
+        
+        const position = object.getWorldPosition(new THREE.Vector3());
+        this.stimulateObject(object, Math.min(0.5 * intensity, 1));
+        
+        await new Promise(resolve => {
+            this.createPulseEffect(position, color ?? object.userData.color, {
+                intensity,
+                onComplete: resolve
+            });
+        });
+        
+        return { objectId };
+    }
+    
+    /**
+     * Move the camera (scene:moveCameraTo)
+     * 
+     * Without an explicit position the camera keeps its current viewing
+     * direction and frames the target from a comfortable distance.
+     * @param {object} payload - Command payload
+     * @param {string|Array|object} [payload.target] - Object ID or point to look at
+     * @param {Array|object} [payload.position] - Camera position
+     * @param {number} [payload.duration=2000] - Duration in milliseconds
+     */
+    async commandMoveCameraTo({ target, position, duration }) {
+        if (target === undefined && position === undefined) {
+            throw this.createCommandError('invalid_params', 'moveCameraTo requires a target or a position');
+        }
+        
+        const getTarget = this.resolveTargetPosition(target ?? this.controls.target.clone());
+        
+        let getPosition;
+        if (position !== undefined) {
+            const endPosition = this.parseVector(position);
+            if (!endPosition) {
+                throw this.createCommandError('invalid_params', 'Camera position must be [x, y, z] or {x, y, z}');
+            }
+            getPosition = () => endPosition;
+        } else {
+            // Keep the current viewing direction, at a distance that frames the target
+            const object = this.findObjectById(target);
+            const distance = object ? 6 : this.camera.position.distanceTo(this.controls.target);
+            const offset = this.camera.position.clone().sub(this.controls.target);
+            if (offset.lengthSq() === 0) {
+                offset.set(0, 0.5, 1);
+            }
+            offset.setLength(distance);
+            const endPosition = new THREE.Vector3();
+            getPosition = () => endPosition.copy(getTarget()).add(offset);
+        }
+        
+        const completed = await this.animateCamera({
+            position: getPosition,
+            target: getTarget,
+            duration: this.toSeconds(duration, 2000)
+        });
+        
+        if (!completed) {
+            throw this.createCommandError('interrupted', 'Camera move was interrupted');
+        }
+        
+        return { camera: this.getCameraPose() };
+    }
+    
+    /**
+     * Turn the camera to look at a target (scene:lookAt)
+     * @param {object} payload - Command payload
+     * @param {string|Array|object} payload.target - Object ID or point to look at
+     * @param {number} [payload.duration=1000] - Duration in milliseconds
+     */
+    async commandLookAt({ target, duration }) {
+        if (target === undefined) {
+            throw this.createCommandError('invalid_params', 'lookAt requires a target');
+        }
+        
+        const getTarget = this.resolveTargetPosition(target);
+        const position = this.camera.position.clone();
+        
+        const completed = await this.animateCamera({
+            position,
+            target: getTarget,
+            duration: this.toSeconds(duration, 1000)
+        });
+        
+        if (!completed) {
+            throw this.createCommandError('interrupted', 'Camera look-at was interrupted');
+        }
+        
+        return { camera: this.getCameraPose() };
+    }
+    
+    /**
+     * Orbit the camera once around a target (scene:orbitAround)
+     * @param {object} payload - Command payload
+     * @param {string|Array|object} [payload.target] - Object ID or point to orbit (defaults to the current target)
+     * @param {number} [payload.duration=5000] - Duration in milliseconds
+     */
+    async commandOrbitAround({ target, duration }) {
+        const getTarget = this.resolveTargetPosition(target ?? this.controls.target.clone());
+        
+        // Orbit at the current distance and height relative to the target
+        const startTarget = this.controls.target.clone();
+        const offset = this.camera.position.clone().sub(getTarget());
+        const height = offset.y;
+        const radius = Math.max(Math.hypot(offset.x, offset.z), this.controls.minDistance);
+        const startAngle = Math.atan2(offset.z, offset.x);
+        const currentTarget = new THREE.Vector3();
+        
+        const completed = await this.startCameraAnimation(this.toSeconds(duration, 5000), (progress) => {
+            // Ease the orbit target onto the object during the first quarter
+            const targetBlend = this.easeOutCubic(Math.min(progress * 4, 1));
+            currentTarget.lerpVectors(startTarget, getTarget(), targetBlend);
+            
+            const angle = startAngle + this.easeInOutCubic(progress) * Math.PI * 2;
+            this.camera.position.set(
+                currentTarget.x + Math.cos(angle) * radius,
+                currentTarget.y + height,
+                currentTarget.z + Math.sin(angle) * radius
+            );
+            this.controls.target.copy(currentTarget);
+        });
+        
+        if (!completed) {
+            throw this.createCommandError('interrupted', 'Camera orbit was interrupted');
+        }
+        
+        return { camera: this.getCameraPose() };
+    }
+    
+    /**
+     * Reset the camera to its default view (scene:resetCamera)
+     */
+    async commandResetCamera() {
+        const completed = await this.resetView();
+        
+        if (!completed) {
+            throw this.createCommandError('interrupted', 'Camera reset was interrupted');
+        }
+        
+        return { camera: this.getCameraPose() };
+    }
+    
+    /**
+     * Switch the visual preset (scene:setPreset)
+     * @param {object} payload - Command payload
+     * @param {string} payload.preset - 'default', 'neural', 'abstract' or 'data'
+     */
+    commandSetPreset({ preset }) {
+        if (!['default', 'neural', 'abstract', 'data'].includes(preset)) {
+            throw this.createCommandError('invalid_params', `Unknown visual preset: ${preset}`);
+        }
+        
+        this.setVisualPreset(preset);
+        this.eventBus.publish('scene:presetChanged', { preset });
+        
+        return { preset };
+    }
+    
+    /**
+     * Render the current view to an image
+     * 
+     * Labels are HTML overlays and don't appear in the image.
+     * @param {object} [options]
+     * @param {number} [options.maxWidth=800] - Scale the image down to this width
+     * @param {string} [options.mimeType='image/png'] - 'image/png' or 'image/jpeg'
+     * @param {number} [options.quality] - JPEG quality from 0 to 1
+     * @returns {object} { mimeType, data (base64), width, height }
+     */
+    captureImage({ maxWidth = 800, mimeType = 'image/png', quality } = {}) {
+        // The drawing buffer is only readable right after a render
+        this.render();
+        
+        const source = this.renderer.domElement;
+        const scale = Math.min(1, maxWidth / source.width);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(source.width * scale);
+        canvas.height = Math.round(source.height * scale);
+        canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+        
+        // Browsers fall back to PNG for image types they can't encode
+        const dataUrl = canvas.toDataURL(mimeType, quality);
+        
+        return {
+            mimeType: dataUrl.slice(5, dataUrl.indexOf(';')),
+            data: dataUrl.slice(dataUrl.indexOf(',') + 1),
+            width: canvas.width,
+            height: canvas.height
+        };
+    }
+    
+    /**
+     * Get the current camera pose
+     * @returns {object} Camera position and orbit target as [x, y, z] arrays
+     */
+    getCameraPose() {
+        return {
+            position: this.camera.position.toArray().map(value => Number(value.toFixed(3))),
+            target: this.controls.target.toArray().map(value => Number(value.toFixed(3)))
+        };
+    }
+    
+    /**
+     * Create an object at runtime (scene:createObject)
+     * @param {string} type - 'primaryNode', 'secondaryNode', 'connection' or 'label'
+     * @param {object} params - Object parameters (validated per type)
+     * @returns {Promise<object>} Created object's ID and type, plus IDs of connections created with it
+     */
+    async createObject(type, params = {}) {
+        if (!params || typeof params !== 'object' || Array.isArray(params)) {
+            throw this.createCommandError('invalid_params', 'Object params must be an object');
+        }
+        
+        let object;
+        const connections = [];
+        
+        switch (type) {
+            case 'primaryNode': {
+                const color = this.parseColor(params.color, 0x4a86e8);
                 
-                // Easing function
-                const easedProgress = this.easeOutCubic(progress);
+                object = await this.createNeuralNode({
+                    id: this.claimObjectId(params.id, 'node'),
+                    name: this.readString(params, 'name', { required: true, maxLength: 40 }),
+                    description: this.readString(params, 'description', { maxLength: 500 }),
+                    color,
+                    position: params.position !== undefined ?
+                        this.readVector(params.position, 'position') :
+                        this.nextPrimaryNodePosition(),
+                    orbitSpeed: this.readNumber(params, 'orbitSpeed', { min: -1, max: 1 })
+                });
+                this.neuralNodes.push(object);
                 
-                // Update camera position
-                this.camera.position.lerpVectors(
-                    startPosition,
-                    endPosition,
-                    easedProgress
-                );
+                if (params.connectToCore !== false) {
+                    connections.push(this.connectObjects(this.neuralCore, object, { color, weight: 0.8 }));
+                }
+                break;
+            }
+            
+            case 'secondaryNode': {
+                const anchor = params.attachTo !== undefined ? this.requireObject(params.attachTo) : null;
+                if (anchor && !this.isConnectable(anchor)) {
+                    throw this.createCommandError('invalid_params', 'Secondary nodes can only be attached to nodes and the core');
+                }
+                const position = params.position !== undefined ?
+                    this.readVector(params.position, 'position') :
+                    this.randomPositionNear(anchor ? anchor.position : null);
+                const closestNode = anchor || this.findClosestPrimaryNode(position);
+                const color = this.parseColor(params.color, closestNode ? closestNode.userData.color : 0xaaaaff);
                 
-                // Update target
-                this.controls.target.lerpVectors(
-                    startTarget,
-                    endTarget,
-                    easedProgress
-                );
+                object = this.createSecondaryNode({
+                    id: this.claimObjectId(params.id, 'secondary'),
+                    name: this.readString(params, 'name', { maxLength: 40 }),
+                    description: this.readString(params, 'description', { maxLength: 500 }),
+                    position,
+                    color,
+                    size: this.readNumber(params, 'size', { min: 0.05, max: 1 }),
+                    phase: Math.random() * 10
+                });
                 
-                // Remove animation when complete
-                if (progress >= 1) {
-                    this.animationObjects = this.animationObjects.filter(
-                        item => item !== cameraAnimation
-                    );
+                if (anchor) {
+                    connections.push(this.connectObjects(object, anchor, { color, weight: 0.3 }));
+                }
+                break;
+            }
+            
+            case 'connection': {
+                const source = this.requireObject(this.readString(params, 'source', { required: true }));
+                const target = this.requireObject(this.readString(params, 'target', { required: true }));
+                
+                if (source === target) {
+                    throw this.createCommandError('invalid_params', 'A connection needs two different objects');
                 }
+                if (!this.isConnectable(source) || !this.isConnectable(target)) {
+                    throw this.createCommandError('invalid_params', 'Connections can only join nodes and the core');
+                }
+                
+                object = this.connectObjects(source, target, {
+                    id: params.id !== undefined ? this.claimObjectId(params.id, 'connection') : undefined,
+                    color: this.parseColor(params.color, 0xaaaaff),
+                    weight: this.readNumber(params, 'weight', { min: 0, max: 1 }),
+                    directed: params.directed === true
+                });
+                break;
             }
+            
+            case 'label':
+                object = this.createAnnotationLabel({
+                    id: this.claimObjectId(params.id, 'label'),
+                    text: this.readString(params, 'text', { required: true, maxLength: 200 }),
+                    color: this.parseColor(params.color, 0xffffff),
+                    target: params.target !== undefined ? this.requireObject(params.target) : null,
+                    position: params.position !== undefined ? this.readVector(params.position, 'position') : null
+                });
+                break;
+                
+            default:
+                throw this.createCommandError('invalid_params', `Unknown object type: ${type}`);
+        }
+        
+        // Announce new nodes with a pulse
+        if (object.userData.type === 'neuralNode' || object.userData.type === 'secondaryNode') {
+            this.createPulseEffect(object.position, object.userData.color);
+            this.stimulateObject(object, 0.6);
+        }
+        
+        const result = {
+            id: object.userData.id,
+            type: object.userData.type,
+            connections: connections.map(connection => connection.userData.id)
         };
         
-        // Add animation
-        this.animationObjects.push(cameraAnimation);
+        this.eventBus.publish('scene:objectCreated', result);
+        
+        return result;
     }
     
     /**
-     * Set overview camera mode
+     * Update an object created at runtime or at startup (scene:updateObject)
+     * @param {string} objectId - Object ID
+     * @param {object} params - Properties to change
+     * @returns {object} Updated object's ID, type and the names of the changed properties
      */
-    overviewMode() {
-        // Animate camera position
-        const startPosition = this.camera.position.clone();
-        const startTarget = this.controls.target.clone();
-        const endPosition = new THREE.Vector3(15, 15, 15);
-        const endTarget = new THREE.Vector3(0, 0, 0);
-        const duration = 2;
-        const startTime = this.time;
+    updateObject(objectId, params = {}) {
+        const object = this.requireObject(objectId);
+        const data = object.userData;
+        const changed = [];
         
-        // Create animation
-        const cameraAnimation = {
-            object: this.camera,
-            update: (currentTime, deltaTime) => {
-                const elapsedTime = currentTime - startTime;
-                const progress = Math.min(elapsedTime / duration, 1);
-                
-                // Easing function
-                const easedProgress = this.easeOutCubic(progress);
-                
-                // Update camera position
-                this.camera.position.lerpVectors(
-                    startPosition,
-                    endPosition,
-                    easedProgress
-                );
+        if (object === this.neuralCore) {
+            throw this.createCommandError('protected_target', 'The neural core cannot be modified');
+        }
+        if (!params || typeof params !== 'object' || Array.isArray(params)) {
+            throw this.createCommandError('invalid_params', 'Object params must be an object');
+        }
+        
+        if (params.color !== undefined) {
+            const color = this.parseColor(params.color);
+            
+            if (data.type === 'annotation') {
+                object.element.style.color = `#${new THREE.Color(color).getHexString()}`;
+            } else if (data.type === 'connection') {
+                object.material.color.set(color);
+            } else {
+                object.material.color.set(color);
+                object.material.emissive.set(color);
+            }
+            
+            data.color = color;
+            changed.push('color');
+        }
+        
+        if (data.type === 'neuralNode' || data.type === 'secondaryNode') {
+            if (params.name !== undefined) {
+                data.name = this.readString(params, 'name', { required: true, maxLength: 40 });
                 
-                // Update target
-                this.controls.target.lerpVectors(
-                    startTarget,
-                    endTarget,
-                    easedProgress
-                );
+                const label = this.getNodeLabel(object);
+                if (label) {
+                    label.element.textContent = data.name;
+                } else {
+                    object.add(this.createNodeLabel(data.name, (data.size || 1) + 0.5));
+                }
+                changed.push('name');
+            }
+            
+            if (params.description !== undefined) {
+                data.description = this.readString(params, 'description', { maxLength: 500 });
+                changed.push('description');
+            }
+            
+            if (params.position !== undefined) {
+                const position = this.readVector(params.position, 'position');
                 
-                // Remove animation when complete
-                if (progress >= 1) {
-                    this.animationObjects = this.animationObjects.filter(
-                        item => item !== cameraAnimation
-                    );
+                // Primary nodes orbit around their home position
+                if (data.type === 'neuralNode') {
+                    data.homePosition.copy(position);
+                } else {
+                    object.position.copy(position);
+                }
+                changed.push('position');
+            }
+        } else if (data.type === 'connection') {
+            if (params.weight !== undefined) {
+                data.weight = this.readNumber(params, 'weight', { min: 0, max: 1 });
+                data.baseOpacity = 0.1 + data.weight * 0.3;
+                changed.push('weight');
+            }
+            
+            if (params.directed !== undefined) {
+                data.directed = params.directed === true;
+                changed.push('directed');
+            }
+        } else if (data.type === 'annotation') {
+            if (params.text !== undefined) {
+                data.text = this.readString(params, 'text', { required: true, maxLength: 200 });
+                object.element.textContent = data.text;
+                changed.push('text');
+            }
+        }
+        
+        if (changed.length === 0) {
+            throw this.createCommandError('invalid_params', `No updatable properties given for ${objectId}`);
+        }
+        
+        const result = { id: data.id, type: data.type, changed };
+        this.eventBus.publish('scene:objectUpdated', result);
+        
+        return result;
+    }
+    
+    /**
+     * Remove an object (scene:removeObject)
+     * 
+     * Removing a node also removes its connections and any labels attached to it.
+     * @param {string} objectId - Object ID
+     * @returns {object} Removed object's ID and type, plus the IDs of everything removed with it
+     */
+    removeObject(objectId) {
+        const object = this.requireObject(objectId);
+        
+        if (object === this.neuralCore) {
+            throw this.createCommandError('protected_target', 'The neural core cannot be removed');
+        }
+        
+        const removed = [];
+        
+        // Cascade to connections and labels that depend on this object
+        for (const dependent of [...this.objectRegistry.values()]) {
+            const data = dependent.userData;
+            if (data.sourceId === objectId || data.targetId === objectId) {
+                this.disposeObject(dependent);
+                removed.push(data.id);
+            }
+        }
+        
+        const type = object.userData.type;
+        this.disposeObject(object);
+        removed.push(objectId);
+        
+        const result = { id: objectId, type, removed };
+        this.eventBus.publish('scene:objectRemoved', result);
+        
+        return result;
+    }
+    
+    /**
+     * Replace the network with a topology document (scene:loadTopology)
+     * 
+     * The document is validated before anything is removed, so an invalid
+     * topology leaves the current network untouched.
+     * @param {object} payload - Command payload
+     * @param {object|string} [payload.topology] - Topology document or its JSON text
+     * @param {string} [payload.url] - URL to fetch the topology from
+     * @param {string} [payload.source='api'] - Where the topology came from ('url', 'file', 'mcp', ...)
+     * @returns {Promise<object>} Summary of the loaded topology
+     */
+    async loadTopology({ topology, url, source = 'api' } = {}) {
+        const definition = await this.topologyLoader.resolve({ topology, url });
+        
+        this.clearNetwork();
+        await this.buildTopology(definition);
+        
+        const result = {
+            name: definition.name,
+            nodes: definition.nodes.length,
+            edges: definition.edges.length,
+            source
+        };
+        
+        console.log(`Loaded topology "${definition.name}" from ${source}`);
+        this.eventBus.publish('scene:topologyLoaded', result);
+        
+        return result;
+    }
+    
+    /**
+     * Remove every node, connection and label except the neural core
+     */
+    clearNetwork() {
+        const highlight = this.activeHighlights.get(this.neuralCore);
+        if (highlight) {
+            highlight.finish(false);
+        }
+        
+        for (const object of [...this.objectRegistry.values()]) {
+            // Labels attached to a node are disposed along with it
+            if (object !== this.neuralCore && this.objectRegistry.has(object.userData.id)) {
+                this.disposeObject(object);
+            }
+        }
+    }
+    
+    /**
+     * Create nodes and connections for a normalized topology
+     * @param {object} definition - Topology returned by TopologyLoader
+     */
+    async buildTopology(definition) {
+        // Apply core overrides, falling back to the built-in core
+        const core = definition.core || {};
+        const coreColor = core.color !== undefined ? core.color : 0x4a66ff;
+        
+        Object.assign(this.neuralCore.userData, {
+            name: core.name || 'Neural Core',
+            description: core.description || 'Central hub that coordinates all neural activity',
+            color: coreColor
+        });
+        this.neuralCore.material.color.set(coreColor);
+        if (core.color !== undefined) {
+            this.neuralCore.material.emissive.set(coreColor).multiplyScalar(0.4);
+        } else {
+            this.neuralCore.material.emissive.set(0x1a3366);
+        }
+        
+        for (const [index, nodeData] of definition.nodes.entries()) {
+            const position = new THREE.Vector3(...nodeData.position);
+            
+            if (nodeData.role === 'primary') {
+                const node = await this.createNeuralNode({ ...nodeData, position });
+                this.neuralNodes.push(node);
+            } else {
+                this.createSecondaryNode({ ...nodeData, position, phase: index });
+            }
+        }
+        
+        for (const edge of definition.edges) {
+            this.connectObjects(this.findObjectById(edge.source), this.findObjectById(edge.target), {
+                id: edge.id || undefined,
+                color: edge.color,
+                weight: edge.weight,
+                directed: edge.directed
+            });
+        }
+        
+        this.createAmbientNodes(definition.ambientNodes);
+        
+        this.topology = definition;
+    }
+    
+    /**
+     * Detach an object from the scene and every bookkeeping list, and free its GPU resources
+     * @param {THREE.Object3D} object - Object to dispose
+     */
+    disposeObject(object) {
+        // Stop animations and highlights driving this object
+        const highlight = this.activeHighlights.get(object);
+        if (highlight) {
+            highlight.finish(false);
+        }
+        this.animationObjects = this.animationObjects.filter(item => item.object !== object);
+        
+        // Forget it in the interaction state
+        if (this.activeFocus && this.activeFocus.object === object) {
+            this.exitFocus();
+        }
+        if (this.selectedObjects.has(object)) {
+            this.deselectObject(object);
+        }
+        if (this.hoveredObject === object) {
+            this.hoveredObject = null;
+            this.container.style.cursor = 'default';
+        }
+        
+        this.interactiveObjects = this.interactiveObjects.filter(item => item !== object);
+        this.neuralNodes = this.neuralNodes.filter(item => item !== object);
+        this.connections = this.connections.filter(item => item !== object);
+        this.objectRegistry.delete(object.userData.id);
+        
+        // Labels remove their DOM elements when they are detached
+        for (const child of [...object.children]) {
+            if (child instanceof CSS2DObject) {
+                if (child.userData.id) {
+                    this.objectRegistry.delete(child.userData.id);
                 }
+                child.removeFromParent();
             }
+        }
+        object.removeFromParent();
+        
+        if (object.geometry) {
+            object.geometry.dispose();
+        }
+        if (object.material) {
+            object.material.dispose();
+        }
+    }
+    
+    /**
+     * Create an annotation label, either attached to an object or at a fixed point
+     * @param {object} options - Label definition
+     * @param {string} options.id - Unique label ID
+     * @param {string} options.text - Label text
+     * @param {number} options.color - Text color
+     * @param {THREE.Object3D|null} options.target - Object to attach to
+     * @param {THREE.Vector3|null} options.position - Position (offset from the target when attached)
+     * @returns {CSS2DObject} Label object
+     */
+    createAnnotationLabel({ id, text, color, target, position }) {
+        if (!target && !position) {
+            throw this.createCommandError('invalid_params', 'A label needs a target or a position');
+        }
+        
+        const labelDiv = document.createElement('div');
+        labelDiv.className = 'interaction-label annotation-label';
+        labelDiv.textContent = text;
+        labelDiv.style.color = `#${new THREE.Color(color).getHexString()}`;
+        labelDiv.style.padding = '4px 10px';
+        labelDiv.style.background = 'rgba(0, 0, 0, 0.6)';
+        labelDiv.style.borderRadius = '4px';
+        labelDiv.style.fontSize = '12px';
+        
+        const label = new CSS2DObject(labelDiv);
+        label.userData = {
+            id,
+            type: 'annotation',
+            text,
+            color,
+            targetId: target ? target.userData.id : null,
+            isInteractive: false
         };
         
-        // Add animation
-        this.animationObjects.push(cameraAnimation);
+        if (target) {
+            label.position.copy(position || new THREE.Vector3(0, -1.5, 0));
+            target.add(label);
+        } else {
+            label.position.copy(position);
+            this.scene.add(label);
+        }
+        
+        this.registerObject(label);
+        
+        return label;
+    }
+    
+    /**
+     * Check whether an object can be the end of a connection
+     * @param {THREE.Object3D} object - Object to check
+     * @returns {boolean} True for nodes and the core
+     */
+    isConnectable(object) {
+        return ['neuralNode', 'secondaryNode', 'neuralCore'].includes(object.userData.type);
+    }
+    
+    /**
+     * Reserve an object ID, validating a requested one or generating "<prefix>-<n>"
+     * @param {string} [requestedId] - ID asked for by the caller
+     * @param {string} prefix - Prefix for generated IDs
+     * @returns {string} Unused object ID
+     */
+    claimObjectId(requestedId, prefix) {
+        if (requestedId === undefined || requestedId === null) {
+            let index = 1;
+            while (this.objectRegistry.has(`${prefix}-${index}`)) {
+                index++;
+            }
+            return `${prefix}-${index}`;
+        }
+        
+        if (typeof requestedId !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(requestedId)) {
+            throw this.createCommandError('invalid_params',
+                'id must be 1-64 letters, digits, dashes or underscores');
+        }
+        
+        if (this.objectRegistry.has(requestedId)) {
+            throw this.createCommandError('duplicate_id', `An object with id ${requestedId} already exists`);
+        }
+        
+        return requestedId;
+    }
+    
+    /**
+     * Read a string parameter
+     * @param {object} params - Parameters
+     * @param {string} key - Parameter name
+     * @param {object} [options] - { required, maxLength }
+     * @returns {string|undefined} Trimmed string
+     */
+    readString(params, key, { required = false, maxLength = 100 } = {}) {
+        const value = params[key];
+        
+        if (value === undefined || value === null) {
+            if (required) {
+                throw this.createCommandError('invalid_params', `${key} is required`);
+            }
+            return undefined;
+        }
+        
+        if (typeof value !== 'string' || value.trim() === '' || value.length > maxLength) {
+            throw this.createCommandError('invalid_params', `${key} must be a non-empty string of at most ${maxLength} characters`);
+        }
+        
+        return value.trim();
+    }
+    
+    /**
+     * Read an optional numeric parameter
+     * @param {object} params - Parameters
+     * @param {string} key - Parameter name
+     * @param {object} range - { min, max }
+     * @returns {number|undefined} Number within range
+     */
+    readNumber(params, key, { min, max }) {
+        const value = params[key];
+        
+        if (value === undefined || value === null) {
+            return undefined;
+        }
+        
+        if (!Number.isFinite(value) || value < min || value > max) {
+            throw this.createCommandError('invalid_params', `${key} must be a number between ${min} and ${max}`);
+        }
+        
+        return value;
+    }
+    
+    /**
+     * Read a vector parameter
+     * @param {*} value - [x, y, z] or {x, y, z}
+     * @param {string} key - Parameter name (for error messages)
+     * @returns {THREE.Vector3} Parsed vector
+     */
+    readVector(value, key) {
+        const vector = this.parseVector(value);
+        
+        if (!vector || vector.length() > 50) {
+            throw this.createCommandError('invalid_params', `${key} must be [x, y, z] within 50 units of the core`);
+        }
+        
+        return vector;
+    }
+    
+    /**
+     * Parse a color given as a number (0xrrggbb) or a "#rrggbb" string
+     * @param {number|string} [value] - Color value
+     * @param {number} [fallback] - Color used when value is not given
+     * @returns {number} Color as a number
+     */
+    parseColor(value, fallback) {
+        if (value === undefined || value === null) {
+            if (fallback === undefined) {
+                throw this.createCommandError('invalid_params', 'color is required');
+            }
+            return fallback;
+        }
+        
+        if (Number.isInteger(value) && value >= 0 && value <= 0xffffff) {
+            return value;
+        }
+        
+        if (typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value)) {
+            return parseInt(value.slice(1), 16);
+        }
+        
+        throw this.createCommandError('invalid_params', 'color must be a number or a "#rrggbb" string');
+    }
+    
+    /**
+     * Pick a free spot on the primary node ring for a new node
+     * @returns {THREE.Vector3} Position
+     */
+    nextPrimaryNodePosition() {
+        // Golden angle spacing keeps successive nodes apart
+        const angle = this.neuralNodes.length * Math.PI * (3 - Math.sqrt(5));
+        const radius = 8 + (this.neuralNodes.length % 3);
+        
+        return new THREE.Vector3(Math.cos(angle) * radius, 0, Math.sin(angle) * radius);
+    }
+    
+    /**
+     * Pick a random position, near an anchor point if given
+     * @param {THREE.Vector3|null} anchor - Point to stay close to
+     * @returns {THREE.Vector3} Position
+     */
+    randomPositionNear(anchor) {
+        if (anchor) {
+            const offset = new THREE.Vector3(
+                Math.random() * 2 - 1,
+                Math.random() * 2 - 1,
+                Math.random() * 2 - 1
+            ).setLength(1.5 + Math.random() * 1.5);
+            
+            return anchor.clone().add(offset);
+        }
+        
+        const angle = Math.random() * Math.PI * 2;
+        const radius = 5 + Math.random() * 10;
+        
+        return new THREE.Vector3(Math.cos(angle) * radius, (Math.random() * 4) - 2, Math.sin(angle) * radius);
     }
     
     /**
@@ -1120,6 +2716,13 @@ export class NeuralScene {
         return 1 - Math.pow(1 - x, 3);
     }
     
+    /**
+     * Easing function (symmetric)
+     */
+    easeInOutCubic(x) {
+        return x < 0.5 ? 4 * x * x * x : 1 - Math.pow(-2 * x + 2, 3) / 2;
+    }
+    
     /**
      * Start the render loop
      */
@@ -1152,6 +2755,9 @@ export class NeuralScene {
         // Update animation objects
         this.updateAnimations();
         
+        // Let neural activity settle back towards rest
+        this.updateNeuralActivity(this.deltaTime);
+        
         // Render scene
         this.render();
     }
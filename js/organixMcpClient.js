@@ -6,24 +6,117 @@
  * communication between the 3D visualization and Claude.
  */
 
+import {
+    McpError,
+    McpTimeoutError,
+    McpConnectionClosedError,
+    McpCancelledError,
+    McpRemoteError,
+    McpRequestError
+} from './mcp/mcpErrors.js';
+import { ConnectionManager } from './mcp/connectionManager.js';
+import { MessageQueue } from './mcp/messageQueue.js';
+import { createTransport } from './mcp/transports/transportFactory.js';
+import { validateFrame, frameKind, registerParamSchema, RPC_ERROR_CODES } from './mcp/frameValidator.js';
+import { registerSecret } from './utils/redaction.js';
+
+// MCP protocol revisions the client speaks, newest first
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-03-26', '2024-11-05'];
+
+// Identifies the client in the initialize request
+const CLIENT_INFO = {
+    name: 'organix-neural-interface',
+    version: '1.2.0'
+};
+
+// Most pages fetched when listing a server's tools, resources or prompts
+const MAX_LIST_PAGES = 20;
+
 class OrganixMcpClient {
     constructor(eventBus) {
         this.eventBus = eventBus;
         this.isConnected = false;
         this.isInitialized = false;
-        this.messageQueue = [];
-        this.websocket = null;
+        this.transport = null;
+        this.transportType = 'auto';
         this.sessionId = '';
         this.apiKey = '';
+        this.getCredential = null;
         this.clientId = `organix-${Date.now()}`;
         this.pendingRequests = new Map();
         this.messageHandlers = new Map();
-        this.reconnectAttempts = 0;
-        this.maxReconnectAttempts = 5;
-        this.reconnectDelay = 2000; // Start with 2 seconds
+        
+        // Handlers for requests from the server, by method (see
+        // registerRequestHandler), and the requests they are working on
+        this.requestHandlers = new Map();
+        this.activeServerRequests = new Map();
+        
+        // Batches from the server still waiting for answers to their
+        // requests (by request ID), and the batch being read right now
+        this.batchReplies = new Map();
+        this.receivingBatch = null;
+        this.batchCounter = 0;
+        
+        // Messages received and rejected, by reason and method (see getFrameMetrics)
+        this.frameMetrics = { received: 0, rejected: 0, byReason: {}, byMethod: {}, lastRejection: null };
+        
+        // Session and conversation to pick up again after a dropped
+        // connection; cleared when the user disconnects
+        this.resumeSessionId = null;
+        this.conversationId = null;
+        
+        // Chat messages waiting for delivery, kept across reloads
+        this.messageQueue = new MessageQueue(eventBus, {
+            send: (message) => this.deliverMessage(message),
+            canSend: () => this.isConnected && this.sessionReady
+        });
+        
+        // Reconnection with backoff, online/offline handling and heartbeats
+        this.connection = new ConnectionManager(eventBus, {
+            connect: () => this.connect(),
+            ping: (timeout) => this.sendRequest('ping', {}, { timeout }),
+            drop: () => this.dropConnection('Heartbeat timeout')
+        });
+        
+        // Per-method request timeouts in milliseconds (0 waits indefinitely)
+        this.requestTimeouts = {
+            default: 30000,
+            initialize: 10000,
+            auth: 10000,
+            'agent/message': 60000
+        };
+        
+        // Periodic sweep for requests that never got a response; requests
+        // without a timeout are reported once they reach maxRequestAge
+        this.sweepInterval = 15000;
+        this.maxRequestAge = 5 * 60 * 1000;
+        this.sweepTimer = null;
+        
+        // Streamed assistant messages in progress, keyed by message ID, and
+        // streams the user stopped (their late deltas and commands are dropped)
+        this.activeStreams = new Map();
+        this.stoppedStreams = new Set();
+        
+        // Session negotiated with the server: 'mcp' after an initialize
+        // handshake, 'legacy' for bridges that only know the ORGANIX auth
+        // request. Requests other than the handshake wait until it's ready.
+        this.protocol = null;
+        this.protocolVersion = null;
+        this.serverCapabilities = null;
+        this.serverInfo = null;
+        this.serverInstructions = null;
+        this.serverFeatures = { tools: [], resources: [], prompts: [] };
+        this.handshakeInProgress = false;
+        this.sessionReady = false;
+        
+        // Scene tools the server can list and call, and resources it can
+        // read and subscribe to (see setSceneTools / setSceneResources)
+        this.sceneTools = null;
+        this.sceneResources = null;
         
         // Register handlers for various message types
         this.registerMessageHandlers();
+        this.registerRequestHandler('ping', () => ({}));
         
         console.log('ORGANIX MCP Client created');
     }
@@ -37,14 +130,25 @@ class OrganixMcpClient {
         }
         
         try {
-            // Load configuration from localStorage if available
-            this.loadConfiguration();
+            // Load undelivered messages from localStorage if available
+            this.messageQueue.restore();
             
             // Register event handlers
             this.eventBus.subscribe('mcp:connect', this.connect.bind(this));
             this.eventBus.subscribe('mcp:disconnect', this.disconnect.bind(this));
+            this.eventBus.subscribe('mcp:resendFrame', this.resendFrame.bind(this));
             this.eventBus.subscribe('mcp:sendMessage', this.sendMessage.bind(this));
-            this.eventBus.subscribe('mcp:executeCommand', this.executeCommand.bind(this));
+            this.eventBus.subscribe('mcp:executeCommand', (command) => {
+                this.executeCommand(command).catch(() => {});
+            });
+            this.eventBus.subscribe('mcp:commandResult', this.acknowledgeCommand.bind(this));
+            this.eventBus.subscribe('mcp:cancelRequests', this.cancelRequests.bind(this));
+            this.eventBus.subscribe('mcp:stopGeneration', this.stopGeneration.bind(this));
+            this.eventBus.subscribe('settings:mcpRequestTimeouts', this.configureRequestTimeouts.bind(this));
+            this.eventBus.subscribe('settings:mcpReconnect', (options) => this.connection.configure(options));
+            this.eventBus.subscribe('mcp:retryNow', () => this.connection.retryNow());
+            this.eventBus.subscribe('mcp:retryMessage', ({ id }) => this.messageQueue.retry(id));
+            this.eventBus.subscribe('ui:chatCleared', () => this.messageQueue.removeFailed());
             
             this.isInitialized = true;
             console.log('ORGANIX MCP Client initialized');
@@ -56,57 +160,52 @@ class OrganixMcpClient {
     }
     
     /**
-     * Load MCP configuration
+     * Offer the scene to the server as MCP tools
+     * @param {SceneTools} sceneTools - Tool registry answering tools/list and tools/call
      */
-    loadConfiguration() {
-        // Try to load saved configuration from localStorage
-        try {
-            const savedConfig = localStorage.getItem('organix-mcp-config');
-            if (savedConfig) {
-                const config = JSON.parse(savedConfig);
-                if (config.endpoint) {
-                    this.endpoint = config.endpoint;
-                    // Never store the actual API key in localStorage for security reasons
-                    // Just store if it was previously set
-                    this.apiKeyWasSet = !!config.apiKeyWasSet;
-                    
-                    console.log('Loaded MCP configuration from localStorage');
-                    this.eventBus.publish('mcp:configLoaded', {
-                        endpoint: this.endpoint,
-                        apiKeyWasSet: this.apiKeyWasSet
-                    });
-                }
-            }
-        } catch (error) {
-            console.error('Error loading MCP configuration:', error);
-        }
+    setSceneTools(sceneTools) {
+        this.sceneTools = sceneTools;
+        
+        this.registerRequestHandler('tools/list', () => ({ tools: sceneTools.listTools() }));
+        this.registerRequestHandler('tools/call', (params, { signal }) => this.callSceneTool(params, signal));
     }
     
     /**
-     * Save MCP configuration
+     * Offer the visualization to the server as MCP resources
+     * @param {SceneResources} sceneResources - Resources answering resources/* requests
      */
-    saveConfiguration() {
-        try {
-            const config = {
-                endpoint: this.endpoint,
-                apiKeyWasSet: !!this.apiKey
-            };
-            
-            localStorage.setItem('organix-mcp-config', JSON.stringify(config));
-            console.log('Saved MCP configuration to localStorage');
-        } catch (error) {
-            console.error('Error saving MCP configuration:', error);
+    setSceneResources(sceneResources) {
+        this.sceneResources = sceneResources;
+        
+        for (const method of ['resources/list', 'resources/templates/list', 'resources/read', 'resources/subscribe', 'resources/unsubscribe']) {
+            this.registerRequestHandler(method, (params) => this.answerResourceRequest(method, params));
         }
+        
+        // Tell the server about changes while the session is up
+        this.eventBus.subscribe('mcp:resourceUpdated', ({ uri }) => {
+            if (this.sessionReady) {
+                this.sendNotification('notifications/resources/updated', { uri });
+            }
+        });
+        this.eventBus.subscribe('mcp:resourceListChanged', () => {
+            if (this.sessionReady) {
+                this.sendNotification('notifications/resources/list_changed', {});
+            }
+        });
     }
     
     /**
      * Connect to Claude via MCP
      * @param {object} options - Connection options
      * @param {string} options.endpoint - MCP endpoint URL
-     * @param {string} options.apiKey - API key for authentication
+     * @param {string} [options.transport] - 'websocket', 'sse', 'http' or 'auto' (the default,
+     * chosen from the URL; see js/mcp/transports/transportFactory.js)
+     * @param {string} [options.apiKey] - API key for authentication
+     * @param {Function} [options.getCredential] - Async function returning the API key or
+     * token to authenticate with; called for every connection, so reconnects get fresh tokens
      */
     async connect(options = {}) {
-        if (this.isConnected || this.websocket) {
+        if (this.isConnected || this.transport) {
             console.log('Already connected or connecting to MCP');
             return;
         }
@@ -117,31 +216,38 @@ class OrganixMcpClient {
             
             // Store connection information
             this.endpoint = options.endpoint || this.endpoint;
-            if (options.apiKey) {
+            if (options.endpoint) {
+                this.transportType = options.transport || 'auto';
+            }
+            if (options.getCredential) {
+                this.getCredential = options.getCredential;
+                this.apiKey = '';
+            } else if (options.apiKey !== undefined) {
+                this.getCredential = null;
                 this.apiKey = options.apiKey;
+                registerSecret(this.apiKey);
             }
             
             if (!this.endpoint) {
                 throw new Error('No MCP endpoint specified');
             }
             
-            console.log(`Connecting to MCP at ${this.endpoint}...`);
+            // Open the connection over whichever transport the endpoint uses
+            const transport = createTransport(this.endpoint, this.transportType);
+            console.log(`Connecting to MCP at ${this.endpoint} (${transport.type})...`);
             
-            // Create a WebSocket connection to the MCP endpoint
-            this.websocket = new WebSocket(this.endpoint);
+            transport.onopen = this.handleTransportOpen.bind(this);
+            transport.onmessage = this.handleTransportMessage.bind(this);
+            transport.onclose = this.handleTransportClose.bind(this);
+            transport.onerror = this.handleTransportError.bind(this);
             
-            // Setup WebSocket event handlers
-            this.websocket.onopen = this.handleWebSocketOpen.bind(this);
-            this.websocket.onmessage = this.handleWebSocketMessage.bind(this);
-            this.websocket.onclose = this.handleWebSocketClose.bind(this);
-            this.websocket.onerror = this.handleWebSocketError.bind(this);
-            
-            // Save configuration for future use
-            this.saveConfiguration();
+            this.transport = transport;
+            transport.open();
             
             return true;
         } catch (error) {
             console.error('Failed to connect to MCP:', error);
+            this.transport = null;
             this.eventBus.publish('mcp:statusChange', { status: 'disconnected' });
             this.eventBus.publish('mcp:error', {
                 type: 'connection',
@@ -156,17 +262,35 @@ class OrganixMcpClient {
      * Disconnect from MCP
      */
     disconnect() {
-        if (!this.isConnected && !this.websocket) {
+        // Leaving on purpose: stop reconnecting and start afresh next time
+        this.connection.stop();
+        this.resumeSessionId = null;
+        this.conversationId = null;
+        
+        if (!this.isConnected && !this.transport) {
+            this.eventBus.publish('mcp:statusChange', { status: 'disconnected' });
             return;
         }
         
         try {
-            // Close the WebSocket connection
-            if (this.websocket) {
-                this.websocket.close(1000, 'Client disconnected');
-                this.websocket = null;
+            // Close the connection. Its close event arrives later, possibly
+            // after the next connection has opened, so stop listening first.
+            const transport = this.transport;
+            if (transport) {
+                this.transport = null;
+                transport.onopen = transport.onmessage = transport.onclose = transport.onerror = null;
+                transport.close(1000, 'Client disconnected');
             }
             
+            // Nothing will answer requests that are still waiting, and
+            // nothing will take the answers to the server's requests
+            this.rejectPendingRequests('Client disconnected');
+            this.batchReplies.clear();
+            this.abortServerRequests('Client disconnected');
+            this.stopRequestSweep();
+            this.endStreams('disconnected');
+            this.resetSession();
+            
             // Update status
             this.isConnected = false;
             this.eventBus.publish('mcp:statusChange', { status: 'disconnected' });
@@ -177,7 +301,7 @@ class OrganixMcpClient {
             console.error('Error disconnecting from MCP:', error);
             
             // Force disconnect state
-            this.websocket = null;
+            this.transport = null;
             this.isConnected = false;
             this.eventBus.publish('mcp:statusChange', { status: 'disconnected' });
             
@@ -186,378 +310,1454 @@ class OrganixMcpClient {
     }
     
     /**
-     * Handle WebSocket open event
-     * @param {Event} event - WebSocket open event
+     * Handle the transport opening
      */
-    handleWebSocketOpen(event) {
-        console.log('WebSocket connection established');
+    handleTransportOpen() {
+        console.log(`MCP connection established (${this.transport.type})`);
         this.isConnected = true;
-        this.reconnectAttempts = 0;
         
-        // Send authentication message if we have an API key
-        if (this.apiKey) {
-            this.sendAuthenticationRequest();
-        } else {
-            // Notify that we're connected but not authenticated
-            this.eventBus.publish('mcp:statusChange', { status: 'connected', authenticated: false });
-        }
+        this.connection.handleConnected();
+        this.startRequestSweep();
+        this.startSession();
     }
     
     /**
-     * Send authentication request
+     * Negotiate the session: the MCP initialize handshake, followed by the
+     * ORGANIX auth request if the server asks for it. Servers that don't
+     * implement initialize get the legacy auth flow on its own.
      */
-    sendAuthenticationRequest() {
-        const authRequest = {
-            jsonrpc: '2.0',
-            id: this.generateRequestId(),
-            method: 'auth',
-            params: {
-                apiKey: this.apiKey,
-                clientId: this.clientId
-            }
-        };
-        
-        // Store the pending request
-        this.pendingRequests.set(authRequest.id, {
-            method: 'auth',
-            timestamp: Date.now(),
-            resolve: (result) => {
-                this.sessionId = result.sessionId;
-                this.eventBus.publish('mcp:statusChange', { 
-                    status: 'connected', 
-                    authenticated: true,
-                    sessionId: this.sessionId
-                });
-                console.log('Successfully authenticated with MCP');
-                
-                // Process any queued messages
-                this.processMessageQueue();
-            },
-            reject: (error) => {
-                console.error('Authentication failed:', error);
-                this.eventBus.publish('mcp:statusChange', { status: 'connected', authenticated: false });
-                this.eventBus.publish('mcp:error', {
-                    type: 'authentication',
-                    message: `Authentication failed: ${error.message}`
-                });
-            }
-        });
+    async startSession() {
+        this.handshakeInProgress = true;
         
-        // Send the request
-        this.websocket.send(JSON.stringify(authRequest));
-    }
-    
-    /**
-     * Handle WebSocket message event
-     * @param {MessageEvent} event - WebSocket message event
-     */
-    handleWebSocketMessage(event) {
         try {
-            const message = JSON.parse(event.data);
-            
-            // Log the received message
-            console.log('Received MCP message:', message);
-            
-            // Check if it's a response to a request
-            if (message.id && this.pendingRequests.has(message.id)) {
-                const pendingRequest = this.pendingRequests.get(message.id);
-                this.pendingRequests.delete(message.id);
-                
-                if (message.error) {
-                    pendingRequest.reject(message.error);
-                } else {
-                    pendingRequest.resolve(message.result);
-                }
-                
+            await this.initializeProtocol();
+        } catch (error) {
+            // A closed connection is reported by the close handler
+            if (error.code === 'connection_closed') {
+                this.handshakeInProgress = false;
                 return;
             }
             
-            // Check if it's a notification
-            if (!message.id && message.method) {
-                // Process the notification
-                this.processNotification(message);
+            if (error.code === 'unsupported_protocol') {
+                this.handshakeInProgress = false;
+                this.eventBus.publish('mcp:error', {
+                    type: 'protocol',
+                    code: error.code,
+                    message: error.message
+                });
+                this.disconnect();
                 return;
             }
             
-            // Unknown message format
-            console.warn('Unknown message format:', message);
+            console.warn(`MCP initialize failed (${error.message}); falling back to legacy ORGANIX auth`);
+            this.protocol = 'legacy';
+        }
+        
+        this.handshakeInProgress = false;
+        
+        const needsAuth = this.protocol === 'legacy' || !!this.serverCapabilities?.experimental?.organixAuth;
+        
+        if (!needsAuth) {
+            this.handleSessionReady();
+            return;
+        }
+        
+        let credential;
+        try {
+            credential = await this.resolveCredential();
         } catch (error) {
-            console.error('Error processing WebSocket message:', error);
+            console.error('No MCP credential available:', error.message);
+            this.eventBus.publish('mcp:statusChange', { status: 'connected', authenticated: false, protocol: this.protocol });
+            this.eventBus.publish('mcp:error', {
+                type: 'authentication',
+                code: error.code || 'credential_unavailable',
+                message: `Authentication failed: ${error.message}`
+            });
+            return;
+        }
+        
+        // The connection may have gone while a token was being fetched
+        if (!this.isConnected) return;
+        
+        if (credential) {
+            this.sendAuthenticationRequest(credential);
+        } else {
+            // Notify that we're connected but not authenticated
+            this.eventBus.publish('mcp:statusChange', { status: 'connected', authenticated: false, protocol: this.protocol });
         }
     }
     
     /**
-     * Process an MCP notification
-     * @param {object} notification - MCP notification
+     * Get the API key or token for the auth request
+     * @returns {Promise<string>} Credential ('' if there is none). Rejects with code
+     * 'insecure_connection' rather than send a credential unencrypted to another host.
      */
-    processNotification(notification) {
-        // Check if we have a handler for this method
-        if (this.messageHandlers.has(notification.method)) {
-            const handler = this.messageHandlers.get(notification.method);
-            handler(notification.params);
-        } else {
-            console.warn(`No handler registered for notification method: ${notification.method}`);
+    async resolveCredential() {
+        const credential = this.getCredential ? await this.getCredential() : this.apiKey;
+        
+        if (credential && !this.isSecureEndpoint(this.endpoint)) {
+            throw new McpError('insecure_connection', `Refusing to send credentials over unencrypted ${this.endpoint}; use wss:// or https://`);
         }
+        
+        return credential || '';
     }
     
     /**
-     * Register handlers for different message types
+     * Whether credentials can be sent to an endpoint: wss:// or https://, or
+     * ws:// and http:// to this machine (e.g. the mock server)
+     * @param {string} endpoint - MCP endpoint URL
+     * @returns {boolean}
      */
-    registerMessageHandlers() {
-        // Handle agent messages
-        this.messageHandlers.set('agent/message', (params) => {
-            this.eventBus.publish('mcp:message', {
-                role: 'assistant',
-                content: params.content,
-                timestamp: new Date().toISOString()
-            });
+    isSecureEndpoint(endpoint) {
+        try {
+            const url = new URL(endpoint);
+            return url.protocol === 'wss:' || url.protocol === 'https:' || ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+        } catch (error) {
+            return false;
+        }
+    }
+    
+    /**
+     * Perform the MCP initialize / notifications/initialized exchange
+     * @returns {Promise<void>} Rejects with an McpError if the server refuses or
+     * doesn't answer, or with code 'unsupported_protocol' if no version matches
+     */
+    async initializeProtocol() {
+        const result = await this.sendRequest('initialize', {
+            protocolVersion: SUPPORTED_PROTOCOL_VERSIONS[0],
+            capabilities: {
+                experimental: {
+                    organix: {
+                        sceneState: true,
+                        sceneCommands: true,
+                        streaming: true,
+                        sceneTools: !!this.sceneTools,
+                        sceneResources: this.sceneResources ? { subscribe: true, listChanged: true } : false,
+                        // Methods the server can call on the interface
+                        requests: [...this.requestHandlers.keys()],
+                        // The session and conversation this client had before its connection dropped
+                        resume: this.resumeSessionId ? {
+                            sessionId: this.resumeSessionId,
+                            conversationId: this.conversationId
+                        } : undefined
+                    }
+                }
+            },
+            clientInfo: CLIENT_INFO
         });
         
-        // Handle scene commands
-        this.messageHandlers.set('scene/command', (params) => {
-            this.eventBus.publish('mcp:command', params);
-        });
+        if (!result || !SUPPORTED_PROTOCOL_VERSIONS.includes(result.protocolVersion)) {
+            throw new McpError('unsupported_protocol',
+                `MCP server requires protocol version ${result?.protocolVersion ?? 'unknown'}; ` +
+                `this client supports ${SUPPORTED_PROTOCOL_VERSIONS.join(', ')}`,
+                { method: 'initialize', data: { protocolVersion: result?.protocolVersion ?? null } });
+        }
         
-        // Handle typing indicator
-        this.messageHandlers.set('agent/typing', (params) => {
-            if (params.typing) {
-                this.eventBus.publish('mcp:typingStart');
-            } else {
-                this.eventBus.publish('mcp:typingEnd');
-            }
-        });
+        this.protocol = 'mcp';
+        this.protocolVersion = result.protocolVersion;
+        this.serverCapabilities = result.capabilities || {};
+        this.serverInfo = result.serverInfo || null;
+        this.serverInstructions = result.instructions || null;
         
-        // Handle status updates
-        this.messageHandlers.set('status/update', (params) => {
-            this.eventBus.publish('mcp:status', params);
+        this.sendNotification('notifications/initialized', {});
+        
+        console.log(`MCP session initialized with ${this.serverInfo?.name || 'server'} (protocol ${this.protocolVersion})`);
+        
+        this.eventBus.publish('mcp:serverCapabilities', {
+            protocolVersion: this.protocolVersion,
+            capabilities: this.serverCapabilities,
+            serverInfo: this.serverInfo,
+            instructions: this.serverInstructions
         });
     }
     
     /**
-     * Handle WebSocket close event
-     * @param {CloseEvent} event - WebSocket close event
+     * Finish setting up a session once the handshake (and auth, if any) is done
      */
-    handleWebSocketClose(event) {
-        console.log(`WebSocket connection closed: ${event.code} - ${event.reason}`);
-        this.isConnected = false;
-        this.websocket = null;
+    handleSessionReady() {
+        this.sessionReady = true;
         
-        // Update status
-        this.eventBus.publish('mcp:statusChange', { status: 'disconnected' });
+        this.eventBus.publish('mcp:statusChange', {
+            status: 'connected',
+            authenticated: true,
+            sessionId: this.sessionId,
+            protocol: this.protocol
+        });
+        
+        // Deliver messages written while there was no session
+        this.messageQueue.flush();
         
-        // Attempt to reconnect if the close was unexpected
-        if (event.code !== 1000 && event.code !== 1001) {
-            this.attemptReconnect();
+        // Start the session with a complete picture of the scene
+        this.eventBus.publish('scene:requestFullState');
+        
+        if (this.protocol === 'mcp') {
+            this.refreshServerFeatures();
         }
     }
     
     /**
-     * Handle WebSocket error event
-     * @param {Event} event - WebSocket error event
+     * Fetch the tools, resources and prompts the server advertises
+     * @param {Array<string>} [kinds] - Feature kinds to refresh (all advertised ones if omitted)
      */
-    handleWebSocketError(event) {
-        console.error('WebSocket error:', event);
+    async refreshServerFeatures(kinds = ['tools', 'resources', 'prompts']) {
+        kinds = kinds.filter(kind => this.serverCapabilities?.[kind]);
+        if (kinds.length === 0) return;
         
-        this.eventBus.publish('mcp:error', {
-            type: 'websocket',
-            message: 'WebSocket error'
-        });
+        // The first pages are asked for together, in one batch where the server takes them
+        const firstPages = await this.sendBatch(kinds.map(kind => ({ method: `${kind}/list`, params: {} })));
+        
+        for (const [index, kind] of kinds.entries()) {
+            try {
+                const firstPage = firstPages[index];
+                if (firstPage.status === 'rejected') {
+                    throw firstPage.reason;
+                }
+                
+                this.serverFeatures[kind] = await this.listServerFeature(kind, firstPage.value);
+            } catch (error) {
+                if (error.code === 'connection_closed') return;
+                console.warn(`Could not list MCP server ${kind}:`, error.message);
+                continue;
+            }
+            
+            const eventName = `mcp:server${kind.charAt(0).toUpperCase()}${kind.slice(1)}`;
+            this.eventBus.publish(eventName, { [kind]: this.serverFeatures[kind] });
+        }
     }
     
     /**
-     * Attempt to reconnect to MCP
+     * List every page of a server feature
+     * @param {string} kind - 'tools', 'resources' or 'prompts'
+     * @param {object} [firstPage] - Result of a list request already made without a cursor
+     * @returns {Promise<Array<object>>} Items from every page
      */
-    attemptReconnect() {
-        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-            console.error(`Maximum reconnection attempts (${this.maxReconnectAttempts}) reached`);
-            return;
-        }
+    async listServerFeature(kind, firstPage) {
+        const items = [];
+        let cursor;
         
-        this.reconnectAttempts++;
-        const delay = this.reconnectDelay * Math.pow(1.5, this.reconnectAttempts - 1);
+        for (let page = 0; page < MAX_LIST_PAGES; page++) {
+            const result = page === 0 && firstPage ? firstPage : await this.sendRequest(`${kind}/list`, cursor ? { cursor } : {});
+            
+            items.push(...(Array.isArray(result?.[kind]) ? result[kind] : []));
+            
+            cursor = result?.nextCursor;
+            if (!cursor) return items;
+        }
         
-        console.log(`Attempting to reconnect in ${delay}ms (attempt ${this.reconnectAttempts} of ${this.maxReconnectAttempts})`);
+        console.warn(`Stopped listing MCP server ${kind} after ${MAX_LIST_PAGES} pages`);
+        return items;
+    }
+    
+    /**
+     * Get what was negotiated with the server
+     * @returns {object} { protocol, protocolVersion, capabilities, serverInfo, instructions, tools, resources, prompts }
+     */
+    getServerInfo() {
+        return {
+            protocol: this.protocol,
+            protocolVersion: this.protocolVersion,
+            capabilities: this.serverCapabilities,
+            serverInfo: this.serverInfo,
+            instructions: this.serverInstructions,
+            ...this.serverFeatures
+        };
+    }
+    
+    /**
+     * Forget everything negotiated for the current session
+     */
+    resetSession() {
+        this.protocol = null;
+        this.protocolVersion = null;
+        this.serverCapabilities = null;
+        this.serverInfo = null;
+        this.serverInstructions = null;
+        this.serverFeatures = { tools: [], resources: [], prompts: [] };
+        this.handshakeInProgress = false;
+        this.sessionReady = false;
+        this.sessionId = '';
         
-        setTimeout(() => {
-            if (!this.isConnected) {
-                this.connect({
-                    endpoint: this.endpoint,
-                    apiKey: this.apiKey
+        // Subscriptions belong to the session
+        this.sceneResources?.clearSubscriptions();
+    }
+    
+    /**
+     * Send the legacy ORGANIX authentication request. After a dropped
+     * connection it names the previous session and conversation so the
+     * server can resume them.
+     * @param {string} credential - API key or access token
+     */
+    sendAuthenticationRequest(credential) {
+        this.sendRequest('auth', {
+            apiKey: credential,
+            clientId: this.clientId,
+            sessionId: this.resumeSessionId || undefined,
+            conversationId: this.conversationId || undefined
+        }).then(
+            (result) => {
+                const previousSessionId = this.resumeSessionId;
+                
+                this.sessionId = result.sessionId;
+                this.resumeSessionId = result.sessionId || null;
+                if (result.conversationId) {
+                    this.conversationId = result.conversationId;
+                }
+                console.log('Successfully authenticated with MCP');
+                
+                if (previousSessionId) {
+                    console.log(result.resumed ? `Resumed MCP session ${result.sessionId}` : 'Previous MCP session could not be resumed; started a new one');
+                    this.eventBus.publish('mcp:sessionResumed', {
+                        resumed: !!result.resumed,
+                        sessionId: this.sessionId,
+                        previousSessionId,
+                        conversationId: this.conversationId
+                    });
+                }
+                
+                this.handleSessionReady();
+            },
+            (error) => {
+                console.error('Authentication failed:', error);
+                
+                // A closed connection is reported by the close handler
+                if (error.code === 'connection_closed') return;
+                
+                this.eventBus.publish('mcp:statusChange', { status: 'connected', authenticated: false, protocol: this.protocol });
+                this.eventBus.publish('mcp:error', {
+                    type: 'authentication',
+                    code: error.code,
+                    message: `Authentication failed: ${error.message}`
                 });
             }
-        }, delay);
+        );
     }
     
     /**
-     * Process the message queue
+     * Handle a message from the transport: one JSON-RPC message or a batch
+     * @param {string} data - JSON-RPC message text
      */
-    processMessageQueue() {
-        if (this.messageQueue.length === 0) {
+    handleTransportMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            const rejection = {
+                reason: 'parse_error',
+                code: RPC_ERROR_CODES.parseError,
+                message: 'Parse error',
+                errors: [error.message]
+            };
+            
+            this.publishFrame('inbound', data, null, { rejection });
+            this.rejectFrame(null, rejection);
             return;
         }
         
-        console.log(`Processing ${this.messageQueue.length} queued messages`);
-        
-        // Process each message in the queue
-        while (this.messageQueue.length > 0) {
-            const message = this.messageQueue.shift();
-            this.sendMessage(message);
-        }
-    }
-    
-    /**
-     * Send a message to Claude
-     * @param {object} message - Message to send
-     * @param {string} message.content - Message content
-     */
-    async sendMessage(message) {
-        if (!this.isInitialized) {
-            throw new Error('MCP client not initialized');
+        if (!Array.isArray(message)) {
+            this.receiveMessage(message, data);
+            return;
         }
         
-        // If not connected, queue the message for later
-        if (!this.isConnected || !this.websocket) {
-            this.messageQueue.push(message);
-            
-            this.eventBus.publish('mcp:error', {
-                type: 'message',
-                message: 'Not connected to MCP. Message queued for later delivery.'
-            });
+        if (message.length === 0) {
+            const rejection = {
+                reason: 'invalid_request',
+                code: RPC_ERROR_CODES.invalidRequest,
+                message: 'Invalid Request',
+                errors: ['a batch must not be empty']
+            };
             
-            return false;
+            this.publishFrame('inbound', data, message, { rejection });
+            this.rejectFrame(null, rejection);
+            return;
         }
         
+        // Answers to the batch's requests go back together in one batch
+        // once the last of them is ready
+        const batch = { id: ++this.batchCounter, waiting: new Set(), responses: [], open: true };
+        this.receivingBatch = batch;
+        
         try {
-            console.log('Sending message to Claude:', message);
-            
-            // Create the request
-            const request = {
-                jsonrpc: '2.0',
-                id: this.generateRequestId(),
-                method: 'agent/message',
-                params: {
-                    sessionId: this.sessionId,
-                    content: message.content,
-                    // Include any visualization context relevant to the message
-                    context: {
-                        visualizationState: message.visualizationState || {}
-                    }
+            message.forEach((member, index) => {
+                if (typeof member?.method === 'string' && (typeof member.id === 'string' || Number.isFinite(member.id))) {
+                    batch.waiting.add(member.id);
+                    this.batchReplies.set(member.id, batch);
                 }
-            };
-            
-            // Create a promise for the response
-            const responsePromise = new Promise((resolve, reject) => {
-                this.pendingRequests.set(request.id, {
-                    method: 'agent/message',
-                    timestamp: Date.now(),
-                    resolve,
-                    reject
-                });
-            });
-            
-            // Send the request
-            this.websocket.send(JSON.stringify(request));
-            
-            // Wait for a response
-            await responsePromise;
-            
-            return true;
-        } catch (error) {
-            console.error('Error sending message to Claude:', error);
-            
-            this.eventBus.publish('mcp:error', {
-                type: 'message',
-                message: `Error sending message: ${error.message}`
+                
+                this.receiveMessage(member, JSON.stringify(member), { id: batch.id, index, size: message.length });
             });
-            
-            return false;
+        } finally {
+            this.receivingBatch = null;
+            batch.open = false;
         }
+        
+        this.flushBatch(batch);
     }
     
     /**
-     * Execute a command on the MCP server
-     * @param {object} command - Command to execute
-     * @param {string} command.method - Command method
-     * @param {object} command.params - Command parameters
-     * @returns {Promise<object>} Command result
+     * Validate a message and act on it
+     * @param {*} message - Parsed message
+     * @param {string} raw - Message text
+     * @param {object} [batch] - { id, index, size } for a member of a batch
      */
-    async executeCommand(command) {
-        if (!this.isInitialized) {
-            throw new Error('MCP client not initialized');
-        }
+    receiveMessage(message, raw, batch = null) {
+        this.frameMetrics.received++;
         
-        if (!this.isConnected || !this.websocket) {
-            throw new Error('Not connected to MCP');
+        const rejection = this.checkFrame(message);
+        
+        // Frames are logged by the protocol inspector, according to the MCP log level
+        this.publishFrame('inbound', raw, message, { batch, rejection });
+        
+        if (rejection) {
+            this.rejectFrame(message, rejection);
+            return;
         }
         
         try {
-            console.log('Executing MCP command:', command);
-            
-            // Create the request
-            const request = {
-                jsonrpc: '2.0',
-                id: this.generateRequestId(),
-                method: command.method,
-                params: {
-                    sessionId: this.sessionId,
-                    ...command.params
-                }
-            };
-            
-            // Create a promise for the response
-            const responsePromise = new Promise((resolve, reject) => {
-                this.pendingRequests.set(request.id, {
-                    method: command.method,
-                    timestamp: Date.now(),
-                    resolve,
-                    reject
-                });
-            });
-            
-            // Send the request
-            this.websocket.send(JSON.stringify(request));
-            
-            // Wait for a response
-            const result = await responsePromise;
-            
-            return result;
+            switch (frameKind(message)) {
+                case 'response':
+                    this.processResponse(message);
+                    break;
+                case 'notification':
+                    this.processNotification(message);
+                    break;
+                default:
+                    this.processServerRequest(message);
+            }
         } catch (error) {
-            console.error('Error executing MCP command:', error);
-            throw error;
+            console.error('Error processing MCP message:', error);
         }
     }
     
     /**
-     * Generate a unique request ID
-     * @returns {string} Request ID
+     * Check a message against JSON-RPC 2.0, its method's params schema and
+     * the requests still waiting for a response
+     * @param {*} message - Parsed message
+     * @returns {object|null} null if it can be acted on, otherwise { reason, code, message, errors }
      */
-    generateRequestId() {
-        return `organix-req-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-    }
+    checkFrame(message) {
+        const rejection = validateFrame(message);
+        if (rejection) {
+            return rejection;
+        }
+        
+        if (frameKind(message) === 'response' && message.id !== null && !this.pendingRequests.has(message.id)) {
+            return {
+                reason: 'unmatched_response',
+                code: RPC_ERROR_CODES.invalidRequest,
+                message: 'No request is waiting for this response',
+                errors: [`id ${JSON.stringify(message.id)} does not match a pending request`]
+            };
+        }
+        
+        return null;
+    }
     
     /**
-     * Notify the MCP server about scene state changes
-     * @param {object} state - Scene state
+     * Count a rejected message and tell the server what was wrong with it
+     * in a JSON-RPC error. Requests are answered by ID; broken messages and
+     * notifications with bad params get an error with ID null, so the server
+     * hears about them too.
+     * @param {*} message - Parsed message (null if it wasn't valid JSON)
+     * @param {object} rejection - { reason, code, message, errors }
      */
-    updateSceneState(state) {
-        if (!this.isConnected || !this.sessionId) {
+    rejectFrame(message, rejection) {
+        const method = typeof message?.method === 'string' ? message.method : null;
+        const id = typeof message?.id === 'string' || Number.isFinite(message?.id) ? message.id : null;
+        const metrics = this.frameMetrics;
+        
+        metrics.rejected++;
+        metrics.byReason[rejection.reason] = (metrics.byReason[rejection.reason] || 0) + 1;
+        if (method) {
+            metrics.byMethod[method] = (metrics.byMethod[method] || 0) + 1;
+        }
+        metrics.lastRejection = { ...rejection, method, id, timestamp: new Date().toISOString() };
+        
+        console.warn(`Rejected MCP frame (${rejection.reason})${method ? ` ${method}` : ''}: ${rejection.errors.join('; ')}`);
+        this.eventBus.publish('mcp:frameRejected', { ...metrics.lastRejection, metrics: this.getFrameMetrics() });
+        
+        // Responses can't be answered, and unknown notifications are just ignored
+        const unanswerable = ['invalid_response', 'unmatched_response'].includes(rejection.reason) ||
+            (rejection.reason === 'method_not_found' && id === null);
+        if (unanswerable) {
+            return;
+        }
+        
+        this.sendResponse(id, null, {
+            code: rejection.code,
+            message: rejection.message,
+            data: method ? { method, errors: rejection.errors } : { errors: rejection.errors }
+        });
+    }
+    
+    /**
+     * Counts of the messages received and rejected since the page loaded
+     * @returns {object} { received, rejected, byReason, byMethod, lastRejection }
+     */
+    getFrameMetrics() {
+        const metrics = this.frameMetrics;
+        
+        return {
+            received: metrics.received,
+            rejected: metrics.rejected,
+            byReason: { ...metrics.byReason },
+            byMethod: { ...metrics.byMethod },
+            lastRejection: metrics.lastRejection
+        };
+    }
+    
+    /**
+     * Settle the request a response answers
+     * @param {object} response - JSON-RPC response
+     */
+    processResponse(response) {
+        // The server couldn't tell which of our messages it was answering
+        if (response.id === null) {
+            console.error('MCP server rejected a message:', response.error ?? response.result);
+            return;
+        }
+        
+        const pendingRequest = this.pendingRequests.get(response.id);
+        
+        if (response.error) {
+            this.settleRequest(response.id, new McpRemoteError(pendingRequest.method, response.id, response.error));
+        } else {
+            this.settleRequest(response.id, null, response.result);
+        }
+    }
+    
+    /**
+     * Process an MCP notification
+     * @param {object} notification - MCP notification
+     */
+    processNotification(notification) {
+        // Check if we have a handler for this method
+        if (this.messageHandlers.has(notification.method)) {
+            const handler = this.messageHandlers.get(notification.method);
+            handler(notification.params ?? {});
+        } else {
+            // Counted, but not answered: notifications this client doesn't know are ignored
+            this.rejectFrame(notification, {
+                reason: 'method_not_found',
+                code: RPC_ERROR_CODES.methodNotFound,
+                message: `Method not found: ${notification.method}`,
+                errors: [`no handler registered for notification ${notification.method}`]
+            });
+        }
+    }
+    
+    /**
+     * Answer a request sent by the server with its registered handler
+     * @param {object} request - JSON-RPC request
+     */
+    processServerRequest(request) {
+        const entry = this.requestHandlers.get(request.method);
+        
+        if (!entry) {
+            this.rejectFrame(request, {
+                reason: 'method_not_found',
+                code: RPC_ERROR_CODES.methodNotFound,
+                message: `Method not found: ${request.method}`,
+                errors: [`no handler registered for server request ${request.method}`]
+            });
+            return;
+        }
+        
+        this.runRequestHandler(request, entry.handler);
+    }
+    
+    /**
+     * Run a request handler and send back what it returns, or the error it
+     * throws (McpRequestError picks the JSON-RPC code, anything else is an
+     * internal error). Requests the server cancels get no response.
+     * @param {object} request - JSON-RPC request
+     * @param {Function} handler - Registered handler
+     */
+    async runRequestHandler(request, handler) {
+        const controller = new AbortController();
+        this.activeServerRequests.set(request.id, controller);
+        
+        let result;
+        let error;
+        try {
+            result = await handler(request.params ?? {}, { id: request.id, method: request.method, signal: controller.signal });
+        } catch (handlerError) {
+            error = handlerError;
+        }
+        
+        if (this.activeServerRequests.get(request.id) === controller) {
+            this.activeServerRequests.delete(request.id);
+        }
+        if (controller.signal.aborted) {
+            return;
+        }
+        
+        if (!error) {
+            this.sendResponse(request.id, result ?? {});
+        } else if (error instanceof McpRequestError) {
+            this.sendResponse(request.id, null, { code: error.rpcCode, message: error.message, data: error.data ?? undefined });
+        } else {
+            console.error(`Error answering ${request.method}:`, error);
+            this.sendResponse(request.id, null, { code: RPC_ERROR_CODES.internalError, message: error.message });
+        }
+    }
+    
+    /**
+     * Let the server call a method on the interface. The handler gets the
+     * request params and { id, method, signal }, where signal aborts when the
+     * server cancels the request or the connection closes, and returns (or
+     * resolves with) the result.
+     * @param {string} method - Request method, e.g. 'scene/query'
+     * @param {Function} handler - (params, context) => result
+     * @param {object} [options]
+     * @param {object} [options.paramsSchema] - Schema the params are checked against before the handler runs
+     * @returns {Function} Unregisters the handler
+     */
+    registerRequestHandler(method, handler, { paramsSchema } = {}) {
+        const entry = { handler };
+        this.requestHandlers.set(method, entry);
+        
+        if (paramsSchema) {
+            registerParamSchema(method, paramsSchema);
+        }
+        
+        return () => {
+            if (this.requestHandlers.get(method) === entry) {
+                this.requestHandlers.delete(method);
+            }
+        };
+    }
+    
+    /**
+     * Stop work on a server request the server no longer wants an answer to
+     * @param {object} params - notifications/cancelled params ({ requestId, reason })
+     */
+    cancelServerRequest({ requestId, reason }) {
+        const controller = this.activeServerRequests.get(requestId);
+        if (!controller) return;
+        
+        this.activeServerRequests.delete(requestId);
+        controller.abort(new McpCancelledError(null, requestId, reason || 'Cancelled by server'));
+    }
+    
+    /**
+     * Stop work on every server request, e.g. because the connection closed
+     * @param {string} reason - Why
+     */
+    abortServerRequests(reason) {
+        const controllers = [...this.activeServerRequests.entries()];
+        this.activeServerRequests.clear();
+        
+        for (const [requestId, controller] of controllers) {
+            controller.abort(new McpCancelledError(null, requestId, reason));
+        }
+    }
+    
+    /**
+     * Run a scene tool for the server
+     * @param {object} params - tools/call params ({ name, arguments })
+     * @param {AbortSignal} [signal] - Aborts when the server cancels the call
+     * @returns {Promise<object>} Tool result
+     */
+    async callSceneTool({ name, arguments: args }, signal) {
+        if (!this.sceneTools.hasTool(name)) {
+            throw new McpRequestError(RPC_ERROR_CODES.invalidParams, `Unknown tool: ${name}`);
+        }
+        
+        try {
+            return await this.sceneTools.callTool(name, args, { signal });
+        } catch (error) {
+            console.error(`Error running tool ${name}:`, error);
+            throw new McpRequestError(RPC_ERROR_CODES.internalError, `Tool ${name} failed: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Answer resources/list, resources/templates/list, resources/read,
+     * resources/subscribe and resources/unsubscribe
+     * @param {string} method - Request method
+     * @param {object} params - Request params
+     * @returns {object} Result
+     */
+    answerResourceRequest(method, { uri }) {
+        const resources = this.sceneResources;
+        
+        try {
+            switch (method) {
+                case 'resources/list':
+                    return { resources: resources.listResources() };
+                    
+                case 'resources/templates/list':
+                    return { resourceTemplates: resources.listTemplates() };
+                    
+                case 'resources/read':
+                    return resources.readResource(uri);
+                    
+                case 'resources/subscribe':
+                    resources.subscribe(uri);
+                    return {};
+                    
+                default:
+                    resources.unsubscribe(uri);
+                    return {};
+            }
+        } catch (error) {
+            if (error.code === 'resource_not_found') {
+                throw new McpRequestError(-32002, error.message, { uri });
+            }
+            throw error;
+        }
+    }
+    
+    /**
+     * Send a JSON-RPC response to a server request. Answers to a request that
+     * came in a batch are held until the whole batch can be answered.
+     * @param {string|number|null} id - Request ID (null for errors about a message without one)
+     * @param {*} result - Result (ignored when error is given)
+     * @param {object} [error] - JSON-RPC error object ({ code, message, data })
+     */
+    sendResponse(id, result, error) {
+        const response = error ? { jsonrpc: '2.0', id, error } : { jsonrpc: '2.0', id, result };
+        
+        const batch = (id !== null && this.batchReplies.get(id)) || this.receivingBatch;
+        if (batch) {
+            this.batchReplies.delete(id);
+            batch.waiting.delete(id);
+            batch.responses.push(response);
+            this.flushBatch(batch);
+            return;
+        }
+        
+        if (!this.isConnected || !this.transport) {
             return;
         }
         
+        this.sendFrame(response).catch(sendError => {
+            console.error(`Error answering server request ${id}:`, sendError);
+        });
+    }
+    
+    /**
+     * Send the answers to a batch once it has been read and every request
+     * in it is answered. A batch of notifications gets no answer.
+     * @param {object} batch - { waiting, responses, open }
+     */
+    flushBatch(batch) {
+        if (batch.open || batch.waiting.size > 0 || batch.responses.length === 0) {
+            return;
+        }
+        if (!this.isConnected || !this.transport) {
+            return;
+        }
+        
+        const responses = batch.responses;
+        batch.responses = [];
+        
+        this.sendFrame(responses).catch(error => {
+            console.error('Error answering server batch:', error);
+        });
+    }
+    
+    /**
+     * Register handlers for different message types
+     */
+    registerMessageHandlers() {
+        // Handle agent messages
+        this.messageHandlers.set('agent/message', (params) => {
+            this.eventBus.publish('mcp:message', {
+                role: 'assistant',
+                content: params.content,
+                timestamp: new Date().toISOString()
+            });
+        });
+        
+        // Handle streamed agent messages
+        this.messageHandlers.set('agent/messageStart', this.handleMessageStart.bind(this));
+        this.messageHandlers.set('agent/messageDelta', this.handleMessageDelta.bind(this));
+        this.messageHandlers.set('agent/messageStop', this.handleMessageStop.bind(this));
+        
+        // Handle scene commands (executed by the shared command dispatcher)
+        this.messageHandlers.set('scene/command', (params) => {
+            // Commands sent as part of a reply the user stopped are dropped
+            if (params.messageId && this.stoppedStreams.has(params.messageId)) {
+                console.log(`Dropping scene command for stopped message ${params.messageId}`);
+                return;
+            }
+            
+            this.eventBus.publish('mcp:command', {
+                source: 'real',
+                commands: Array.isArray(params.commands) ? params.commands : [params]
+            });
+        });
+        
+        // Handle topology replacement (executed like any other scene command)
+        this.messageHandlers.set('scene/loadTopology', (params) => {
+            this.eventBus.publish('mcp:command', {
+                source: 'real',
+                commands: [{ id: params.id, type: 'loadTopology', topology: params.topology, url: params.url }]
+            });
+        });
+        
+        // Handle resync requests (e.g. after the server missed a revision)
+        this.messageHandlers.set('scene/requestState', () => {
+            this.eventBus.publish('scene:requestFullState');
+        });
+        
+        // Handle typing indicator
+        this.messageHandlers.set('agent/typing', (params) => {
+            if (params.typing) {
+                this.eventBus.publish('mcp:typingStart');
+            } else {
+                this.eventBus.publish('mcp:typingEnd');
+            }
+        });
+        
+        // Handle status updates
+        this.messageHandlers.set('status/update', (params) => {
+            this.eventBus.publish('mcp:status', params);
+        });
+        
+        // Stop answering server requests the server gave up on
+        this.messageHandlers.set('notifications/cancelled', this.cancelServerRequest.bind(this));
+        
+        // Re-list server features when the server says they changed
+        this.messageHandlers.set('notifications/tools/list_changed', () => this.refreshServerFeatures(['tools']));
+        this.messageHandlers.set('notifications/resources/list_changed', () => this.refreshServerFeatures(['resources']));
+        this.messageHandlers.set('notifications/prompts/list_changed', () => this.refreshServerFeatures(['prompts']));
+    }
+    
+    /**
+     * Handle the start of a streamed agent message
+     * @param {object} params - { messageId, role }
+     */
+    handleMessageStart(params) {
+        const { messageId } = params;
+        if (!messageId || this.activeStreams.has(messageId) || this.stoppedStreams.has(messageId)) {
+            return;
+        }
+        
+        this.activeStreams.set(messageId, { content: '', role: params.role || 'assistant' });
+        
+        // The reply itself now shows progress
+        this.eventBus.publish('mcp:typingEnd');
+        this.eventBus.publish('mcp:messageStart', {
+            messageId,
+            role: params.role || 'assistant',
+            timestamp: new Date().toISOString()
+        });
+    }
+    
+    /**
+     * Handle a chunk of a streamed agent message
+     * @param {object} params - { messageId, delta }
+     */
+    handleMessageDelta(params) {
+        const { messageId, delta } = params;
+        if (!messageId || typeof delta !== 'string' || this.stoppedStreams.has(messageId)) {
+            return;
+        }
+        
+        // Tolerate a missing start notification
+        if (!this.activeStreams.has(messageId)) {
+            this.handleMessageStart({ messageId });
+        }
+        
+        this.activeStreams.get(messageId).content += delta;
+        this.eventBus.publish('mcp:messageDelta', { messageId, delta });
+    }
+    
+    /**
+     * Handle the end of a streamed agent message
+     * @param {object} params - { messageId, stopReason }
+     */
+    handleMessageStop(params) {
+        const { messageId } = params;
+        
+        // The UI already finished messages the user stopped
+        if (this.stoppedStreams.delete(messageId)) {
+            return;
+        }
+        
+        const stream = this.activeStreams.get(messageId);
+        if (!stream) {
+            return;
+        }
+        
+        this.activeStreams.delete(messageId);
+        this.eventBus.publish('mcp:messageStop', {
+            messageId,
+            content: stream.content,
+            stopReason: params.stopReason || 'end_turn',
+            timestamp: new Date().toISOString()
+        });
+    }
+    
+    /**
+     * Stop streamed replies at the user's request
+     * @param {object} [options]
+     * @param {Array<string>} [options.messageIds] - Messages to stop (all active streams if omitted)
+     */
+    stopGeneration({ messageIds } = {}) {
+        const ids = messageIds || [...this.activeStreams.keys()];
+        
+        for (const messageId of ids) {
+            const stream = this.activeStreams.get(messageId);
+            if (!stream) continue;
+            
+            this.activeStreams.delete(messageId);
+            this.stoppedStreams.add(messageId);
+            
+            this.eventBus.publish('mcp:messageStop', {
+                messageId,
+                content: stream.content,
+                stopReason: 'cancelled',
+                timestamp: new Date().toISOString()
+            });
+            
+            if (this.isConnected && this.transport) {
+                this.sendRequest('agent/stop', { sessionId: this.sessionId, messageId })
+                    .catch(error => console.warn(`Server did not confirm stopping ${messageId}:`, error.message));
+            }
+        }
+    }
+    
+    /**
+     * Finish every stream in progress, e.g. when the connection drops
+     * @param {string} stopReason - Reason reported on mcp:messageStop
+     */
+    endStreams(stopReason) {
+        for (const [messageId, stream] of this.activeStreams) {
+            this.eventBus.publish('mcp:messageStop', {
+                messageId,
+                content: stream.content,
+                stopReason,
+                timestamp: new Date().toISOString()
+            });
+        }
+        
+        this.activeStreams.clear();
+        this.stoppedStreams.clear();
+    }
+    
+    /**
+     * Handle the transport closing
+     * @param {object} event - { code, reason }, with WebSocket close codes
+     */
+    handleTransportClose(event) {
+        console.log(`MCP connection closed: ${event.code} - ${event.reason}`);
+        this.isConnected = false;
+        this.transport = null;
+        
+        // Fail everything still waiting for a response
+        this.rejectPendingRequests(event.reason || `Connection closed (${event.code})`);
+        this.batchReplies.clear();
+        this.abortServerRequests(event.reason || `Connection closed (${event.code})`);
+        this.stopRequestSweep();
+        this.endStreams('disconnected');
+        this.resetSession();
+        this.eventBus.publish('mcp:typingEnd');
+        
+        // Update status
+        this.eventBus.publish('mcp:statusChange', { status: 'disconnected' });
+        
+        // Reconnect if the close was unexpected
+        this.connection.handleDisconnected({ reconnect: event.code !== 1000 && event.code !== 1001 });
+    }
+    
+    /**
+     * Abandon a connection that failed or stopped responding without closing.
+     * The browser may take minutes to notice, so the close is handled right away.
+     * @param {string} reason - Why the connection was dropped
+     */
+    dropConnection(reason) {
+        const transport = this.transport;
+        if (!transport) return;
+        
+        console.warn(`Dropping MCP connection: ${reason}`);
+        
+        transport.onopen = transport.onmessage = transport.onclose = transport.onerror = null;
+        try {
+            transport.close(4000, reason);
+        } catch (error) {
+            console.error('Error closing dropped MCP connection:', error);
+        }
+        
+        this.handleTransportClose({ code: 4000, reason });
+    }
+    
+    /**
+     * Handle a transport error
+     * @param {Event|Error} error - WebSocket error event or transport error
+     */
+    handleTransportError(error) {
+        console.error('MCP transport error:', error);
+        
+        // Failed reconnection attempts show up in the status indicator instead
+        if (this.connection.state !== 'reconnecting') {
+            this.eventBus.publish('mcp:error', {
+                type: 'transport',
+                transport: this.transport?.type ?? null,
+                message: error instanceof Error ? error.message : 'WebSocket error'
+            });
+        }
+        
+        // A connection that never opened has failed; not every transport
+        // follows up with a close event
+        if (!this.isConnected) {
+            this.dropConnection('Connection failed');
+        }
+    }
+    
+    /**
+     * Send a message to Claude
+     * 
+     * The message joins the outbound queue and is delivered as soon as a
+     * session is ready; its progress is published on mcp:messageStatus.
+     * @param {object} message - Message to send
+     * @param {string} message.content - Message content
+     * @param {string} [message.id] - Client message ID, e.g. of the chat bubble showing it
+     * @param {object} [message.visualizationState] - Scene context for the message
+     * @returns {string} Message ID
+     */
+    sendMessage(message) {
+        if (!this.isInitialized) {
+            throw new Error('MCP client not initialized');
+        }
+        
+        return this.messageQueue.enqueue(message).id;
+    }
+    
+    /**
+     * Deliver a queued message with an agent/message request
+     * @param {object} message - Message from the queue
+     * @returns {Promise<object>} Request result; rejects with an McpError
+     */
+    async deliverMessage(message) {
         try {
-            const notification = {
-                jsonrpc: '2.0',
-                method: 'scene/state',
-                params: {
-                    sessionId: this.sessionId,
-                    state
+            console.log('Sending message to Claude:', message);
+            
+            const result = await this.sendRequest('agent/message', {
+                sessionId: this.sessionId,
+                conversationId: this.conversationId || undefined,
+                // Lets the server recognise a message it already got before a retry
+                clientMessageId: message.id,
+                content: message.content,
+                // Include any visualization context relevant to the message
+                context: {
+                    visualizationState: message.visualizationState || {}
                 }
-            };
+            });
+            
+            if (result?.conversationId) {
+                this.conversationId = result.conversationId;
+            }
             
-            this.websocket.send(JSON.stringify(notification));
+            return result;
         } catch (error) {
+            console.error('Error sending message to Claude:', error);
+            
+            // No reply is coming, so don't leave the typing indicator up
+            this.eventBus.publish('mcp:typingEnd');
+            
+            throw error;
+        }
+    }
+    
+    /**
+     * Execute a command on the MCP server
+     * @param {object} command - Command to execute
+     * @param {string} command.method - Command method
+     * @param {object} command.params - Command parameters
+     * @param {number} [command.timeout] - Timeout in milliseconds, overriding the per-method timeout
+     * @returns {Promise<object>} Command result
+     */
+    async executeCommand(command) {
+        if (!this.isInitialized) {
+            throw new Error('MCP client not initialized');
+        }
+        
+        if (!this.isConnected || !this.transport) {
+            throw new Error('Not connected to MCP');
+        }
+        
+        try {
+            console.log('Executing MCP command:', command);
+            
+            return await this.sendRequest(command.method, {
+                sessionId: this.sessionId,
+                ...command.params
+            }, { timeout: command.timeout });
+        } catch (error) {
+            console.error('Error executing MCP command:', error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Send a JSON-RPC request and wait for its response
+     * @param {string} method - Request method
+     * @param {object} params - Request params
+     * @param {object} [options]
+     * @param {number} [options.timeout] - Timeout in milliseconds, overriding the per-method timeout (0 waits indefinitely)
+     * @returns {Promise<*>} Response result; rejects with an McpError
+     */
+    sendRequest(method, params, { timeout } = {}) {
+        const { id, response } = this.trackRequest(method, timeout);
+        
+        this.sendFrame({ jsonrpc: '2.0', id, method, params }).catch(error => {
+            this.settleRequest(id, new McpConnectionClosedError(method, id, error.message));
+        });
+        
+        return response;
+    }
+    
+    /**
+     * Send several requests and notifications as one JSON-RPC batch. Each
+     * request still has its own timeout and settles on its own. Servers
+     * that didn't negotiate a protocol revision with batching get the
+     * calls one by one instead, as does a single call.
+     * @param {Array<object>} calls - { method, params, notification, timeout } each, notification
+     * true for calls that expect no response
+     * @returns {Promise<Array<object>>} One outcome per call, as Promise.allSettled gives them
+     */
+    sendBatch(calls) {
+        if (calls.length < 2 || !this.supportsBatching()) {
+            return Promise.allSettled(calls.map(({ method, params, notification, timeout }) => {
+                if (notification) {
+                    return this.sendNotification(method, params);
+                }
+                return this.sendRequest(method, params, { timeout });
+            }));
+        }
+        
+        const frames = [];
+        const outcomes = [];
+        const requestIds = [];
+        
+        for (const { method, params, notification, timeout } of calls) {
+            if (notification) {
+                frames.push({ jsonrpc: '2.0', method, params });
+                outcomes.push(Promise.resolve());
+                continue;
+            }
+            
+            const { id, response } = this.trackRequest(method, timeout);
+            frames.push({ jsonrpc: '2.0', id, method, params });
+            outcomes.push(response);
+            requestIds.push(id);
+        }
+        
+        this.sendFrame(frames).catch(error => {
+            for (const id of requestIds) {
+                const method = this.pendingRequests.get(id)?.method;
+                this.settleRequest(id, new McpConnectionClosedError(method, id, error.message));
+            }
+        });
+        
+        return Promise.allSettled(outcomes);
+    }
+    
+    /**
+     * Whether the server takes JSON-RPC batches: the 2025-03-26 MCP revision
+     * has them, 2024-11-05 and legacy ORGANIX bridges don't
+     * @returns {boolean}
+     */
+    supportsBatching() {
+        return this.protocol === 'mcp' && this.protocolVersion === '2025-03-26';
+    }
+    
+    /**
+     * Wait for the response to a request that is about to be sent
+     * @param {string} method - Request method
+     * @param {number} [timeout] - Timeout in milliseconds, overriding the per-method timeout
+     * @returns {object} { id, response } where response settles like sendRequest's promise
+     */
+    trackRequest(method, timeout) {
+        const id = this.generateRequestId();
+        const requestTimeout = timeout ?? this.getRequestTimeout(method);
+        
+        const response = new Promise((resolve, reject) => {
+            const pendingRequest = {
+                method,
+                timestamp: Date.now(),
+                timeout: requestTimeout,
+                timer: null,
+                resolve,
+                reject
+            };
+            
+            if (requestTimeout > 0) {
+                pendingRequest.timer = setTimeout(() => {
+                    this.settleRequest(id, new McpTimeoutError(method, id, requestTimeout));
+                }, requestTimeout);
+            }
+            
+            this.pendingRequests.set(id, pendingRequest);
+        });
+        
+        return { id, response };
+    }
+    
+    /**
+     * Resolve or reject a pending request and forget it
+     * @param {string} id - Request ID
+     * @param {Error|null} error - Rejection reason, or null to resolve
+     * @param {*} [result] - Response result
+     */
+    settleRequest(id, error, result) {
+        const pendingRequest = this.pendingRequests.get(id);
+        if (!pendingRequest) return;
+        
+        clearTimeout(pendingRequest.timer);
+        this.pendingRequests.delete(id);
+        
+        if (error) {
+            pendingRequest.reject(error);
+        } else {
+            pendingRequest.resolve(result);
+        }
+    }
+    
+    /**
+     * Get the timeout for a request method
+     * @param {string} method - Request method
+     * @returns {number} Timeout in milliseconds (0 waits indefinitely)
+     */
+    getRequestTimeout(method) {
+        return this.requestTimeouts[method] ?? this.requestTimeouts.default;
+    }
+    
+    /**
+     * Change request timeouts
+     * @param {object} timeouts - Milliseconds keyed by method, plus an optional 'default'
+     */
+    configureRequestTimeouts(timeouts) {
+        for (const [method, timeout] of Object.entries(timeouts || {})) {
+            if (typeof timeout === 'number' && timeout >= 0) {
+                this.requestTimeouts[method] = timeout;
+            } else {
+                console.warn(`Ignoring invalid timeout for ${method}:`, timeout);
+            }
+        }
+    }
+    
+    /**
+     * Reject every pending request because the connection went away
+     * @param {string} reason - Why the connection closed
+     */
+    rejectPendingRequests(reason) {
+        for (const [id, pendingRequest] of [...this.pendingRequests]) {
+            this.settleRequest(id, new McpConnectionClosedError(pendingRequest.method, id, reason));
+        }
+    }
+    
+    /**
+     * Cancel pending requests and tell the server to stop working on them
+     * @param {object} [options]
+     * @param {string} [options.requestId] - Cancel only this request
+     * @param {string} [options.method] - Cancel only requests for this method
+     * @param {string} [options.reason='Cancelled by user'] - Reason sent to the server
+     * @returns {number} Number of requests cancelled
+     */
+    cancelRequests({ requestId, method, reason = 'Cancelled by user' } = {}) {
+        let cancelled = 0;
+        
+        for (const [id, pendingRequest] of [...this.pendingRequests]) {
+            if (requestId && id !== requestId) continue;
+            if (method && pendingRequest.method !== method) continue;
+            
+            this.settleRequest(id, new McpCancelledError(pendingRequest.method, id, reason));
+            this.sendNotification('notifications/cancelled', { requestId: id, reason });
+            cancelled++;
+        }
+        
+        if (cancelled > 0) {
+            console.log(`Cancelled ${cancelled} MCP request(s)`);
+        }
+        
+        return cancelled;
+    }
+    
+    /**
+     * Start the periodic sweep for orphaned requests
+     */
+    startRequestSweep() {
+        this.stopRequestSweep();
+        this.sweepTimer = setInterval(() => this.sweepPendingRequests(), this.sweepInterval);
+    }
+    
+    /**
+     * Stop the periodic sweep
+     */
+    stopRequestSweep() {
+        clearInterval(this.sweepTimer);
+        this.sweepTimer = null;
+    }
+    
+    /**
+     * Fail requests that are past their deadline and report them on mcp:error
+     * 
+     * Timeouts normally settle requests on their own; this catches requests
+     * without a timeout and timers that never fired (e.g. in a suspended tab).
+     */
+    sweepPendingRequests() {
+        const now = Date.now();
+        const orphaned = [];
+        
+        for (const [id, pendingRequest] of [...this.pendingRequests]) {
+            const age = now - pendingRequest.timestamp;
+            const deadline = pendingRequest.timeout > 0 ? pendingRequest.timeout : this.maxRequestAge;
+            
+            if (age > deadline) {
+                orphaned.push({ id, method: pendingRequest.method, age });
+                this.settleRequest(id, new McpTimeoutError(pendingRequest.method, id, age));
+            }
+        }
+        
+        if (orphaned.length > 0) {
+            const methods = [...new Set(orphaned.map(request => request.method))].join(', ');
+            
+            this.eventBus.publish('mcp:error', {
+                type: 'orphaned_requests',
+                code: 'timeout',
+                message: `${orphaned.length} MCP request(s) never received a response (${methods})`,
+                requests: orphaned
+            });
+        }
+    }
+    
+    /**
+     * Send a JSON-RPC notification if the connection is open
+     * @param {string} method - Notification method
+     * @param {object} params - Notification params
+     */
+    sendNotification(method, params) {
+        if (!this.isConnected || !this.transport) {
+            return;
+        }
+        
+        this.sendFrame({ jsonrpc: '2.0', method, params }).catch(error => {
+            console.error(`Error sending ${method}:`, error);
+        });
+    }
+    
+    /**
+     * Hand a frame to the transport and report it to the protocol inspector
+     * @param {object|Array<object>} frame - JSON-RPC message, or an array of them for a batch
+     * @returns {Promise<void>} Rejects if the transport could not send it
+     */
+    sendFrame(frame) {
+        const raw = JSON.stringify(frame);
+        
+        if (!this.transport) {
+            return Promise.reject(new Error('Not connected to MCP'));
+        }
+        
+        const sent = this.transport.send(raw);
+        
+        if (Array.isArray(frame) && frame.length > 0) {
+            const id = ++this.batchCounter;
+            frame.forEach((member, index) => {
+                this.publishFrame('outbound', JSON.stringify(member), member, { batch: { id, index, size: frame.length } });
+            });
+        } else {
+            this.publishFrame('outbound', raw, frame);
+        }
+        
+        return sent;
+    }
+    
+    /**
+     * Publish mcp:frame for the protocol inspector. Batches are published
+     * one member at a time.
+     * @param {string} direction - 'inbound' or 'outbound'
+     * @param {string} raw - Frame as sent over the wire
+     * @param {object|null} frame - Parsed frame (null if it isn't valid JSON)
+     * @param {object} [details]
+     * @param {object} [details.batch] - { id, index, size } for a member of a batch
+     * @param {object} [details.rejection] - Why an inbound frame was rejected ({ reason, code, message, errors })
+     */
+    publishFrame(direction, raw, frame, { batch = null, rejection = null } = {}) {
+        this.eventBus.publish('mcp:frame', { direction, raw, frame, batch, rejection, timestamp: Date.now() });
+    }
+    
+    /**
+     * Send a frame again from the protocol inspector. Requests get a new ID so
+     * their response can be told apart from the original's.
+     * @param {object} data - { frame }
+     */
+    resendFrame({ frame }) {
+        if (!this.isConnected || !this.transport) {
+            this.eventBus.publish('mcp:error', { type: 'inspector', message: 'Cannot resend: not connected to MCP' });
+            return;
+        }
+        
+        if (frame && typeof frame.method === 'string' && frame.id !== undefined && frame.id !== null) {
+            // The response shows up in the inspector; nothing else waits for it
+            this.sendRequest(frame.method, frame.params).catch(() => {});
+            return;
+        }
+        
+        this.sendFrame(frame).catch(error => {
+            this.eventBus.publish('mcp:error', { type: 'inspector', message: `Cannot resend: ${error.message}` });
+        });
+    }
+    
+    /**
+     * Generate a unique request ID
+     * @returns {string} Request ID
+     */
+    generateRequestId() {
+        return `organix-req-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    }
+    
+    /**
+     * Notify the MCP server about scene state changes
+     * @param {object} state - Scene state
+     */
+    updateSceneState(state) {
+        if (!this.isConnected || !this.sessionReady) {
+            return;
+        }
+        
+        const notification = {
+            jsonrpc: '2.0',
+            method: 'scene/state',
+            params: {
+                sessionId: this.sessionId,
+                state
+            }
+        };
+        
+        this.sendFrame(notification).catch(error => {
             console.error('Error updating scene state:', error);
+        });
+    }
+    
+    /**
+     * Acknowledge a scene command back to the MCP server
+     * @param {object} result - Result published by the command dispatcher
+     */
+    acknowledgeCommand(result) {
+        // Only commands received from the server are acknowledged to it
+        if (result.source !== 'real' || !this.isConnected || !this.transport) {
+            return;
         }
+        
+        const notification = {
+            jsonrpc: '2.0',
+            method: 'scene/commandResult',
+            params: {
+                sessionId: this.sessionId,
+                commandId: result.commandId,
+                success: result.success,
+                error: result.error,
+                delta: result.delta
+            }
+        };
+        
+        this.sendFrame(notification).catch(error => {
+            console.error('Error acknowledging scene command:', error);
+        });
     }
     
     /**
@@ -565,24 +1765,22 @@ class OrganixMcpClient {
      * @param {object} interactionData - Interaction data
      */
     notifyObjectInteraction(interactionData) {
-        if (!this.isConnected || !this.sessionId) {
+        if (!this.isConnected || !this.sessionReady) {
             return;
         }
         
-        try {
-            const notification = {
-                jsonrpc: '2.0',
-                method: 'scene/interaction',
-                params: {
-                    sessionId: this.sessionId,
-                    interaction: interactionData
-                }
-            };
-            
-            this.websocket.send(JSON.stringify(notification));
-        } catch (error) {
+        const notification = {
+            jsonrpc: '2.0',
+            method: 'scene/interaction',
+            params: {
+                sessionId: this.sessionId,
+                interaction: interactionData
+            }
+        };
+        
+        this.sendFrame(notification).catch(error => {
             console.error('Error notifying object interaction:', error);
-        }
+        });
     }
 }
 
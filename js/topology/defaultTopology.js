@@ -0,0 +1,52 @@
+/**
+ * ORGANIX Neural Interface - Default Topology
+ * 
+ * The network shown when no other topology has been loaded.
+ * See schemas/topology.schema.json for the document format.
+ */
+
+export const DEFAULT_TOPOLOGY = {
+    version: 1,
+    name: 'ORGANIX Default Network',
+    ambientNodes: 30,
+    nodes: [
+        {
+            id: 'memory',
+            name: 'Memory',
+            position: [8, 0, 0],
+            color: 0x4a86e8,
+            description: 'Stores and retrieves past interactions and knowledge'
+        },
+        {
+            id: 'perception',
+            name: 'Perception',
+            position: [-8, 0, 0],
+            color: 0xf06292,
+            description: 'Processes and interprets input information'
+        },
+        {
+            id: 'reasoning',
+            name: 'Reasoning',
+            position: [0, 0, 8],
+            color: 0x26a69a,
+            description: 'Analyzes information and makes logical deductions'
+        },
+        {
+            id: 'knowledge',
+            name: 'Knowledge',
+            position: [0, 0, -8],
+            color: 0xffb74d,
+            description: 'Represents factual information and concepts'
+        }
+    ],
+    edges: [
+        { source: 'core', target: 'memory', weight: 0.8 },
+        { source: 'core', target: 'perception', weight: 0.8 },
+        { source: 'core', target: 'reasoning', weight: 0.8 },
+        { source: 'core', target: 'knowledge', weight: 0.8 },
+        { source: 'memory', target: 'knowledge' },
+        { source: 'memory', target: 'reasoning' },
+        { source: 'perception', target: 'reasoning' },
+        { source: 'perception', target: 'knowledge' }
+    ]
+};
@@ -0,0 +1,426 @@
+/**
+ * ORGANIX Neural Interface - Topology Loader
+ * 
+ * Reads network topology documents (from a URL, a dropped file or an MCP
+ * message), validates them against schemas/topology.schema.json and lays out
+ * nodes that don't specify a position. The neural scene builds the result.
+ */
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+// Ring radii used for layout hints
+const RING_RADII = { inner: 5, middle: 8, outer: 12 };
+
+// Colors assigned to groups when nodes don't specify one
+const GROUP_COLORS = [0x4a86e8, 0xf06292, 0x26a69a, 0xffb74d, 0x9575cd, 0x4dd0e1, 0xaed581, 0xff8a65];
+
+export class TopologyLoader {
+    constructor() {
+        this.maxDocumentSize = 1024 * 1024; // Characters
+        this.maxReportedErrors = 5;
+    }
+    
+    /**
+     * Load and normalize a topology from a document or a URL
+     * @param {object} source - Where to read the topology from
+     * @param {object|string} [source.topology] - Topology document or its JSON text
+     * @param {string} [source.url] - URL of a topology JSON file
+     * @returns {Promise<object>} Normalized topology
+     */
+    async resolve({ topology, url } = {}) {
+        if (topology !== undefined && topology !== null) {
+            return this.normalize(typeof topology === 'string' ? this.parse(topology) : topology);
+        }
+        
+        if (typeof url === 'string' && url.trim() !== '') {
+            return this.normalize(await this.fetchTopology(url.trim()));
+        }
+        
+        throw this.createError('invalid_params', 'A topology document or url is required');
+    }
+    
+    /**
+     * Fetch a topology document
+     * @param {string} url - Document URL (absolute, or relative to the page)
+     * @returns {Promise<object>} Parsed document
+     */
+    async fetchTopology(url) {
+        let response;
+        try {
+            response = await fetch(url, { headers: { Accept: 'application/json' } });
+        } catch (error) {
+            throw this.createError('topology_unavailable', `Could not fetch topology from ${url}: ${error.message}`);
+        }
+        
+        if (!response.ok) {
+            throw this.createError('topology_unavailable', `Could not fetch topology from ${url}: HTTP ${response.status}`);
+        }
+        
+        return this.parse(await response.text());
+    }
+    
+    /**
+     * Parse topology JSON text
+     * @param {string} text - JSON text
+     * @returns {object} Parsed document
+     */
+    parse(text) {
+        if (text.length > this.maxDocumentSize) {
+            throw this.createError('invalid_topology', 'Topology document is too large');
+        }
+        
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw this.createError('invalid_topology', `Topology is not valid JSON: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Validate a document and resolve defaults and layout
+     * @param {object} document - Topology document
+     * @returns {object} Normalized topology: colors are numbers and every node has a position
+     */
+    normalize(document) {
+        const errors = this.validate(document);
+        
+        if (errors.length > 0) {
+            const shown = errors.slice(0, this.maxReportedErrors).join('; ');
+            const more = errors.length > this.maxReportedErrors ? ` (and ${errors.length - this.maxReportedErrors} more)` : '';
+            
+            throw this.createError('invalid_topology', `Invalid topology: ${shown}${more}`, errors);
+        }
+        
+        const groups = [];
+        for (const node of document.nodes) {
+            if (node.group && !groups.includes(node.group)) {
+                groups.push(node.group);
+            }
+        }
+        
+        const nodes = document.nodes.map(node => {
+            const role = node.role || 'primary';
+            const groupColor = node.group ? GROUP_COLORS[groups.indexOf(node.group) % GROUP_COLORS.length] : null;
+            const fallbackColor = role === 'primary' ? 0x4a86e8 : 0xaaaaff;
+            
+            return {
+                id: node.id,
+                name: node.name,
+                description: node.description || '',
+                color: node.color !== undefined ? this.toColorNumber(node.color) : (groupColor ?? fallbackColor),
+                group: node.group || null,
+                role,
+                ring: node.ring || (role === 'primary' ? 'middle' : 'outer'),
+                position: node.position ? [...node.position] : null
+            };
+        });
+        
+        this.layout(nodes, document.layout || 'ring', groups);
+        
+        const nodeColors = new Map(nodes.map(node => [node.id, node.color]));
+        
+        const edges = (document.edges || []).map(edge => {
+            // Edges from the core take the color of the node they feed
+            let color = 0xaaaaff;
+            if (edge.color !== undefined) {
+                color = this.toColorNumber(edge.color);
+            } else if (edge.source === 'core') {
+                color = nodeColors.get(edge.target);
+            } else if (edge.target === 'core') {
+                color = nodeColors.get(edge.source);
+            }
+            
+            return {
+                id: edge.id || null,
+                source: edge.source,
+                target: edge.target,
+                weight: edge.weight !== undefined ? edge.weight : 0.5,
+                directed: edge.directed === true,
+                color
+            };
+        });
+        
+        return {
+            name: document.name || 'Untitled network',
+            description: document.description || '',
+            core: document.core ? {
+                name: document.core.name,
+                description: document.core.description,
+                color: document.core.color !== undefined ? this.toColorNumber(document.core.color) : undefined
+            } : null,
+            ambientNodes: document.ambientNodes || 0,
+            nodes,
+            edges
+        };
+    }
+    
+    /**
+     * Validate a document against the topology schema
+     * @param {*} document - Candidate topology document
+     * @returns {Array<string>} Error messages (empty when valid)
+     */
+    validate(document) {
+        const errors = [];
+        
+        if (!this.isPlainObject(document)) {
+            return ['topology must be a JSON object'];
+        }
+        
+        this.checkProperties(document, '', ['version', 'name', 'description', 'layout', 'core', 'ambientNodes', 'nodes', 'edges'], errors);
+        
+        if (document.version !== 1) {
+            errors.push('version must be 1');
+        }
+        this.checkString(document, 'name', '', { maxLength: 80 }, errors);
+        this.checkString(document, 'description', '', { maxLength: 500 }, errors);
+        
+        if (document.layout !== undefined && !['ring', 'clusters'].includes(document.layout)) {
+            errors.push('layout must be "ring" or "clusters"');
+        }
+        
+        if (document.core !== undefined) {
+            if (!this.isPlainObject(document.core)) {
+                errors.push('core must be an object');
+            } else {
+                this.checkProperties(document.core, 'core.', ['name', 'description', 'color'], errors);
+                this.checkString(document.core, 'name', 'core.', { minLength: 1, maxLength: 40 }, errors);
+                this.checkString(document.core, 'description', 'core.', { maxLength: 500 }, errors);
+                this.checkColor(document.core, 'core.', errors);
+            }
+        }
+        
+        if (document.ambientNodes !== undefined &&
+            (!Number.isInteger(document.ambientNodes) || document.ambientNodes < 0 || document.ambientNodes > 200)) {
+            errors.push('ambientNodes must be an integer between 0 and 200');
+        }
+        
+        const nodeIds = new Set(['core']);
+        
+        if (!Array.isArray(document.nodes)) {
+            errors.push('nodes must be an array');
+        } else if (document.nodes.length > 200) {
+            errors.push('nodes must contain at most 200 items');
+        } else {
+            document.nodes.forEach((node, index) => {
+                const path = `nodes[${index}].`;
+                
+                if (!this.isPlainObject(node)) {
+                    errors.push(`nodes[${index}] must be an object`);
+                    return;
+                }
+                
+                this.checkProperties(node, path, ['id', 'name', 'description', 'color', 'group', 'role', 'position', 'ring'], errors);
+                
+                if (typeof node.id !== 'string' || !ID_PATTERN.test(node.id)) {
+                    errors.push(`${path}id must be 1-64 letters, digits, dashes or underscores`);
+                } else if (nodeIds.has(node.id)) {
+                    errors.push(`${path}id "${node.id}" is ${node.id === 'core' ? 'reserved' : 'used more than once'}`);
+                } else {
+                    nodeIds.add(node.id);
+                }
+                
+                this.checkString(node, 'name', path, { required: true, minLength: 1, maxLength: 40 }, errors);
+                this.checkString(node, 'description', path, { maxLength: 500 }, errors);
+                this.checkString(node, 'group', path, { minLength: 1, maxLength: 40 }, errors);
+                this.checkColor(node, path, errors);
+                
+                if (node.role !== undefined && !['primary', 'secondary'].includes(node.role)) {
+                    errors.push(`${path}role must be "primary" or "secondary"`);
+                }
+                
+                if (node.ring !== undefined && !Object.hasOwn(RING_RADII, node.ring)) {
+                    errors.push(`${path}ring must be "inner", "middle" or "outer"`);
+                }
+                
+                if (node.position !== undefined &&
+                    !(Array.isArray(node.position) && node.position.length === 3 &&
+                      node.position.every(value => Number.isFinite(value) && Math.abs(value) <= 50))) {
+                    errors.push(`${path}position must be [x, y, z] with values between -50 and 50`);
+                }
+            });
+        }
+        
+        if (document.edges !== undefined) {
+            if (!Array.isArray(document.edges)) {
+                errors.push('edges must be an array');
+            } else if (document.edges.length > 1000) {
+                errors.push('edges must contain at most 1000 items');
+            } else {
+                const edgeIds = new Set();
+                
+                document.edges.forEach((edge, index) => {
+                    const path = `edges[${index}].`;
+                    
+                    if (!this.isPlainObject(edge)) {
+                        errors.push(`edges[${index}] must be an object`);
+                        return;
+                    }
+                    
+                    this.checkProperties(edge, path, ['id', 'source', 'target', 'weight', 'directed', 'color'], errors);
+                    
+                    if (edge.id !== undefined) {
+                        if (typeof edge.id !== 'string' || !ID_PATTERN.test(edge.id)) {
+                            errors.push(`${path}id must be 1-64 letters, digits, dashes or underscores`);
+                        } else if (edgeIds.has(edge.id) || nodeIds.has(edge.id)) {
+                            errors.push(`${path}id "${edge.id}" is used more than once`);
+                        } else {
+                            edgeIds.add(edge.id);
+                        }
+                    }
+                    
+                    for (const end of ['source', 'target']) {
+                        if (typeof edge[end] !== 'string') {
+                            errors.push(`${path}${end} is required`);
+                        } else if (!nodeIds.has(edge[end])) {
+                            errors.push(`${path}${end} "${edge[end]}" is not a node`);
+                        }
+                    }
+                    
+                    if (edge.source === edge.target) {
+                        errors.push(`${path}source and target must be different nodes`);
+                    }
+                    
+                    if (edge.weight !== undefined && !(Number.isFinite(edge.weight) && edge.weight >= 0 && edge.weight <= 1)) {
+                        errors.push(`${path}weight must be a number between 0 and 1`);
+                    }
+                    
+                    if (edge.directed !== undefined && typeof edge.directed !== 'boolean') {
+                        errors.push(`${path}directed must be true or false`);
+                    }
+                    
+                    this.checkColor(edge, path, errors);
+                });
+            }
+        }
+        
+        return errors;
+    }
+    
+    /**
+     * Assign positions to nodes that don't have one
+     * 
+     * Nodes are spread evenly around their ring. With the "clusters" layout
+     * each group gets its own sector of the ring so related nodes sit together.
+     * @param {Array<object>} nodes - Normalized nodes (positions are filled in place)
+     * @param {string} mode - 'ring' or 'clusters'
+     * @param {Array<string>} groups - Group names in order of first appearance
+     */
+    layout(nodes, mode, groups) {
+        for (const ring of Object.keys(RING_RADII)) {
+            const ringNodes = nodes.filter(node => !node.position && node.ring === ring);
+            const radius = RING_RADII[ring];
+            
+            if (mode === 'clusters') {
+                const sectors = [...groups, null];
+                const sectorSize = (Math.PI * 2) / sectors.length;
+                
+                sectors.forEach((group, sectorIndex) => {
+                    const members = ringNodes.filter(node => node.group === group);
+                    
+                    members.forEach((node, index) => {
+                        const angle = sectorSize * (sectorIndex + (index + 0.5) / members.length);
+                        node.position = this.ringPosition(angle, radius, node, index);
+                    });
+                });
+            } else {
+                ringNodes.forEach((node, index) => {
+                    const angle = (index / ringNodes.length) * Math.PI * 2;
+                    node.position = this.ringPosition(angle, radius, node, index);
+                });
+            }
+        }
+    }
+    
+    /**
+     * Position on a ring around the core
+     * @param {number} angle - Angle in radians
+     * @param {number} radius - Ring radius
+     * @param {object} node - Node being placed
+     * @param {number} index - Node index on the ring
+     * @returns {Array<number>} [x, y, z]
+     */
+    ringPosition(angle, radius, node, index) {
+        // Stagger secondary nodes vertically so they don't sit in one plane
+        const y = node.role === 'secondary' ? ((index % 5) - 2) * 0.6 : 0;
+        
+        return [Math.cos(angle) * radius, y, Math.sin(angle) * radius];
+    }
+    
+    /**
+     * Report properties the schema doesn't allow
+     */
+    checkProperties(object, path, allowed, errors) {
+        for (const key of Object.keys(object)) {
+            if (!allowed.includes(key)) {
+                errors.push(`${path}${key} is not a known property`);
+            }
+        }
+    }
+    
+    /**
+     * Check an optional (or required) string property
+     */
+    checkString(object, key, path, { required = false, minLength = 0, maxLength }, errors) {
+        const value = object[key];
+        
+        if (value === undefined) {
+            if (required) {
+                errors.push(`${path}${key} is required`);
+            }
+            return;
+        }
+        
+        if (typeof value !== 'string' || value.length < minLength || value.length > maxLength) {
+            errors.push(`${path}${key} must be a string of ${minLength}-${maxLength} characters`);
+        }
+    }
+    
+    /**
+     * Check an optional color property
+     */
+    checkColor(object, path, errors) {
+        const value = object.color;
+        
+        if (value === undefined) return;
+        
+        const valid = (Number.isInteger(value) && value >= 0 && value <= 0xffffff) ||
+                      (typeof value === 'string' && COLOR_PATTERN.test(value));
+                      
+        if (!valid) {
+            errors.push(`${path}color must be a number or a "#rrggbb" string`);
+        }
+    }
+    
+    /**
+     * Convert a validated color to a number
+     * @param {number|string} value - Color value
+     * @returns {number} Color as a number
+     */
+    toColorNumber(value) {
+        return typeof value === 'string' ? parseInt(value.slice(1), 16) : value;
+    }
+    
+    /**
+     * Check for a plain (non-array) object
+     */
+    isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+    
+    /**
+     * Create an error with a machine readable code
+     * @param {string} code - Error code
+     * @param {string} message - Human readable message
+     * @param {Array<string>} [details] - Individual validation errors
+     * @returns {Error} Error with code (and details) properties
+     */
+    createError(code, message, details) {
+        const error = new Error(message);
+        error.code = code;
+        if (details) {
+            error.details = details;
+        }
+        return error;
+    }
+}
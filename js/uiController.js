@@ -6,11 +6,27 @@
  * the 3D visualization and the Claude MCP integration.
  */
 
+import { DEFAULT_TOPOLOGY } from './topology/defaultTopology.js';
+
+// Settings panel names of the command types the command policy has rules for
+const COMMAND_RULE_LABELS = {
+    highlight: 'Highlight Objects',
+    pulse: 'Pulse Objects',
+    preset: 'Switch Presets',
+    camera: 'Move the Camera',
+    create: 'Create Objects',
+    update: 'Change Objects',
+    remove: 'Remove Objects',
+    loadTopology: 'Replace the Network'
+};
+
+// Audit log entries shown under Recent Commands
+const AUDIT_ENTRIES_SHOWN = 20;
+
 export class UIController {
-    constructor(eventBus, neuralScene, mcpConnector) {
+    constructor(eventBus, neuralScene) {
         this.eventBus = eventBus;
         this.neuralScene = neuralScene;
-        this.mcpConnector = mcpConnector;
         
         // Panel states
         this.panelStates = {
@@ -24,6 +40,34 @@ export class UIController {
         // UI elements
         this.elements = {};
         
+        // Objects selected in the scene, by ID
+        this.selectedObjects = new Map();
+        
+        // Assistant messages still streaming in, by message ID
+        this.streamingMessages = new Map();
+        
+        // User messages not yet delivered to the MCP server, by message ID
+        this.outgoingMessages = new Map();
+        
+        // Unanswered ui/confirm prompts in the chat, by prompt ID
+        this.confirmPrompts = new Map();
+        
+        // Connection profiles from the latest mcp:profilesChanged
+        this.mcpProfiles = { profiles: [], activeId: null };
+        
+        // Credential vault state from the latest mcp:vaultState
+        this.vaultState = { exists: false, unlocked: false, entries: 0 };
+        
+        // Command policy from the latest mcp:commandPolicy
+        this.commandPolicy = { rules: {}, defaults: {} };
+        
+        // Scene command queue from the latest mcp:commandQueue
+        this.commandQueueState = { length: 0, paused: false, running: null, dropped: 0, rejected: 0 };
+        
+        // Latest mcp:connectionState, and the timer counting down to the next reconnection attempt
+        this.mcpConnectionState = { state: 'idle' };
+        this.reconnectCountdown = null;
+        
         // Initialize the UI
         this.initialize();
         
@@ -64,8 +108,13 @@ export class UIController {
         // Input elements
         this.elements.userInput = document.getElementById('user-input');
         this.elements.sendButton = document.getElementById('send-btn');
+        this.elements.stopButton = document.getElementById('stop-btn');
         this.elements.messagesContainer = document.getElementById('messages-container');
         this.elements.clearChatButton = document.getElementById('clear-chat');
+        this.elements.commandQueueIndicator = document.getElementById('command-queue-indicator');
+        this.elements.commandQueueStatus = document.getElementById('command-queue-status');
+        this.elements.pauseCommandQueueButton = document.getElementById('pause-command-queue');
+        this.elements.flushCommandQueueButton = document.getElementById('flush-command-queue');
         
         // Controls
         this.elements.ambientIntensity = document.getElementById('ambient-intensity');
@@ -89,16 +138,45 @@ export class UIController {
         this.elements.cameraInertia = document.getElementById('camera-inertia');
         this.elements.autoRotate = document.getElementById('auto-rotate');
         this.elements.mcpMode = document.getElementById('mcp-mode');
+        this.elements.mcpProfile = document.getElementById('mcp-profile');
+        this.elements.newProfileButton = document.getElementById('new-mcp-profile');
+        this.elements.duplicateProfileButton = document.getElementById('duplicate-mcp-profile');
+        this.elements.deleteProfileButton = document.getElementById('delete-mcp-profile');
+        this.elements.mcpProfileName = document.getElementById('mcp-profile-name');
         this.elements.mcpEndpoint = document.getElementById('mcp-endpoint');
+        this.elements.mcpAuthMethod = document.getElementById('mcp-auth-method');
         this.elements.apiKey = document.getElementById('api-key');
+        this.elements.mcpTransport = document.getElementById('mcp-transport');
+        this.elements.mcpAutoConnect = document.getElementById('mcp-auto-connect');
+        this.elements.mcpCredentialStorage = document.getElementById('mcp-credential-storage');
+        this.elements.mcpCredentialStatus = document.getElementById('mcp-credential-status');
+        this.elements.forgetCredentialButton = document.getElementById('forget-mcp-credential');
+        this.elements.vaultPassphrase = document.getElementById('vault-passphrase');
+        this.elements.vaultStatus = document.getElementById('vault-status');
+        this.elements.unlockVaultButton = document.getElementById('unlock-vault');
+        this.elements.lockVaultButton = document.getElementById('lock-vault');
+        this.elements.resetVaultButton = document.getElementById('reset-vault');
+        this.elements.mcpTokenEndpoint = document.getElementById('mcp-token-endpoint');
         this.elements.connectMcpButton = document.getElementById('connect-mcp');
         this.elements.disconnectMcpButton = document.getElementById('disconnect-mcp');
         this.elements.debugMode = document.getElementById('debug-mode');
         this.elements.mcpLogLevel = document.getElementById('mcp-log-level');
         this.elements.clearStorageButton = document.getElementById('clear-storage');
+        this.elements.commandPolicyRules = document.getElementById('command-policy-rules');
+        this.elements.resetCommandPolicyButton = document.getElementById('reset-command-policy');
+        this.elements.commandAuditList = document.getElementById('command-audit-list');
+        this.elements.clearCommandAuditButton = document.getElementById('clear-command-audit');
+        this.elements.topologyUrl = document.getElementById('topology-url');
+        this.elements.loadTopologyButton = document.getElementById('load-topology');
+        this.elements.loadTopologyFileButton = document.getElementById('load-topology-file');
+        this.elements.resetTopologyButton = document.getElementById('reset-topology');
+        this.elements.topologyFile = document.getElementById('topology-file');
+        this.elements.appContainer = document.getElementById('app-container');
         
         // Status indicators
         this.elements.mcpStatus = document.getElementById('mcp-status');
+        this.elements.mcpRetryButton = document.getElementById('mcp-retry');
+        this.elements.mcpProfilePicker = document.getElementById('mcp-profile-picker');
         this.elements.notificationArea = document.getElementById('notification-area');
         
         // Panel toggles
@@ -106,6 +184,7 @@ export class UIController {
         this.elements.controlPanelToggle = document.getElementById('control-panel-toggle');
         this.elements.settingsToggle = document.getElementById('settings-toggle');
         this.elements.helpToggle = document.getElementById('help-toggle');
+        this.elements.inspectorToggle = document.getElementById('inspector-toggle');
         this.elements.settingsClose = document.getElementById('settings-close');
         this.elements.helpClose = document.getElementById('help-close');
         this.elements.contextClose = document.getElementById('context-close');
@@ -117,6 +196,11 @@ export class UIController {
     setupEventListeners() {
         // Message input
         this.elements.sendButton.addEventListener('click', this.handleSendMessage.bind(this));
+        this.elements.stopButton.addEventListener('click', this.handleStopGeneration.bind(this));
+        this.elements.pauseCommandQueueButton.addEventListener('click', () => {
+            this.eventBus.publish(this.commandQueueState.paused ? 'mcp:resumeCommands' : 'mcp:pauseCommands');
+        });
+        this.elements.flushCommandQueueButton.addEventListener('click', () => this.eventBus.publish('mcp:flushCommands'));
         this.elements.userInput.addEventListener('keydown', this.handleInputKeyDown.bind(this));
         if (this.elements.clearChatButton) {
             this.elements.clearChatButton.addEventListener('click', this.handleClearChat.bind(this));
@@ -127,6 +211,7 @@ export class UIController {
         this.elements.controlPanelToggle.addEventListener('click', () => this.togglePanel('controlPanel'));
         this.elements.settingsToggle.addEventListener('click', () => this.togglePanel('settingsPanel'));
         this.elements.helpToggle.addEventListener('click', () => this.togglePanel('helpPanel'));
+        this.elements.inspectorToggle.addEventListener('click', () => this.eventBus.publish('ui:toggleInspector'));
         this.elements.settingsClose.addEventListener('click', () => this.togglePanel('settingsPanel', false));
         this.elements.helpClose.addEventListener('click', () => this.togglePanel('helpPanel', false));
         this.elements.contextClose.addEventListener('click', () => this.togglePanel('contextPanel', false));
@@ -165,10 +250,61 @@ export class UIController {
         this.elements.mcpMode.addEventListener('change', this.handleMcpModeChange.bind(this));
         this.elements.connectMcpButton.addEventListener('click', this.handleConnectMcp.bind(this));
         this.elements.disconnectMcpButton.addEventListener('click', this.handleDisconnectMcp.bind(this));
+        this.elements.mcpRetryButton.addEventListener('click', () => this.eventBus.publish('mcp:retryNow'));
+        
+        // Connection profiles
+        this.elements.mcpProfile.addEventListener('change', this.handleProfileSelect.bind(this));
+        this.elements.mcpProfilePicker.addEventListener('change', this.handleProfileSelect.bind(this));
+        this.elements.newProfileButton.addEventListener('click', () => this.eventBus.publish('mcp:createProfile', {}));
+        this.elements.duplicateProfileButton.addEventListener('click', () => {
+            this.eventBus.publish('mcp:duplicateProfile', { id: this.mcpProfiles.activeId });
+        });
+        this.elements.deleteProfileButton.addEventListener('click', this.handleDeleteProfile.bind(this));
+        this.elements.mcpProfileName.addEventListener('change', () => this.updateActiveProfile({ name: this.elements.mcpProfileName.value }));
+        this.elements.mcpEndpoint.addEventListener('change', () => this.updateActiveProfile({ endpoint: this.elements.mcpEndpoint.value }));
+        this.elements.mcpTransport.addEventListener('change', () => this.updateActiveProfile({ transport: this.elements.mcpTransport.value }));
+        this.elements.mcpAuthMethod.addEventListener('change', () => this.updateActiveProfile({ authMethod: this.elements.mcpAuthMethod.value }));
+        this.elements.mcpAutoConnect.addEventListener('change', () => this.updateActiveProfile({ autoConnect: this.elements.mcpAutoConnect.checked }));
+        this.elements.mcpCredentialStorage.addEventListener('change', () => this.updateActiveProfile({ credentialStorage: this.elements.mcpCredentialStorage.value }));
+        this.elements.mcpTokenEndpoint.addEventListener('change', () => this.updateActiveProfile({ tokenEndpoint: this.elements.mcpTokenEndpoint.value }));
+        this.elements.forgetCredentialButton.addEventListener('click', () => {
+            this.eventBus.publish('mcp:forgetCredential', { id: this.mcpProfiles.activeId });
+        });
+        
+        // Credential vault
+        this.elements.unlockVaultButton.addEventListener('click', this.handleUnlockVault.bind(this));
+        this.elements.vaultPassphrase.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') this.handleUnlockVault();
+        });
+        this.elements.lockVaultButton.addEventListener('click', () => this.eventBus.publish('mcp:lockVault'));
+        this.elements.resetVaultButton.addEventListener('click', () => {
+            if (confirm('Delete the credential vault and every API key saved in it?')) {
+                this.eventBus.publish('mcp:resetVault');
+            }
+        });
         this.elements.debugMode.addEventListener('change', this.handleDebugModeChange.bind(this));
         this.elements.mcpLogLevel.addEventListener('change', this.handleMcpLogLevelChange.bind(this));
         this.elements.clearStorageButton.addEventListener('click', this.handleClearStorage.bind(this));
         
+        // Scene command permissions
+        this.elements.resetCommandPolicyButton.addEventListener('click', () => {
+            this.eventBus.publish('settings:commandPolicy', { rules: this.commandPolicy.defaults });
+        });
+        this.elements.clearCommandAuditButton.addEventListener('click', () => this.eventBus.publish('mcp:clearCommandAudit'));
+        
+        // Topology loading
+        this.elements.loadTopologyButton.addEventListener('click', this.handleLoadTopologyUrl.bind(this));
+        this.elements.loadTopologyFileButton.addEventListener('click', () => this.elements.topologyFile.click());
+        this.elements.topologyFile.addEventListener('change', this.handleTopologyFileChange.bind(this));
+        this.elements.resetTopologyButton.addEventListener('click', () => {
+            this.eventBus.publish('scene:loadTopology', { topology: DEFAULT_TOPOLOGY, source: 'default' });
+        });
+        
+        // Topology files can also be dropped anywhere on the interface
+        window.addEventListener('dragover', this.handleTopologyDragOver.bind(this));
+        window.addEventListener('dragleave', this.handleTopologyDragLeave.bind(this));
+        window.addEventListener('drop', this.handleTopologyDrop.bind(this));
+        
         // Context panel
         document.getElementById('query-object').addEventListener('click', this.handleQuerySelectedObject.bind(this));
     }
@@ -182,11 +318,36 @@ export class UIController {
         this.eventBus.subscribe('mcp:message', this.handleMcpMessage.bind(this));
         this.eventBus.subscribe('mcp:typingStart', this.showTypingIndicator.bind(this));
         this.eventBus.subscribe('mcp:typingEnd', this.hideTypingIndicator.bind(this));
+        this.eventBus.subscribe('mcp:messageStart', this.handleMessageStart.bind(this));
+        this.eventBus.subscribe('mcp:messageDelta', this.handleMessageDelta.bind(this));
+        this.eventBus.subscribe('mcp:messageStop', this.handleMessageStop.bind(this));
         this.eventBus.subscribe('mcp:error', this.handleMcpError.bind(this));
-        this.eventBus.subscribe('mcp:configLoaded', this.handleMcpConfigLoaded.bind(this));
+        this.eventBus.subscribe('mcp:profilesChanged', this.handleProfilesChanged.bind(this));
+        this.eventBus.subscribe('mcp:vaultState', this.handleVaultState.bind(this));
+        this.eventBus.subscribe('mcp:commandPolicy', this.handleCommandPolicy.bind(this));
+        this.eventBus.subscribe('mcp:commandAudit', ({ log }) => this.renderCommandAudit(log));
+        this.eventBus.subscribe('mcp:commandQueue', this.handleCommandQueue.bind(this));
+        this.eventBus.subscribe('mcp:profileSelected', () => {
+            // Keys belong to one profile; the profiles remember them for the session
+            this.elements.apiKey.value = '';
+        });
+        this.eventBus.subscribe('mcp:connectionState', this.handleMcpConnectionState.bind(this));
+        this.eventBus.subscribe('mcp:sessionResumed', this.handleMcpSessionResumed.bind(this));
+        this.eventBus.subscribe('mcp:messageStatus', this.handleMessageStatus.bind(this));
+        this.eventBus.subscribe('ui:confirmRequest', this.handleConfirmRequest.bind(this));
+        this.eventBus.subscribe('ui:confirmDismissed', ({ id, reason }) => {
+            this.settleConfirmPrompt(id, reason === 'timeout' ? 'No answer in time' : 'Withdrawn by Claude');
+        });
         
         // Scene events
-        this.eventBus.subscribe('scene:objectSelected', this.handleObjectSelected.bind(this));
+        this.eventBus.subscribe('scene:objectInteraction', this.handleObjectInteraction.bind(this));
+        this.eventBus.subscribe('scene:topologyLoaded', this.handleTopologyLoaded.bind(this));
+        this.eventBus.subscribe('scene:presetChanged', this.handlePresetChanged.bind(this));
+        this.eventBus.subscribe('scene:commandFailed', (data) => {
+            if (data.command === 'loadTopology') {
+                this.showNotification({ type: 'error', message: data.error.message, duration: 8000 });
+            }
+        });
         
         // UI events (mostly for notifications)
         this.eventBus.subscribe('ui:notification', this.showNotification.bind(this));
@@ -217,12 +378,7 @@ export class UIController {
             if (savedMcpMode) {
                 this.elements.mcpMode.value = savedMcpMode;
             }
-            
-            // Load MCP endpoint
-            const savedMcpEndpoint = localStorage.getItem('organix-mcp-endpoint');
-            if (savedMcpEndpoint) {
-                this.elements.mcpEndpoint.value = savedMcpEndpoint;
-            }
+            this.updateMcpModeUI(this.elements.mcpMode.value);
             
             // Load debug mode
             const savedDebugMode = localStorage.getItem('organix-debug-mode');
@@ -231,11 +387,6 @@ export class UIController {
                 this.handleDebugModeChange({ target: this.elements.debugMode });
             }
             
-            // Load MCP log level
-            const savedMcpLogLevel = localStorage.getItem('organix-mcp-log-level');
-            if (savedMcpLogLevel) {
-                this.elements.mcpLogLevel.value = savedMcpLogLevel;
-            }
             
             console.log('Loaded saved settings from localStorage');
         } catch (error) {
@@ -306,23 +457,47 @@ export class UIController {
         const message = this.elements.userInput.value.trim();
         
         if (message) {
-            // Add message to UI
-            this.addMessageToUI('user', message);
+            this.sendUserMessage(message);
             
             // Clear input
             this.elements.userInput.value = '';
-            
-            // Publish send message event
-            this.eventBus.publish('ui:sendMessage', message);
         }
     }
     
+    /**
+     * Show a user message in the chat and send it
+     * @param {string} content - Message text
+     */
+    sendUserMessage(content) {
+        const id = this.generateMessageId();
+        
+        // The bubble shows delivery progress from mcp:messageStatus
+        this.outgoingMessages.set(id, this.addMessageToUI('user', content));
+        
+        this.eventBus.publish('ui:sendMessage', { id, content });
+    }
+    
+    /**
+     * Generate an ID for a user message
+     * @returns {string} Message ID
+     */
+    generateMessageId() {
+        return `msg-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    }
+    
     /**
      * Handle clear chat button click
      */
     handleClearChat() {
+        // Stop replies that are still streaming into the chat
+        if (this.streamingMessages.size > 0) {
+            this.handleStopGeneration();
+        }
+        
         // Clear the messages container
         this.elements.messagesContainer.innerHTML = '';
+        this.outgoingMessages.clear();
+        this.eventBus.publish('ui:chatCleared');
         
         // Add a welcome message
         this.addMessageToUI('assistant', 'Chat history has been cleared. How can I help you?');
@@ -435,6 +610,16 @@ export class UIController {
         this.eventBus.publish('control:visualPreset', preset);
     }
     
+    /**
+     * Reflect a preset changed by a command in the preset buttons
+     * @param {object} data - { preset }
+     */
+    handlePresetChanged(data) {
+        this.elements.visualPresetButtons.forEach(button => {
+            button.classList.toggle('active', button.dataset.preset === data.preset);
+        });
+    }
+    
     /**
      * Handle quality preset change
      */
@@ -492,21 +677,259 @@ export class UIController {
      * @param {string} mode - MCP mode ('real' or 'simulation')
      */
     updateMcpModeUI(mode) {
-        if (mode === 'real') {
-            // Show real MCP connection fields
-            this.elements.mcpEndpoint.parentElement.style.display = 'flex';
-            this.elements.apiKey.parentElement.style.display = 'flex';
+        const real = mode === 'real';
+        
+        // Profile and connection fields only matter for a real connection
+        document.querySelectorAll('.mcp-real-only').forEach(element => {
+            element.style.display = real ? 'flex' : 'none';
+        });
+        this.elements.mcpProfilePicker.classList.toggle('hidden', !real);
+        this.updateAuthFields();
+        
+        if (real) {
             this.elements.connectMcpButton.textContent = 'Connect to Claude MCP';
             this.elements.disconnectMcpButton.style.display = 'inline-block';
         } else {
-            // Hide real MCP connection fields
-            this.elements.mcpEndpoint.parentElement.style.display = 'none';
-            this.elements.apiKey.parentElement.style.display = 'none';
             this.elements.connectMcpButton.textContent = 'Enable Simulation Mode';
             this.elements.disconnectMcpButton.style.display = 'none';
         }
     }
     
+    /**
+     * Show the credential fields that apply to the active profile's auth method
+     */
+    updateAuthFields() {
+        const real = this.elements.mcpMode.value === 'real';
+        const authMethod = this.elements.mcpAuthMethod.value;
+        const show = (selector, visible) => {
+            document.querySelectorAll(selector).forEach(element => {
+                element.style.display = real && visible ? 'flex' : 'none';
+            });
+        };
+        
+        show('.mcp-api-key-item', authMethod === 'apiKey');
+        show('.mcp-vault-item', authMethod === 'apiKey' && this.elements.mcpCredentialStorage.value === 'vault');
+        show('.mcp-token-item', authMethod === 'token');
+    }
+    
+    /**
+     * Show whether the credential vault exists and is unlocked
+     * @param {object} state - { exists, unlocked, entries }
+     */
+    handleVaultState(state) {
+        this.vaultState = state;
+        
+        let status = 'Vault not created';
+        if (state.exists) {
+            status = `${state.unlocked ? 'Unlocked' : 'Locked'} (${state.entries} key${state.entries === 1 ? '' : 's'})`;
+        }
+        
+        this.elements.vaultStatus.textContent = status;
+        this.elements.unlockVaultButton.textContent = state.exists ? 'Unlock' : 'Create';
+        this.elements.unlockVaultButton.disabled = state.unlocked;
+        this.elements.lockVaultButton.disabled = !state.unlocked;
+        this.elements.resetVaultButton.disabled = !state.exists;
+    }
+    
+    /**
+     * Show the scene command rules in the settings panel
+     * @param {object} policy - { rules, defaults }
+     */
+    handleCommandPolicy(policy) {
+        this.commandPolicy = policy;
+        this.elements.commandPolicyRules.innerHTML = '';
+        
+        for (const [type, decision] of Object.entries(policy.rules)) {
+            const item = document.createElement('div');
+            item.className = 'setting-item';
+            
+            const label = document.createElement('label');
+            label.htmlFor = `command-policy-${type}`;
+            label.textContent = COMMAND_RULE_LABELS[type] || type;
+            
+            const select = document.createElement('select');
+            select.id = `command-policy-${type}`;
+            for (const [value, text] of [['allow', 'Allow'], ['ask', 'Ask Me'], ['deny', 'Deny']]) {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                select.appendChild(option);
+            }
+            select.value = decision;
+            select.addEventListener('change', () => {
+                this.eventBus.publish('settings:commandPolicy', { rules: { [type]: select.value } });
+            });
+            
+            item.append(label, select);
+            this.elements.commandPolicyRules.appendChild(item);
+        }
+    }
+    
+    /**
+     * Show what the scene command queue is doing under the chat
+     * @param {object} state - Published on mcp:commandQueue
+     */
+    handleCommandQueue(state) {
+        const previous = this.commandQueueState;
+        if (state.dropped + state.rejected > previous.dropped + previous.rejected) {
+            this.showNotification({
+                type: 'warning',
+                message: 'The scene command queue is full; some of Claude\'s commands were discarded',
+                duration: 4000
+            });
+        }
+        this.commandQueueState = state;
+        
+        const indicator = this.elements.commandQueueIndicator;
+        indicator.classList.toggle('hidden', state.length === 0 && !state.running && !state.paused);
+        indicator.classList.toggle('paused', state.paused);
+        
+        const parts = [];
+        if (state.paused) {
+            parts.push('Paused');
+        } else if (state.running) {
+            parts.push(state.running.summary);
+        } else if (state.rateLimited) {
+            parts.push('Rate limited');
+        }
+        if (state.length > 0) {
+            parts.push(`${state.length} waiting${state.lanes.high > 0 ? ` (${state.lanes.high} urgent)` : ''}`);
+        }
+        
+        this.elements.commandQueueStatus.textContent = parts.join(' · ');
+        indicator.title = `Scene commands: ${state.length}/${state.maxLength} queued, ${state.dropped} dropped, ${state.rejected} rejected, ${state.coalesced} merged`;
+        this.elements.pauseCommandQueueButton.textContent = state.paused ? 'Resume' : 'Pause';
+        this.elements.flushCommandQueueButton.disabled = state.length === 0;
+    }
+    
+    /**
+     * List the latest scene commands with who approved them and how they went
+     * @param {Array<object>} log - Audit log, oldest first
+     */
+    renderCommandAudit(log) {
+        const list = this.elements.commandAuditList;
+        list.innerHTML = '';
+        
+        if (log.length === 0) {
+            const empty = document.createElement('li');
+            empty.textContent = 'No scene commands yet';
+            list.appendChild(empty);
+            return;
+        }
+        
+        for (const entry of log.slice(-AUDIT_ENTRIES_SHOWN).reverse()) {
+            const item = document.createElement('li');
+            item.className = `audit-${entry.status}`;
+            item.title = entry.error ? `${entry.error.code}: ${entry.error.message}` : `Rule: ${entry.rule || 'pending'}, from ${entry.source}`;
+            
+            const time = document.createElement('span');
+            time.className = 'audit-time';
+            time.textContent = new Date(entry.requestedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+            
+            const summary = document.createElement('span');
+            summary.className = 'audit-summary';
+            summary.textContent = entry.summary;
+            
+            const outcome = document.createElement('span');
+            outcome.textContent = `${entry.status}${entry.approvedBy ? ` (${{
+                policy: 'by rule',
+                user: 'by you',
+                timeout: 'no answer'
+            }[entry.approvedBy]})` : ''}`;
+            
+            item.append(time, summary, outcome);
+            list.appendChild(item);
+        }
+    }
+    
+    /**
+     * Unlock (or create) the vault with the entered passphrase
+     */
+    handleUnlockVault() {
+        const passphrase = this.elements.vaultPassphrase.value;
+        
+        // Don't leave the passphrase in the page
+        this.elements.vaultPassphrase.value = '';
+        this.eventBus.publish('mcp:unlockVault', { passphrase });
+    }
+    
+    /**
+     * Show the connection profiles in the settings panel and the status indicator
+     * @param {object} data - { profiles, activeId }
+     */
+    handleProfilesChanged(data) {
+        this.mcpProfiles = data;
+        const active = data.profiles.find(profile => profile.id === data.activeId);
+        
+        for (const select of [this.elements.mcpProfile, this.elements.mcpProfilePicker]) {
+            select.innerHTML = '';
+            data.profiles.forEach(profile => {
+                const option = document.createElement('option');
+                option.value = profile.id;
+                option.textContent = profile.name;
+                select.appendChild(option);
+            });
+            select.value = data.activeId;
+        }
+        
+        if (!active) return;
+        
+        this.elements.mcpProfileName.value = active.name;
+        this.elements.mcpEndpoint.value = active.endpoint;
+        this.elements.mcpTransport.value = active.transport;
+        this.elements.mcpAuthMethod.value = active.authMethod;
+        this.elements.mcpAutoConnect.checked = active.autoConnect;
+        this.elements.mcpCredentialStorage.value = active.credentialStorage;
+        this.elements.mcpTokenEndpoint.value = active.tokenEndpoint;
+        this.elements.mcpLogLevel.value = active.logLevel;
+        this.elements.apiKey.placeholder = active.apiKeyWasSet ? '******** (previously set)' : 'Enter your API key';
+        this.elements.mcpCredentialStatus.textContent = {
+            session: 'Key kept for this session',
+            vault: 'Key saved in the vault',
+            'vault-locked': 'Key saved in the vault (locked)',
+            missing: active.apiKeyWasSet ? 'Key needs to be entered again' : 'No key entered'
+        }[active.credential] || '';
+        this.elements.forgetCredentialButton.disabled = active.credential === 'missing' && !active.apiKeyWasSet;
+        this.elements.deleteProfileButton.disabled = data.profiles.length <= 1;
+        this.elements.mcpProfilePicker.title = `Connection profile: ${active.name} (${active.endpoint})`;
+        this.updateAuthFields();
+    }
+    
+    /**
+     * Switch to the profile picked in the settings panel or status indicator
+     * @param {Event} event - Change event
+     */
+    handleProfileSelect(event) {
+        const id = event.target.value;
+        if (id && id !== this.mcpProfiles.activeId) {
+            this.eventBus.publish('mcp:selectProfile', { id });
+        }
+    }
+    
+    /**
+     * Delete the active profile after confirmation
+     */
+    handleDeleteProfile() {
+        const active = this.mcpProfiles.profiles.find(profile => profile.id === this.mcpProfiles.activeId);
+        
+        if (active && confirm(`Delete the connection profile "${active.name}"?`)) {
+            this.eventBus.publish('mcp:deleteProfile', { id: active.id });
+        }
+    }
+    
+    /**
+     * Save a change to the active profile
+     * @param {object} changes - Profile fields to change
+     */
+    updateActiveProfile(changes) {
+        if (!this.mcpProfiles.activeId) return;
+        
+        this.eventBus.publish('mcp:updateProfile', { id: this.mcpProfiles.activeId, changes });
+        
+        // Rejected changes leave the profile as it was; show that again
+        this.handleProfilesChanged(this.mcpProfiles);
+    }
+    
     /**
      * Handle connect MCP button click
      */
@@ -514,25 +937,14 @@ export class UIController {
         const mode = this.elements.mcpMode.value;
         
         if (mode === 'real') {
-            const endpoint = this.elements.mcpEndpoint.value.trim();
-            const apiKey = this.elements.apiKey.value.trim();
+            // Connect with the active profile's settings
+            this.eventBus.publish('mcp:connectProfile', {
+                id: this.mcpProfiles.activeId,
+                apiKey: this.elements.apiKey.value.trim()
+            });
             
-            if (endpoint) {
-                // Save MCP endpoint for future use
-                localStorage.setItem('organix-mcp-endpoint', endpoint);
-                
-                // Publish connect event
-                this.eventBus.publish('mcp:connect', {
-                    endpoint,
-                    apiKey
-                });
-            } else {
-                this.showNotification({
-                    type: 'error',
-                    message: 'Please enter a valid MCP endpoint URL',
-                    duration: 5000
-                });
-            }
+            // The profile keeps the key from here on
+            this.elements.apiKey.value = '';
         } else {
             // Enable simulation mode
             this.eventBus.publish('settings:mcpMode', 'simulation');
@@ -566,11 +978,8 @@ export class UIController {
      * Handle MCP log level change
      */
     handleMcpLogLevelChange() {
-        const level = this.elements.mcpLogLevel.value;
-        this.eventBus.publish('settings:mcpLogLevel', level);
-        
-        // Save setting
-        localStorage.setItem('organix-mcp-log-level', level);
+        // The log level belongs to the connection profile, which publishes settings:mcpLogLevel
+        this.updateActiveProfile({ logLevel: this.elements.mcpLogLevel.value });
     }
     
     /**
@@ -607,14 +1016,14 @@ export class UIController {
      * Handle query selected object button click
      */
     handleQuerySelectedObject() {
-        if (this.selectedObject) {
-            const query = `Tell me about the ${this.selectedObject.name} component.`;
-            
-            // Add message to UI
-            this.addMessageToUI('user', query);
+        const names = [...this.selectedObjects.values()].map(data => data.name);
+        
+        if (names.length > 0) {
+            const query = names.length === 1 ?
+                `Tell me about the ${names[0]} component.` :
+                `Tell me about the ${names.slice(0, -1).join(', ')} and ${names[names.length - 1]} components and how they relate.`;
             
-            // Publish send message event
-            this.eventBus.publish('ui:sendMessage', query);
+            this.sendUserMessage(query);
             
             // Close context panel
             this.togglePanel('contextPanel', false);
@@ -628,12 +1037,18 @@ export class UIController {
     handleMcpStatusChange(data) {
         const { status } = data;
         
+        // Between reconnection attempts the indicator shows the reconnection progress instead
+        if (status !== 'connected' && this.isReconnecting()) {
+            this.renderReconnectState(status === 'connecting');
+            return;
+        }
+        
         // Update status indicator
         this.elements.mcpStatus.dataset.status = status;
         
         switch (status) {
             case 'connected':
-                this.elements.mcpStatus.querySelector('.status-text').textContent = 'MCP: Connected';
+                this.elements.mcpStatus.querySelector('.status-text').textContent = data.simulated ? 'MCP: Simulated' : 'MCP: Connected';
                 // Update connect button
                 this.elements.connectMcpButton.disabled = true;
                 this.elements.disconnectMcpButton.disabled = false;
@@ -656,6 +1071,77 @@ export class UIController {
         }
     }
     
+    /**
+     * Handle a change in the MCP connection manager's state
+     * @param {object} data - { state, attempt, maxAttempts, nextAttemptAt, online }
+     */
+    handleMcpConnectionState(data) {
+        this.mcpConnectionState = data;
+        
+        clearInterval(this.reconnectCountdown);
+        this.reconnectCountdown = null;
+        
+        const showRetry = data.state === 'reconnecting' || data.state === 'offline' || data.state === 'failed';
+        this.elements.mcpRetryButton.classList.toggle('hidden', !showRetry);
+        
+        if (!this.isReconnecting()) {
+            return;
+        }
+        
+        this.renderReconnectState(false);
+        
+        if (data.nextAttemptAt) {
+            this.reconnectCountdown = setInterval(() => this.renderReconnectState(false), 1000);
+        }
+    }
+    
+    /**
+     * Whether the connection dropped and is being (or was being) recovered
+     * @returns {boolean} True while reconnecting, offline or given up
+     */
+    isReconnecting() {
+        return ['reconnecting', 'offline', 'failed'].includes(this.mcpConnectionState.state);
+    }
+    
+    /**
+     * Show reconnection progress in the MCP status indicator
+     * @param {boolean} attempting - Whether an attempt is under way right now
+     */
+    renderReconnectState(attempting) {
+        const { state, attempt, nextAttemptAt } = this.mcpConnectionState;
+        let text;
+        
+        if (state === 'offline') {
+            text = 'MCP: Offline, waiting for network';
+        } else if (state === 'failed') {
+            text = 'MCP: Connection lost';
+        } else if (nextAttemptAt && !attempting) {
+            const seconds = Math.max(0, Math.ceil((nextAttemptAt - Date.now()) / 1000));
+            text = `MCP: Reconnecting in ${seconds}s`;
+        } else {
+            text = `MCP: Reconnecting (attempt ${attempt})...`;
+        }
+        
+        this.elements.mcpStatus.dataset.status = state;
+        this.elements.mcpStatus.querySelector('.status-text').textContent = text;
+        
+        // Disconnect cancels reconnecting; Connect starts over after giving up
+        this.elements.connectMcpButton.disabled = state !== 'failed';
+        this.elements.disconnectMcpButton.disabled = state === 'failed';
+    }
+    
+    /**
+     * Let the user know whether the conversation survived a reconnection
+     * @param {object} data - { resumed, sessionId, previousSessionId, conversationId }
+     */
+    handleMcpSessionResumed(data) {
+        this.showNotification({
+            type: data.resumed ? 'success' : 'warning',
+            message: data.resumed ? 'Reconnected to MCP; conversation resumed' : 'Reconnected to MCP with a new session; the server did not keep the conversation',
+            duration: 5000
+        });
+    }
+    
     /**
      * Handle MCP message
      * @param {object} message - Message data
@@ -677,49 +1163,89 @@ export class UIController {
     }
     
     /**
-     * Handle MCP config loaded
-     * @param {object} config - MCP configuration
+     * Handle user interaction with scene objects
+     * @param {object} data - Interaction published by the neural scene
      */
-    handleMcpConfigLoaded(config) {
-        // Update endpoint input field
-        if (config.endpoint) {
-            this.elements.mcpEndpoint.value = config.endpoint;
+    handleObjectInteraction(data) {
+        switch (data.interaction) {
+            case 'select':
+                this.selectedObjects.set(data.id, data);
+                break;
+                
+            case 'deselect':
+                this.selectedObjects.delete(data.id);
+                break;
+                
+            default:
+                return;
         }
         
-        // Update API key placeholder if previously set
-        if (config.apiKeyWasSet) {
-            this.elements.apiKey.placeholder = '******** (previously set)';
-        }
+        this.updateContextPanel();
     }
     
     /**
-     * Handle object selected event
-     * @param {object} data - Selected object data
+     * Show the selected objects in the context panel, or hide it when nothing is selected
      */
-    handleObjectSelected(data) {
-        // Store selected object
-        this.selectedObject = data;
+    updateContextPanel() {
+        const selected = [...this.selectedObjects.values()];
         
-        // Update context panel
-        document.getElementById('context-title').textContent = data.name;
+        if (selected.length === 0) {
+            this.togglePanel('contextPanel', false);
+            return;
+        }
         
+        const contextTitle = document.getElementById('context-title');
         const contextDetails = document.getElementById('context-details');
-        contextDetails.innerHTML = `
-            <p>${data.description || 'No description available.'}</p>
-            <div class="context-item">
-                <span class="context-label">Type:</span>
-                <span class="context-value">${data.type}</span>
-            </div>
-        `;
+        contextDetails.replaceChildren();
+        
+        if (selected.length === 1) {
+            const [data] = selected;
+            contextTitle.textContent = data.name;
+            
+            const description = document.createElement('p');
+            description.textContent = data.description || 'No description available.';
+            contextDetails.appendChild(description);
+            contextDetails.appendChild(this.createContextItem('Type:', data.type));
+            contextDetails.appendChild(this.createContextItem('ID:', data.id));
+        } else {
+            contextTitle.textContent = `${selected.length} objects selected`;
+            
+            for (const data of selected) {
+                contextDetails.appendChild(this.createContextItem(`${data.name}:`, data.type));
+            }
+        }
         
         // Show context panel
         this.togglePanel('contextPanel', true);
     }
     
+    /**
+     * Create a label/value row for the context panel
+     * @param {string} label - Row label
+     * @param {string} value - Row value
+     * @returns {HTMLElement} Row element
+     */
+    createContextItem(label, value) {
+        const item = document.createElement('div');
+        item.className = 'context-item';
+        
+        const labelElement = document.createElement('span');
+        labelElement.className = 'context-label';
+        labelElement.textContent = label;
+        
+        const valueElement = document.createElement('span');
+        valueElement.className = 'context-value';
+        valueElement.textContent = value;
+        
+        item.append(labelElement, valueElement);
+        return item;
+    }
+    
     /**
      * Add a message to the UI
      * @param {string} role - Message role ('user', 'assistant', or 'system')
      * @param {string} content - Message content
+     * @returns {HTMLElement} Message container
      */
     addMessageToUI(role, content) {
         // Create container
@@ -779,7 +1305,8 @@ export class UIController {
             copyButton.className = 'action-button';
             copyButton.innerHTML = '<iconify-icon icon="ph:copy" width="14"></iconify-icon> Copy';
             copyButton.addEventListener('click', () => {
-                navigator.clipboard.writeText(content).then(() => {
+                // Read the text at click time; streamed messages grow after creation
+                navigator.clipboard.writeText(messageElement.textContent).then(() => {
                     this.showNotification({
                         type: 'success',
                         message: 'Copied to clipboard',
@@ -797,6 +1324,202 @@ export class UIController {
         
         // Scroll to bottom
         this.scrollMessagesToBottom();
+        
+        return messageContainer;
+    }
+    
+    /**
+     * Show the delivery state of a user message under its bubble
+     * @param {object} data - { id, content, state, attempts, error }
+     */
+    handleMessageStatus(data) {
+        let container = this.outgoingMessages.get(data.id);
+        
+        if (!container) {
+            if (data.state === 'delivered') {
+                return;
+            }
+            
+            // Restored from a previous page load, or sent by another part of the app
+            container = this.addMessageToUI('user', data.content);
+            this.outgoingMessages.set(data.id, container);
+        }
+        
+        let status = container.querySelector('.message-status');
+        if (!status) {
+            status = document.createElement('div');
+            status.className = 'message-status';
+            container.appendChild(status);
+        }
+        
+        container.dataset.delivery = data.state;
+        status.innerHTML = '';
+        
+        switch (data.state) {
+            case 'queued':
+                status.textContent = data.error ? `Retrying (${data.error.message})` : 'Queued';
+                break;
+                
+            case 'sending':
+                status.textContent = 'Sending...';
+                break;
+                
+            case 'delivered':
+                status.textContent = 'Delivered';
+                this.outgoingMessages.delete(data.id);
+                break;
+                
+            case 'failed': {
+                status.textContent = `Not delivered${data.error ? `: ${data.error.message}` : ''}`;
+                
+                const retryButton = document.createElement('button');
+                retryButton.className = 'action-button';
+                retryButton.innerHTML = '<iconify-icon icon="ph:arrow-clockwise" width="14"></iconify-icon> Retry';
+                retryButton.addEventListener('click', () => {
+                    this.eventBus.publish('mcp:retryMessage', { id: data.id });
+                });
+                status.appendChild(retryButton);
+                break;
+            }
+        }
+    }
+    
+    /**
+     * Ask the user a question from the MCP server in the chat
+     * @param {object} data - { id, title, message, confirmLabel, cancelLabel, destructive, expiresAt }
+     */
+    handleConfirmRequest(data) {
+        const container = this.addMessageToUI('assistant', data.message);
+        container.classList.add('confirm-prompt');
+        container.querySelector('.message-actions')?.remove();
+        
+        const title = document.createElement('div');
+        title.className = 'confirm-prompt-title';
+        title.textContent = data.title;
+        container.querySelector('.message').prepend(title);
+        
+        const actions = document.createElement('div');
+        actions.className = 'confirm-prompt-actions';
+        
+        const answer = (confirmed) => {
+            this.settleConfirmPrompt(data.id, confirmed ? 'Confirmed' : 'Declined');
+            this.eventBus.publish('ui:confirmResponse', { id: data.id, confirmed });
+        };
+        
+        const confirmButton = document.createElement('button');
+        confirmButton.className = `confirm-button${data.destructive ? ' destructive' : ''}`;
+        confirmButton.textContent = data.confirmLabel;
+        confirmButton.addEventListener('click', () => answer(true));
+        
+        const cancelButton = document.createElement('button');
+        cancelButton.className = 'confirm-button secondary';
+        cancelButton.textContent = data.cancelLabel;
+        cancelButton.addEventListener('click', () => answer(false));
+        
+        actions.append(confirmButton, cancelButton);
+        container.appendChild(actions);
+        
+        this.confirmPrompts.set(data.id, container);
+        this.togglePanel('claudePanel', true);
+        this.scrollMessagesToBottom();
+    }
+    
+    /**
+     * Replace a confirmation prompt's buttons with the outcome
+     * @param {string} id - Prompt ID
+     * @param {string} outcome - Text shown instead of the buttons
+     */
+    settleConfirmPrompt(id, outcome) {
+        const container = this.confirmPrompts.get(id);
+        if (!container) return;
+        
+        this.confirmPrompts.delete(id);
+        
+        const actions = container.querySelector('.confirm-prompt-actions');
+        actions.innerHTML = '';
+        actions.classList.add('settled');
+        actions.textContent = outcome;
+    }
+    
+    /**
+     * Start rendering a streamed assistant message
+     * @param {object} data - { messageId }
+     */
+    handleMessageStart(data) {
+        if (this.streamingMessages.has(data.messageId)) {
+            return;
+        }
+        
+        this.hideTypingIndicator();
+        
+        const container = this.addMessageToUI('assistant', '');
+        const element = container.querySelector('.message');
+        element.classList.add('streaming');
+        
+        this.streamingMessages.set(data.messageId, { container, element });
+        this.updateStopButton();
+    }
+    
+    /**
+     * Append a chunk to a streamed message
+     * @param {object} data - { messageId, delta }
+     */
+    handleMessageDelta(data) {
+        const stream = this.streamingMessages.get(data.messageId);
+        if (!stream) {
+            return;
+        }
+        
+        // Only follow the stream if the user hasn't scrolled up to read
+        const container = this.elements.messagesContainer;
+        const atBottom = container.scrollHeight - container.scrollTop - container.clientHeight < 40;
+        
+        stream.element.appendChild(document.createTextNode(data.delta));
+        
+        if (atBottom) {
+            this.scrollMessagesToBottom();
+        }
+    }
+    
+    /**
+     * Finish a streamed message
+     * @param {object} data - { messageId, stopReason }
+     */
+    handleMessageStop(data) {
+        const stream = this.streamingMessages.get(data.messageId);
+        if (!stream) {
+            return;
+        }
+        
+        this.streamingMessages.delete(data.messageId);
+        stream.element.classList.remove('streaming');
+        
+        if (data.stopReason === 'cancelled' || data.stopReason === 'disconnected') {
+            const note = document.createElement('span');
+            note.className = 'message-stopped';
+            note.textContent = data.stopReason === 'cancelled' ? ' (stopped)' : ' (connection lost)';
+            stream.element.appendChild(note);
+        }
+        
+        this.updateStopButton();
+    }
+    
+    /**
+     * Handle stop button click
+     */
+    handleStopGeneration() {
+        this.eventBus.publish('mcp:stopGeneration', {
+            messageIds: [...this.streamingMessages.keys()]
+        });
+    }
+    
+    /**
+     * Show the stop button only while a reply is streaming
+     */
+    updateStopButton() {
+        if (!this.elements.stopButton) return;
+        
+        this.elements.stopButton.classList.toggle('hidden', this.streamingMessages.size === 0);
     }
     
     /**
@@ -846,6 +1569,16 @@ export class UIController {
         typingIndicator.appendChild(dotsContainer);
         messageContainer.appendChild(typingIndicator);
         
+        // Let the user give up on a reply that is taking too long
+        const cancelButton = document.createElement('button');
+        cancelButton.className = 'secondary-button typing-cancel';
+        cancelButton.textContent = 'Cancel';
+        cancelButton.addEventListener('click', () => {
+            this.eventBus.publish('mcp:cancelRequests', { method: 'agent/message', reason: 'Cancelled by user' });
+            this.hideTypingIndicator();
+        });
+        messageContainer.appendChild(cancelButton);
+        
         // Add to messages container
         this.elements.messagesContainer.appendChild(messageContainer);
         
@@ -870,6 +1603,98 @@ export class UIController {
         this.elements.messagesContainer.scrollTop = this.elements.messagesContainer.scrollHeight;
     }
     
+    /**
+     * Load the topology at the URL entered in settings
+     */
+    handleLoadTopologyUrl() {
+        const url = this.elements.topologyUrl.value.trim();
+        
+        if (!url) {
+            this.showNotification({
+                type: 'warning',
+                message: 'Please enter a topology URL'
+            });
+            return;
+        }
+        
+        this.eventBus.publish('scene:loadTopology', { url, source: 'url' });
+    }
+    
+    /**
+     * Load the topology file chosen in the file picker
+     */
+    handleTopologyFileChange() {
+        const file = this.elements.topologyFile.files[0];
+        if (file) {
+            this.loadTopologyFile(file);
+        }
+        
+        // Allow the same file to be chosen again
+        this.elements.topologyFile.value = '';
+    }
+    
+    /**
+     * Accept dragged files
+     * @param {DragEvent} event - Drag event
+     */
+    handleTopologyDragOver(event) {
+        if (!event.dataTransfer || !Array.from(event.dataTransfer.types).includes('Files')) return;
+        
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'copy';
+        this.elements.appContainer.classList.add('topology-drop-active');
+    }
+    
+    /**
+     * Clear the drop highlight when the drag leaves the window
+     * @param {DragEvent} event - Drag event
+     */
+    handleTopologyDragLeave(event) {
+        if (event.relatedTarget === null) {
+            this.elements.appContainer.classList.remove('topology-drop-active');
+        }
+    }
+    
+    /**
+     * Load a dropped topology file
+     * @param {DragEvent} event - Drop event
+     */
+    handleTopologyDrop(event) {
+        if (!event.dataTransfer || event.dataTransfer.files.length === 0) return;
+        
+        event.preventDefault();
+        this.elements.appContainer.classList.remove('topology-drop-active');
+        this.loadTopologyFile(event.dataTransfer.files[0]);
+    }
+    
+    /**
+     * Read a topology file and hand it to the scene
+     * @param {File} file - JSON file
+     */
+    async loadTopologyFile(file) {
+        try {
+            const text = await file.text();
+            this.eventBus.publish('scene:loadTopology', { topology: text, source: 'file' });
+        } catch (error) {
+            this.showNotification({
+                type: 'error',
+                message: `Could not read ${file.name}: ${error.message}`
+            });
+        }
+    }
+    
+    /**
+     * Confirm a topology change
+     * @param {object} data - Topology summary
+     */
+    handleTopologyLoaded(data) {
+        this.showNotification({
+            type: 'success',
+            message: `Loaded "${data.name}" (${data.nodes} nodes, ${data.edges} connections)`,
+            duration: 3000
+        });
+    }
+    
     /**
      * Show a notification
      * @param {object} options - Notification options
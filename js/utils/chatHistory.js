@@ -0,0 +1,75 @@
+/**
+ * ORGANIX Neural Interface - Chat History
+ * 
+ * Keeps the conversation shown in the chat panel: messages the user sends,
+ * whole assistant replies and finished streamed replies. Clearing the chat
+ * clears the history. Publishes chat:historyChanged whenever it changes.
+ */
+
+export class ChatHistory {
+    /**
+     * @param {EventBus} eventBus - Application event bus
+     * @param {object} [options]
+     * @param {number} [options.limit=200] - Messages kept (oldest are dropped first)
+     */
+    constructor(eventBus, { limit = 200 } = {}) {
+        this.eventBus = eventBus;
+        this.limit = limit;
+        this.messages = [];
+        
+        this.eventBus.subscribe('ui:sendMessage', ({ id, content }) => {
+            this.add({ role: 'user', content, messageId: id });
+        });
+        this.eventBus.subscribe('mcp:message', (message) => {
+            this.add({ role: message.role || 'assistant', content: message.content, timestamp: message.timestamp });
+        });
+        this.eventBus.subscribe('mcp:messageStop', (message) => {
+            this.add({
+                role: 'assistant',
+                content: message.content,
+                timestamp: message.timestamp,
+                messageId: message.messageId,
+                stopReason: message.stopReason
+            });
+        });
+        this.eventBus.subscribe('ui:chatCleared', () => this.clear());
+    }
+    
+    /**
+     * Record a message
+     * @param {object} message - { role, content, timestamp, messageId, stopReason }
+     */
+    add(message) {
+        if (typeof message.content !== 'string' || message.content === '') {
+            return;
+        }
+        
+        this.messages.push({
+            ...message,
+            timestamp: message.timestamp || new Date().toISOString()
+        });
+        
+        if (this.messages.length > this.limit) {
+            this.messages.splice(0, this.messages.length - this.limit);
+        }
+        
+        this.eventBus.publish('chat:historyChanged', { length: this.messages.length });
+    }
+    
+    /**
+     * Forget every message
+     */
+    clear() {
+        this.messages = [];
+        this.eventBus.publish('chat:historyChanged', { length: 0 });
+    }
+    
+    /**
+     * Get the most recent messages, oldest first
+     * @param {number} [limit] - Number of messages (all if omitted)
+     * @returns {Array<object>} Messages
+     */
+    getMessages(limit) {
+        return limit ? this.messages.slice(-limit) : [...this.messages];
+    }
+}
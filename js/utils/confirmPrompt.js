@@ -0,0 +1,57 @@
+/**
+ * ORGANIX Neural Interface - Confirm Prompt
+ * 
+ * Asks the user a yes/no question in the Claude panel and waits for the
+ * answer. The UI shows the prompt on ui:confirmRequest and answers with
+ * ui:confirmResponse { id, confirmed }; ui:confirmDismissed { id, reason }
+ * withdraws a prompt that timed out or was cancelled.
+ */
+
+let promptCounter = 0;
+
+/**
+ * Ask the user and wait for the answer
+ * @param {EventBus} eventBus - Application event bus
+ * @param {object} prompt - { message, title?, confirmLabel?, cancelLabel?, destructive? }
+ * @param {object} [options]
+ * @param {number} [options.timeout=60000] - Milliseconds before the prompt is withdrawn
+ * @param {AbortSignal} [options.signal] - Withdraws the prompt when aborted
+ * @returns {Promise<object>} { confirmed, reason } where reason is 'confirmed', 'declined', 'timeout' or 'cancelled'
+ */
+export function askUser(eventBus, prompt, { timeout = 60000, signal } = {}) {
+    const id = `confirm-${++promptCounter}`;
+    
+    return new Promise((resolve) => {
+        const finish = (confirmed, reason) => {
+            clearTimeout(timer);
+            unsubscribe();
+            signal?.removeEventListener('abort', onAbort);
+            resolve({ confirmed, reason });
+        };
+        
+        const withdraw = (reason) => {
+            eventBus.publish('ui:confirmDismissed', { id, reason });
+            finish(false, reason);
+        };
+        
+        const unsubscribe = eventBus.subscribe('ui:confirmResponse', (response) => {
+            if (response.id === id) {
+                finish(!!response.confirmed, response.confirmed ? 'confirmed' : 'declined');
+            }
+        });
+        
+        const timer = setTimeout(() => withdraw('timeout'), timeout);
+        const onAbort = () => withdraw('cancelled');
+        signal?.addEventListener('abort', onAbort, { once: true });
+        
+        eventBus.publish('ui:confirmRequest', {
+            id,
+            title: prompt.title || 'Claude is asking',
+            message: prompt.message,
+            confirmLabel: prompt.confirmLabel || 'Confirm',
+            cancelLabel: prompt.cancelLabel || 'Cancel',
+            destructive: !!prompt.destructive,
+            expiresAt: Date.now() + timeout
+        });
+    });
+}
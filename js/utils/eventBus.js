@@ -5,6 +5,8 @@
  * communication between components in the ORGANIX application.
  */
 
+import { redact } from './redaction.js';
+
 export class EventBus {
     constructor() {
         // Map of event names to arrays of subscriber callbacks
@@ -57,8 +59,8 @@ export class EventBus {
             return;
         }
         
-        // Call all subscribers
-        const subscribers = this.subscribers.get(eventName);
+        // Call all subscribers (iterate a copy so handlers can unsubscribe themselves)
+        const subscribers = [...this.subscribers.get(eventName)];
         for (const callback of subscribers) {
             try {
                 callback(...args);
@@ -114,10 +116,11 @@ export class EventBus {
      * @param {Array} args - Event arguments
      */
     logEvent(eventName, args) {
-        // Add event to history
+        // Add event to history, without any credentials the payload carries
+        const redactedArgs = args.map(arg => redact(arg));
         this.eventHistory.push({
             eventName,
-            args,
+            args: redactedArgs,
             timestamp: new Date()
         });
         
@@ -127,7 +130,7 @@ export class EventBus {
         }
         
         // Log to console in debug mode
-        console.log(`[EventBus] ${eventName}:`, ...args);
+        console.log(`[EventBus] ${eventName}:`, ...redactedArgs);
     }
     
     /**
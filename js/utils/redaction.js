@@ -0,0 +1,133 @@
+/**
+ * ORGANIX Neural Interface - Redaction
+ * 
+ * Keeps credentials out of console output and the event history. Values
+ * stored under credential-like keys (apiKey, token, passphrase, ...) are
+ * masked, and any secret registered with registerSecret is masked wherever
+ * it appears inside a string.
+ */
+
+export const REDACTED = '[REDACTED]';
+
+// Object keys whose values are always masked
+const SENSITIVE_KEY = /^(api[-_]?key|(access|refresh|id)?[-_]?token|passphrase|password|secret|authorization|credentials?)$/i;
+
+// Shorter strings are too likely to occur by chance to be masked everywhere
+const MIN_SECRET_LENGTH = 6;
+
+// Nesting depth past which objects are left out instead of walked
+const MAX_DEPTH = 8;
+
+const CONSOLE_METHODS = ['log', 'info', 'warn', 'error', 'debug'];
+
+// Secrets in use this page session, masked in every string
+const secrets = new Set();
+
+let consoleInstalled = false;
+
+/**
+ * Mask a secret wherever it appears from now on
+ * @param {string} secret - API key, token or other credential
+ */
+export function registerSecret(secret) {
+    if (typeof secret === 'string' && secret.length >= MIN_SECRET_LENGTH) {
+        secrets.add(secret);
+    }
+}
+
+/**
+ * Stop masking a secret that is no longer in use
+ * @param {string} secret - Secret passed to registerSecret
+ */
+export function forgetSecret(secret) {
+    secrets.delete(secret);
+}
+
+/**
+ * Mask registered secrets in a string
+ * @param {string} text - Text to clean
+ * @returns {string} Text with every registered secret replaced
+ */
+export function redactString(text) {
+    let result = text;
+    
+    for (const secret of secrets) {
+        if (result.includes(secret)) {
+            result = result.split(secret).join(REDACTED);
+        }
+    }
+    
+    return result;
+}
+
+/**
+ * Copy a value with its credentials masked. Plain objects and arrays are
+ * copied; other objects (sockets, scene objects, ...) are passed through
+ * untouched, except errors, whose message is cleaned.
+ * @param {*} value - Value to clean
+ * @returns {*} Cleaned copy
+ */
+export function redact(value) {
+    return redactValue(value, 0, new WeakSet());
+}
+
+function redactValue(value, depth, seen) {
+    if (typeof value === 'string') {
+        return redactString(value);
+    }
+    
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+    
+    if (value instanceof Error) {
+        const message = redactString(value.message);
+        return message === value.message ? value : `${value.name}: ${message}`;
+    }
+    
+    const prototype = Object.getPrototypeOf(value);
+    const plain = Array.isArray(value) || prototype === Object.prototype || prototype === null;
+    if (!plain) {
+        return value;
+    }
+    
+    if (seen.has(value)) {
+        return '[Circular]';
+    }
+    if (depth >= MAX_DEPTH) {
+        return Array.isArray(value) ? '[Array]' : '[Object]';
+    }
+    seen.add(value);
+    
+    let copy;
+    if (Array.isArray(value)) {
+        copy = value.map(item => redactValue(item, depth + 1, seen));
+    } else {
+        copy = {};
+        for (const [key, item] of Object.entries(value)) {
+            copy[key] = SENSITIVE_KEY.test(key) && typeof item === 'string' && item !== ''
+                ? REDACTED
+                : redactValue(item, depth + 1, seen);
+        }
+    }
+    
+    seen.delete(value);
+    return copy;
+}
+
+/**
+ * Clean everything written through the console's log methods. Safe to call
+ * more than once.
+ * @param {Console} [target=console] - Console to patch
+ */
+export function installConsoleRedaction(target = console) {
+    if (consoleInstalled) return;
+    consoleInstalled = true;
+    
+    for (const method of CONSOLE_METHODS) {
+        const original = target[method];
+        if (typeof original !== 'function') continue;
+        
+        target[method] = (...args) => original.apply(target, args.map(arg => redact(arg)));
+    }
+}
@@ -0,0 +1,132 @@
+/**
+ * ORGANIX Neural Interface - Scene State Tracker
+ * 
+ * Turns successive scene snapshots into numbered updates: a full snapshot
+ * when a resync is needed, otherwise only what changed since the last update.
+ */
+
+// Snapshot sections keyed by object ID, diffed entry by entry
+const COLLECTIONS = ['nodes', 'connections', 'labels'];
+
+export class SceneStateTracker {
+    constructor() {
+        this.revision = 0;
+        this.lastSnapshot = null;
+    }
+    
+    /**
+     * Create a full-state update
+     * @param {object} snapshot - Scene snapshot
+     * @returns {object} { type: 'full', revision, state }
+     */
+    full(snapshot) {
+        this.revision++;
+        this.lastSnapshot = snapshot;
+        
+        return {
+            type: 'full',
+            revision: this.revision,
+            state: snapshot
+        };
+    }
+    
+    /**
+     * Create a delta update against the last snapshot sent
+     * 
+     * Changed entries in a collection carry only their changed fields; new
+     * entries are sent whole. Falls back to a full update when nothing has
+     * been sent yet.
+     * @param {object} snapshot - Scene snapshot
+     * @returns {object|null} { type: 'delta', revision, baseRevision, changes, removed }, or null if nothing changed
+     */
+    delta(snapshot) {
+        if (!this.lastSnapshot) {
+            return this.full(snapshot);
+        }
+        
+        const previous = this.lastSnapshot;
+        const changes = {};
+        const removed = {};
+        
+        for (const key of Object.keys(snapshot)) {
+            if (COLLECTIONS.includes(key)) {
+                const collectionChanges = this.diffCollection(previous[key] || {}, snapshot[key]);
+                
+                if (Object.keys(collectionChanges.changes).length > 0) {
+                    changes[key] = collectionChanges.changes;
+                }
+                if (collectionChanges.removed.length > 0) {
+                    removed[key] = collectionChanges.removed;
+                }
+            } else if (!this.isEqual(previous[key], snapshot[key])) {
+                changes[key] = snapshot[key];
+            }
+        }
+        
+        if (Object.keys(changes).length === 0 && Object.keys(removed).length === 0) {
+            return null;
+        }
+        
+        const baseRevision = this.revision;
+        this.revision++;
+        this.lastSnapshot = snapshot;
+        
+        return {
+            type: 'delta',
+            revision: this.revision,
+            baseRevision,
+            changes,
+            removed
+        };
+    }
+    
+    /**
+     * Forget the last snapshot so the next update is a full one
+     */
+    reset() {
+        this.lastSnapshot = null;
+    }
+    
+    /**
+     * Diff two collections of entries keyed by ID
+     * @param {object} previous - Previous entries
+     * @param {object} next - Current entries
+     * @returns {object} { changes: { id: changedFields }, removed: [id] }
+     */
+    diffCollection(previous, next) {
+        const changes = {};
+        const removed = Object.keys(previous).filter(id => !(id in next));
+        
+        for (const [id, entry] of Object.entries(next)) {
+            const before = previous[id];
+            
+            if (!before) {
+                changes[id] = entry;
+                continue;
+            }
+            
+            const changedFields = {};
+            for (const [field, value] of Object.entries(entry)) {
+                if (!this.isEqual(before[field], value)) {
+                    changedFields[field] = value;
+                }
+            }
+            
+            if (Object.keys(changedFields).length > 0) {
+                changes[id] = changedFields;
+            }
+        }
+        
+        return { changes, removed };
+    }
+    
+    /**
+     * Compare two JSON-compatible values
+     */
+    isEqual(a, b) {
+        if (a === b) return true;
+        if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+        
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+}
@@ -0,0 +1,134 @@
+/**
+ * ORGANIX Neural Interface - Schema Validator
+ * 
+ * Checks values against the subset of JSON Schema used by the MCP tool
+ * definitions: type, properties, required, additionalProperties (false),
+ * enum, const, minimum/maximum, minLength/maxLength, pattern, items,
+ * minItems/maxItems and anyOf.
+ */
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to check
+ * @param {object} schema - JSON schema (subset)
+ * @param {string} [path='value'] - Name of the value in error messages
+ * @returns {Array<string>} Error messages (empty when valid)
+ */
+export function validateSchema(value, schema, path = 'value') {
+    const errors = [];
+    checkValue(value, schema, path, errors);
+    return errors;
+}
+
+function checkValue(value, schema, path, errors) {
+    if (!schema || typeof schema !== 'object') return;
+    
+    if (Array.isArray(schema.anyOf)) {
+        const matches = schema.anyOf.some(option => validateSchema(value, option, path).length === 0);
+        if (!matches) {
+            errors.push(`${path} must be ${schema.anyOf.map(describeSchema).join(' or ')}`);
+        }
+        return;
+    }
+    
+    if (schema.type && !matchesType(value, schema.type)) {
+        errors.push(`${path} must be ${describeSchema(schema)}`);
+        return;
+    }
+    
+    if (schema.const !== undefined && value !== schema.const) {
+        errors.push(`${path} must be ${JSON.stringify(schema.const)}`);
+    }
+    
+    if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+    
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path} must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path} must be at most ${schema.maximum}`);
+        }
+    }
+    
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${path} must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push(`${path} must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${path} must match ${schema.pattern}`);
+        }
+    }
+    
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path} must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${path} must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => checkValue(item, schema.items, `${path}[${index}]`, errors));
+        }
+    }
+    
+    if (isPlainObject(value)) {
+        const properties = schema.properties || {};
+        
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push(`${path}.${key} is required`);
+            }
+        }
+        
+        for (const [key, propertyValue] of Object.entries(value)) {
+            if (properties[key]) {
+                checkValue(propertyValue, properties[key], `${path}.${key}`, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key} is not a known property`);
+            }
+        }
+    }
+}
+
+function matchesType(value, type) {
+    if (Array.isArray(type)) {
+        return type.some(option => matchesType(value, option));
+    }
+    
+    switch (type) {
+        case 'object':
+            return isPlainObject(value);
+        case 'array':
+            return Array.isArray(value);
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        case 'null':
+            return value === null;
+        default:
+            return typeof value === type;
+    }
+}
+
+function describeSchema(schema) {
+    if (Array.isArray(schema.enum)) {
+        return `one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`;
+    }
+    if (schema.type === 'array' && schema.minItems !== undefined && schema.minItems === schema.maxItems) {
+        return `an array of ${schema.minItems} ${schema.items?.type || 'item'}s`;
+    }
+    
+    const type = Array.isArray(schema.type) ? schema.type.join(' or ') : schema.type;
+    return type === 'array' || type === 'object' || type === 'integer' ? `an ${type}` : `a ${type || 'value'}`;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+/**
+ * ORGANIX Neural Interface - Mock MCP Server CLI
+ * 
+ *   node tools/mock-mcp-server/cli.mjs [--port 8765] [--host 127.0.0.1]
+ *                                       [--scenario default] [--api-key KEY]...
+ *                                       [--token-lifetime 60]
+ * 
+ * While running, each line typed on stdin is sent to every authenticated
+ * client: a JSON array is sent as scene/command commands, a JSON object
+ * as a raw JSON-RPC frame.
+ */
+
+import { createInterface } from 'node:readline';
+import { MockMcpServer } from './mockMcpServer.mjs';
+import { SCENARIOS } from './scenarios.mjs';
+
+function parseArgs(argv) {
+    const options = { port: 8765, host: '127.0.0.1', scenario: 'default', apiKeys: [] };
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = argv[i + 1];
+        
+        switch (arg) {
+            case '--port':
+                options.port = Number(value);
+                i++;
+                break;
+            case '--host':
+                options.host = value;
+                i++;
+                break;
+            case '--scenario':
+                options.scenario = value;
+                i++;
+                break;
+            case '--api-key':
+                options.apiKeys.push(value);
+                i++;
+                break;
+            case '--token-lifetime':
+                options.tokenLifetime = Number(value);
+                i++;
+                break;
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+    
+    return options;
+}
+
+function printHelp() {
+    console.log('Usage: node tools/mock-mcp-server/cli.mjs [--port 8765] [--host 127.0.0.1] [--scenario name] [--api-key KEY]... [--token-lifetime SECONDS]');
+    console.log('\nScenarios:');
+    for (const [name, scenario] of Object.entries(SCENARIOS)) {
+        console.log(`  ${name.padEnd(24)} ${scenario.description}`);
+    }
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    
+    if (options.help) {
+        printHelp();
+        return;
+    }
+    
+    const server = new MockMcpServer({
+        port: options.port,
+        host: options.host,
+        scenario: options.scenario,
+        apiKeys: options.apiKeys.length > 0 ? options.apiKeys : null,
+        tokenLifetime: options.tokenLifetime
+    });
+    
+    server.on('connection', session => console.log(`[mock-mcp] Client ${session.id} connected (${session.transport})`));
+    server.on('authenticated', session => console.log(`[mock-mcp] Client ${session.id} authenticated as ${session.sessionId}`));
+    server.on('disconnect', ({ session, code }) => console.log(`[mock-mcp] Client ${session.id} disconnected (${code})`));
+    server.on('frame', frame => console.log(`[mock-mcp] <- ${frame.method || `response ${frame.id}`}`));
+    
+    const url = await server.start();
+    console.log(`[mock-mcp] Listening on ${url} (scenario: ${server.scenario.name})`);
+    console.log(`[mock-mcp] Streamable HTTP: ${server.httpUrl}  SSE: ${server.sseUrl}`);
+    console.log(`[mock-mcp] Access tokens: POST http://${server.host}:${server.port}/token`);
+    
+    const input = createInterface({ input: process.stdin });
+    input.on('line', (line) => {
+        if (!line.trim()) return;
+        
+        try {
+            const data = JSON.parse(line);
+            if (Array.isArray(data)) {
+                server.sendCommands(data);
+            } else {
+                server.sendRaw(JSON.stringify(data));
+            }
+        } catch (error) {
+            console.error(`[mock-mcp] Ignoring input: ${error.message}`);
+        }
+    });
+    
+    const shutdown = async () => {
+        input.close();
+        await server.stop();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+main().catch((error) => {
+    console.error(`[mock-mcp] ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,184 @@
+/**
+ * ORGANIX Neural Interface - Mock MCP Server: HTTP Transports
+ * 
+ * Server side of the two HTTP-based MCP transports. An EventStreamConnection
+ * has the same interface as WebSocketConnection (send, sendRaw, close,
+ * terminate and a 'close' event), so sessions behave alike whichever
+ * transport the client picked:
+ *   sse   GET /sse opens the event stream, whose first event names the
+ *         /messages?sessionId=... URL the client POSTs to
+ *   http  streamable HTTP on /mcp: a POSTed request (or batch) is answered
+ *         on an event stream in the POST's response, and everything else the
+ *         server sends goes to the stream the client opens with GET /mcp
+ * Messages sent while the client has no stream open are kept until it opens one.
+ */
+
+import { EventEmitter } from 'node:events';
+import { randomUUID } from 'node:crypto';
+
+// Lets the app call the HTTP transports from another origin
+export const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, DELETE',
+    'Access-Control-Allow-Headers': 'Content-Type, Accept, Mcp-Session-Id',
+    'Access-Control-Expose-Headers': 'Mcp-Session-Id'
+};
+
+export const EVENT_STREAM_HEADERS = {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+};
+
+/**
+ * One client session over an HTTP transport
+ * 
+ * Events: 'close' (code, reason)
+ */
+export class EventStreamConnection extends EventEmitter {
+    /**
+     * @param {string} type - 'sse' or 'http'
+     */
+    constructor(type) {
+        super();
+        
+        this.type = type;
+        this.id = randomUUID();
+        this.closed = false;
+        
+        // The long-lived event stream, and messages waiting for one
+        this.stream = null;
+        this.backlog = [];
+        
+        // POST responses waiting for the answer to their request, by request
+        // ID (every request of a batch maps to the batch's POST)
+        this.pendingResponses = new Map();
+    }
+    
+    /**
+     * Send server messages on an event stream from now on
+     * @param {http.ServerResponse} response - Response with event stream headers written
+     */
+    attachStream(response) {
+        this.stream = response;
+        
+        response.on('close', () => {
+            if (this.stream !== response) return;
+            this.stream = null;
+            
+            // The SSE stream is the connection; a streamable HTTP client may open another
+            if (this.type === 'sse') {
+                this.handleClose(1006, 'Event stream closed');
+            }
+        });
+        
+        const backlog = this.backlog;
+        this.backlog = [];
+        backlog.forEach(text => this.send(text));
+    }
+    
+    /**
+     * Answer a request, or a batch's requests, on the response to the POST
+     * that carried it
+     * @param {string|number|Array<string|number>} ids - Request ID, or the IDs in a batch
+     * @param {http.ServerResponse} response - POST response
+     * @param {object} headers - Extra response headers
+     */
+    respondOn(ids, response, headers) {
+        ids = [].concat(ids);
+        
+        response.writeHead(200, { ...headers, ...EVENT_STREAM_HEADERS });
+        ids.forEach(id => this.pendingResponses.set(id, response));
+        response.on('close', () => {
+            ids.forEach(id => {
+                if (this.pendingResponses.get(id) === response) {
+                    this.pendingResponses.delete(id);
+                }
+            });
+        });
+    }
+    
+    /**
+     * Send a message
+     * @param {string} text - JSON-RPC message or batch
+     */
+    send(text) {
+        if (this.closed) return;
+        
+        let frame = null;
+        try {
+            frame = JSON.parse(text);
+        } catch (error) {
+            // Broken frames go to the event stream like anything else
+        }
+        
+        // Responses go to the POST that carried their request
+        const responseIds = [].concat(frame ?? []).filter(member => member && member.method === undefined).map(member => member.id);
+        const postResponse = responseIds.length > 0 ? this.pendingResponses.get(responseIds[0]) : null;
+        
+        if (postResponse) {
+            responseIds.forEach(id => this.pendingResponses.delete(id));
+            writeEvent(postResponse, 'message', text);
+            postResponse.end();
+        } else if (this.stream) {
+            writeEvent(this.stream, 'message', text);
+        } else {
+            this.backlog.push(text);
+        }
+    }
+    
+    /**
+     * Write raw bytes to the event stream (for broken-frame scenarios)
+     * @param {Buffer} bytes - Bytes to write
+     */
+    sendRaw(bytes) {
+        if (this.closed || !this.stream) return;
+        this.stream.write(bytes);
+    }
+    
+    /**
+     * End the session and its streams
+     * @param {number} [code=1000] - Close code reported to listeners
+     * @param {string} [reason] - Close reason
+     */
+    close(code = 1000, reason = '') {
+        this.endStreams(response => response.end());
+        this.handleClose(code, reason);
+    }
+    
+    /**
+     * Cut the streams off without ending them properly
+     */
+    terminate() {
+        this.endStreams(response => response.destroy());
+        this.handleClose(1006, 'Connection terminated');
+    }
+    
+    endStreams(end) {
+        const responses = [this.stream, ...this.pendingResponses.values()].filter(Boolean);
+        this.stream = null;
+        this.pendingResponses.clear();
+        responses.forEach(end);
+    }
+    
+    /**
+     * Mark the connection closed and notify listeners once
+     */
+    handleClose(code, reason) {
+        if (this.closed) return;
+        
+        this.closed = true;
+        this.emit('close', code, reason);
+    }
+}
+
+/**
+ * Write one server-sent event
+ * @param {http.ServerResponse} response - Event stream response
+ * @param {string} event - Event name
+ * @param {string} data - Event data
+ */
+export function writeEvent(response, event, data) {
+    const lines = String(data).split(/\r\n|\r|\n/).map(line => `data: ${line}`).join('\n');
+    response.write(`event: ${event}\n${lines}\n\n`);
+}
@@ -0,0 +1,1041 @@
+/**
+ * ORGANIX Neural Interface - Mock MCP Server
+ * 
+ * A local stand-in for a Claude MCP endpoint that speaks the JSON-RPC
+ * protocol OrganixMcpClient uses: the MCP initialize handshake (with
+ * tools/list, resources/list and prompts/list), the auth request, agent/message requests
+ * answered with agent/typing and agent/message notifications (or a
+ * streamed agent/messageStart, agent/messageDelta, agent/messageStop
+ * sequence), agent/stop, scene/command notifications and status/update. Sessions and
+ * their conversations outlive the connection, so a client that reconnects and
+ * authenticates with its previous sessionId resumes them. POST /token hands out
+ * short-lived access tokens that auth accepts until they expire. Clients can
+ * connect over WebSocket (server.url), streamable HTTP (server.httpUrl) or
+ * SSE + POST (server.sseUrl). JSON-RPC batches are taken and answered with
+ * a batch of responses. Everything the client sends is recorded so tests
+ * can assert on it.
+ * 
+ * Usage from a test:
+ * 
+ *   const server = new MockMcpServer({ scenario: 'slow' });
+ *   await server.start();                    // server.url -> ws://127.0.0.1:<port>
+ *   ...connect the client to server.url...
+ *   const state = await server.waitFor('scene/state');
+ *   server.sendCommands([{ type: 'pulse', target: 'core' }]);
+ *   await server.stop();
+ */
+
+import { createServer } from 'node:http';
+import { EventEmitter } from 'node:events';
+import { acceptUpgrade, encodeFrame } from './websocket.mjs';
+import { EventStreamConnection, CORS_HEADERS, EVENT_STREAM_HEADERS, writeEvent } from './httpTransports.mjs';
+import { resolveScenario } from './scenarios.mjs';
+
+export const PROTOCOL_VERSION = '2025-03-26';
+
+// What the server advertises after initialize
+export const SERVER_FEATURES = {
+    tools: [
+        {
+            name: 'organix_echo',
+            description: 'Echo the given text back',
+            inputSchema: { type: 'object', properties: { text: { type: 'string' } }, required: ['text'] }
+        }
+    ],
+    resources: [
+        { uri: 'mock://readme', name: 'Mock server readme', mimeType: 'text/plain' }
+    ],
+    prompts: [
+        { name: 'explain_node', description: 'Explain what a node does', arguments: [{ name: 'nodeId', required: true }] }
+    ]
+};
+
+// JSON-RPC error codes
+export const ERROR_CODES = {
+    parseError: -32700,
+    invalidRequest: -32600,
+    methodNotFound: -32601,
+    invalidParams: -32602,
+    authenticationFailed: -32001,
+    notAuthenticated: -32002
+};
+
+export class MockMcpServer extends EventEmitter {
+    /**
+     * @param {object} options
+     * @param {number} [options.port=0] - Port to listen on (0 picks a free one)
+     * @param {string} [options.host='127.0.0.1'] - Interface to listen on
+     * @param {string|object} [options.scenario='default'] - Scenario name or options
+     * @param {Array<string>} [options.apiKeys] - Accepted API keys (any non-empty key if omitted)
+     * @param {number} [options.tokenLifetime=60] - Seconds a token from POST /token stays valid
+     */
+    constructor(options = {}) {
+        super();
+        
+        this.port = options.port ?? 0;
+        this.host = options.host || '127.0.0.1';
+        this.apiKeys = options.apiKeys || null;
+        this.tokenLifetime = options.tokenLifetime ?? 60;
+        this.scenario = resolveScenario(options.scenario);
+        
+        this.httpServer = null;
+        this.sessions = new Set();
+        this.sessionCounter = 0;
+        
+        // Sessions over the HTTP transports, by their connection ID
+        this.httpSessions = new Map();
+        
+        // Conversations by sessionId, kept after the connection closes so
+        // reconnecting clients can resume them
+        this.conversations = new Map();
+        this.conversationCounter = 0;
+        
+        // Access tokens handed out by POST /token, with their expiry (epoch ms)
+        this.tokens = new Map();
+        this.tokenCounter = 0;
+        
+        // While stalled, frames from clients are recorded but never answered
+        this.stalled = false;
+        
+        // Every frame received from clients, in order
+        this.received = [];
+        
+        // Extra request handlers registered by tests, keyed by method
+        this.requestHandlers = new Map();
+        
+        // Requests sent to clients that are waiting for a response, keyed by ID
+        this.clientRequests = new Map();
+        this.clientRequestCounter = 0;
+    }
+    
+    /**
+     * WebSocket URL of the running server
+     */
+    get url() {
+        return `ws://${this.host}:${this.port}`;
+    }
+    
+    /**
+     * Streamable HTTP URL of the running server
+     */
+    get httpUrl() {
+        return `http://${this.host}:${this.port}/mcp`;
+    }
+    
+    /**
+     * SSE URL of the running server
+     */
+    get sseUrl() {
+        return `http://${this.host}:${this.port}/sse`;
+    }
+    
+    /**
+     * Start listening
+     * @returns {Promise<string>} WebSocket URL
+     */
+    start() {
+        return new Promise((resolve, reject) => {
+            this.httpServer = createServer(this.handleHttpRequest.bind(this));
+            this.httpServer.on('upgrade', this.handleUpgrade.bind(this));
+            this.httpServer.once('error', reject);
+            
+            this.httpServer.listen(this.port, this.host, () => {
+                this.port = this.httpServer.address().port;
+                resolve(this.url);
+            });
+        });
+    }
+    
+    /**
+     * Close every connection and stop listening
+     */
+    stop() {
+        for (const session of this.sessions) {
+            session.connection.terminate();
+        }
+        
+        return new Promise(resolve => {
+            if (!this.httpServer) {
+                resolve();
+                return;
+            }
+            this.httpServer.close(() => resolve());
+            this.httpServer = null;
+        });
+    }
+    
+    /**
+     * Switch scenario; applies to connections that are already open too
+     * @param {string|object} scenario - Scenario name or options
+     */
+    useScenario(scenario) {
+        this.scenario = resolveScenario(scenario);
+    }
+    
+    /**
+     * Answer requests for a method with a custom handler
+     * @param {string} method - JSON-RPC method
+     * @param {Function} handler - (params, session) => result; throw { code, message } to fail
+     */
+    handle(method, handler) {
+        this.requestHandlers.set(method, handler);
+    }
+    
+    /**
+     * Forget received frames
+     */
+    reset() {
+        this.received = [];
+    }
+    
+    /**
+     * Hand out a short-lived access token that auth accepts until it expires
+     * @param {number} [lifetime] - Seconds until expiry (tokenLifetime if omitted)
+     * @returns {object} { token, expiresIn }
+     */
+    issueToken(lifetime = this.tokenLifetime) {
+        const token = `mock-token-${++this.tokenCounter}-${Math.random().toString(36).slice(2, 10)}`;
+        this.tokens.set(token, Date.now() + lifetime * 1000);
+        this.emit('token', token);
+        
+        return { token, expiresIn: lifetime };
+    }
+    
+    /**
+     * Wait for a frame from a client
+     * @param {string} method - JSON-RPC method to wait for
+     * @param {object} [options]
+     * @param {Function} [options.match] - Extra predicate on the frame
+     * @param {number} [options.timeout=5000] - Milliseconds before giving up
+     * @param {boolean} [options.includeReceived=true] - Also match frames that already arrived
+     * @returns {Promise<object>} The matching frame
+     */
+    waitFor(method, { match = () => true, timeout = 5000, includeReceived = true } = {}) {
+        const matches = (frame) => frame.method === method && match(frame);
+        
+        if (includeReceived) {
+            const existing = this.received.find(entry => matches(entry.frame));
+            if (existing) {
+                return Promise.resolve(existing.frame);
+            }
+        }
+        
+        return new Promise((resolve, reject) => {
+            const onFrame = (frame) => {
+                if (!matches(frame)) return;
+                clearTimeout(timer);
+                this.off('frame', onFrame);
+                resolve(frame);
+            };
+            
+            const timer = setTimeout(() => {
+                this.off('frame', onFrame);
+                reject(new Error(`Timed out waiting for ${method}`));
+            }, timeout);
+            
+            this.on('frame', onFrame);
+        });
+    }
+    
+    /**
+     * Send a notification to every authenticated client
+     * @param {string} method - Notification method
+     * @param {object} params - Notification params
+     */
+    notify(method, params = {}) {
+        for (const session of this.sessions) {
+            if (session.authenticated) {
+                this.sendNotification(session, method, params);
+            }
+        }
+    }
+    
+    /**
+     * Send a request to a client (e.g. tools/call) and wait for its response
+     * @param {string} method - Request method
+     * @param {object} [params] - Request params
+     * @param {object} [options]
+     * @param {object} [options.session] - Client session (the first authenticated one if omitted)
+     * @param {number} [options.timeout=10000] - Milliseconds before giving up
+     * @returns {Promise<*>} Response result; rejects with the JSON-RPC error ({ code, message })
+     */
+    request(method, params = {}, { session, timeout = 10000 } = {}) {
+        const target = session || [...this.sessions].find(candidate => candidate.authenticated);
+        if (!target) {
+            return Promise.reject(new Error('No authenticated client'));
+        }
+        
+        const id = `mock-req-${++this.clientRequestCounter}`;
+        
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.clientRequests.delete(id);
+                reject(new Error(`Timed out waiting for the response to ${method}`));
+            }, timeout);
+            
+            this.clientRequests.set(id, { resolve, reject, timer });
+            target.connection.send(JSON.stringify({ jsonrpc: '2.0', id, method, params }));
+        });
+    }
+    
+    /**
+     * Send several requests and notifications to a client as one batch
+     * @param {Array<object>} calls - { method, params, notification } each, notification true
+     * for calls that expect no response
+     * @param {object} [options]
+     * @param {object} [options.session] - Client session (the first authenticated one if omitted)
+     * @param {number} [options.timeout=10000] - Milliseconds before giving up on a response
+     * @returns {Promise<Array<object>>} One outcome per call, as Promise.allSettled gives them
+     */
+    requestBatch(calls, { session, timeout = 10000 } = {}) {
+        const target = session || [...this.sessions].find(candidate => candidate.authenticated);
+        if (!target) {
+            return Promise.reject(new Error('No authenticated client'));
+        }
+        
+        const frames = [];
+        const outcomes = calls.map(({ method, params = {}, notification }) => {
+            if (notification) {
+                frames.push({ jsonrpc: '2.0', method, params });
+                return Promise.resolve();
+            }
+            
+            const id = `mock-req-${++this.clientRequestCounter}`;
+            frames.push({ jsonrpc: '2.0', id, method, params });
+            
+            return new Promise((resolve, reject) => {
+                const timer = setTimeout(() => {
+                    this.clientRequests.delete(id);
+                    reject(new Error(`Timed out waiting for the response to ${method}`));
+                }, timeout);
+                
+                this.clientRequests.set(id, { resolve, reject, timer });
+            });
+        });
+        
+        target.connection.send(JSON.stringify(frames));
+        return Promise.allSettled(outcomes);
+    }
+    
+    /**
+     * Send scene commands to every authenticated client
+     * @param {Array<object>} commands - Scene commands
+     */
+    sendCommands(commands) {
+        this.notify('scene/command', { commands });
+    }
+    
+    /**
+     * Send raw text to every client, whether or not it is valid JSON-RPC
+     * @param {string} text - Frame text
+     */
+    sendRaw(text) {
+        for (const session of this.sessions) {
+            session.connection.send(text);
+        }
+    }
+    
+    /**
+     * Stop (or resume) answering clients, as a server that hangs without
+     * closing its connections would
+     * @param {boolean} [stalled=true] - Whether to ignore incoming frames
+     */
+    stall(stalled = true) {
+        this.stalled = stalled;
+    }
+    
+    /**
+     * Drop every connection without a close handshake
+     */
+    dropConnections() {
+        for (const session of this.sessions) {
+            session.connection.terminate();
+        }
+    }
+    
+    /**
+     * Accept a WebSocket upgrade and start a session
+     */
+    handleUpgrade(request, socket) {
+        const connection = acceptUpgrade(request, socket);
+        if (!connection) return;
+        
+        this.createSession(connection, 'websocket');
+    }
+    
+    /**
+     * Start a session on a new connection
+     * @param {WebSocketConnection|EventStreamConnection} connection - Client connection
+     * @param {string} transport - 'websocket', 'http' or 'sse'
+     * @returns {object} Session
+     */
+    createSession(connection, transport) {
+        const session = {
+            id: ++this.sessionCounter,
+            transport,
+            connection,
+            initialized: false,
+            protocolVersion: null,
+            clientInfo: null,
+            authenticated: false,
+            sessionId: null,
+            clientId: null,
+            sceneState: null,
+            stoppedMessages: new Set(),
+            
+            // Batches waiting for answers to their requests, by request ID,
+            // and the batch being read right now
+            batchReplies: new Map(),
+            receivingBatch: null
+        };
+        this.sessions.add(session);
+        
+        connection.on('message', (text) => this.handleMessage(session, text));
+        connection.on('error', (error) => console.warn(`[mock-mcp] Connection ${session.id} error: ${error.message}`));
+        connection.on('close', (code, reason) => {
+            this.sessions.delete(session);
+            this.httpSessions.delete(connection.id);
+            this.emit('disconnect', { session, code, reason });
+        });
+        
+        if (transport !== 'websocket') {
+            this.httpSessions.set(connection.id, session);
+        }
+        
+        this.emit('connection', session);
+        return session;
+    }
+    
+    /**
+     * Streamable HTTP on /mcp. An initialize request without Mcp-Session-Id
+     * starts a session; later requests must name it.
+     */
+    handleStreamableHttp(request, response) {
+        const reply = (status, body) => {
+            response.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+            response.end(JSON.stringify(body));
+        };
+        
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204, CORS_HEADERS);
+            response.end();
+            return;
+        }
+        
+        const sessionKey = request.headers['mcp-session-id'];
+        let session = sessionKey ? this.httpSessions.get(sessionKey) : null;
+        
+        if (sessionKey && !session) {
+            reply(404, { error: 'Unknown session' });
+            return;
+        }
+        
+        if (request.method === 'GET') {
+            if (!session) {
+                reply(400, { error: 'Missing Mcp-Session-Id' });
+            } else if (session.connection.stream) {
+                reply(409, { error: 'An event stream is already open for this session' });
+            } else {
+                response.writeHead(200, { ...CORS_HEADERS, ...EVENT_STREAM_HEADERS });
+                response.write(': stream open\n\n');
+                session.connection.attachStream(response);
+            }
+            return;
+        }
+        
+        if (request.method === 'DELETE') {
+            if (!session) {
+                reply(400, { error: 'Missing Mcp-Session-Id' });
+            } else {
+                session.connection.close(1000, 'Session ended by client');
+                response.writeHead(204, CORS_HEADERS);
+                response.end();
+            }
+            return;
+        }
+        
+        if (request.method !== 'POST') {
+            reply(405, { error: 'Method not allowed' });
+            return;
+        }
+        
+        this.readBody(request, (text) => {
+            let frame;
+            try {
+                frame = JSON.parse(text);
+            } catch (error) {
+                reply(400, { jsonrpc: '2.0', id: null, error: { code: ERROR_CODES.parseError, message: 'Parse error' } });
+                return;
+            }
+            
+            if (!session) {
+                if (frame?.method !== 'initialize') {
+                    reply(400, { error: 'Missing Mcp-Session-Id' });
+                    return;
+                }
+                session = this.createSession(new EventStreamConnection('http'), 'http');
+            }
+            
+            const headers = { ...CORS_HEADERS, 'Mcp-Session-Id': session.connection.id };
+            const requestIds = [].concat(frame ?? [])
+                .filter(member => typeof member?.method === 'string' && member.id !== undefined && member.id !== null)
+                .map(member => member.id);
+            
+            if (requestIds.length > 0) {
+                session.connection.respondOn(Array.isArray(frame) ? requestIds : requestIds[0], response, headers);
+            } else {
+                response.writeHead(202, headers);
+                response.end();
+            }
+            
+            this.handleMessage(session, text);
+        });
+    }
+    
+    /**
+     * SSE + POST: GET /sse opens a session's event stream, and its first
+     * event names the URL for the client's messages
+     */
+    handleSseStream(request, response) {
+        const connection = new EventStreamConnection('sse');
+        this.createSession(connection, 'sse');
+        
+        response.writeHead(200, { ...CORS_HEADERS, ...EVENT_STREAM_HEADERS });
+        writeEvent(response, 'endpoint', `/messages?sessionId=${connection.id}`);
+        connection.attachStream(response);
+    }
+    
+    /**
+     * SSE + POST: a message from the client, answered on its event stream
+     */
+    handleSseMessage(request, response, sessionKey) {
+        const session = this.httpSessions.get(sessionKey);
+        
+        if (!session || session.transport !== 'sse') {
+            response.writeHead(404, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+            response.end(JSON.stringify({ error: 'Unknown session' }));
+            request.resume();
+            return;
+        }
+        
+        this.readBody(request, (text) => {
+            response.writeHead(202, CORS_HEADERS);
+            response.end();
+            this.handleMessage(session, text);
+        });
+    }
+    
+    /**
+     * Collect a request body
+     * @param {http.IncomingMessage} request - HTTP request
+     * @param {Function} callback - Called with the body text
+     */
+    readBody(request, callback) {
+        let body = '';
+        request.setEncoding('utf8');
+        request.on('data', chunk => { body += chunk; });
+        request.on('end', () => callback(body));
+    }
+    
+    /**
+     * Handle a text frame from a client
+     * @param {object} session - Client session
+     * @param {string} text - Frame text
+     */
+    handleMessage(session, text) {
+        let frame;
+        try {
+            frame = JSON.parse(text);
+        } catch (error) {
+            this.sendError(session, null, ERROR_CODES.parseError, 'Parse error');
+            return;
+        }
+        
+        if (!Array.isArray(frame)) {
+            this.handleFrame(session, frame, null);
+            return;
+        }
+        
+        if (frame.length === 0) {
+            this.sendError(session, null, ERROR_CODES.invalidRequest, 'Invalid Request');
+            return;
+        }
+        
+        // The batch's responses are sent together once the last is ready
+        const batch = { waiting: new Set(), responses: [], open: true };
+        for (const member of frame) {
+            if (typeof member?.method === 'string' && member.id !== undefined && member.id !== null) {
+                batch.waiting.add(member.id);
+                session.batchReplies.set(member.id, batch);
+            }
+        }
+        
+        session.receivingBatch = batch;
+        frame.forEach(member => this.handleFrame(session, member, frame.length));
+        session.receivingBatch = null;
+        batch.open = false;
+        
+        this.flushBatch(session, batch);
+    }
+    
+    /**
+     * Handle one JSON-RPC message from a client
+     * @param {object} session - Client session
+     * @param {*} frame - Parsed message
+     * @param {number|null} batchSize - Size of the batch it came in, if any
+     */
+    handleFrame(session, frame, batchSize) {
+        if (!frame || typeof frame !== 'object' || Array.isArray(frame) || frame.jsonrpc !== '2.0') {
+            this.sendError(session, frame?.id ?? null, ERROR_CODES.invalidRequest, 'Invalid Request');
+            return;
+        }
+        
+        this.received.push({ session: session.id, frame, batch: batchSize, at: Date.now() });
+        this.emit('frame', frame, session);
+        
+        if (this.stalled) return;
+        
+        if (frame.method === undefined) {
+            // A response to a request we sent
+            this.handleResponse(frame);
+            return;
+        }
+        
+        if (frame.id === undefined || frame.id === null) {
+            this.handleNotification(session, frame);
+        } else {
+            this.handleRequest(session, frame);
+        }
+    }
+    
+    /**
+     * Settle a request sent with request()
+     */
+    handleResponse(frame) {
+        const pending = this.clientRequests.get(frame.id);
+        if (!pending) return;
+        
+        clearTimeout(pending.timer);
+        this.clientRequests.delete(frame.id);
+        
+        if (frame.error) {
+            pending.reject(Object.assign(new Error(frame.error.message), frame.error));
+        } else {
+            pending.resolve(frame.result);
+        }
+    }
+    
+    /**
+     * Handle a notification from a client
+     */
+    handleNotification(session, frame) {
+        if (frame.method === 'notifications/initialized') {
+            session.initialized = true;
+            this.emit('initialized', session);
+        } else if (frame.method === 'scene/state') {
+            session.sceneState = frame.params?.state ?? null;
+        }
+    }
+    
+    /**
+     * Answer a request from a client
+     */
+    async handleRequest(session, frame) {
+        const { id, method, params = {} } = frame;
+        const scenario = this.scenario;
+        
+        await this.delay(scenario.responseDelay);
+        
+        if (method === 'initialize') {
+            if (scenario.protocol === 'mcp') {
+                this.handleInitialize(session, id, params);
+            } else {
+                this.sendError(session, id, ERROR_CODES.methodNotFound, `Method not found: ${method}`);
+            }
+            return;
+        }
+        
+        if (method === 'ping') {
+            this.sendResult(session, id, {});
+            return;
+        }
+        
+        if (method === 'auth') {
+            this.handleAuth(session, id, params);
+            return;
+        }
+        
+        if (!session.authenticated) {
+            this.sendError(session, id, ERROR_CODES.notAuthenticated, 'Not authenticated');
+            return;
+        }
+        
+        if (this.requestHandlers.has(method)) {
+            try {
+                const result = await this.requestHandlers.get(method)(params, session);
+                this.sendResult(session, id, result ?? {});
+            } catch (error) {
+                this.sendError(session, id, error.code ?? ERROR_CODES.invalidParams, error.message);
+            }
+            return;
+        }
+        
+        if (method === 'agent/message') {
+            if (typeof params.content !== 'string') {
+                this.sendError(session, id, ERROR_CODES.invalidParams, 'content must be a string');
+                return;
+            }
+            
+            const conversation = this.conversations.get(session.sessionId);
+            
+            // A retried message that already arrived is acknowledged but not answered twice
+            if (params.clientMessageId && conversation.messages.some(message => message.clientMessageId === params.clientMessageId)) {
+                this.sendResult(session, id, { accepted: true, duplicate: true, conversationId: conversation.id });
+                return;
+            }
+            
+            conversation.messages.push({ role: 'user', content: params.content, clientMessageId: params.clientMessageId ?? null });
+            
+            const messageId = `mock-msg-${Date.now()}`;
+            this.sendResult(session, id, { accepted: true, messageId, conversationId: conversation.id });
+            this.sendReply(session, params.content, scenario, messageId);
+            return;
+        }
+        
+        if (method === 'agent/stop') {
+            session.stoppedMessages.add(params.messageId);
+            this.sendResult(session, id, { stopped: true });
+            return;
+        }
+        
+        const listMatch = /^(tools|resources|prompts)\/list$/.exec(method);
+        if (listMatch && scenario.protocol === 'mcp') {
+            this.sendResult(session, id, { [listMatch[1]]: SERVER_FEATURES[listMatch[1]] });
+            return;
+        }
+        
+        this.sendError(session, id, ERROR_CODES.methodNotFound, `Method not found: ${method}`);
+    }
+    
+    /**
+     * Answer an initialize request. The server speaks one protocol version
+     * and says so whatever the client asked for; the ORGANIX auth request
+     * is still required and advertised as an experimental capability.
+     */
+    handleInitialize(session, id, params) {
+        if (typeof params.protocolVersion !== 'string' || !params.clientInfo) {
+            this.sendError(session, id, ERROR_CODES.invalidParams, 'protocolVersion and clientInfo are required');
+            return;
+        }
+        
+        session.protocolVersion = PROTOCOL_VERSION;
+        session.clientInfo = params.clientInfo;
+        
+        this.sendResult(session, id, {
+            protocolVersion: PROTOCOL_VERSION,
+            capabilities: {
+                tools: { listChanged: true },
+                resources: { subscribe: false, listChanged: true },
+                prompts: { listChanged: true },
+                experimental: { organixAuth: {} }
+            },
+            serverInfo: { name: 'organix-mock-mcp', version: '1.0.0' },
+            instructions: 'Mock MCP server for ORGANIX development. Authenticate with the auth request before sending messages.'
+        });
+    }
+    
+    /**
+     * Answer an auth request. A sessionId from an earlier connection resumes
+     * that session and its conversation; anything else starts a new one.
+     */
+    handleAuth(session, id, params) {
+        const key = params.apiKey;
+        
+        if (this.tokens.has(key) && this.tokens.get(key) <= Date.now()) {
+            this.sendError(session, id, ERROR_CODES.authenticationFailed, 'Access token expired');
+            return;
+        }
+        
+        const validKey = typeof key === 'string' && key !== '' &&
+            (!this.apiKeys || this.apiKeys.includes(key) || this.tokens.has(key));
+            
+        if (this.scenario.auth === 'reject' || !validKey) {
+            this.sendError(session, id, ERROR_CODES.authenticationFailed, 'Invalid API key');
+            return;
+        }
+        
+        const resumed = this.conversations.has(params.sessionId);
+        
+        session.authenticated = true;
+        session.clientId = params.clientId || null;
+        session.sessionId = resumed ? params.sessionId : `mock-session-${session.id}`;
+        
+        if (!resumed) {
+            this.conversations.set(session.sessionId, { id: `mock-conversation-${++this.conversationCounter}`, messages: [] });
+        }
+        
+        const conversation = this.conversations.get(session.sessionId);
+        
+        this.sendResult(session, id, { sessionId: session.sessionId, conversationId: conversation.id, resumed });
+        this.sendNotification(session, 'status/update', { state: 'ready', server: 'organix-mock-mcp' });
+        this.emit('authenticated', session);
+    }
+    
+    /**
+     * Play the agent's reply to a user message
+     * @param {object} session - Client session
+     * @param {string} content - User message
+     * @param {object} scenario - Scenario in effect when the message arrived
+     * @param {string} messageId - ID of the reply
+     */
+    async sendReply(session, content, scenario, messageId) {
+        const reply = scenario.reply(content);
+        
+        this.sendNotification(session, 'agent/typing', { typing: true });
+        await this.delay(scenario.typingDelay);
+        
+        if (session.connection.closed) return;
+        
+        if (scenario.disconnectMidMessage) {
+            // Send the first half of the reply frame, then drop the connection
+            const frame = encodeFrame(0x1, Buffer.from(JSON.stringify({
+                jsonrpc: '2.0',
+                method: 'agent/message',
+                params: { content: reply.content }
+            })));
+            session.connection.sendRaw(frame.subarray(0, Math.ceil(frame.length / 2)));
+            session.connection.terminate();
+            return;
+        }
+        
+        if (scenario.malformedFrames) {
+            session.connection.send('{"jsonrpc":"2.0","method":"agent/mess');
+            session.connection.send('[1, 2, 3]');
+            session.connection.send(JSON.stringify({ jsonrpc: '2.0', id: 'mock-unknown-request', result: {} }));
+            session.connection.send(JSON.stringify({ jsonrpc: '2.0', method: 'mock/unknownMethod', params: {} }));
+            session.connection.send(JSON.stringify({ jsonrpc: '2.0', method: 'agent/message' }));
+        }
+        
+        if (scenario.stream) {
+            this.streamReply(session, reply, scenario, messageId);
+            return;
+        }
+        
+        this.sendNotification(session, 'agent/message', { content: reply.content });
+        this.sendNotification(session, 'agent/typing', { typing: false });
+        
+        if (reply.commands && reply.commands.length > 0) {
+            this.sendNotification(session, 'scene/command', { commands: reply.commands });
+        }
+    }
+    
+    /**
+     * Stream a reply word by word, sending its commands halfway through
+     * @param {object} session - Client session
+     * @param {object} reply - { content, commands }
+     * @param {object} scenario - Scenario in effect when the message arrived
+     * @param {string} messageId - ID of the reply
+     */
+    async streamReply(session, reply, scenario, messageId) {
+        const words = reply.content.match(/\S+\s*/g) || [];
+        const commandsAt = Math.floor(words.length / 2);
+        
+        this.sendNotification(session, 'agent/typing', { typing: false });
+        this.sendNotification(session, 'agent/messageStart', { messageId, role: 'assistant' });
+        
+        for (let i = 0; i < words.length; i++) {
+            if (session.connection.closed) return;
+            
+            if (session.stoppedMessages.has(messageId)) {
+                this.sendNotification(session, 'agent/messageStop', { messageId, stopReason: 'cancelled' });
+                return;
+            }
+            
+            if (i === commandsAt && reply.commands && reply.commands.length > 0) {
+                this.sendNotification(session, 'scene/command', { messageId, commands: reply.commands });
+            }
+            
+            this.sendNotification(session, 'agent/messageDelta', { messageId, delta: words[i] });
+            await this.delay(scenario.chunkDelay);
+        }
+        
+        this.sendNotification(session, 'agent/messageStop', { messageId, stopReason: 'end_turn' });
+    }
+    
+    /**
+     * HTTP requests: the MCP transports other than WebSocket, and a minimal
+     * control API for tests that run the server as a separate process
+     *
+     *   /mcp                     streamable HTTP transport (POST, GET, DELETE)
+     *   GET  /sse                SSE transport event stream
+     *   POST /messages?sessionId=  messages for an SSE session
+     *   GET  /control/received   frames received so far
+     *   POST /control/scenario   { name } or scenario options
+     *   POST /control/notify     { method, params } sent to every authenticated client
+     *   POST /control/request    { method, params } sent to a client; replies with its response
+     *   POST /control/stall      { stalled } stop (or resume) answering clients
+     *   POST /control/drop       drop every connection without a close handshake
+     *   POST /control/reset      forget received frames
+     *   POST /token              { token, expiresIn } for token authentication (CORS enabled
+     *                            so the app can call it from the browser)
+     */
+    handleHttpRequest(request, response) {
+        const reply = (status, body, headers = {}) => {
+            response.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+            response.end(JSON.stringify(body));
+        };
+        
+        const { pathname, searchParams } = new URL(request.url, `http://${request.headers.host || 'localhost'}`);
+        
+        if (pathname === '/mcp') {
+            this.handleStreamableHttp(request, response);
+            return;
+        }
+        
+        if (pathname === '/sse' || pathname === '/messages') {
+            if (request.method === 'OPTIONS') {
+                response.writeHead(204, CORS_HEADERS);
+                response.end();
+            } else if (pathname === '/sse' && request.method === 'GET') {
+                this.handleSseStream(request, response);
+            } else if (pathname === '/messages' && request.method === 'POST') {
+                this.handleSseMessage(request, response, searchParams.get('sessionId'));
+            } else {
+                reply(405, { error: 'Method not allowed' }, CORS_HEADERS);
+            }
+            return;
+        }
+        
+        if (request.url === '/token') {
+            const cors = {
+                'Access-Control-Allow-Origin': '*',
+                'Access-Control-Allow-Methods': 'POST',
+                'Access-Control-Allow-Headers': 'Content-Type'
+            };
+            
+            if (request.method === 'OPTIONS') {
+                response.writeHead(204, cors);
+                response.end();
+            } else if (request.method === 'POST') {
+                request.resume();
+                request.on('end', () => reply(200, this.issueToken(), cors));
+            } else {
+                reply(405, { error: 'Method not allowed' }, cors);
+            }
+            return;
+        }
+        
+        if (request.method === 'GET' && request.url === '/control/received') {
+            reply(200, this.received);
+            return;
+        }
+        
+        if (request.method !== 'POST' || !request.url.startsWith('/control/')) {
+            reply(404, { error: 'Not found' });
+            return;
+        }
+        
+        let body = '';
+        request.on('data', chunk => { body += chunk; });
+        request.on('end', () => {
+            try {
+                const data = body ? JSON.parse(body) : {};
+                
+                switch (request.url) {
+                    case '/control/scenario':
+                        this.useScenario(data.name || data);
+                        reply(200, { scenario: this.scenario.name });
+                        return;
+                        
+                    case '/control/notify':
+                        this.notify(data.method, data.params);
+                        reply(200, { sent: true });
+                        return;
+                        
+                    case '/control/request':
+                        this.request(data.method, data.params).then(
+                            result => reply(200, { result }),
+                            error => reply(502, { error: { code: error.code ?? null, message: error.message } })
+                        );
+                        return;
+                        
+                    case '/control/stall':
+                        this.stall(data.stalled !== false);
+                        reply(200, { stalled: this.stalled });
+                        return;
+                        
+                    case '/control/drop':
+                        this.dropConnections();
+                        reply(200, { dropped: true });
+                        return;
+                        
+                    case '/control/reset':
+                        this.reset();
+                        reply(200, { reset: true });
+                        return;
+                        
+                    default:
+                        reply(404, { error: 'Not found' });
+                }
+            } catch (error) {
+                reply(400, { error: error.message });
+            }
+        });
+    }
+    
+    /**
+     * Send a JSON-RPC result
+     */
+    sendResult(session, id, result) {
+        this.sendResponse(session, { jsonrpc: '2.0', id, result });
+    }
+    
+    /**
+     * Send a JSON-RPC error
+     */
+    sendError(session, id, code, message) {
+        this.sendResponse(session, { jsonrpc: '2.0', id, error: { code, message } });
+    }
+    
+    /**
+     * Send a response, or hold it for the batch its request came in
+     */
+    sendResponse(session, response) {
+        const batch = (response.id !== null && session.batchReplies.get(response.id)) || session.receivingBatch;
+        
+        if (!batch) {
+            session.connection.send(JSON.stringify(response));
+            return;
+        }
+        
+        session.batchReplies.delete(response.id);
+        batch.waiting.delete(response.id);
+        batch.responses.push(response);
+        this.flushBatch(session, batch);
+    }
+    
+    /**
+     * Send a batch's responses once every request in it is answered
+     */
+    flushBatch(session, batch) {
+        if (batch.open || batch.waiting.size > 0 || batch.responses.length === 0) return;
+        
+        session.connection.send(JSON.stringify(batch.responses));
+        batch.responses = [];
+    }
+    
+    /**
+     * Send a JSON-RPC notification
+     */
+    sendNotification(session, method, params) {
+        session.connection.send(JSON.stringify({ jsonrpc: '2.0', method, params }));
+    }
+    
+    /**
+     * Wait for a scenario delay
+     * @param {number} ms - Milliseconds (0 resolves immediately)
+     */
+    delay(ms) {
+        return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+    }
+}
@@ -0,0 +1,313 @@
+/**
+ * ORGANIX Neural Interface - Mock MCP Server: Smoke Tests
+ * 
+ * Starts the mock server for each scripted scenario and talks to it over a
+ * bare WebSocket client, so the tests see the frames exactly as the server
+ * sends them (including the half frame of disconnect-mid-message). Uses
+ * only node:test and Node's built-in modules:
+ * 
+ *   node --test tools/mock-mcp-server/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { request } from 'node:http';
+import { randomBytes } from 'node:crypto';
+import { MockMcpServer, ERROR_CODES, PROTOCOL_VERSION } from './mockMcpServer.mjs';
+
+const API_KEY = 'smoke-test-key';
+
+/**
+ * Open a WebSocket connection with node:http
+ * @param {string} url - ws:// URL
+ * @returns {Promise<object>} Client ({ send, request, waitFor, close, messages, closed, pending })
+ */
+function connect(url) {
+    return new Promise((resolve, reject) => {
+        const upgrade = request(url.replace(/^ws:/, 'http:'), {
+            headers: {
+                Connection: 'Upgrade',
+                Upgrade: 'websocket',
+                'Sec-WebSocket-Key': randomBytes(16).toString('base64'),
+                'Sec-WebSocket-Version': '13'
+            }
+        });
+        
+        upgrade.on('upgrade', (response, socket, head) => resolve(new TestClient(socket, head)));
+        upgrade.on('response', response => reject(new Error(`Upgrade refused: ${response.statusCode}`)));
+        upgrade.on('error', reject);
+        upgrade.end();
+    });
+}
+
+/**
+ * Just enough of a WebSocket client for the tests: masked text frames out,
+ * unmasked frames in, and every text message kept as received
+ */
+class TestClient {
+    constructor(socket, head) {
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.messages = [];
+        this.waiters = [];
+        this.requestCounter = 0;
+        
+        // Whether the socket has closed, and whether the server said goodbye first
+        this.closed = false;
+        this.closeFrame = false;
+        
+        socket.on('data', chunk => this.handleData(chunk));
+        socket.on('close', () => {
+            this.closed = true;
+            this.settleWaiters();
+        });
+        socket.on('error', () => {});
+        
+        if (head.length > 0) this.handleData(head);
+    }
+    
+    /**
+     * Bytes received that don't make up a whole frame
+     */
+    get pending() {
+        return this.buffer.length;
+    }
+    
+    handleData(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        
+        while (this.buffer.length >= 2) {
+            let length = this.buffer[1] & 0x7f;
+            let offset = 2;
+            if (length === 126) {
+                if (this.buffer.length < 4) return;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) return;
+                length = Number(this.buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+            if (this.buffer.length < offset + length) return;
+            
+            const opcode = this.buffer[0] & 0x0f;
+            const payload = this.buffer.subarray(offset, offset + length);
+            this.buffer = this.buffer.subarray(offset + length);
+            
+            if (opcode === 0x1) {
+                this.messages.push(payload.toString('utf8'));
+            } else if (opcode === 0x8) {
+                this.closeFrame = true;
+            }
+        }
+        
+        this.settleWaiters();
+    }
+    
+    /**
+     * Send a text message
+     * @param {string} text - Message
+     */
+    send(text) {
+        const payload = Buffer.from(text);
+        const mask = randomBytes(4);
+        const header = payload.length < 126 ? Buffer.from([0x81, 0x80 | payload.length]) : Buffer.alloc(4);
+        if (payload.length >= 126) {
+            header[0] = 0x81;
+            header[1] = 0x80 | 126;
+            header.writeUInt16BE(payload.length, 2);
+        }
+        
+        const masked = Buffer.from(payload.map((byte, index) => byte ^ mask[index % 4]));
+        this.socket.write(Buffer.concat([header, mask, masked]));
+    }
+    
+    /**
+     * Send a JSON-RPC request and wait for its response
+     * @param {string} method - Method
+     * @param {object} [params] - Params
+     * @param {number} [timeout] - Milliseconds to wait
+     * @returns {Promise<object>} Response frame ({ result } or { error })
+     */
+    request(method, params = {}, timeout = 2000) {
+        const id = `smoke-${++this.requestCounter}`;
+        this.send(JSON.stringify({ jsonrpc: '2.0', id, method, params }));
+        return this.waitFor(frame => frame.id === id, timeout);
+    }
+    
+    /**
+     * Wait for a JSON message matching a predicate
+     * @param {Function} match - (frame) => boolean, given each parsed JSON object
+     * @param {number} [timeout] - Milliseconds to wait
+     * @returns {Promise<object>} The first matching frame
+     */
+    waitFor(match, timeout = 2000) {
+        return new Promise((resolve, reject) => {
+            const waiter = { match, resolve, reject };
+            waiter.timer = setTimeout(() => {
+                this.waiters = this.waiters.filter(candidate => candidate !== waiter);
+                reject(new Error('Timed out waiting for a frame'));
+            }, timeout);
+            
+            this.waiters.push(waiter);
+            this.settleWaiters();
+        });
+    }
+    
+    settleWaiters() {
+        for (const waiter of [...this.waiters]) {
+            const frame = this.messages.map(parseFrame).find(candidate => candidate && waiter.match(candidate));
+            
+            if (!frame && !this.closed) continue;
+            
+            clearTimeout(waiter.timer);
+            this.waiters = this.waiters.filter(candidate => candidate !== waiter);
+            if (frame) {
+                waiter.resolve(frame);
+            } else {
+                waiter.reject(new Error('Connection closed'));
+            }
+        }
+    }
+    
+    /**
+     * Resolve once the socket has closed
+     * @param {number} [timeout] - Milliseconds to wait
+     */
+    waitForClose(timeout = 2000) {
+        if (this.closed) return Promise.resolve();
+        
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error('Connection did not close')), timeout);
+            this.socket.once('close', () => {
+                clearTimeout(timer);
+                resolve();
+            });
+        });
+    }
+    
+    close() {
+        this.socket.destroy();
+    }
+}
+
+/**
+ * Parse a received message, or null if it isn't a JSON object
+ * @param {string} text - Message
+ * @returns {object|null} Frame
+ */
+function parseFrame(text) {
+    try {
+        const frame = JSON.parse(text);
+        return frame && typeof frame === 'object' && !Array.isArray(frame) ? frame : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Start the server with a scenario, connect and run a test body
+ * @param {string} scenario - Scenario name
+ * @param {Function} body - async (client, server) => void
+ */
+async function withScenario(scenario, body) {
+    const server = new MockMcpServer({ scenario });
+    const url = await server.start();
+    const client = await connect(url);
+    
+    try {
+        await body(client, server);
+    } finally {
+        client.close();
+        await server.stop();
+    }
+}
+
+/**
+ * Run the initialize handshake and authenticate
+ * @param {TestClient} client - Connected client
+ */
+async function signIn(client) {
+    const initialized = await client.request('initialize', {
+        protocolVersion: PROTOCOL_VERSION,
+        capabilities: {},
+        clientInfo: { name: 'smoke-test', version: '1.0.0' }
+    });
+    assert.equal(initialized.result.protocolVersion, PROTOCOL_VERSION);
+    client.send(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' }));
+    
+    const auth = await client.request('auth', { apiKey: API_KEY });
+    assert.match(auth.result.sessionId, /^mock-session-/);
+}
+
+test('default: handshake, auth and a reply with scene commands', async () => {
+    await withScenario('default', async (client, server) => {
+        await signIn(client);
+        
+        const accepted = await client.request('agent/message', { content: 'highlight memory' });
+        assert.equal(accepted.result.accepted, true);
+        
+        const reply = await client.waitFor(frame => frame.method === 'agent/message');
+        assert.equal(reply.params.content, 'Highlighting memory.');
+        
+        const commands = await client.waitFor(frame => frame.method === 'scene/command');
+        assert.deepEqual(commands.params.commands.map(command => command.target), ['memory']);
+        
+        assert.ok(server.received.some(entry => entry.frame.method === 'notifications/initialized'));
+    });
+});
+
+test('auth-failure: auth is rejected and messages need a session', async () => {
+    await withScenario('auth-failure', async (client) => {
+        const auth = await client.request('auth', { apiKey: API_KEY });
+        assert.equal(auth.error.code, ERROR_CODES.authenticationFailed);
+        
+        const message = await client.request('agent/message', { content: 'hello' });
+        assert.equal(message.error.code, ERROR_CODES.notAuthenticated);
+    });
+});
+
+test('slow: responses take about three seconds', async () => {
+    await withScenario('slow', async (client) => {
+        const started = Date.now();
+        const pong = await client.request('ping', {}, 6000);
+        
+        assert.deepEqual(pong.result, {});
+        assert.ok(Date.now() - started >= 2900, `answered after ${Date.now() - started} ms`);
+    });
+});
+
+test('disconnect-mid-message: the reply frame is cut off by a dropped connection', async () => {
+    await withScenario('disconnect-mid-message', async (client) => {
+        await signIn(client);
+        
+        const accepted = await client.request('agent/message', { content: 'hello' });
+        assert.equal(accepted.result.accepted, true);
+        await client.waitFor(frame => frame.method === 'agent/typing' && frame.params.typing);
+        
+        await client.waitForClose();
+        assert.equal(client.closeFrame, false, 'the server should drop the connection without a close frame');
+        assert.ok(client.pending > 0, 'half a frame should be left over');
+        assert.ok(!client.messages.map(parseFrame).some(frame => frame?.method === 'agent/message'));
+    });
+});
+
+test('malformed-frames: broken frames come before the real reply', async () => {
+    await withScenario('malformed-frames', async (client) => {
+        await signIn(client);
+        
+        await client.request('agent/message', { content: 'hello' });
+        const reply = await client.waitFor(frame => frame.method === 'agent/message' && frame.params);
+        assert.equal(reply.params.content, 'Mock reply to: "hello"');
+        
+        const frames = client.messages.map(parseFrame);
+        const replyIndex = frames.findIndex(frame => frame?.method === 'agent/message' && frame.params);
+        const beforeReply = client.messages.slice(0, replyIndex);
+        
+        assert.ok(beforeReply.some(text => text.startsWith('{"jsonrpc":"2.0","method":"agent/mess') && parseFrame(text) === null),
+            'a truncated JSON frame');
+        assert.ok(beforeReply.includes('[1, 2, 3]'), 'a batch of non-objects');
+        assert.ok(frames.slice(0, replyIndex).some(frame => frame?.id === 'mock-unknown-request'), 'an unmatched response');
+        assert.ok(frames.slice(0, replyIndex).some(frame => frame?.method === 'agent/message' && !frame.params), 'a message without params');
+    });
+});
@@ -0,0 +1,95 @@
+/**
+ * ORGANIX Neural Interface - Mock MCP Server: Scenarios
+ * 
+ * Named behaviours for the mock server. A scenario is a plain options
+ * object; anything left out falls back to the default scenario, so tests
+ * can also pass their own, e.g. { responseDelay: 200 }.
+ * 
+ *   protocol              'mcp' answers initialize, 'legacy' only knows auth
+ *   auth                  'accept' or 'reject' every auth request
+ *   responseDelay         ms before answering any request
+ *   typingDelay           ms between agent/typing and the agent/message reply
+ *   disconnectMidMessage  cut the connection halfway through the reply frame
+ *   malformedFrames       send broken frames before the reply
+ *   stream                stream the reply as agent/messageStart/Delta/Stop
+ *   chunkDelay            ms between streamed chunks
+ *   reply(content)        returns { content, commands } for a user message
+ */
+
+/**
+ * Default reply: echo the message, and highlight a node on "highlight <id>"
+ * @param {string} content - User message
+ * @returns {object} { content, commands }
+ */
+export function defaultReply(content) {
+    const match = /\bhighlight\s+([\w-]+)/i.exec(content);
+    
+    if (match) {
+        return {
+            content: `Highlighting ${match[1]}.`,
+            commands: [{ type: 'highlight', target: match[1].toLowerCase(), params: { duration: 2000 } }]
+        };
+    }
+    
+    return {
+        content: `Mock reply to: "${content}"`,
+        commands: []
+    };
+}
+
+export const SCENARIOS = {
+    default: {
+        description: 'Accepts any API key and answers every message promptly',
+        protocol: 'mcp',
+        auth: 'accept',
+        responseDelay: 0,
+        typingDelay: 300,
+        disconnectMidMessage: false,
+        malformedFrames: false,
+        stream: false,
+        chunkDelay: 80,
+        reply: defaultReply
+    },
+    legacy: {
+        description: 'A pre-MCP bridge: no initialize handshake, only the ORGANIX auth request',
+        protocol: 'legacy'
+    },
+    'auth-failure': {
+        description: 'Rejects every auth request',
+        auth: 'reject'
+    },
+    slow: {
+        description: 'Answers requests after 3 s and types for 5 s before replying',
+        responseDelay: 3000,
+        typingDelay: 5000
+    },
+    'disconnect-mid-message': {
+        description: 'Drops the connection halfway through sending the reply',
+        disconnectMidMessage: true
+    },
+    streaming: {
+        description: 'Streams replies word by word, with scene commands sent mid-stream',
+        stream: true,
+        chunkDelay: 150
+    },
+    'malformed-frames': {
+        description: 'Sends invalid JSON, non-JSON-RPC payloads and unmatched responses before each reply',
+        malformedFrames: true
+    }
+};
+
+/**
+ * Resolve a scenario name or options object against the default scenario
+ * @param {string|object} scenario - Scenario name or options
+ * @returns {object} Complete scenario options
+ */
+export function resolveScenario(scenario = 'default') {
+    if (typeof scenario === 'string') {
+        if (!SCENARIOS[scenario]) {
+            throw new Error(`Unknown scenario "${scenario}" (available: ${Object.keys(SCENARIOS).join(', ')})`);
+        }
+        return { ...SCENARIOS.default, ...SCENARIOS[scenario], name: scenario };
+    }
+    
+    return { ...SCENARIOS.default, ...scenario, name: scenario.name || 'custom' };
+}
@@ -0,0 +1,283 @@
+/**
+ * ORGANIX Neural Interface - Mock MCP Server: WebSocket Transport
+ * 
+ * Just enough of RFC 6455 for the mock server, written against Node's
+ * built-in http and crypto modules so the tool runs without npm installs:
+ * the upgrade handshake, masked client frames (including fragments),
+ * ping/pong and the close handshake. Text is all the MCP protocol needs,
+ * so binary messages are rejected.
+ */
+
+import { createHash } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xa
+};
+
+// Largest message accepted from a client (1 MB)
+const MAX_MESSAGE_SIZE = 1024 * 1024;
+
+/**
+ * Complete the WebSocket handshake for an HTTP upgrade request
+ * @param {http.IncomingMessage} request - Upgrade request
+ * @param {net.Socket} socket - Underlying socket
+ * @returns {WebSocketConnection|null} Connection, or null if the request was refused
+ */
+export function acceptUpgrade(request, socket) {
+    const key = request.headers['sec-websocket-key'];
+    
+    if (request.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+        return null;
+    }
+    
+    const accept = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+    
+    return new WebSocketConnection(socket, request);
+}
+
+/**
+ * One accepted WebSocket connection
+ * 
+ * Events: 'message' (text), 'close' (code, reason), 'error' (error)
+ */
+export class WebSocketConnection extends EventEmitter {
+    constructor(socket, request) {
+        super();
+        
+        this.socket = socket;
+        this.request = request;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentOpcode = null;
+        this.closed = false;
+        
+        socket.setNoDelay(true);
+        socket.on('data', (chunk) => this.handleData(chunk));
+        socket.on('close', () => this.handleSocketClose(1006, 'Connection dropped'));
+        socket.on('error', (error) => this.emit('error', error));
+    }
+    
+    /**
+     * Send a text message
+     * @param {string} text - Message text
+     */
+    send(text) {
+        if (this.closed) return;
+        this.socket.write(encodeFrame(OPCODES.text, Buffer.from(text, 'utf8')));
+    }
+    
+    /**
+     * Write raw bytes to the socket, bypassing framing (for broken-frame scenarios)
+     * @param {Buffer} bytes - Bytes to write
+     */
+    sendRaw(bytes) {
+        if (this.closed) return;
+        this.socket.write(bytes);
+    }
+    
+    /**
+     * Start the close handshake
+     * @param {number} code - Close code
+     * @param {string} reason - Close reason
+     */
+    close(code = 1000, reason = '') {
+        if (this.closed) return;
+        
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        
+        this.socket.write(encodeFrame(OPCODES.close, payload));
+        this.socket.end();
+        this.handleSocketClose(code, reason);
+    }
+    
+    /**
+     * Drop the TCP connection without a close frame
+     */
+    terminate() {
+        this.socket.destroy();
+        this.handleSocketClose(1006, 'Connection terminated');
+    }
+    
+    /**
+     * Collect incoming bytes and process every complete frame
+     * @param {Buffer} chunk - Bytes received
+     */
+    handleData(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        
+        let frame;
+        while (!this.closed && (frame = decodeFrame(this.buffer))) {
+            this.buffer = this.buffer.subarray(frame.length);
+            
+            if (frame.error) {
+                this.close(1002, frame.error);
+                return;
+            }
+            
+            this.handleFrame(frame);
+        }
+    }
+    
+    /**
+     * Handle one decoded frame
+     * @param {object} frame - { fin, opcode, payload }
+     */
+    handleFrame(frame) {
+        switch (frame.opcode) {
+            case OPCODES.ping:
+                this.socket.write(encodeFrame(OPCODES.pong, frame.payload));
+                return;
+                
+            case OPCODES.pong:
+                return;
+                
+            case OPCODES.close: {
+                const code = frame.payload.length >= 2 ? frame.payload.readUInt16BE(0) : 1005;
+                this.close(code, frame.payload.subarray(2).toString('utf8'));
+                return;
+            }
+            
+            case OPCODES.binary:
+                this.close(1003, 'Binary messages are not supported');
+                return;
+                
+            case OPCODES.text:
+            case OPCODES.continuation:
+                this.handleDataFrame(frame);
+                return;
+                
+            default:
+                this.close(1002, `Unknown opcode ${frame.opcode}`);
+        }
+    }
+    
+    /**
+     * Reassemble a (possibly fragmented) text message
+     * @param {object} frame - Text or continuation frame
+     */
+    handleDataFrame(frame) {
+        if (frame.opcode === OPCODES.continuation && this.fragmentOpcode === null) {
+            this.close(1002, 'Unexpected continuation frame');
+            return;
+        }
+        if (frame.opcode !== OPCODES.continuation) {
+            this.fragmentOpcode = frame.opcode;
+            this.fragments = [];
+        }
+        
+        this.fragments.push(frame.payload);
+        
+        const size = this.fragments.reduce((total, part) => total + part.length, 0);
+        if (size > MAX_MESSAGE_SIZE) {
+            this.close(1009, 'Message too big');
+            return;
+        }
+        
+        if (frame.fin) {
+            const text = Buffer.concat(this.fragments).toString('utf8');
+            this.fragments = [];
+            this.fragmentOpcode = null;
+            this.emit('message', text);
+        }
+    }
+    
+    /**
+     * Mark the connection closed and notify listeners once
+     */
+    handleSocketClose(code, reason) {
+        if (this.closed) return;
+        
+        this.closed = true;
+        this.emit('close', code, reason);
+    }
+}
+
+/**
+ * Encode an unmasked server frame
+ * @param {number} opcode - Frame opcode
+ * @param {Buffer} payload - Frame payload
+ * @returns {Buffer} Encoded frame
+ */
+export function encodeFrame(opcode, payload) {
+    let header;
+    
+    if (payload.length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = payload.length;
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    
+    header[0] = 0x80 | opcode;
+    
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decode the first frame in a buffer
+ * @param {Buffer} buffer - Received bytes
+ * @returns {object|null} { fin, opcode, payload, length } or { error, length }, or null if incomplete
+ */
+function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+    
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let payloadLength = buffer[1] & 0x7f;
+    let offset = 2;
+    
+    if (payloadLength === 126) {
+        if (buffer.length < 4) return null;
+        payloadLength = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (payloadLength === 127) {
+        if (buffer.length < 10) return null;
+        const length = buffer.readBigUInt64BE(2);
+        if (length > BigInt(MAX_MESSAGE_SIZE)) {
+            return { error: 'Message too big', length: buffer.length };
+        }
+        payloadLength = Number(length);
+        offset = 10;
+    }
+    
+    if (!masked) {
+        return { error: 'Client frames must be masked', length: buffer.length };
+    }
+    
+    if (buffer.length < offset + 4 + payloadLength) return null;
+    
+    const mask = buffer.subarray(offset, offset + 4);
+    const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + payloadLength));
+    for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= mask[i % 4];
+    }
+    
+    return { fin, opcode, payload, length: offset + 4 + payloadLength };
+}